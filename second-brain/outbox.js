@@ -0,0 +1,162 @@
+// Capture outbox - IndexedDB queue shared by the page (script.js) and the service worker (sw.js)
+//
+// Every capture is written here first, with a client-generated idempotency key,
+// and only removed once the worker has answered. The worker stores the key, so
+// resending after a lost response returns the original item instead of a duplicate.
+// Captures the worker rejects (e.g. too long) stay in the store marked failed
+// until the page hands the text back to the user.
+
+const OUTBOX_DB_NAME = 'second-brain';
+const OUTBOX_STORE = 'outbox';
+const SETTINGS_STORE = 'settings';
+const OUTBOX_SYNC_TAG = 'capture-outbox';
+
+function openOutbox() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(OUTBOX_DB_NAME, 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(OUTBOX_STORE, { keyPath: 'id' });
+            store.createIndex('createdAt', 'createdAt');
+            request.result.createObjectStore(SETTINGS_STORE);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Run one request against a store and resolve with its result
+async function outboxRequest(mode, fn, storeName = OUTBOX_STORE) {
+    const db = await openOutbox();
+    try {
+        return await new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+function newIdempotencyKey() {
+    if (self.crypto && crypto.randomUUID) return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// The service worker can't read localStorage, so the page keeps the worker URL
+// and token here (changing the token also fixes captures queued with the old one)
+function saveOutboxConfig(workerUrl, authToken) {
+    return outboxRequest('readwrite', store => store.put({ workerUrl, authToken }, 'config'), SETTINGS_STORE);
+}
+
+function getOutboxConfig() {
+    return outboxRequest('readonly', store => store.get('config'), SETTINGS_STORE);
+}
+
+async function enqueueCapture(payload) {
+    const entry = {
+        id: newIdempotencyKey(),
+        payload,
+        createdAt: new Date().toISOString(),
+        attempts: 0,
+        lastError: null,
+        failed: false
+    };
+    await outboxRequest('readwrite', store => store.put(entry));
+    return entry;
+}
+
+// All entries, oldest first (including failed ones)
+function getQueuedCaptures() {
+    return outboxRequest('readonly', store => store.index('createdAt').getAll());
+}
+
+function removeQueuedCapture(id) {
+    return outboxRequest('readwrite', store => store.delete(id));
+}
+
+function updateQueuedCapture(entry) {
+    return outboxRequest('readwrite', store => store.put(entry));
+}
+
+// Send one queued capture. Resolves to { status: 'sent', data } | { status: 'retry', error }
+// | { status: 'failed', error } - failed means the worker rejected it and resending won't help.
+async function sendQueuedCapture(entry, config) {
+    let response;
+    try {
+        response = await fetch(config.workerUrl + '/capture', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.authToken}`,
+                'Idempotency-Key': entry.id
+            },
+            body: JSON.stringify(entry.payload)
+        });
+    } catch (error) {
+        return { status: 'retry', error: 'offline' };
+    }
+
+    const data = await response.json().catch(() => ({}));
+    if (response.ok && data.success) {
+        return { status: 'sent', data };
+    }
+
+    const error = data.error || data.message || `HTTP ${response.status}`;
+    // 409 = first attempt still in progress, 408/429/5xx = try again later,
+    // 401 = token changed or expired - keep it until the new token is saved
+    const retryable = response.status >= 500 || [401, 408, 409, 429].includes(response.status);
+    return { status: retryable ? 'retry' : 'failed', error };
+}
+
+// Send everything in the queue, oldest first. Stops at the first network failure
+// (no point hammering a dead connection); entries the worker rejected are marked failed.
+let outboxFlushing = null;
+
+function flushOutbox() {
+    if (!outboxFlushing) {
+        outboxFlushing = doFlushOutbox().finally(() => { outboxFlushing = null; });
+    }
+    return outboxFlushing;
+}
+
+async function doFlushOutbox() {
+    const result = { sent: [], failed: [], remaining: 0 };
+    const config = await getOutboxConfig();
+    const entries = (await getQueuedCaptures()).filter(entry => !entry.failed);
+    if (!config) {
+        result.remaining = entries.length;
+        return result;
+    }
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const outcome = await sendQueuedCapture(entry, config);
+
+        if (outcome.status === 'sent') {
+            await removeQueuedCapture(entry.id);
+            result.sent.push({ id: entry.id, item: outcome.data.item, duplicate: !!outcome.data.duplicate });
+            continue;
+        }
+
+        entry.attempts++;
+        entry.lastError = outcome.error;
+        entry.failed = outcome.status === 'failed';
+        await updateQueuedCapture(entry);
+        if (entry.failed) {
+            result.failed.push(entry);
+            continue;
+        }
+
+        if (outcome.error === 'offline') {
+            result.remaining += entries.length - i;
+            break;
+        }
+        result.remaining++;
+    }
+
+    return result;
+}
@@ -54,6 +54,8 @@ const status = document.getElementById('status');
 const recentSection = document.getElementById('recentSection');
 const recentItems = document.getElementById('recentItems');
 const workerUrlEl = document.getElementById('workerUrl');
+const outboxStatus = document.getElementById('outboxStatus');
+const outboxRetryLink = document.getElementById('outboxRetryLink');
 
 workerUrlEl.textContent = CONFIG.WORKER_URL;
 workerUrlEl.href = CONFIG.WORKER_URL + '/health';
@@ -364,7 +366,8 @@ input.addEventListener('input', () => {
     typingTimer.countdownInterval = countdownInterval;
 });
 
-// Send capture to worker
+// Send capture to worker. It goes into the IndexedDB outbox (outbox.js) first,
+// so if the phone is offline it's kept and sent later by the service worker.
 async function sendCapture() {
     const text = input.value.trim();
     const hasPhoto = !!currentPhoto;
@@ -386,49 +389,178 @@ async function sendCapture() {
     sendBtn.disabled = true;
     showStatus('Processing...', 'info');
 
+    const payload = {
+        input: text || '(photo)',
+        source: 'web'
+    };
+
+    // Add photo if present
+    if (currentPhoto) {
+        payload.image = currentPhoto;
+    }
+
+    // Queue it. Without IndexedDB (some private browsing modes) still send it
+    // with an idempotency key, just without the offline safety net.
+    let entry = null;
     try {
-        const payload = {
-            input: text || '(photo)',
-            source: 'web'
-        };
+        entry = await enqueueCapture(payload);
+    } catch (error) {
+        console.error('Outbox unavailable:', error);
+    }
+    const queued = !!entry;
+    if (!entry) {
+        entry = { id: newIdempotencyKey(), payload, attempts: 0 };
+    }
 
-        // Add photo if present
-        if (currentPhoto) {
-            payload.image = currentPhoto;
+    // Safe in the outbox - clear the input so the next thought can start
+    const photo = currentPhoto;
+    if (queued) {
+        input.value = '';
+        clearPhoto();
+    }
+
+    const outcome = await sendQueuedCapture(entry, getOutboxConfigFromPage());
+
+    if (outcome.status === 'sent') {
+        if (queued) await removeQueuedCapture(entry.id);
+        const data = outcome.data;
+        if (data.needsReview) {
+            showStatus('✓ Saved - classification needs a check in the dashboard', 'info');
+        } else if (data.items) {
+            const types = data.items.map(item => item.type).join(', ');
+            showStatus(`✓ ${data.duplicate ? 'Already captured' : 'Captured'} ${data.items.length} items: ${types}`, 'success');
+        } else {
+            showStatus(data.duplicate ? `✓ Already captured as ${data.item.type}` : `✓ Captured as ${data.item.type}`, 'success');
         }
+        input.value = '';
+        clearPhoto();
+        loadRecent();
 
-        const response = await fetch(CONFIG.WORKER_URL + '/capture', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${CONFIG.AUTH_TOKEN}`
-            },
-            body: JSON.stringify(payload)
-        });
+        // Haptic feedback if available
+        if (navigator.vibrate) {
+            navigator.vibrate(50);
+        }
 
-        const data = await response.json();
+        // Good connection - send anything left over from earlier
+        flushPendingCaptures();
+    } else if (outcome.status === 'retry' && queued) {
+        entry.attempts++;
+        entry.lastError = outcome.error;
+        await updateQueuedCapture(entry);
+        await requestOutboxSync();
+        showStatus(outcome.error === 'offline'
+            ? '📥 Saved offline - will send when you\'re back online'
+            : `📥 Saved - will retry (${outcome.error})`, 'info');
+        updateOutboxStatus();
+    } else {
+        // Rejected by the worker (or couldn't queue) - give the text back
+        if (queued) await removeQueuedCapture(entry.id);
+        restoreCapture(payload, photo);
+        showStatus(outcome.status === 'retry' ? 'Failed to connect to worker' : 'Error: ' + outcome.error, 'error');
+    }
 
-        if (response.ok && data.success) {
-            showStatus(`✓ Captured as ${data.item.type}`, 'success');
-            input.value = '';
-            clearPhoto();
-            loadRecent();
+    sendBtn.disabled = false;
+}
 
-            // Haptic feedback if available
-            if (navigator.vibrate) {
-                navigator.vibrate(50);
-            }
-        } else {
-            showStatus('Error: ' + (data.error || data.message || 'Unknown'), 'error');
+// ─── Outbox (offline queue) ───
+
+function getOutboxConfigFromPage() {
+    return { workerUrl: CONFIG.WORKER_URL, authToken: CONFIG.AUTH_TOKEN };
+}
+
+// Put a capture's text and photo back in the form (only if the user hasn't started a new one)
+function restoreCapture(payload, photo) {
+    if (input.value.trim() || currentPhoto) return false;
+    input.value = payload.input === '(photo)' ? '' : payload.input;
+    const image = photo || payload.image;
+    if (image) {
+        currentPhoto = image;
+        photoImg.src = image;
+        photoPreview.style.display = 'block';
+    }
+    return true;
+}
+
+// Ask the service worker to send the queue when connectivity returns.
+// Browsers without Background Sync fall back to the 'online' listener below.
+async function requestOutboxSync() {
+    if (!('serviceWorker' in navigator)) return;
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        if (registration.sync) {
+            await registration.sync.register(OUTBOX_SYNC_TAG);
         }
     } catch (error) {
-        console.error('Capture error:', error);
-        showStatus('Failed to connect to worker', 'error');
+        console.error('Background sync unavailable:', error);
     }
+}
 
-    sendBtn.disabled = false;
+async function flushPendingCaptures() {
+    try {
+        handleOutboxResult(await flushOutbox());
+    } catch (error) {
+        console.error('Outbox flush failed:', error);
+    }
+}
+
+// Results come from flushes in this page and from the service worker
+async function handleOutboxResult(result) {
+    if (result.sent.length > 0) {
+        const plural = result.sent.length === 1 ? '' : 's';
+        showStatus(`✓ Sent ${result.sent.length} queued capture${plural}`, 'success');
+        loadRecent();
+    }
+    await restoreFailedCaptures();
+    updateOutboxStatus();
+}
+
+// Captures the worker rejected while queued: hand the first one back to the user
+async function restoreFailedCaptures() {
+    let entries;
+    try {
+        entries = await getQueuedCaptures();
+    } catch (error) {
+        return;
+    }
+    const failed = entries.find(entry => entry.failed);
+    if (!failed || !restoreCapture(failed.payload)) return;
+    await removeQueuedCapture(failed.id);
+    showStatus(`Couldn't send a queued capture: ${failed.lastError}. It's back in the box above.`, 'error');
+}
+
+async function updateOutboxStatus() {
+    if (!outboxStatus) return;
+    let pending = [];
+    try {
+        pending = (await getQueuedCaptures()).filter(entry => !entry.failed);
+    } catch (error) {
+        // No IndexedDB - nothing is ever queued
+    }
+    if (pending.length === 0) {
+        outboxStatus.style.display = 'none';
+        return;
+    }
+    const plural = pending.length === 1 ? '' : 's';
+    outboxStatus.querySelector('span').textContent =
+        `📤 ${pending.length} capture${plural} waiting to send` + (navigator.onLine ? '' : ' (offline)');
+    outboxStatus.style.display = 'block';
 }
 
+if (outboxRetryLink) {
+    outboxRetryLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        flushPendingCaptures();
+    });
+}
+
+window.addEventListener('online', () => {
+    flushPendingCaptures();
+});
+
+window.addEventListener('offline', () => {
+    updateOutboxStatus();
+});
+
 // Load recent items
 async function loadRecent() {
     if (CONFIG.AUTH_TOKEN === 'YOUR_AUTH_TOKEN_HERE') {
@@ -527,10 +659,23 @@ if (changeTokenLink) {
 // Initialize
 if (checkConfiguration()) {
     loadRecent();
+
+    // Let the service worker send queued captures with the current token,
+    // then send anything left from last time
+    saveOutboxConfig(CONFIG.WORKER_URL, CONFIG.AUTH_TOKEN)
+        .catch(error => console.error('Outbox unavailable:', error))
+        .then(() => navigator.onLine ? flushPendingCaptures() : updateOutboxStatus());
 }
 
-// Register service worker for PWA support (if available)
+// Register service worker: offline page loads and background sending of the outbox
 if ('serviceWorker' in navigator) {
-    // Optional: register service worker for offline support
-    // navigator.serviceWorker.register('/second-brain/sw.js');
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'outbox-flushed') {
+            handleOutboxResult(event.data.result);
+        }
+    });
 }
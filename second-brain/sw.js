@@ -0,0 +1,72 @@
+// Second Brain service worker
+//
+// - Keeps the capture page itself available offline (network first, cache fallback)
+// - Flushes the IndexedDB capture outbox (outbox.js) on background sync, so
+//   captures made without signal go out once the phone reconnects, even if
+//   the page has been closed
+
+importScripts('outbox.js');
+
+const SHELL_CACHE = 'second-brain-shell-v1';
+const SHELL_FILES = ['./', 'index.html', 'script.js', 'outbox.js', 'styles.css', 'manifest.json', 'icon.svg'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k.startsWith('second-brain-shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Only the app's own files - API calls to the worker go straight to the network
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+    if (!url.pathname.startsWith(new URL('./', self.location).pathname)) return;
+
+    event.respondWith(
+        fetch(request)
+            .then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            })
+            .catch(() => caches.match(request, { ignoreSearch: true }).then(cached => cached || Response.error()))
+    );
+});
+
+// Tell open pages what happened so they can update the status and recent list
+async function flushAndNotify() {
+    const result = await flushOutbox();
+    const pages = await self.clients.matchAll({ type: 'window' });
+    pages.forEach(page => page.postMessage({ type: 'outbox-flushed', result }));
+    return result;
+}
+
+self.addEventListener('sync', (event) => {
+    if (event.tag !== OUTBOX_SYNC_TAG) return;
+    event.waitUntil(
+        flushAndNotify().then(result => {
+            // Rejecting makes the browser retry the sync later with backoff
+            if (result.remaining > 0) throw new Error(`${result.remaining} captures still queued`);
+        })
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'flush-outbox') {
+        event.waitUntil(flushAndNotify());
+    }
+});
@@ -12,21 +12,63 @@
  * POST /ingest-youtube - ingest YouTube item from Apps Script or OAuth sync (requires auth)
  * GET /gmail-sync - pull Gmail via OAuth (requires GMAIL_REFRESH_TOKEN etc.) (requires auth)
  * GET /youtube-sync - pull YouTube via OAuth (requires YOUTUBE_REFRESH_TOKEN etc.) (requires auth)
- * GET /items - list all items (requires auth)
+ * GET /items - list items, paged (requires auth)
  * GET /item/:id - get single item (requires auth)
+ * PATCH /item/:id - update item, complete or snooze its reminder (requires auth)
+ * GET /capture-group/:id - items split from one compound capture (requires auth)
+ * GET /review, POST /review/:id - captures whose classification needs checking (requires auth)
+ * GET /classification/stats - classifier accuracy and confusion from corrections (requires auth)
+ * GET /contacts, GET /contacts/:contact - per-contact relationship views from comms history (requires auth)
+ * GET /people, GET /people/:id - people resolved across captures, comms and email, with timelines (requires auth)
+ * GET /projects, GET /projects/:id - projects and their timelines (requires auth)
+ * POST /graph/merge, POST /graph/reindex - merge two entities / build the graph for existing items (requires auth)
+ * POST /embeddings/backfill - embed items for /chat retrieval ahead of the cron (requires auth)
+ * GET /reminders - upcoming reminders for todo/calendar items (requires auth)
+ * GET /calendar/feed-url - subscription URL for the calendar feed (requires auth)
+ * GET /calendar.ics - iCalendar feed of calendar items and dated todos (feed token in URL)
+ * POST /action/:action/:id - ntfy action button: done, snooze, not-signal (signed one-time URL)
+ * GET /action/open/:id - ntfy "Open item" view (signed URL)
+ * GET /llm/usage - model token usage and cost per day and task (requires auth)
+ * GET /expenses/summary - spending totals by category/vendor/month with budget status (requires auth)
+ * GET/POST /expenses/budgets - monthly category budgets (requires auth)
+ * POST /import/statement - reconcile a bank CSV/OFX export with expense items (requires auth)
+ * GET /search - keyword search with type/source/contact/date filters (requires auth)
+ * POST /migrate/kv-to-d1 - one-shot copy of KV items/signals into D1, in batches (requires auth)
  * GET /export - export all data as JSON (requires auth)
  * GET /export-csv - export all data as CSV (requires auth)
  * POST /analyze - trigger analysis (requires auth)
  * POST /briefing - generate morning briefing (requires auth)
+ * GET /briefings - stored morning briefings for a date range (requires auth)
+ * GET /reviews, GET /reviews/:kind/:period, POST /reviews - weekly and monthly reviews (requires auth)
+ * GET /schedule, POST /schedule, GET /schedule/runs - local-time job schedule and run history (requires auth)
  * GET /claude-notes - get Claude's working memory (requires auth)
  * POST /claude-notes - add Claude note (requires auth)
  * DELETE /claude-notes - clear Claude notes (requires auth)
+ * POST /chat - ask about your data, saved to a chat thread; optionally streamed (requires auth)
+ * GET/POST /chat/threads, GET/PATCH/DELETE /chat/threads/:id - saved chat threads (requires auth)
+ * POST/DELETE /chat/threads/:id/messages/:messageId/pin - pin an answer as a Claude note (requires auth)
  * GET /health - health check (no auth)
  *
+ * Bindings:
+ * - BRAIN_KV: KV namespace for notes, goals, briefings, settings and dedup keys
+ * - DB: D1 database holding items and the signal reading queue (see schema.sql)
+ *
  * Secrets required:
- * - ANTHROPIC_API_KEY: Anthropic API key for classification
+ * - ANTHROPIC_API_KEY: Anthropic API key for classification, analysis, briefings and chat
  * - NTFY_TOPIC: Ntfy.sh topic for notifications
  * - AUTH_TOKEN: Bearer token for authentication
+ * - NTFY_SERVER: (optional) self-hosted ntfy server instead of https://ntfy.sh
+ * - TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID: (optional) Telegram notification channel
+ * - NOTIFY_WEBHOOK_URL, NOTIFY_WEBHOOK_SECRET: (optional) generic JSON webhook channel
+ * - EMAIL_RELAY_URL, EMAIL_RELAY_KEY, EMAIL_FROM, EMAIL_TO: (optional) email channel via an HTTP SMTP relay
+ * - LLM_PROVIDER: (optional) 'anthropic' (default) or 'openai' for any OpenAI-compatible API
+ * - LLM_MODEL, LLM_MODEL_<TASK>: (optional) model for all / one task (classify, analysis, briefing, signal, chat);
+ *   "provider:model" picks the provider too, e.g. LLM_MODEL_CLASSIFY="openai:llama3.1"
+ * - LLM_BASE_URL, LLM_API_KEY: (optional) OpenAI-compatible endpoint, e.g. a local server at http://localhost:11434/v1
+ * - ANTHROPIC_BASE_URL: (optional) Anthropic API host override (proxies, test fakes)
+ * - EMBEDDING_PROVIDER: (optional) 'openai' (any OpenAI-compatible /embeddings, e.g. a local Ollama) or
+ *   'workers-ai' (needs an AI binding) - turns on semantic retrieval for /chat
+ * - EMBEDDING_MODEL, EMBEDDING_BASE_URL, EMBEDDING_API_KEY: (optional) embedding model and endpoint
  * - GMAIL_REFRESH_TOKEN: (optional) Google OAuth refresh token for direct Gmail sync
  * - YOUTUBE_REFRESH_TOKEN: (optional) Google OAuth refresh token for direct YouTube sync
  * - GOOGLE_CLIENT_ID: (optional) Google OAuth client ID (for direct sync)
@@ -41,7 +83,137 @@
  */
 const CONFIG = {
   timezone: 'Pacific/Auckland',
-  morningBriefingHour: 4 // 4am in the configured timezone
+  defaultReminderTime: '09:00', // used when a due/date hint has no time
+  calendarReminderLeadMinutes: 30, // heads-up before timed calendar events
+  workerUrl: 'https://second-brain.zammel.workers.dev', // for notification action URLs
+  actionLinkTtlHours: 72, // how long notification action buttons stay valid
+  baseCurrency: 'NZD', // expense reports and budgets are in this currency
+  budgetAlertThreshold: 80, // % of a monthly category budget that triggers a heads-up
+  maxCaptureParts: 8, // most items one compound capture is split into
+
+  // Local times jobs run at (see SCHEDULER MODULE); POST /schedule overrides these
+  schedule: {
+    reminders: { everyMinutes: 15 },
+    briefing: { times: ['04:00'] },
+    reviews: { times: ['04:00'] }, // weekly/monthly digests, once a period has finished
+    analysis: { times: ['01:00', '05:00', '09:00', '13:00', '17:00', '21:00'] },
+    replies: { everyMinutes: 15 }, // re-check outgoing questions for a reply
+    sessions: { everyMinutes: 15 }, // read flagged conversation sessions once they go quiet
+    embeddings: { everyMinutes: 15 },
+    migration: { everyMinutes: 15 } // finishes the KV → D1 copy; a no-op once it's done
+  },
+
+  // KV → D1 copy of items from before D1 (see MIGRATE)
+  migration: {
+    batchSize: 50, // items per batch (KV reads, one D1 batch write)
+    batchesPerRequest: 4, // run ahead of a request while the copy is unfinished
+    batchesPerRun: 20 // per scheduler run
+  },
+  scheduler: {
+    cronMinutes: 15, // must match the cron in wrangler.toml
+    catchUpMinutes: 180, // a slot missed by longer than this is skipped, not run late
+    staleRunMinutes: 30, // a run still 'running' after this was killed mid-way (a cron run can't last that long)
+    maxAttempts: 2 // per slot, for jobs that fail
+  },
+
+  // /chat retrieval over the whole history (see RETRIEVAL MODULE)
+  retrieval: {
+    maxItems: 25, // items from history put in the chat prompt
+    candidates: 40, // per ranked list before fusion
+    rrfK: 60, // reciprocal rank fusion constant
+    embedPerRun: 200, // items embedded per 15-minute cron run
+    embedBatchSize: 32, // texts per embedding request
+    scanPageSize: 500, // vectors read per query page
+    maxScan: 5000 // newest vectors compared per question; older items still come up by keyword
+  },
+
+  // Stored /chat conversations (see CHAT THREADS MODULE)
+  chat: {
+    recentMessages: 12, // latest messages always sent verbatim
+    summarizeAfter: 24, // unsummarised messages that trigger folding the older ones into the summary
+    titleLength: 60 // thread titles (from the first question) are cut here
+  },
+
+  // Signal flagging (see SIGNAL READING MODULE)
+  signals: {
+    unansweredAfterHours: 24, // an outgoing question with no reply by then is flagged...
+    maxWaitHours: 168, // ...or after the contact's usual (90th percentile) reply time, up to this
+    replyStatsDays: 90, // history used for a contact's reply times
+    minRepliesForStats: 3, // fewer replies than this and only unansweredAfterHours counts
+    maxExclusionRules: 100, // see EXCLUSION RULES
+    // Conversation sessions (see CONVERSATION SESSIONS)
+    sessions: {
+      idleGapMinutes: 45, // quiet this long and the next message starts a new session
+      maxMessages: 40, // newest messages of a session sent for reading
+      analysePerRun: 5, // sessions read per scheduler run
+      maxAttempts: 3 // failed reads before a session is given up on
+    },
+    // Flagging model (see retrainSignalModel)
+    model: {
+      threshold: 0, // flag when bias + feature weights reaches this
+      minExamples: 5, // rated readings before trained weights replace the starting ones
+      maxExamples: 500, // newest rated readings trained on
+      epochs: 300,
+      learningRate: 0.5,
+      l2: 0.05 // pull towards the starting weights
+    }
+  },
+
+  // Relationship views (see CONTACTS MODULE)
+  contacts: {
+    conversationGapHours: 8, // quiet this long and the next message starts a new conversation
+    maxMessages: 5000 // most messages read for one contact's view
+  },
+
+  // People/project graph (see KNOWLEDGE GRAPH MODULE)
+  graph: {
+    followUpDays: 14, // an item about someone follows up the previous one if it's within this many days
+    timelineLimit: 30, // default page size for GET /people/:id and /projects/:id
+    activeDays: 7, // "active" people and projects for briefing/chat prompts
+    promptEntities: 8, // most entities described in a prompt
+    promptTimelineItems: 6 // recent items shown for someone the question names
+  },
+
+  // Few-shot examples from hand corrections (see CLASSIFICATION LEARNING MODULE)
+  classification: {
+    fewShotExamples: 5, // most relevant corrections shown to the classifier
+    minExamples: 2, // always show at least this many (latest first) when there are any
+    correctionPool: 200 // how many recent corrections to pick from
+  },
+
+  // Model calls (see LLM CLIENT MODULE); env vars LLM_PROVIDER / LLM_MODEL / LLM_MODEL_<TASK> override
+  llm: {
+    provider: 'anthropic',
+    defaultModel: 'claude-sonnet-4-20250514',
+    timeoutMs: 60000,
+    retries: 2, // after the first attempt
+    retryDelayMs: 1000, // doubles each retry
+    maxRetryDelayMs: 15000,
+    usageRetentionDays: 90,
+    tasks: {
+      classify: { maxTokens: 2048, timeoutMs: 30000 }, // room for split captures
+      analysis: { maxTokens: 2048 },
+      briefing: { maxTokens: 4096, timeoutMs: 120000 },
+      signal: { maxTokens: 3072 }, // a whole conversation session
+      chat: { maxTokens: 1024 },
+      summarize: { maxTokens: 1024 }, // chat thread summaries
+      review: { maxTokens: 3072, timeoutMs: 120000 } // weekly/monthly reviews
+    }
+  },
+
+  // Where each kind of push goes (ntfy, telegram, webhook, email - see NOTIFICATION CHANNELS MODULE)
+  notifications: {
+    quietHours: { start: '22:00', end: '07:00' }, // local time; null to disable
+    categories: {
+      briefing: { channels: ['ntfy'], quietHours: false }, // already scheduled for a chosen hour
+      reminder: { channels: ['ntfy'], quietHours: false }, // you asked to be reminded then
+      calorie: { channels: ['ntfy'], quietHours: false }, // reply to something you just logged
+      signal: { channels: ['ntfy'], quietHours: true },
+      analysis: { channels: ['ntfy'], quietHours: true },
+      budget: { channels: ['ntfy'], quietHours: true },
+      digest: { channels: ['ntfy'], quietHours: false } // sheets-sync's weekly digest, sent Monday 7am
+    }
+  }
 };
 
 /**
@@ -145,6 +317,58 @@ function isYesterday(isoTimestamp) {
   return itemDate === yesterdayStr;
 }
 
+/**
+ * Add N days to a YYYY-MM-DD date string
+ */
+function addDaysToDateString(dateStr, days) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Get the UTC offset (in ms) of the configured timezone at a given instant
+ */
+function getTimezoneOffsetMs(date) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: CONFIG.timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Convert a local date/time in the configured timezone to a UTC Date
+ * (e.g. '2026-04-05', '09:30' → the instant it is 9:30am in Auckland)
+ */
+function zonedTimeToUtc(dateStr, timeStr = '00:00') {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  const [hh, mm] = timeStr.split(':').map(Number);
+  const asUtc = Date.UTC(y, m - 1, d, hh, mm);
+
+  // Two passes so times either side of a DST change pick up the right offset
+  const firstGuess = asUtc - getTimezoneOffsetMs(new Date(asUtc));
+  return new Date(asUtc - getTimezoneOffsetMs(new Date(firstGuess)));
+}
+
+/**
+ * UTC ISO bounds for a range of local dates: [start of `from`, start of day after `to`)
+ */
+function getUtcBoundsForLocalDates(from, to = from) {
+  return {
+    start: zonedTimeToUtc(from).toISOString(),
+    end: zonedTimeToUtc(addDaysToDateString(to, 1)).toISOString()
+  };
+}
+
 /**
  * Get items from the last N hours in the user's timezone
  */
@@ -171,16 +395,43 @@ export default {
     // Health check doesn't require auth
     if (path === '/health') {
       const kvConfigured = !!env.BRAIN_KV;
+      const dbConfigured = !!env.DB;
       return jsonResponse({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        version: '1.0.0',
+        version: '2.0.0',
         kvConfigured: kvConfigured,
+        dbConfigured: dbConfigured,
         ntfyTopic: env.NTFY_TOPIC || 'not-set',
-        message: kvConfigured ? 'Ready' : 'KV namespace not configured yet'
+        notificationChannels: Object.keys(NOTIFICATION_CHANNELS).filter(name => NOTIFICATION_CHANNELS[name].isConfigured(env)),
+        llmProviders: Object.keys(LLM_PROVIDERS).filter(name => LLM_PROVIDERS[name].isConfigured(env)),
+        message: kvConfigured && dbConfigured ? 'Ready'
+          : !kvConfigured ? 'KV namespace not configured yet'
+          : 'D1 database not configured yet'
       });
     }
 
+    // Calendar feed uses its own token in the URL (calendar apps can't send headers)
+    if (path === '/calendar.ics' && request.method === 'GET') {
+      if (!env.AUTH_TOKEN || !env.DB) {
+        return new Response('Calendar feed not configured', { status: 503, headers: corsHeaders() });
+      }
+      return await handleCalendarFeed(url, env);
+    }
+
+    // Notification action buttons carry a signed URL instead of the auth token
+    if (path.startsWith('/action/')) {
+      if (!env.AUTH_TOKEN || !env.BRAIN_KV || !env.DB) {
+        return jsonResponse({ error: 'Notification actions not configured' }, 503);
+      }
+      try {
+        return await handleNotificationAction(request, path, url, env);
+      } catch (error) {
+        console.error('Notification action error:', error);
+        return jsonResponse({ error: 'Internal error', message: error.message }, 500);
+      }
+    }
+
     // All other endpoints require authentication
     const authError = checkAuth(request, env);
     if (authError) {
@@ -196,7 +447,24 @@ export default {
       }, 503);
     }
 
+    // Items live in D1 - check the binding before touching data
+    if (!env.DB) {
+      return jsonResponse({
+        error: 'D1 database not configured',
+        message: 'The DB binding needs to be created and configured in wrangler.toml, then schema.sql applied',
+        instructions: 'See workers/second-brain/README.md for setup instructions'
+      }, 503);
+    }
+
     try {
+      // Items still in the old KV store are copied across before anything reads D1
+      // (a failing step is logged and retried by the next request, never fails this one)
+      if (path !== '/migrate/kv-to-d1') {
+        await continueKvToD1Migration(env).catch(error => {
+          console.error('KV to D1 migration step failed:', error);
+        });
+      }
+
       // Route requests
       if (path === '/capture' && request.method === 'POST') {
         return await handleCapture(request, env);
@@ -226,6 +494,14 @@ export default {
         return await handleListItems(url, env);
       }
 
+      if (path === '/search' && request.method === 'GET') {
+        return await handleSearch(url, env);
+      }
+
+      if (path === '/migrate/kv-to-d1' && request.method === 'POST') {
+        return await handleMigrateKvToD1(request, env);
+      }
+
       if (path.startsWith('/item/') && request.method === 'GET') {
         const id = path.replace('/item/', '');
         return await handleGetItem(id, env);
@@ -236,6 +512,53 @@ export default {
         return await handleUpdateItem(id, request, env);
       }
 
+      if (path === '/contacts' && request.method === 'GET') {
+        return await handleListContacts(url, env);
+      }
+
+      if (path.startsWith('/contacts/') && request.method === 'GET') {
+        return await handleGetContact(decodeURIComponent(path.substring('/contacts/'.length)), url, env);
+      }
+
+      if ((path === '/people' || path === '/projects') && request.method === 'GET') {
+        return await handleListEntities(path === '/people' ? 'person' : 'project', url, env);
+      }
+
+      if ((path.startsWith('/people/') || path.startsWith('/projects/')) && request.method === 'GET') {
+        const [, collection, id] = path.split('/');
+        return await handleGetEntity(collection === 'people' ? 'person' : 'project', id, url, env);
+      }
+
+      if (path === '/graph/merge' && request.method === 'POST') {
+        return await handleMergeEntities(request, env);
+      }
+
+      if (path === '/graph/reindex' && request.method === 'POST') {
+        return await handleGraphReindex(request, env);
+      }
+
+      if (path === '/embeddings/backfill' && request.method === 'POST') {
+        return await handleEmbeddingBackfill(request, env);
+      }
+
+      if (path.startsWith('/capture-group/') && request.method === 'GET') {
+        const id = path.replace('/capture-group/', '');
+        return await handleGetCaptureGroup(id, env);
+      }
+
+      if (path === '/classification/stats' && request.method === 'GET') {
+        return await handleClassificationStats(url, env);
+      }
+
+      if (path === '/review' && request.method === 'GET') {
+        return await handleListReview(url, env);
+      }
+
+      if (path.startsWith('/review/') && request.method === 'POST') {
+        const id = path.replace('/review/', '');
+        return await handleResolveReview(id, request, env);
+      }
+
       if (path === '/export' && request.method === 'GET') {
         return await handleExport(env);
       }
@@ -248,10 +571,39 @@ export default {
         return await handleAnalyze(env);
       }
 
+      if (path === '/briefings' && request.method === 'GET') {
+        return await handleListBriefings(url, env);
+      }
+
+      if (path === '/reviews' && request.method === 'GET') {
+        return await handleListReviews(url, env);
+      }
+
+      if (path === '/reviews' && request.method === 'POST') {
+        return await handleGenerateReview(request, env);
+      }
+
+      if (path.startsWith('/reviews/') && request.method === 'GET') {
+        const [, , kind, period] = path.split('/');
+        return await handleGetReview(kind, period, env);
+      }
+
       if (path === '/briefing' && request.method === 'POST') {
         return await handleBriefing(env);
       }
 
+      if (path === '/schedule' && request.method === 'GET') {
+        return await handleGetSchedule(env);
+      }
+
+      if (path === '/schedule' && request.method === 'POST') {
+        return await handleSaveSchedule(request, env);
+      }
+
+      if (path === '/schedule/runs' && request.method === 'GET') {
+        return await handleGetSchedulerRuns(url, env);
+      }
+
       if (path === '/claude-notes' && request.method === 'GET') {
         return await handleGetClaudeNotes(env);
       }
@@ -268,6 +620,10 @@ export default {
         return await handleGetSignals(url, env);
       }
 
+      if (path === '/signals/model' && request.method === 'GET') {
+        return await handleGetSignalModel(url, env);
+      }
+
       if (path.startsWith('/signal/') && path.endsWith('/feedback') && request.method === 'POST') {
         const id = path.replace('/signal/', '').replace('/feedback', '');
         return await handleSignalFeedback(id, request, env);
@@ -281,6 +637,12 @@ export default {
         return await handleAddExclusion(request, env);
       }
 
+      if (path.startsWith('/signal-exclusions/')) {
+        const id = decodeURIComponent(path.replace('/signal-exclusions/', ''));
+        if (request.method === 'PATCH') return await handleUpdateExclusion(id, request, env);
+        if (request.method === 'DELETE') return await handleDeleteExclusion(id, env);
+      }
+
       if (path === '/goals' && request.method === 'GET') {
         return await handleGetGoals(env);
       }
@@ -289,12 +651,68 @@ export default {
         return await handleSaveGoals(request, env);
       }
 
+      if (path === '/reminders' && request.method === 'GET') {
+        return await handleGetReminders(url, env);
+      }
+
+      if (path === '/calendar/feed-url' && request.method === 'GET') {
+        return await handleCalendarFeedUrl(env);
+      }
+
+      if (path === '/llm/usage' && request.method === 'GET') {
+        return await handleGetLLMUsage(url, env);
+      }
+
+      if (path === '/expenses/summary' && request.method === 'GET') {
+        return await handleExpenseSummary(url, env);
+      }
+
+      if (path === '/import/statement' && request.method === 'POST') {
+        return await handleImportStatement(request, url, env);
+      }
+
+      if (path === '/expenses/budgets' && request.method === 'GET') {
+        return await handleGetExpenseBudgets(env);
+      }
+
+      if (path === '/expenses/budgets' && request.method === 'POST') {
+        return await handleSaveExpenseBudgets(request, env);
+      }
+
+      if (path === '/calories/targets' && request.method === 'GET') {
+        return await handleGetNutritionTargets(env);
+      }
+
+      if (path === '/calories/targets' && request.method === 'POST') {
+        return await handleSaveNutritionTargets(request, env);
+      }
+
       if (path === '/calories' && request.method === 'GET') {
         return await handleGetCalories(url, env);
       }
 
       if (path === '/chat' && request.method === 'POST') {
-        return await handleChat(request, env);
+        return await handleChat(request, env, ctx);
+      }
+
+      if (path === '/chat/threads' && request.method === 'GET') {
+        return await handleListChatThreads(url, env);
+      }
+
+      if (path === '/chat/threads' && request.method === 'POST') {
+        return await handleCreateChatThread(request, env);
+      }
+
+      if (path.startsWith('/chat/threads/') && path.endsWith('/pin') && (request.method === 'POST' || request.method === 'DELETE')) {
+        const [, , , threadId, , messageId] = path.split('/');
+        return await handlePinChatMessage(threadId, messageId, request, env);
+      }
+
+      if (path.startsWith('/chat/threads/')) {
+        const id = path.replace('/chat/threads/', '');
+        if (request.method === 'GET') return await handleGetChatThread(id, env);
+        if (request.method === 'PATCH') return await handleRenameChatThread(id, request, env);
+        if (request.method === 'DELETE') return await handleDeleteChatThread(id, env);
       }
 
       // Default response
@@ -307,24 +725,66 @@ export default {
           'POST /ingest-youtube': 'Ingest YouTube item (liked video, upload, comment)',
           'GET /gmail-sync': 'Sync Gmail via OAuth (requires secrets)',
           'GET /youtube-sync': 'Sync YouTube via OAuth (requires secrets)',
-          'GET /items': 'List items (query: type, status, limit)',
+          'GET /items': 'List items (query: type, status, limit, offset)',
           'GET /item/:id': 'Get single item',
-          'PATCH /item/:id': 'Update item classification',
+          'GET /search': 'Search items (query: q, type, source, contact, from, to, status, limit)',
+          'POST /migrate/kv-to-d1': 'Copy legacy KV items into D1 (body: phase, offset, batchSize)',
+          'PATCH /item/:id': 'Update item classification, complete (status: done) or snooze (snooze: 1h) its reminder',
+          'GET /capture-group/:id': 'Original compound capture and the items it was split into',
+          'GET /contacts': 'Everyone you message, most recent first, with volume trend (query: q, limit, offset)',
+          'GET /contacts/:contact': 'One relationship: volume over time, who starts conversations, reply times, apps, signal readings (query: days)',
+          'GET /people': 'People in the knowledge graph (query: q, limit)',
+          'GET /people/:id': 'A person: aliases, related people/projects, open todos and timeline (query: limit, offset, type)',
+          'GET /projects': 'Projects in the knowledge graph (query: q, limit)',
+          'GET /projects/:id': 'A project: people, open todos and timeline (query: limit, offset, type)',
+          'POST /graph/merge': 'Merge two people or projects ({ from, into, name? })',
+          'POST /graph/reindex': 'Build graph edges for existing items (body: offset, batchSize)',
+          'POST /embeddings/backfill': 'Embed items for chat retrieval now (body: limit; needs EMBEDDING_PROVIDER)',
+          'GET /classification/stats': 'Classifier accuracy and per-type confusion from hand corrections (query: days)',
+          'GET /review': 'Captures whose classification failed validation',
+          'POST /review/:id': 'Resolve a review item ({ type, structured } | { action: retry | dismiss })',
+          'GET /reminders': 'Upcoming reminders (query: status, limit)',
+          'GET /calendar/feed-url': 'Get the subscribable calendar feed URL',
+          'GET /calendar.ics': 'iCalendar feed of calendar items and dated todos (query: token)',
+          'POST /action/:action/:id': 'Notification action button (signed URL from ntfy)',
           'GET /export': 'Export all data as JSON',
           'GET /export-csv': 'Export all data as CSV',
           'POST /analyze': 'Trigger analysis',
           'POST /briefing': 'Generate morning briefing',
+          'GET /briefings': 'Stored morning briefings, newest first (query: from, to)',
+          'GET /reviews': 'Weekly and monthly reviews, newest first (query: kind, limit, offset)',
+          'GET /reviews/:kind/:period': 'One review (weekly/YYYY-MM-DD or monthly/YYYY-MM)',
+          'POST /reviews': 'Write a review now ({ kind, period?, force? })',
+          'GET /schedule': 'Local times scheduled jobs run at, with next and last runs',
+          'POST /schedule': 'Change job times ({ jobs: { briefing: { times: ["05:30"] } } })',
+          'GET /schedule/runs': 'Scheduled job run history (query: days)',
           'GET /claude-notes': 'Get Claude working memory',
           'POST /claude-notes': 'Add Claude note',
           'DELETE /claude-notes': 'Clear Claude notes',
-          'GET /signals': 'Get signal readings queue',
+          'GET /signals': 'Signal readings queue: read conversation sessions with their messages (query: reviewed, limit)',
+          'GET /signals/model': 'Signal flagging weights learned from feedback, and why recent messages were flagged (query: limit, message, direction, app, contact)',
           'POST /signal/:id/feedback': 'Add feedback to signal analysis',
-          'GET /signal-exclusions': 'Get excluded contacts/apps',
-          'POST /signal-exclusions': 'Add exclusion',
+          'GET /signal-exclusions': 'Exclusion rules for signal analysis',
+          'POST /signal-exclusions': 'Add an exclusion rule ({ contact, contactMatch: exact|wildcard|regex, app, keywords, window: { from, to }, muteFor or expiresAt, action: exclude|block, note })',
+          'PATCH /signal-exclusions/:id': 'Change an exclusion rule (null clears a condition)',
+          'DELETE /signal-exclusions/:id': 'Delete an exclusion rule',
           'GET /goals': 'Get versioned goals & context',
           'POST /goals': 'Save new goals version',
-          'GET /calories': 'Get calorie summary for today (or ?date=YYYY-MM-DD)',
-          'POST /chat': 'Ask a question about your Second Brain data',
+          'GET /calories': 'Get calorie and macro summary for today (or ?date=YYYY-MM-DD, or ?from=&to= for daily/weekly/monthly rollups)',
+          'GET /llm/usage': 'Model token usage and cost (query: from, to)',
+          'GET /expenses/summary': 'Spending by category, vendor and month (query: from, to or month)',
+          'POST /import/statement': 'Import a bank CSV/OFX statement and reconcile it with expenses (query: format, dateOrder, dryRun)',
+          'GET /expenses/budgets': 'Get monthly category budgets',
+          'POST /expenses/budgets': 'Set monthly category budgets (body: categories)',
+          'GET /calories/targets': 'Get daily calorie and macro targets',
+          'POST /calories/targets': 'Set daily targets (calories, protein, carbs, fat, fibre)',
+          'POST /chat': 'Ask a question about your Second Brain data ({ question, threadId? }); answers cite items as [item:ID]; stream: true for server-sent events',
+          'GET /chat/threads': 'Saved chat threads, most recent first (query: limit)',
+          'POST /chat/threads': 'Start an empty chat thread ({ title? })',
+          'GET /chat/threads/:id': 'A chat thread with its messages and summary',
+          'PATCH /chat/threads/:id': 'Rename a chat thread ({ title })',
+          'DELETE /chat/threads/:id': 'Delete a chat thread',
+          'POST /chat/threads/:id/messages/:messageId/pin': 'Pin an answer as a Claude note (DELETE to unpin)',
           'GET /health': 'Health check'
         }
       }, 404);
@@ -338,67 +798,15 @@ export default {
     }
   },
 
-  // Cron trigger - runs every 4 hours + morning briefing at configured hour in user's timezone
+  // Cron trigger - every 15 minutes; the scheduler decides what's due in local time
   async scheduled(event, env, ctx) {
-    console.log('Cron triggered at:', new Date().toISOString(), 'cron:', event.cron);
-
-    // Check if this is the morning briefing cron (0 15 * * * = 4am NZDT / 0 16 * * * = 4am NZST)
-    // Using event.cron is more reliable than timezone hour detection in edge runtimes
-    const morningBriefingCrons = ['0 15 * * *', '0 16 * * *'];
-    const isMorningBriefing = morningBriefingCrons.includes(event.cron);
-
-    if (isMorningBriefing) {
-      // Generate and send full morning briefing
-      try {
-        const briefing = await generateMorningBriefing(env);
-
-        // Save full briefing to KV storage for dashboard
-        const briefingRecord = {
-          timestamp: new Date().toISOString(),
-          date: getTodayInTimezone(), // Use timezone-aware date
-          briefing: briefing
-        };
-        await env.BRAIN_KV.put('briefing:latest', JSON.stringify(briefingRecord));
-
-        // Also save with date key for history
-        const dateKey = `briefing:${briefingRecord.date}`;
-        await env.BRAIN_KV.put(dateKey, JSON.stringify(briefingRecord));
-
-        await sendMorningBriefing(briefing, env);
-        console.log('Morning briefing generated, saved, and sent');
-      } catch (error) {
-        console.error('Failed to generate morning briefing:', error);
-        // Fallback to simple ping if briefing generation fails
-        await sendMorningBriefingPing(env);
-      }
-      return; // Don't run regular analysis for morning briefing
-    }
-
-    // Regular analysis for other cron runs
-    // Only analyze if there are new items
-    const lastAnalysis = await env.BRAIN_KV.get('analysis:latest', 'json');
-    const lastAnalysisTime = lastAnalysis ? new Date(lastAnalysis.timestamp) : new Date(0);
-
-    // Check if there are items created since last analysis
-    const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
+    const now = new Date(event.scheduledTime || Date.now());
+    console.log('Cron triggered at:', now.toISOString(), 'cron:', event.cron);
 
-    // Check last 50 items for anything newer than last analysis
-    // (can't use Array.some with async - it doesn't await the promises)
-    let hasNewItems = false;
-    const recentIds = indexData.items.slice(-50);
-    for (const id of recentIds) {
-      const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-      if (item && new Date(item.createdAt) > lastAnalysisTime) {
-        hasNewItems = true;
-        break;
-      }
-    }
+    // Anything held back during quiet hours goes out on the first run after them
+    await flushDeferredNotifications(env);
 
-    if (hasNewItems || !lastAnalysis) {
-      await runAnalysis(env, true); // true = can send notifications
-    } else {
-      console.log('No new items since last analysis, skipping');
-    }
+    await runScheduler(env, now);
   }
 };
 
@@ -452,12 +860,20 @@ async function handleAddClaudeNote(request, env) {
     return jsonResponse({ error: 'Missing note content' }, 400);
   }
 
+  const newNote = await addClaudeNote({ content: note, category, expiresIn }, env);
+  return jsonResponse({ success: true, note: newNote });
+}
+
+/**
+ * Append a note to Claude's working memory (expiresIn in seconds)
+ */
+async function addClaudeNote({ content, category = 'general', expiresIn = null }, env) {
   const existingNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
 
   const newNote = {
     id: generateId(),
-    content: note,
-    category: category, // 'observation', 'followup', 'pattern', 'summary', 'general'
+    content,
+    category, // 'observation', 'followup', 'pattern', 'summary', 'pinned', 'general'
     createdAt: new Date().toISOString(),
     expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
   };
@@ -477,8 +893,14 @@ async function handleAddClaudeNote(request, env) {
   );
 
   await env.BRAIN_KV.put('claude:notes', JSON.stringify(existingNotes));
+  return newNote;
+}
 
-  return jsonResponse({ success: true, note: newNote });
+async function removeClaudeNote(id, env) {
+  const existingNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+  existingNotes.notes = existingNotes.notes.filter(n => n.id !== id);
+  existingNotes.lastUpdated = new Date().toISOString();
+  await env.BRAIN_KV.put('claude:notes', JSON.stringify(existingNotes));
 }
 
 async function handleClearClaudeNotes(request, env) {
@@ -502,8 +924,18 @@ async function handleClearClaudeNotes(request, env) {
   }
 }
 
+// KV marker while a keyed capture is being classified, and how long keys are remembered.
+// Queued captures can sit on the phone for days, so keys outlive the outbox.
+// Once the item is saved the key holds `saved:<id>` until its side effects are done,
+// then just the id.
+const CAPTURE_PENDING = 'pending';
+const CAPTURE_SAVED_PREFIX = 'saved:';
+const CAPTURE_PENDING_TTL_SECONDS = 120;
+const CAPTURE_IDEMPOTENCY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
 /**
  * CAPTURE - receive input, classify it, store it
+ * Send an Idempotency-Key header (or body.idempotencyKey) to make retries safe.
  */
 async function handleCapture(request, env) {
   const body = await request.json();
@@ -520,8 +952,96 @@ async function handleCapture(request, env) {
     return jsonResponse({ error: `Input too long (max ${maxLength} characters)` }, 400);
   }
 
-  // Classify the input using Claude (with vision if image provided)
-  const classification = await classifyInput(input, env, image);
+  // Idempotency: offline clients retry with the same key until they see a response,
+  // so a capture that succeeded but whose response got lost isn't saved twice
+  const idempotencyKey = request.headers.get('Idempotency-Key') || body.idempotencyKey || null;
+  if (idempotencyKey !== null && !/^[A-Za-z0-9_-]{8,128}$/.test(idempotencyKey)) {
+    return jsonResponse({ error: 'Invalid idempotency key' }, 400);
+  }
+  const dedupKey = idempotencyKey ? `dedup:capture:${idempotencyKey}` : null;
+  const planKey = idempotencyKey ? `capture-plan:${idempotencyKey}` : null;
+  if (dedupKey) {
+    const existing = await env.BRAIN_KV.get(dedupKey);
+    if (existing === CAPTURE_PENDING) {
+      // The first attempt is still classifying; the client should retry shortly
+      return jsonResponse({ error: 'Capture already in progress', retryable: true }, 409);
+    }
+    if (existing && existing.startsWith(CAPTURE_SAVED_PREFIX)) {
+      // Saved by an attempt that failed before finishing: finish it rather than capture again
+      const savedItem = await getItem(existing.slice(CAPTURE_SAVED_PREFIX.length), env);
+      if (savedItem) {
+        const { reminder, dailyTotals } = await finishCapturedItem(savedItem, env);
+        await env.BRAIN_KV.put(dedupKey, savedItem.id, { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+        return jsonResponse({
+          success: true,
+          item: savedItem,
+          message: `Captured as ${savedItem.type}`,
+          ...(reminder && { reminder }),
+          ...(dailyTotals !== null && { dailyTotal: dailyTotals.calories, dailyTotals })
+        });
+      }
+    } else if (existing && existing.startsWith('group:')) {
+      const captureGroupId = existing.slice('group:'.length);
+      const existingItems = await getCaptureGroupItems(captureGroupId, env);
+      if (existingItems.length > 0) {
+        return jsonResponse({
+          success: true,
+          item: existingItems[0],
+          items: existingItems,
+          captureGroupId,
+          message: `Already captured as ${existingItems.length} items`,
+          duplicate: true
+        });
+      }
+    } else if (existing) {
+      const existingItem = await getItem(existing, env);
+      if (existingItem) {
+        return jsonResponse({
+          success: true,
+          item: existingItem,
+          message: `Already captured as ${existingItem.type}`,
+          duplicate: true
+        });
+      }
+    }
+    await env.BRAIN_KV.put(dedupKey, CAPTURE_PENDING, { expirationTtl: CAPTURE_PENDING_TTL_SECONDS });
+
+    // A compound capture that failed part-way: store the parts it didn't get to
+    const plan = await env.BRAIN_KV.get(planKey, 'json');
+    if (plan) {
+      return await storeCaptureGroup(plan, env, { dedupKey, planKey });
+    }
+  }
+
+  // Classify the input using Claude (with vision if image provided).
+  // Text captures may come back split into several items.
+  let classification;
+  try {
+    classification = await classifyInput(input, env, image, { allowSplit: true });
+  } catch (error) {
+    // Let the retry go through instead of waiting out the pending marker
+    if (dedupKey) await env.BRAIN_KV.delete(dedupKey);
+    throw error;
+  }
+
+  const createdAt = new Date().toISOString();
+
+  // Compound capture: one item per part, linked back to the original utterance.
+  // With an idempotency key the plan (parts and their ids) is kept until every
+  // part is stored, so a retry after a failure part-way finishes the group.
+  if (Array.isArray(classification.items)) {
+    const plan = {
+      captureGroupId: generateId(),
+      input,
+      source,
+      createdAt,
+      parts: classification.items.map(part => ({ ...part, id: generateId() }))
+    };
+    if (planKey) {
+      await env.BRAIN_KV.put(planKey, JSON.stringify(plan), { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+    }
+    return await storeCaptureGroup(plan, env, { dedupKey, planKey });
+  }
 
   // Create item
   const item = {
@@ -531,8 +1051,9 @@ async function handleCapture(request, env) {
     structured: classification.structured,
     aiNotes: classification.notes,
     source: source,
-    createdAt: new Date().toISOString(),
-    status: 'active'
+    createdAt,
+    status: 'active',
+    entities: entityHints(classification)
   };
 
   // Add image if provided
@@ -540,29 +1061,192 @@ async function handleCapture(request, env) {
     item.image = image;
   }
 
-  // Store in KV
-  await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
+  // Classifier output that failed validation waits in the review queue, without
+  // reminders, notifications or expense totals, until it's corrected
+  if (classification.needsReview) {
+    item.status = 'needs-review';
+    item.review = classification.needsReview;
+    await saveItem(item, env);
+    if (dedupKey) {
+      await env.BRAIN_KV.put(dedupKey, item.id, { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+    }
+    return jsonResponse({
+      success: true,
+      item: item,
+      message: 'Saved for review - the classification needs checking',
+      needsReview: true
+    });
+  }
+
+  // Once saved, the key says so: a retry after a later failure finishes this item
+  // instead of saving another. A failure before that clears the pending marker.
+  let saved = false;
+  let stored;
+  try {
+    stored = await storeCapturedItem(item, env, {
+      afterSave: async () => {
+        if (dedupKey) {
+          await env.BRAIN_KV.put(dedupKey, `${CAPTURE_SAVED_PREFIX}${item.id}`, { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+        }
+        saved = true;
+      }
+    });
+  } catch (error) {
+    if (dedupKey && !saved) await env.BRAIN_KV.delete(dedupKey);
+    throw error;
+  }
+  const { reminder, dailyTotals } = stored;
+  if (dedupKey) {
+    await env.BRAIN_KV.put(dedupKey, item.id, { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+  }
+
+  return jsonResponse({
+    success: true,
+    item: item,
+    message: `Captured as ${item.type}`,
+    ...(reminder && { reminder }),
+    ...(dailyTotals !== null && { dailyTotal: dailyTotals.calories, dailyTotals })
+  });
+}
+
+/**
+ * Save a classified capture (after expense normalisation) and run its side
+ * effects; `afterSave` runs in between, so a caller can record that the item
+ * exists before anything that might fail. Returns { reminder, dailyTotals }
+ * (either may be null).
+ */
+async function storeCapturedItem(item, env, { afterSave = null } = {}) {
+  // Expenses: numeric amount, ISO currency and the base-currency amount at that day's rate
+  await normalizeExpense(item, env);
+
+  // Store in D1
+  await saveItem(item, env);
+  if (afterSave) await afterSave();
+
+  return finishCapturedItem(item, env);
+}
+
+/**
+ * A saved capture's side effects: reminder scheduling, graph links and the
+ * calorie notification. Safe to run again for the same item - a retry after
+ * one of them failed (the calorie notification is sent again).
+ */
+async function finishCapturedItem(item, env) {
+  // Turn due/date hints into a scheduled reminder
+  const reminder = await syncReminder(item, env);
 
-  // Add to index
-  await addToIndex(item, env);
+  // Link it to the people and projects it's about
+  await indexItemInGraph(item, env);
 
-  // For calorie captures: compute daily total and notify
-  let calorieTotal = null;
+  // For calorie captures: compute daily totals and notify
+  let dailyTotals = null;
   if (item.type === 'calorie') {
-    calorieTotal = await getDailyCalorieTotal(env);
-    const thisMeal = item.structured?.estimatedCalories || 0;
+    dailyTotals = await getDailyNutritionTotals(env);
+    const thisMeal = getItemNutrition(item);
     const foods = (item.structured?.foods || []).join(', ') || item.input;
     const mealType = item.structured?.mealType || 'snack';
     const confidence = item.structured?.confidence || 'medium';
-    const notifMsg = `${mealType.charAt(0).toUpperCase() + mealType.slice(1)}: ${foods}\n~${thisMeal} cal (${confidence} confidence)\nToday's total: ${calorieTotal} cal`;
-    await sendCalorieNotification(notifMsg, calorieTotal, env);
+    const macros = item.structured?.macros
+      ? `\nP ${thisMeal.protein}g · C ${thisMeal.carbs}g · F ${thisMeal.fat}g · Fibre ${thisMeal.fibre}g`
+      : '';
+    const notifMsg = `${mealType.charAt(0).toUpperCase() + mealType.slice(1)}: ${foods}\n~${thisMeal.calories} cal (${confidence} confidence)${macros}\nToday's total: ${dailyTotals.calories} cal`;
+    await sendCalorieNotification(notifMsg, dailyTotals, env, item.id);
+  }
+
+  return { reminder, dailyTotals };
+}
+
+/**
+ * Store the parts of a compound capture that aren't finished yet, then answer
+ * with the whole group. A part is marked finished in the plan only once its
+ * reminder, graph and calorie steps have run, so a retry after a failure saves
+ * the parts that are missing and finishes the ones that were saved.
+ */
+async function storeCaptureGroup(plan, env, { dedupKey = null, planKey = null } = {}) {
+  const { captureGroupId } = plan;
+  const saved = new Map((await getCaptureGroupItems(captureGroupId, env)).map(item => [item.id, item]));
+  const reminders = [];
+  let dailyTotals = null;
+
+  try {
+    for (const [captureIndex, part] of plan.parts.entries()) {
+      if (part.finished) continue;
+      let stored;
+      if (saved.has(part.id)) {
+        stored = await finishCapturedItem(saved.get(part.id), env);
+      } else {
+        const item = {
+          id: part.id,
+          input: part.text,
+          type: part.type,
+          structured: part.structured,
+          aiNotes: part.notes,
+          source: plan.source,
+          createdAt: plan.createdAt,
+          status: 'active',
+          entities: entityHints(part),
+          captureGroupId,
+          captureInput: plan.input,
+          captureIndex
+        };
+        stored = await storeCapturedItem(item, env);
+        saved.set(item.id, item);
+      }
+      part.finished = true;
+      if (planKey) {
+        await env.BRAIN_KV.put(planKey, JSON.stringify(plan), { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+      }
+      if (stored.reminder) reminders.push(stored.reminder);
+      if (stored.dailyTotals) dailyTotals = stored.dailyTotals;
+    }
+  } catch (error) {
+    if (dedupKey) await env.BRAIN_KV.delete(dedupKey);
+    throw error;
+  }
+
+  if (dedupKey) {
+    await env.BRAIN_KV.put(dedupKey, `group:${captureGroupId}`, { expirationTtl: CAPTURE_IDEMPOTENCY_TTL_SECONDS });
+    await env.BRAIN_KV.delete(planKey);
   }
 
+  const items = plan.parts.map(part => saved.get(part.id));
   return jsonResponse({
     success: true,
-    item: item,
-    message: `Captured as ${item.type}`,
-    ...(calorieTotal !== null && { dailyTotal: calorieTotal })
+    item: items[0],
+    items,
+    captureGroupId,
+    message: `Captured ${items.length} items: ${items.map(item => item.type).join(', ')}`,
+    ...(reminders.length > 0 && { reminders }),
+    ...(dailyTotals !== null && { dailyTotal: dailyTotals.calories, dailyTotals })
+  });
+}
+
+/**
+ * Items from one compound capture, in the order they were said
+ */
+async function getCaptureGroupItems(captureGroupId, env) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items
+     WHERE json_extract(meta, '$.captureGroupId') = ?
+     ORDER BY json_extract(meta, '$.captureIndex')`
+  ).bind(captureGroupId).all();
+  return (results || []).map(rowToItem);
+}
+
+/**
+ * CAPTURE GROUP - the original utterance and the items it was split into
+ */
+async function handleGetCaptureGroup(captureGroupId, env) {
+  const items = await getCaptureGroupItems(captureGroupId, env);
+  if (items.length === 0) {
+    return jsonResponse({ error: 'Capture group not found' }, 404);
+  }
+  return jsonResponse({
+    captureGroupId,
+    input: items[0].captureInput,
+    createdAt: items[0].createdAt,
+    items,
+    count: items.length
   });
 }
 
@@ -587,33 +1271,37 @@ async function handleComms(request, env) {
     return jsonResponse({ error: 'Message too long (max 5000 characters)' }, 400);
   }
 
-  // Deduplication: check if same message from same contact in last 5 minutes
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-  const recentIds = indexData.items.slice(-20); // Check last 20 items
-  const fiveMinutesAgo = Date.now() - (5 * 60 * 1000);
-
-  for (const id of recentIds) {
-    const existingItem = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (!existingItem || existingItem.type !== 'comms') continue;
+  // Block rules keep the message out of storage entirely
+  const exclusion = await findExclusionRule({ message, app, contact, at: timestamp }, env);
+  if (exclusion?.action === 'block') {
+    return jsonResponse({
+      success: true,
+      blocked: true,
+      ruleId: exclusion.id,
+      message: 'Message not stored (blocked by an exclusion rule)'
+    });
+  }
 
-    const itemTime = new Date(existingItem.createdAt).getTime();
-    if (itemTime < fiveMinutesAgo) continue;
-
-    // Check if duplicate (same message, contact, and direction)
-    if (existingItem.input === message &&
-        existingItem.structured?.contact === contact &&
-        existingItem.structured?.direction === direction) {
-      return jsonResponse({
-        success: true,
-        item: existingItem,
-        message: 'Duplicate message ignored',
-        duplicate: true
-      });
-    }
+  // Deduplication: check if same message from same contact in last 5 minutes
+  const fiveMinutesAgo = new Date(Date.now() - (5 * 60 * 1000)).toISOString();
+  const duplicateRow = await env.DB.prepare(
+    `SELECT * FROM items
+     WHERE type = 'comms' AND contact = ? AND direction = ? AND input = ? AND created_at >= ?
+     LIMIT 1`
+  ).bind(contact, direction, message, fiveMinutesAgo).first();
+
+  if (duplicateRow) {
+    return jsonResponse({
+      success: true,
+      item: rowToItem(duplicateRow),
+      message: 'Duplicate message ignored',
+      duplicate: true
+    });
   }
 
   // Check if this should be flagged for signal analysis
-  const shouldFlag = await shouldFlagForSignalAnalysis(message, direction, app, contact, env);
+  const flagging = await scoreSignalFlag(message, direction, app, contact, env, { at: timestamp });
+  const shouldFlag = flagging.flag;
 
   // Create comms item without classification (raw capture)
   const item = {
@@ -629,27 +1317,24 @@ async function handleComms(request, env) {
     source: 'tasker',
     createdAt: timestamp || new Date().toISOString(),
     status: 'active',
-    needsSignalAnalysis: shouldFlag
+    needsSignalAnalysis: shouldFlag,
+    signalFlag: shouldFlag ? describeSignalFlag(flagging) : undefined
   };
 
-  // Store in KV
-  await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
+  // Store in D1 (contact history is a query on the contact column)
+  await saveItem(item, env);
+  await indexItemInGraph(item, env);
 
-  // Add to index
-  await addToIndex(item, env);
+  // Every message joins a conversation session; flagged ones get it read once it's quiet
+  await addToSignalSession(item, env);
 
-  // Add to contact history
-  await addToContactHistory(contact, item.id, env);
-
-  // If flagged, queue for signal analysis
-  if (shouldFlag) {
-    await queueSignalAnalysis(item, env);
-  }
+  // A reply settles any question to this contact; a new question starts the wait
+  await trackReplies(item, env);
 
   return jsonResponse({
     success: true,
     item: item,
-    message: `Captured ${direction} ${app} message${shouldFlag ? ' [flagged for signal analysis]' : ''}`
+    message: `Captured ${direction} ${app} message${shouldFlag ? ' [flagged - its conversation will be read once quiet]' : ''}`
   });
 }
 
@@ -713,10 +1398,9 @@ async function handleIngestEmail(request, env) {
     status: 'active'
   };
 
-  await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
-  await addToIndex(item, env);
+  await saveItem(item, env);
   await env.BRAIN_KV.put(dedupKey, item.id);
-  await addToContactHistory(contact, item.id, env);
+  await indexItemInGraph(item, env);
 
   return jsonResponse({
     success: true,
@@ -790,9 +1474,9 @@ async function handleIngestYoutube(request, env) {
     status: 'active'
   };
 
-  await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
-  await addToIndex(item, env);
+  await saveItem(item, env);
   await env.BRAIN_KV.put(dedupKey, item.id);
+  await indexItemInGraph(item, env);
 
   return jsonResponse({
     success: true,
@@ -895,10 +1579,9 @@ async function handleGmailSync(url, env) {
           status: 'active'
         };
 
-        await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
-        await addToIndex(item, env);
+        await saveItem(item, env);
         await env.BRAIN_KV.put(dedupKey, item.id);
-        await addToContactHistory(contact, item.id, env);
+        await indexItemInGraph(item, env);
         ingested++;
 
       } catch (msgErr) {
@@ -1048,9 +1731,9 @@ async function ingestYoutubeItem({ videoId, title, channelTitle, captureType, pu
     status: 'active'
   };
 
-  await env.BRAIN_KV.put(`item:${item.id}`, JSON.stringify(item));
-  await addToIndex(item, env);
+  await saveItem(item, env);
   await env.BRAIN_KV.put(dedupKey, item.id);
+  await indexItemInGraph(item, env);
 
   return { duplicate: false, item };
 }
@@ -1080,1517 +1763,8570 @@ async function getGoogleAccessToken(env, scope, refreshToken) {
 }
 
 /**
- * Classify input using Claude API
+ * LLM CLIENT MODULE
+ * Every model call goes through callLLM(task, request, env), which picks the
+ * provider and model for the task, applies a timeout, retries transient
+ * failures with backoff, and records token usage and cost per day in D1 (llm_usage).
+ *
+ * Model selection (first match wins), each value "model" or "provider:model":
+ * - LLM_MODEL_<TASK> env var, e.g. LLM_MODEL_CLASSIFY="claude-3-5-haiku-latest"
+ * - LLM_MODEL env var
+ * - CONFIG.llm.tasks[task].model, then CONFIG.llm.defaultModel
+ * The provider is LLM_PROVIDER (default CONFIG.llm.provider) unless the model names one.
+ *
+ * A request is { system, messages: [{ role, content }], maxTokens } in Anthropic
+ * message format (content is a string or text/image blocks); providers translate.
+ * callLLM resolves to { text, model, provider, usage: { inputTokens, outputTokens } }.
+ * streamLLM(task, request, env, onText) is the same call with the answer
+ * streamed: onText(chunk) fires as text arrives, and it resolves to the same shape.
  */
-async function classifyInput(input, env, image = null) {
-  const systemPrompt = `You are a classification assistant for a personal second brain system.
-
-Classify the input into ONE of these types:
-- todo: A task or action to complete
-- expense: A financial transaction or cost (especially from receipts!)
-- calendar: An event, appointment, or time-based thing
-- creative: A thought, idea, poetry fragment, creative writing, or visual inspiration
-- note: General information worth remembering
-- person: Information about a person (contact, relationship note)
-- project: Related to an ongoing project
-- ai-conversation: A captured conversation with an AI assistant (Claude, Gemini, Kimi, ChatGPT, etc.)
-- calorie: Food or drink consumed for calorie tracking. Use this when the input describes food eaten, a meal, a snack, or includes a photo of food.
 
-DETECTING AI CONVERSATIONS:
-Input prefixed with [Claude conversation], [Gemini conversation], [Kimi conversation], etc. is a screen capture from an AI chat app grabbed via Tasker/AutoInput. It will contain alternating human/assistant messages, possibly with code blocks, markdown, or long-form reasoning. Classify these as "ai-conversation" and extract the signal - don't just store the raw dump.
-
-${image ? 'The user has provided an IMAGE along with optional text. Analyze the image carefully and classify based on what you see. Extract any text from receipts, notes, or documents. Describe visual content for creative captures. If the image shows food or drink, classify as "calorie" and estimate the calorie content as carefully as possible.' : ''}
-
-Respond with JSON only:
-{
-  "type": "todo|expense|calendar|creative|note|person|project|ai-conversation|calorie",
-  "structured": {
-    // type-specific fields, examples:
-    // todo: { "task": "...", "priority": "high|medium|low", "dueHint": "..." }
-    // expense: { "amount": 123.45, "category": "...", "vendor": "...", "date": "..." }
-    // calendar: { "event": "...", "dateHint": "...", "timeHint": "...", "location": "..." }
-    // creative: { "content": "...", "theme": "...", "connectedTo": "...", "visualDescription": "..." }
-    // note: { "summary": "...", "tags": [...] }
-    // person: { "name": "...", "context": "...", "detail": "..." }
-    // project: { "project": "...", "update": "...", "nextAction": "..." }
-    // ai-conversation: { "app": "Claude|Gemini|Kimi|ChatGPT|other", "topics": ["..."], "keyTakeaways": ["..."], "actionItems": ["..."], "mood": "exploratory|productive|troubleshooting|creative|planning" }
-    // calorie: { "foods": ["food item 1", "food item 2"], "estimatedCalories": 350, "mealType": "breakfast|lunch|dinner|snack", "confidence": "high|medium|low" }
+const LLM_PROVIDERS = {
+  anthropic: {
+    isConfigured: env => !!env.ANTHROPIC_API_KEY,
+    complete: completeViaAnthropic,
+    stream: streamViaAnthropic
   },
-  "notes": "Brief AI observation - what you saw in the image, patterns noticed, connections, suggestions"
-}`;
+  // OpenAI-compatible chat completions: OpenAI itself, or a local server
+  // (Ollama, llama.cpp, LM Studio, a test fake) at LLM_BASE_URL
+  openai: {
+    isConfigured: env => !!(env.LLM_BASE_URL || env.OPENAI_API_KEY),
+    complete: completeViaOpenAI,
+    stream: streamViaOpenAI
+  }
+};
 
-  try {
-    // Build message content
-    let messageContent;
+// USD per million tokens, matched by model-name prefix; local models are free
+const LLM_PRICING = [
+  ['claude-opus-4', { input: 15, output: 75 }],
+  ['claude-sonnet-4', { input: 3, output: 15 }],
+  ['claude-3-7-sonnet', { input: 3, output: 15 }],
+  ['claude-3-5-sonnet', { input: 3, output: 15 }],
+  ['claude-haiku-4', { input: 1, output: 5 }],
+  ['claude-3-5-haiku', { input: 0.8, output: 4 }],
+  ['gpt-4o-mini', { input: 0.15, output: 0.6 }],
+  ['gpt-4o', { input: 2.5, output: 10 }]
+];
 
-    if (image) {
-      // Extract media type and base64 data from data URL
-      const matches = image.match(/^data:([^;]+);base64,(.+)$/);
-      if (!matches) {
-        throw new Error('Invalid image data format');
-      }
+/**
+ * Resolve { provider, model, maxTokens, timeoutMs } for a task
+ */
+function resolveLLMTask(task, env) {
+  const taskConfig = CONFIG.llm.tasks[task] || {};
+  const configured = env[`LLM_MODEL_${task.toUpperCase()}`] || env.LLM_MODEL || taskConfig.model || CONFIG.llm.defaultModel;
+
+  let provider = env.LLM_PROVIDER || CONFIG.llm.provider;
+  let model = configured;
+  const prefixed = configured.match(/^([a-z]+):(.+)$/);
+  if (prefixed && LLM_PROVIDERS[prefixed[1]]) {
+    provider = prefixed[1];
+    model = prefixed[2];
+  }
 
-      const mediaType = matches[1];
-      const base64Data = matches[2];
+  return {
+    provider,
+    model,
+    maxTokens: taskConfig.maxTokens || 1024,
+    timeoutMs: taskConfig.timeoutMs || CONFIG.llm.timeoutMs
+  };
+}
 
-      // Vision request with image + text
-      messageContent = [
-        {
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: mediaType,
-            data: base64Data
-          }
-        },
-        {
-          type: 'text',
-          text: input
-        }
-      ];
-    } else {
-      // Text-only request
-      messageContent = input;
-    }
+/**
+ * Look up the provider for a resolved task, throwing if it can't be used
+ */
+function getLLMProvider(resolved, env) {
+  const provider = LLM_PROVIDERS[resolved.provider];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${resolved.provider}`);
+  }
+  if (!provider.isConfigured(env)) {
+    throw new Error(`LLM provider ${resolved.provider} is not configured`);
+  }
+  return provider;
+}
 
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        system: systemPrompt,
-        messages: [{ role: 'user', content: messageContent }]
-      })
-    });
+/**
+ * Call the model configured for a task. Throws once retries are used up.
+ */
+async function callLLM(task, request, env) {
+  const resolved = resolveLLMTask(task, env);
+  const provider = getLLMProvider(resolved, env);
 
-    if (!response.ok) {
-      console.error('Claude API error:', response.status);
-      // Fallback classification
-      return {
-        type: 'note',
-        structured: { summary: input, tags: [] },
-        notes: 'Auto-classified as note (API unavailable)'
-      };
-    }
+  const maxTokens = request.maxTokens || resolved.maxTokens;
+  let lastError;
 
-    const data = await response.json();
-    const text = data.content[0].text;
+  for (let attempt = 0; attempt <= CONFIG.llm.retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(getRetryDelay(attempt, lastError));
+    }
 
-    // Parse JSON from response (handle markdown code blocks)
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      return JSON.parse(jsonMatch[0]);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), resolved.timeoutMs);
+    try {
+      const result = await provider.complete({ ...request, model: resolved.model, maxTokens, signal: controller.signal }, env);
+      await recordLLMUsage(task, resolved, result.usage, env);
+      return { ...result, model: resolved.model, provider: resolved.provider };
+    } catch (error) {
+      lastError = error.name === 'AbortError'
+        ? Object.assign(new Error(`${resolved.provider} timed out after ${resolved.timeoutMs}ms`), { retryable: true })
+        : error;
+      console.error(`LLM ${task} attempt ${attempt + 1} failed:`, lastError.message);
+      if (!isRetryableLLMError(lastError)) break;
+    } finally {
+      clearTimeout(timer);
     }
-  } catch (e) {
-    console.error('Failed to classify:', e);
   }
 
-  // Fallback
-  return {
-    type: 'note',
-    structured: { summary: input, tags: [] },
-    notes: 'Could not parse classification'
-  };
+  await recordLLMUsage(task, resolved, null, env);
+  throw lastError;
 }
 
 /**
- * LIST ITEMS - with optional type filter
+ * Streaming callLLM. Failures are retried like callLLM only until the first
+ * chunk has reached onText - after that the caller has shown a partial answer,
+ * so the error is thrown instead. The timeout covers the whole stream.
  */
-async function handleListItems(url, env) {
-  const typeFilter = url.searchParams.get('type');
-  const statusFilter = url.searchParams.get('status') || 'active';
-  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 500);
+async function streamLLM(task, request, env, onText) {
+  const resolved = resolveLLMTask(task, env);
+  const provider = getLLMProvider(resolved, env);
 
-  // Get index
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
+  const maxTokens = request.maxTokens || resolved.maxTokens;
+  let started = false;
+  let lastError;
 
-  let itemIds = indexData.items;
-
-  // Filter by type if specified
-  if (typeFilter) {
-    const typeIndex = await env.BRAIN_KV.get(`index:type:${typeFilter}`, 'json') || { items: [] };
-    itemIds = typeIndex.items;
-  }
+  for (let attempt = 0; attempt <= CONFIG.llm.retries; attempt++) {
+    if (attempt > 0) {
+      await sleep(getRetryDelay(attempt, lastError));
+    }
 
-  // Fetch items (most recent first)
-  const items = [];
-  for (const id of itemIds.slice(-limit).reverse()) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item && (statusFilter === 'all' || item.status === statusFilter)) {
-      items.push(item);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), resolved.timeoutMs);
+    try {
+      const result = await provider.stream({ ...request, model: resolved.model, maxTokens, signal: controller.signal }, env, chunk => {
+        started = true;
+        onText(chunk);
+      });
+      await recordLLMUsage(task, resolved, result.usage, env);
+      return { ...result, model: resolved.model, provider: resolved.provider };
+    } catch (error) {
+      lastError = error.name === 'AbortError'
+        ? Object.assign(new Error(`${resolved.provider} timed out after ${resolved.timeoutMs}ms`), { retryable: true })
+        : error;
+      console.error(`LLM ${task} stream attempt ${attempt + 1} failed:`, lastError.message);
+      if (started || !isRetryableLLMError(lastError)) break;
+    } finally {
+      clearTimeout(timer);
     }
   }
 
-  return jsonResponse({
-    items,
-    count: items.length,
-    totalInIndex: itemIds.length
-  });
+  await recordLLMUsage(task, resolved, null, env);
+  throw lastError;
 }
 
 /**
- * GET SINGLE ITEM
+ * Parse a server-sent-events body into { event, data } messages. Lines can be
+ * split across network chunks, so partial lines are buffered.
  */
-async function handleGetItem(id, env) {
-  const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
+async function* readServerSentEvents(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = null;
+  let data = [];
+
+  while (true) {
+    const { done, value } = await reader.read();
+    buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+
+    for (const line of lines) {
+      if (line === '') {
+        if (data.length > 0) yield { event, data: data.join('\n') };
+        event = null;
+        data = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
 
-  if (!item) {
-    return jsonResponse({ error: 'Item not found' }, 404);
+    if (done) {
+      if (data.length > 0) yield { event, data: data.join('\n') };
+      return;
+    }
   }
-
-  return jsonResponse({ item });
 }
 
 /**
- * UPDATE ITEM - for correcting classifications
+ * Rate limits, overload, server errors, timeouts and dropped connections are
+ * worth retrying; bad requests and auth failures aren't
  */
-async function handleUpdateItem(id, request, env) {
-  const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-
-  if (!item) {
-    return jsonResponse({ error: 'Item not found' }, 404);
-  }
+function isRetryableLLMError(error) {
+  if (error.retryable !== undefined) return error.retryable;
+  if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+  return error instanceof TypeError; // fetch network failure
+}
 
-  const body = await request.json();
-  const { type, structured, status } = body;
+/**
+ * Exponential backoff with jitter, or the server's Retry-After if it sent one
+ */
+function getRetryDelay(attempt, error) {
+  if (error && error.retryAfterMs) return Math.min(error.retryAfterMs, CONFIG.llm.maxRetryDelayMs);
+  const base = CONFIG.llm.retryDelayMs * 2 ** (attempt - 1);
+  return Math.min(base + Math.random() * base * 0.25, CONFIG.llm.maxRetryDelayMs);
+}
 
-  // Update fields if provided
-  if (type) item.type = type;
-  if (structured) item.structured = structured;
-  if (status) item.status = status;
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
 
-  item.updatedAt = new Date().toISOString();
+/**
+ * Turn a non-2xx provider response into an Error carrying status and Retry-After
+ */
+async function llmHttpError(provider, response) {
+  const body = await response.text().catch(() => '');
+  const error = new Error(`${provider} API error: ${response.status}${body ? ` ${body.substring(0, 200)}` : ''}`);
+  error.status = response.status;
+  const retryAfter = parseFloat(response.headers.get('retry-after'));
+  if (isFinite(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+  return error;
+}
 
-  // Save updated item
-  await env.BRAIN_KV.put(`item:${id}`, JSON.stringify(item));
+/**
+ * POST to the Anthropic Messages API, throwing on non-2xx
+ */
+async function requestAnthropic({ model, system, messages, maxTokens, signal }, env, stream = false) {
+  const response = await fetch(`${env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': env.ANTHROPIC_API_KEY,
+      'anthropic-version': '2023-06-01'
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      ...(system && { system }),
+      messages,
+      ...(stream && { stream: true })
+    }),
+    signal
+  });
 
-  // If type changed, update indexes
-  if (type) {
-    // This is simplified - in production you'd want to remove from old type index
-    await addToIndex(item, env);
+  if (!response.ok) {
+    throw await llmHttpError('anthropic', response);
   }
+  return response;
+}
 
-  return jsonResponse({
-    success: true,
-    item: item,
-    message: 'Item updated'
-  });
+/**
+ * Anthropic Messages API
+ */
+async function completeViaAnthropic(request, env) {
+  const response = await requestAnthropic(request, env);
+  const data = await response.json();
+  return {
+    text: (data.content || []).filter(block => block.type === 'text' || block.text).map(block => block.text).join(''),
+    usage: {
+      inputTokens: data.usage?.input_tokens || 0,
+      outputTokens: data.usage?.output_tokens || 0
+    }
+  };
 }
 
 /**
- * EXPORT - download all data
+ * Anthropic Messages API, streamed: text arrives in content_block_delta events,
+ * input tokens in message_start and output tokens in message_delta
  */
-async function handleExport(env) {
-  // Get all indexes
-  const allIndex = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-  const latestAnalysis = await env.BRAIN_KV.get('analysis:latest', 'json') || null;
-  const latestBriefing = await env.BRAIN_KV.get('briefing:latest', 'json') || null;
+async function streamViaAnthropic(request, env, onText) {
+  const response = await requestAnthropic(request, env, true);
+  let text = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
 
-  // Fetch all items
-  const items = [];
-  for (const id of allIndex.items) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item) items.push(item);
+  for await (const { data } of readServerSentEvents(response.body)) {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      continue;
+    }
+
+    if (payload.type === 'message_start') {
+      usage.inputTokens = payload.message?.usage?.input_tokens || 0;
+    } else if (payload.type === 'content_block_delta' && payload.delta?.text) {
+      text += payload.delta.text;
+      onText(payload.delta.text);
+    } else if (payload.type === 'message_delta') {
+      usage.outputTokens = payload.usage?.output_tokens || usage.outputTokens;
+    } else if (payload.type === 'error') {
+      throw Object.assign(new Error(`anthropic stream error: ${payload.error?.message || 'unknown'}`), {
+        retryable: payload.error?.type === 'overloaded_error' || payload.error?.type === 'api_error'
+      });
+    }
   }
 
-  // Get type counts
-  const typeCounts = {};
-  items.forEach(item => {
-    typeCounts[item.type] = (typeCounts[item.type] || 0) + 1;
-  });
+  return { text, usage };
+}
 
-  // Build export data
-  const exportData = {
-    exportedAt: new Date().toISOString(),
-    version: '1.0.0',
-    summary: {
-      totalItems: items.length,
-      byType: typeCounts,
-      activeItems: items.filter(i => i.status === 'active').length,
-      claudeNotes: claudeNotes.notes.length
-    },
-    items: items,
-    claudeNotes: claudeNotes,
-    latestAnalysis: latestAnalysis,
-    latestBriefing: latestBriefing
-  };
+/**
+ * POST to an OpenAI-compatible /chat/completions, throwing on non-2xx
+ */
+async function requestOpenAI({ model, system, messages, maxTokens, signal }, env, stream = false) {
+  const baseUrl = (env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const apiKey = env.LLM_API_KEY || env.OPENAI_API_KEY;
 
-  return new Response(JSON.stringify(exportData, null, 2), {
-    status: 200,
+  const response = await fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
     headers: {
-      ...corsHeaders(),
       'Content-Type': 'application/json',
-      'Content-Disposition': `attachment; filename="second-brain-export-${Date.now()}.json"`
-    }
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify({
+      model,
+      max_tokens: maxTokens,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        ...messages.map(m => ({ role: m.role, content: toOpenAIContent(m.content) }))
+      ],
+      ...(stream && { stream: true, stream_options: { include_usage: true } })
+    }),
+    signal
   });
+
+  if (!response.ok) {
+    throw await llmHttpError('openai', response);
+  }
+  return response;
 }
 
 /**
- * EXPORT CSV - download all data as CSV
+ * OpenAI-compatible /chat/completions
  */
-async function handleExportCSV(env) {
-  // Get all items
-  const allIndex = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
+async function completeViaOpenAI(request, env) {
+  const response = await requestOpenAI(request, env);
+  const data = await response.json();
+  return {
+    text: data.choices?.[0]?.message?.content || '',
+    usage: {
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
 
-  const items = [];
-  for (const id of allIndex.items) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item) items.push(item);
+/**
+ * OpenAI-compatible /chat/completions, streamed: text arrives in
+ * choices[0].delta.content, usage (when the server reports it) in the last chunk
+ */
+async function streamViaOpenAI(request, env, onText) {
+  const response = await requestOpenAI(request, env, true);
+  let text = '';
+  const usage = { inputTokens: 0, outputTokens: 0 };
+
+  for await (const { data } of readServerSentEvents(response.body)) {
+    if (data === '[DONE]') break;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch {
+      continue;
+    }
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(delta);
+    }
+    if (chunk.usage) {
+      usage.inputTokens = chunk.usage.prompt_tokens || 0;
+      usage.outputTokens = chunk.usage.completion_tokens || 0;
+    }
   }
 
-  // Get Claude notes
-  const claudeNotesData = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-  const claudeNotes = claudeNotesData.notes || [];
+  return { text, usage };
+}
 
-  // Build CSV - Items section
-  const itemHeaders = ['ID', 'Type', 'Input', 'Created At', 'Status', 'Source', 'AI Notes', 'Structured Data'];
-  const rows = [itemHeaders.join(',')];
+/**
+ * Anthropic content blocks -> OpenAI content parts (images become data URLs)
+ */
+function toOpenAIContent(content) {
+  if (typeof content === 'string') return content;
+  return content.map(block => block.type === 'image'
+    ? { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } }
+    : { type: 'text', text: block.text });
+}
 
-  for (const item of items) {
-    const row = [
-      escapeCSV(item.id),
-      escapeCSV(item.type),
-      escapeCSV(item.input),
-      escapeCSV(item.createdAt),
-      escapeCSV(item.status),
-      escapeCSV(item.source),
-      escapeCSV(item.aiNotes || ''),
-      escapeCSV(JSON.stringify(item.structured))
-    ];
-    rows.push(row.join(','));
+/**
+ * Cost in USD for a call, or null for models we don't have prices for
+ */
+function estimateLLMCost(provider, model, usage) {
+  if (provider === 'openai' && !/^gpt-/.test(model)) return 0; // local / self-hosted
+  const price = LLM_PRICING.find(([prefix]) => model.startsWith(prefix));
+  if (!price) return null;
+  return (usage.inputTokens * price[1].input + usage.outputTokens * price[1].output) / 1e6;
+}
+
+/**
+ * Add a call to today's usage row for its task and model (llm_usage in D1) and
+ * drop rows past CONFIG.llm.usageRetentionDays. An upsert, so calls finishing
+ * at the same moment each count. usage is null for calls that failed after all retries.
+ */
+async function recordLLMUsage(task, resolved, usage, env) {
+  if (!env.DB) return;
+  try {
+    const date = getTodayInTimezone();
+    const cost = usage ? estimateLLMCost(resolved.provider, resolved.model, usage) : 0;
+
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO llm_usage (date, task, model, calls, errors, input_tokens, output_tokens, cost_usd, unpriced_calls)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (date, task, model) DO UPDATE SET
+           calls = calls + excluded.calls,
+           errors = errors + excluded.errors,
+           input_tokens = input_tokens + excluded.input_tokens,
+           output_tokens = output_tokens + excluded.output_tokens,
+           cost_usd = cost_usd + excluded.cost_usd,
+           unpriced_calls = unpriced_calls + excluded.unpriced_calls`
+      ).bind(
+        date,
+        task,
+        `${resolved.provider}:${resolved.model}`,
+        usage ? 1 : 0,
+        usage ? 0 : 1,
+        usage?.inputTokens || 0,
+        usage?.outputTokens || 0,
+        cost || 0,
+        usage && cost === null ? 1 : 0
+      ),
+      env.DB.prepare('DELETE FROM llm_usage WHERE date < ?')
+        .bind(addDaysToDateString(date, -CONFIG.llm.usageRetentionDays))
+    ]);
+  } catch (error) {
+    console.error('Failed to record LLM usage:', error);
   }
+}
 
-  // Add Claude notes section
-  if (claudeNotes.length > 0) {
-    rows.push('');
-    rows.push('');
-    rows.push('CLAUDE WORKING MEMORY NOTES');
-    const notesHeaders = ['Note ID', 'Category', 'Content', 'Created At', 'Expires At'];
-    rows.push(notesHeaders.join(','));
+/**
+ * An llm_usage row as usage totals
+ */
+function llmUsageFromRow(row) {
+  return {
+    calls: row.calls,
+    errors: row.errors,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    costUsd: row.cost_usd,
+    unpricedCalls: row.unpriced_calls
+  };
+}
 
-    for (const note of claudeNotes) {
-      const noteRow = [
-        escapeCSV(note.id),
-        escapeCSV(note.category),
-        escapeCSV(note.content),
-        escapeCSV(note.createdAt),
-        escapeCSV(note.expiresAt || '')
-      ];
-      rows.push(noteRow.join(','));
+function emptyLLMUsage() {
+  return { calls: 0, errors: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpricedCalls: 0 };
+}
+
+/**
+ * GET /llm/usage?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 7 days)
+ * Daily token and cost totals, plus the model each task currently uses
+ */
+async function handleGetLLMUsage(url, env) {
+  const to = url.searchParams.get('to') || getTodayInTimezone();
+  const from = url.searchParams.get('from') || addDaysToDateString(to, -6);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to) || from > to) {
+    return jsonResponse({ error: 'from and to must be YYYY-MM-DD with from <= to' }, 400);
+  }
+  if (daysBetween(from, to) > CONFIG.llm.usageRetentionDays) {
+    return jsonResponse({ error: `Range too long (max ${CONFIG.llm.usageRetentionDays} days)` }, 400);
+  }
+
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM llm_usage WHERE date >= ? AND date <= ? ORDER BY date, task, model'
+  ).bind(from, to).all();
+
+  const byDate = new Map();
+  for (const row of results) {
+    if (!byDate.has(row.date)) byDate.set(row.date, { date: row.date, totals: emptyLLMUsage(), byTask: {}, byModel: {} });
+    const day = byDate.get(row.date);
+    const usage = llmUsageFromRow(row);
+    if (!day.byTask[row.task]) day.byTask[row.task] = emptyLLMUsage();
+    if (!day.byModel[row.model]) day.byModel[row.model] = emptyLLMUsage();
+    for (const bucket of [day.totals, day.byTask[row.task], day.byModel[row.model]]) {
+      mergeLLMUsage(bucket, usage);
     }
   }
 
-  const csvContent = rows.join('\n');
+  // Days from before usage moved to D1 are still in KV until they expire
+  for (let date = from; date <= to; date = addDaysToDateString(date, 1)) {
+    if (byDate.has(date) || date >= getTodayInTimezone()) continue;
+    const day = await env.BRAIN_KV.get(`llm:usage:${date}`, 'json');
+    if (day) byDate.set(date, day);
+  }
 
-  return new Response(csvContent, {
-    status: 200,
-    headers: {
-      ...corsHeaders(),
-      'Content-Type': 'text/csv',
-      'Content-Disposition': `attachment; filename="second-brain-export-${Date.now()}.csv"`
+  const days = [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+  const totals = emptyLLMUsage();
+  const byTask = {};
+  for (const day of days) {
+    mergeLLMUsage(totals, day.totals);
+    for (const [task, usage] of Object.entries(day.byTask)) {
+      if (!byTask[task]) byTask[task] = emptyLLMUsage();
+      mergeLLMUsage(byTask[task], usage);
     }
-  });
+  }
+
+  const models = {};
+  for (const task of Object.keys(CONFIG.llm.tasks)) {
+    const { provider, model } = resolveLLMTask(task, env);
+    models[task] = `${provider}:${model}`;
+  }
+
+  return jsonResponse({ from, to, totals, byTask, days, models });
 }
 
-/**
- * Escape CSV field
- */
-function escapeCSV(field) {
-  if (field === null || field === undefined) return '""';
-  const str = String(field);
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return '"' + str.replace(/"/g, '""') + '"';
+function mergeLLMUsage(target, usage) {
+  for (const field of Object.keys(target)) {
+    target[field] += usage[field] || 0;
   }
-  return '"' + str + '"';
+  target.costUsd = Math.round(target.costUsd * 1e6) / 1e6;
 }
 
 /**
- * ANALYZE - triggered manually or by cron
+ * CLASSIFICATION SCHEMAS MODULE
+ * Every classifier response is checked against a JSON schema for its type's
+ * `structured` payload. A response that doesn't parse or validate gets one
+ * repair round-trip (the model sees its answer and the errors); if that fails
+ * too the item is saved with status 'needs-review' and the errors in
+ * item.review, and shows up in GET /review instead of being mislabelled.
+ *
+ * The validator covers the JSON Schema subset the schemas use: type (incl.
+ * arrays of types and 'integer'), enum, required, properties, items,
+ * minLength, minimum, maximum and pattern. Extra properties are allowed.
  */
-async function handleAnalyze(env) {
-  const result = await runAnalysis(env, false); // false = don't notify (manual trigger)
-  return jsonResponse(result);
-}
+
+const ITEM_TYPES = ['todo', 'expense', 'calendar', 'creative', 'note', 'person', 'project', 'ai-conversation', 'calorie'];
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const OPTIONAL_STRING = { type: ['string', 'null'] };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+const CLASSIFICATION_SCHEMAS = {
+  todo: {
+    type: 'object',
+    required: ['task'],
+    properties: {
+      task: { type: 'string', minLength: 1 },
+      priority: { enum: ['high', 'medium', 'low', null] },
+      dueHint: OPTIONAL_STRING,
+      dueDate: { type: ['string', 'null'], pattern: DATE_PATTERN },
+      recurrence: OPTIONAL_STRING
+    }
+  },
+  expense: {
+    type: 'object',
+    required: ['amount'],
+    properties: {
+      amount: { type: ['number', 'string'] }, // normalizeExpense parses "$12.50"
+      currency: { type: ['string', 'null'], pattern: '^[A-Za-z]{3}$' },
+      category: OPTIONAL_STRING,
+      vendor: OPTIONAL_STRING,
+      date: { type: ['string', 'null'], pattern: DATE_PATTERN }
+    }
+  },
+  calendar: {
+    type: 'object',
+    required: ['event'],
+    properties: {
+      event: { type: 'string', minLength: 1 },
+      dateHint: OPTIONAL_STRING,
+      timeHint: OPTIONAL_STRING,
+      date: { type: ['string', 'null'], pattern: DATE_PATTERN },
+      time: { type: ['string', 'null'], pattern: '^\\d{1,2}:\\d{2}$' },
+      location: OPTIONAL_STRING,
+      recurrence: OPTIONAL_STRING
+    }
+  },
+  creative: {
+    type: 'object',
+    required: ['content'],
+    properties: {
+      content: { type: 'string', minLength: 1 },
+      theme: OPTIONAL_STRING,
+      connectedTo: OPTIONAL_STRING,
+      visualDescription: OPTIONAL_STRING
+    }
+  },
+  note: {
+    type: 'object',
+    required: ['summary'],
+    properties: {
+      summary: { type: 'string', minLength: 1 },
+      tags: STRING_LIST
+    }
+  },
+  person: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { type: 'string', minLength: 1 },
+      context: OPTIONAL_STRING,
+      detail: OPTIONAL_STRING
+    }
+  },
+  project: {
+    type: 'object',
+    required: ['project'],
+    properties: {
+      project: { type: 'string', minLength: 1 },
+      update: OPTIONAL_STRING,
+      nextAction: OPTIONAL_STRING
+    }
+  },
+  'ai-conversation': {
+    type: 'object',
+    required: ['topics'],
+    properties: {
+      app: OPTIONAL_STRING,
+      topics: STRING_LIST,
+      keyTakeaways: STRING_LIST,
+      actionItems: STRING_LIST,
+      mood: OPTIONAL_STRING
+    }
+  },
+  calorie: {
+    type: 'object',
+    required: ['foods', 'estimatedCalories'],
+    properties: {
+      foods: { type: 'array', items: { type: 'string' } },
+      estimatedCalories: { type: 'number', minimum: 0 },
+      macros: {
+        type: 'object',
+        properties: {
+          protein: { type: 'number', minimum: 0 },
+          carbs: { type: 'number', minimum: 0 },
+          fat: { type: 'number', minimum: 0 },
+          fibre: { type: 'number', minimum: 0 }
+        }
+      },
+      mealType: { enum: ['breakfast', 'lunch', 'dinner', 'snack', null] },
+      confidence: { enum: ['high', 'medium', 'low', null] }
+    }
+  }
+};
+
+const CLASSIFICATION_SCHEMA = {
+  type: 'object',
+  required: ['type', 'structured'],
+  properties: {
+    type: { enum: ITEM_TYPES },
+    structured: { type: 'object' },
+    notes: OPTIONAL_STRING,
+    people: STRING_LIST, // for the knowledge graph
+    projects: STRING_LIST
+  }
+};
 
 /**
- * Handle morning briefing request
+ * JSON type name of a value, as the schema spells it
  */
-async function handleBriefing(env) {
-  try {
-    const briefing = await generateMorningBriefing(env);
-    return jsonResponse({
-      success: true,
-      briefing: briefing,
-      generatedAt: new Date().toISOString()
-    });
-  } catch (error) {
-    return jsonResponse({
-      success: false,
-      error: error.message
-    }, 500);
-  }
+function jsonTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
 }
 
 /**
- * Run analysis on all items
+ * Validate a value against a schema. Returns a list of "path: problem" strings (empty if valid).
  */
-async function runAnalysis(env, canNotify) {
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-
-  // Get recent items (last 50)
-  const recentIds = indexData.items.slice(-50);
-  const items = [];
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
 
-  for (const id of recentIds) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item) items.push(item);
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.filter(v => v !== null).join(', ')}`);
+    return errors;
   }
 
-  // Get my previous notes to myself
-  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-  const myNotes = claudeNotes.notes.map(n => `[${n.category}] ${n.content}`).join('\n');
-
-  if (items.length === 0 && claudeNotes.notes.length === 0) {
-    return { analyzed: false, reason: 'No items or notes to analyze' };
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const actual = jsonTypeOf(value);
+    const matches = allowed.some(t =>
+      t === actual || (t === 'integer' && Number.isInteger(value))
+    );
+    if (!matches) {
+      errors.push(`${path}: expected ${allowed.join(' or ')}, got ${actual}`);
+      return errors;
+    }
   }
 
-  // Get versioned goals context
-  const goalsContext = await getGoalsContext(env);
-
-  // Prepare summary for Claude
-  const summary = items.map(i =>
-    `[${i.type}] ${i.input} (${i.createdAt}, status: ${i.status})`
-  ).join('\n');
-
-  // Ask Claude to analyze - upgraded prompt for thoughtful thinking partnership
-  const analysisPrompt = `You are reviewing a personal knowledge capture system. Your job is not just to flag overdue items - it's to be a thoughtful thinking partner who notices what the human might miss.
+  if (typeof value === 'string') {
+    if (schema.minLength && value.trim().length < schema.minLength) errors.push(`${path}: must not be empty`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${path}: must match ${schema.pattern}`);
+  }
 
-You have access to:
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
 
-AROHA'S GOALS & CONTEXT (versioned — older entries represent more settled values; recent updates carry genuine weight but less certainty — the longer something has been held, the more it's been tested):
-${goalsContext || '(no goals set yet)'}
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, i) => errors.push(...validateSchema(entry, schema.items, `${path}[${i}]`)));
+  }
 
-RECENT CAPTURES:
-${summary || '(none)'}
+  if (jsonTypeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+    }
+  }
 
-YOUR PREVIOUS NOTES TO YOURSELF:
-${myNotes || '(none)'}
+  return errors;
+}
 
-Analyze this and respond with JSON:
-{
-  "shouldNotify": true/false,
-  "notificationMessage": "Brief, conversational nudge",
-  "insights": {
-    "creativeThreads": ["Ideas that keep recurring or deserve attention"],
-    "stalledProjects": ["Things that went quiet - worth checking in on"],
-    "emergingThemes": ["Patterns in what's being captured lately"],
-    "connections": ["Interesting links between separate captures"],
-    "energyPatterns": ["Observations about when/how they capture"],
-    "opportunities": ["Things that align with stated interests or goals"]
-  },
-  "suggestions": ["Specific, actionable nudges"],
-  "questions": ["Genuinely curious questions that might spark thinking"],
-  "overdueItems": ["Only if actually time-sensitive"],
-  "notesToSelf": [
-    {
-      "content": "Note for your future self",
-      "category": "observation|followup|pattern|summary",
-      "expiresInDays": null or number
-    }
-  ]
+/**
+ * Validate a whole classification: the envelope, then the type's structured schema
+ */
+function validateClassification(classification, path = '$') {
+  const errors = validateSchema(classification, CLASSIFICATION_SCHEMA, path);
+  if (errors.length > 0) return errors;
+  return validateSchema(classification.structured, CLASSIFICATION_SCHEMAS[classification.type], `${path}.structured`);
 }
 
-Guidelines:
-- Be a thinking partner, not a task manager
-- Notice creative threads even if they're not "productive"
-- Ask questions rather than just giving reminders
-- Only notify if there's something genuinely worth interrupting for
-- Look for what's interesting, not just what's urgent
-- If you notice energy shifts (more/less creative, more/less stressed), mention it gently
-- Connect dots the human might not have connected
-- Your suggestions should sometimes be "have you considered..." not just "don't forget..."
-- Be warm and curious, not robotic
-- If your previous notes are now outdated or resolved, don't carry them forward
-- Use her goals & context as a north star — surface insights that matter to what she actually cares about
-- If recent goals differ from older ones, notice the shift with curiosity, not judgment
-- The "opportunities" field should be filtered through her stated goals — relevance over comprehensiveness`;
+/**
+ * Validate a split response ({ items: [...] }, see classifyInput's allowSplit):
+ * each part is a full classification plus the text it covers
+ */
+function validateSplitClassification(response) {
+  const parts = response.items;
+  if (!Array.isArray(parts) || parts.length < 2 || parts.length > CONFIG.maxCaptureParts) {
+    return [`$.items: must be an array of 2-${CONFIG.maxCaptureParts} items`];
+  }
+  return parts.flatMap((part, i) => [
+    ...validateSchema(part?.text, { type: 'string', minLength: 1 }, `$.items[${i}].text`),
+    ...validateClassification(part, `$.items[${i}]`)
+  ]);
+}
 
+/**
+ * Pull the first complete JSON object out of model output (tolerates code fences
+ * and text around it). Returns { value } or { error }.
+ */
+function extractJsonObject(text) {
+  const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/```\s*$/, '');
   try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: analysisPrompt }]
-      })
-    });
+    return { value: JSON.parse(trimmed) };
+  } catch (e) {
+    // fall through to scanning for an embedded object
+  }
 
-    if (!response.ok) {
-      return { analyzed: false, reason: 'Claude API error' };
+  const start = trimmed.indexOf('{');
+  if (start === -1) return { error: 'No JSON object in response' };
+
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < trimmed.length; i++) {
+    const c = trimmed[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      try {
+        return { value: JSON.parse(trimmed.slice(start, i + 1)) };
+      } catch (e) {
+        return { error: `Invalid JSON: ${e.message}` };
+      }
     }
+  }
+  return { error: 'Unterminated JSON object in response' };
+}
 
-    const data = await response.json();
-    const text = data.content[0].text;
+/**
+ * Parse and validate classifier output. Returns { classification, errors }.
+ */
+function checkClassificationResponse(text, allowSplit = false) {
+  const parsed = extractJsonObject(text);
+  if (parsed.error) return { classification: null, errors: [parsed.error] };
+  const isSplit = allowSplit && jsonTypeOf(parsed.value) === 'object' && parsed.value.items !== undefined;
+  return {
+    classification: parsed.value,
+    errors: isSplit ? validateSplitClassification(parsed.value) : validateClassification(parsed.value)
+  };
+}
 
-    let analysis;
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      analysis = JSON.parse(jsonMatch[0]);
-    } else {
-      return { analyzed: false, reason: 'Could not parse analysis' };
+/**
+ * Classification for input the model couldn't handle: keep whatever type it
+ * claimed if valid, and flag the item for review
+ */
+function needsReviewClassification(input, reason, errors, classification = null, rawResponse = null) {
+  const claimedType = ITEM_TYPES.includes(classification?.type) ? classification.type : 'note';
+  const structured = jsonTypeOf(classification?.structured) === 'object'
+    ? classification.structured
+    : { summary: input, tags: [] };
+  return {
+    type: claimedType,
+    structured,
+    notes: typeof classification?.notes === 'string' ? classification.notes : null,
+    needsReview: {
+      reason,
+      errors,
+      rawResponse: rawResponse ? rawResponse.substring(0, 2000) : null,
+      flaggedAt: new Date().toISOString()
     }
+  };
+}
 
-    // Save notes to self for next time
-    if (analysis.notesToSelf && analysis.notesToSelf.length > 0) {
-      for (const note of analysis.notesToSelf) {
-        const expiresIn = note.expiresInDays ? note.expiresInDays * 24 * 60 * 60 : null;
+/**
+ * CLASSIFICATION LEARNING MODULE
+ * When an item's type is changed by hand (PATCH /item/:id or filing a review
+ * item), the correction is stored in classification_corrections. The most
+ * relevant recent corrections go into the classifier prompt as few-shot
+ * examples, and GET /classification/stats reports per-type confusion over time.
+ */
 
-        const existingNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-        existingNotes.notes.push({
-          id: generateId(),
-          content: note.content,
-          category: note.category || 'general',
-          createdAt: new Date().toISOString(),
-          expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
-        });
+// Items from these sources never went through the classifier
+const NON_CLASSIFIER_SOURCES = ['gmail', 'tasker', 'youtube', 'statement'];
 
-        // Keep only last 50
-        if (existingNotes.notes.length > 50) {
-          existingNotes.notes = existingNotes.notes.slice(-50);
-        }
+const CORRECTION_STOPWORDS = new Set(['the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'has', 'was', 'are', 'but', 'not', 'you', 'about', 'just', 'need', 'get', 'photo']);
 
-        existingNotes.lastUpdated = new Date().toISOString();
-        await env.BRAIN_KV.put('claude:notes', JSON.stringify(existingNotes));
-      }
-    }
+/**
+ * Lower-case content words of an input, for matching it against past corrections
+ */
+function correctionTokens(text) {
+  return new Set(
+    String(text || '').toLowerCase().replace(/[^a-z0-9$ ]/g, ' ').split(/\s+/)
+      .filter(w => w.length > 2 && !CORRECTION_STOPWORDS.has(w))
+  );
+}
 
-    // Store analysis
-    const analysisRecord = {
-      timestamp: new Date().toISOString(),
-      itemCount: items.length,
-      analysis: analysis
-    };
-    await env.BRAIN_KV.put('analysis:latest', JSON.stringify(analysisRecord));
+/**
+ * Record (or update) a hand correction of an item's type. previousType is the
+ * type before this edit; the classifier's original prediction is kept across
+ * repeat corrections, and changing it back to the prediction removes the row.
+ */
+async function recordClassificationCorrection(item, previousType, env) {
+  if (NON_CLASSIFIER_SOURCES.includes(item.source)) return null;
 
-    // Send notification if needed
-    if (canNotify && analysis.shouldNotify && analysis.notificationMessage) {
-      await sendNotification(analysis.notificationMessage, env);
-    }
+  const existing = await env.DB.prepare(
+    'SELECT predicted_type FROM classification_corrections WHERE item_id = ?'
+  ).bind(item.id).first();
+  const predicted = existing ? existing.predicted_type : previousType;
 
-    return { analyzed: true, analysis: analysisRecord };
-  } catch (error) {
-    console.error('Analysis error:', error);
-    return { analyzed: false, reason: error.message };
+  if (item.type === predicted) {
+    if (existing) {
+      await env.DB.prepare('DELETE FROM classification_corrections WHERE item_id = ?').bind(item.id).run();
+    }
+    return null;
   }
+  if (!ITEM_TYPES.includes(predicted)) return null;
+
+  const correction = {
+    itemId: item.id,
+    predictedType: predicted,
+    correctedType: item.type,
+    createdAt: new Date().toISOString()
+  };
+  await env.DB.prepare(
+    `INSERT INTO classification_corrections (item_id, input, predicted_type, corrected_type, corrected_structured, item_created_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(item_id) DO UPDATE SET
+       corrected_type = excluded.corrected_type,
+       corrected_structured = excluded.corrected_structured,
+       created_at = excluded.created_at`
+  ).bind(
+    item.id,
+    item.input,
+    predicted,
+    item.type,
+    item.structured ? JSON.stringify(item.structured) : null,
+    item.createdAt,
+    correction.createdAt
+  ).run();
+
+  return correction;
 }
 
 /**
- * Send notification via Ntfy
+ * Pick the past corrections most like this input (word overlap, newer first on
+ * ties), topped up with the latest ones so the prompt always shows some
  */
-async function sendNotification(message, env) {
-  const ntfyTopic = env.NTFY_TOPIC || 'second-brain-default';
+async function getRelevantCorrections(input, env) {
+  const { results } = await env.DB.prepare(
+    `SELECT input, predicted_type, corrected_type, corrected_structured
+     FROM classification_corrections ORDER BY created_at DESC LIMIT ?`
+  ).bind(CONFIG.classification.correctionPool).all();
+  if (results.length === 0) return [];
+
+  const inputTokens = correctionTokens(input);
+  const scored = results.map((row, rank) => {
+    const tokens = correctionTokens(row.input);
+    const shared = [...tokens].filter(t => inputTokens.has(t)).length;
+    const similarity = shared / Math.max(1, Math.min(tokens.size, inputTokens.size));
+    return { row, rank, similarity };
+  });
 
-  try {
-    await fetch(`https://ntfy.sh/${ntfyTopic}`, {
-      method: 'POST',
-      headers: {
-        'Title': '💎 Second Brain',
-        'Priority': 'default',
-        'Tags': 'thinking,crystal'
-      },
-      body: message
-    });
-    console.log('Notification sent:', message);
-  } catch (e) {
-    console.error('Failed to send notification:', e);
+  const { fewShotExamples, minExamples } = CONFIG.classification;
+  const relevant = scored
+    .filter(s => s.similarity > 0)
+    .sort((a, b) => b.similarity - a.similarity || a.rank - b.rank)
+    .slice(0, fewShotExamples);
+  for (const s of scored) {
+    if (relevant.length >= minExamples) break;
+    if (!relevant.includes(s)) relevant.push(s);
   }
+  return relevant.map(s => s.row);
 }
 
 /**
- * Send morning briefing ping via Ntfy (fallback if briefing generation fails)
+ * Few-shot block for the classifier prompt ('' when there are no corrections)
  */
-async function sendMorningBriefingPing(env) {
-  const ntfyTopic = env.NTFY_TOPIC || 'second-brain-default';
+function formatCorrectionExamples(rows) {
+  if (rows.length === 0) return '';
+  const examples = rows.map(row => {
+    const input = row.input.length > 300 ? row.input.substring(0, 300) + '...' : row.input;
+    const structured = row.corrected_structured && row.corrected_structured.length <= 600 ? row.corrected_structured : null;
+    return `Input: ${JSON.stringify(input)}\nWas classified as: ${row.predicted_type}\nCorrect: {"type": "${row.corrected_type}"${structured ? `, "structured": ${structured}` : ''}}`;
+  }).join('\n\n');
 
-  try {
-    await fetch(`https://ntfy.sh/${ntfyTopic}`, {
-      method: 'POST',
-      headers: {
-        'Title': '☀️ Morning Briefing',
-        'Priority': 'high',
-        'Tags': 'alarm,sunrise,coffee',
-        'Actions': 'view, Dashboard, https://arohaislove.github.io/second-brain/dashboard.html; view, Claude Chat, https://claude.ai; view, Claude Code, https://claude.ai/code'
-      },
-      body: 'Dave. Briefing time.\n\n1. Tap "Dashboard" to review your recent Second Brain entries\n2. Choose "Claude Chat" for life coach conversation, or "Claude Code" for task-oriented work\n3. Share your dashboard context and we\'ll talk'
-    });
-    console.log('Morning briefing ping sent');
-  } catch (e) {
-    console.error('Failed to send morning briefing ping:', e);
-  }
+  return `PAST CORRECTIONS - the user fixed these classifications by hand. Apply the same judgement to similar inputs:
+
+${examples}`;
 }
 
 /**
- * Generate morning briefing using Claude API
+ * GET /classification/stats?days=90
+ * How often each predicted type was right, what it got corrected to, and the
+ * weekly accuracy trend, for classifier-made items created in the window
  */
-async function generateMorningBriefing(env) {
-  // Get recent items (last 50 to ensure we get enough comms)
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-  const recentIds = indexData.items.slice(-50);
-  const items = [];
+async function handleClassificationStats(url, env) {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '90'), 1), 366);
+  const to = getTodayInTimezone();
+  const from = addDaysToDateString(to, -(days - 1));
+  const { start, end } = getUtcBoundsForLocalDates(from, to);
+
+  const placeholders = NON_CLASSIFIER_SOURCES.map(() => '?').join(', ');
+  const [{ results: rows }, { results: recent }] = await Promise.all([
+    env.DB.prepare(
+      `SELECT items.type AS type, items.created_at AS created_at, c.predicted_type AS predicted_type
+       FROM items LEFT JOIN classification_corrections c ON c.item_id = items.id
+       WHERE items.created_at >= ? AND items.created_at < ?
+         AND (items.source IS NULL OR items.source NOT IN (${placeholders}))`
+    ).bind(start, end, ...NON_CLASSIFIER_SOURCES).all(),
+    env.DB.prepare(
+      `SELECT item_id, input, predicted_type, corrected_type, created_at
+       FROM classification_corrections ORDER BY created_at DESC LIMIT 10`
+    ).all()
+  ]);
 
-  for (const id of recentIds) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item) items.push(item);
-  }
+  const confusion = {};
+  const byType = {};
+  const weeks = new Map();
+  let classified = 0;
+  let corrected = 0;
 
-  // Get Claude's working memory
-  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+  const typeStats = type => {
+    if (!byType[type]) byType[type] = { predicted: 0, actual: 0, correct: 0, correctedTo: {} };
+    return byType[type];
+  };
 
-  // Separate comms, AI conversations, and other captures
-  const commsItems = items.filter(i => i.type === 'comms');
-  const aiConvoItems = items.filter(i => i.type === 'ai-conversation');
-  const otherItems = items.filter(i => i.type !== 'comms' && i.type !== 'ai-conversation');
+  for (const row of rows) {
+    const predicted = row.predicted_type || row.type;
+    const actual = row.type;
+    if (!ITEM_TYPES.includes(predicted)) continue;
 
-  // Format regular captures for briefing (using timezone-aware dates)
-  const recentCaptures = otherItems.map(i =>
-    `[${i.type.toUpperCase()}] ${getDateInTimezone(i.createdAt)}\nInput: ${i.input}\nAI Notes: ${i.aiNotes || 'none'}`
-  ).join('\n\n');
+    classified++;
+    const wasCorrected = predicted !== actual;
+    if (wasCorrected) corrected++;
 
-  // Format AI conversation captures for briefing
-  const aiConvoData = aiConvoItems.map(i => {
-    const structured = i.structured || {};
-    const topics = (structured.topics || []).join(', ');
-    const takeaways = (structured.keyTakeaways || []).join('; ');
-    const actions = (structured.actionItems || []).join('; ');
-    return `[${structured.app || 'AI'}] ${getDateInTimezone(i.createdAt)} ${formatDateInTimezone(i.createdAt, 'time')} (${structured.mood || 'unknown'} mood)\nTopics: ${topics || 'none extracted'}\nKey takeaways: ${takeaways || 'none extracted'}\nAction items: ${actions || 'none'}\nAI Notes: ${i.aiNotes || 'none'}`;
-  }).join('\n\n');
+    if (!confusion[predicted]) confusion[predicted] = {};
+    confusion[predicted][actual] = (confusion[predicted][actual] || 0) + 1;
 
-  // Format comms data for analysis (using timezone-aware dates)
-  const commsData = commsItems.map(i => {
-    const structured = i.structured || {};
-    return `[${structured.direction?.toUpperCase() || 'UNKNOWN'}] ${structured.app || 'unknown'} - ${structured.contact || 'unknown'}\n${getDateInTimezone(i.createdAt)} ${formatDateInTimezone(i.createdAt, 'time')}\nMessage: ${i.input}`;
-  }).join('\n\n');
+    typeStats(predicted).predicted++;
+    typeStats(actual).actual++;
+    if (wasCorrected) {
+      const correctedTo = typeStats(predicted).correctedTo;
+      correctedTo[actual] = (correctedTo[actual] || 0) + 1;
+    } else {
+      typeStats(predicted).correct++;
+    }
 
-  // Format Claude's working memory
-  const workingMemory = claudeNotes.notes
-    .filter(n => !n.expiresAt || new Date(n.expiresAt) > new Date())
-    .map(n => `[${n.category}] ${n.content}`)
-    .join('\n');
+    const date = getDateInTimezone(row.created_at);
+    const weekStart = addDaysToDateString(date, -((getWeekdayOfDateString(date) + 6) % 7));
+    if (!weeks.has(weekStart)) weeks.set(weekStart, { weekStart, classified: 0, corrected: 0 });
+    const week = weeks.get(weekStart);
+    week.classified++;
+    if (wasCorrected) week.corrected++;
+  }
 
-  // Get top 3 signal readings (unreviewed, highest priority)
-  const signalQueue = await env.BRAIN_KV.get('signal-queue:all', 'json') || { items: [] };
-  const topSignals = signalQueue.items.filter(s => !s.reviewed).slice(0, 3);
+  const ratio = (a, b) => b > 0 ? Math.round(a / b * 1000) / 1000 : null;
+  for (const stats of Object.values(byType)) {
+    stats.precision = ratio(stats.correct, stats.predicted); // predicted X and it was X
+    stats.recall = ratio(stats.correct, stats.actual); // was X and predicted X
+  }
 
-  const signalReadings = [];
-  for (const queueItem of topSignals) {
-    const analysis = await env.BRAIN_KV.get(`signal:${queueItem.itemId}`, 'json');
-    const item = await env.BRAIN_KV.get(`item:${queueItem.itemId}`, 'json');
+  return jsonResponse({
+    from,
+    to,
+    classified,
+    corrected,
+    accuracy: ratio(classified - corrected, classified),
+    byType,
+    confusion,
+    weekly: [...weeks.values()]
+      .sort((a, b) => a.weekStart.localeCompare(b.weekStart))
+      .map(week => ({ ...week, accuracy: ratio(week.classified - week.corrected, week.classified) })),
+    recentCorrections: recent.map(row => ({
+      itemId: row.item_id,
+      input: row.input.length > 120 ? row.input.substring(0, 120) + '...' : row.input,
+      predictedType: row.predicted_type,
+      correctedType: row.corrected_type,
+      correctedAt: row.created_at
+    }))
+  });
+}
 
-    if (analysis && item) {
-      signalReadings.push({
-        contact: queueItem.contact,
-        date: getDateInTimezone(item.createdAt), // Use timezone-aware date
-        message: item.input,
-        direction: item.structured?.direction,
-        app: item.structured?.app,
-        analysis: analysis
-      });
-    }
-  }
+/**
+ * Cheap pre-check for captures that might hold several unrelated things
+ * ("buy milk, dentist Tuesday 3pm, $12 coffee"). Only inputs that pass are
+ * offered the split format, so ordinary captures keep the single-item prompt.
+ */
+function looksCompound(input) {
+  const text = String(input || '').trim();
+  if (text.length > 1000 || /^\[[^\]]+ conversation\]/i.test(text)) return false;
+  const segments = text
+    .split(/\s*(?:[,;\n]|\band then\b|\balso\b|\bplus\b)\s*/i)
+    .filter(segment => segment.trim().length > 0);
+  return segments.length >= 2;
+}
 
-  const signalData = signalReadings.map(s =>
-    `[${s.contact}] ${s.date} (${s.direction} via ${s.app})
-Message: ${s.message}
-Key dynamic: ${s.analysis.keyDynamic}
-Possible subtext: ${s.analysis.possibleSubtext}
-What worked: ${s.analysis.whatWorked || 'n/a'}
-Pattern note: ${s.analysis.patternNote || 'n/a'}
-Action: ${s.analysis.action}`
-  ).join('\n\n---\n\n');
+/**
+ * Classify input using the classify model. The response is validated against
+ * CLASSIFICATION_SCHEMAS with one repair attempt; anything still invalid comes
+ * back with a needsReview block (see CLASSIFICATION SCHEMAS MODULE).
+ *
+ * With allowSplit, text that looks compound may come back as
+ * { items: [{ text, type, structured, notes }, ...] } - one entry per separate thing.
+ */
+async function classifyInput(input, env, image = null, { allowSplit = false } = {}) {
+  const offerSplit = allowSplit && !image && looksCompound(input);
+  const corrections = await getRelevantCorrections(input, env).catch(error => {
+    console.error('Failed to load classification corrections:', error);
+    return [];
+  });
+  const correctionExamples = formatCorrectionExamples(corrections);
 
-  // Get versioned goals context
-  const goalsContext = await getGoalsContext(env);
+  const systemPrompt = `You are a classification assistant for a personal second brain system.
 
-  const briefingPrompt = `You are Aroha's AI life coach, delivering her daily 4am morning briefing. This is a conversational, thoughtful analysis of her Second Brain captures, communication patterns, and life rhythms.
+TODAY: ${getTodayInTimezone()} (${CONFIG.timezone})
 
-TODAY'S DATE: ${getTodayInTimezone()} (${CONFIG.timezone})
+Classify the input into ONE of these types:
+- todo: A task or action to complete
+- expense: A financial transaction or cost (especially from receipts!)
+- calendar: An event, appointment, or time-based thing
+- creative: A thought, idea, poetry fragment, creative writing, or visual inspiration
+- note: General information worth remembering
+- person: Information about a person (contact, relationship note)
+- project: Related to an ongoing project
+- ai-conversation: A captured conversation with an AI assistant (Claude, Gemini, Kimi, ChatGPT, etc.)
+- calorie: Food or drink consumed for calorie tracking. Use this when the input describes food eaten, a meal, a snack, or includes a photo of food.
 
-AROHA'S GOALS & CONTEXT (versioned — older entries represent more settled values; recent updates carry genuine weight but less certainty — the longer something has been held, the more it's been tested):
-${goalsContext || '(no goals set yet — she may not have written them yet)'}
+DETECTING AI CONVERSATIONS:
+Input prefixed with [Claude conversation], [Gemini conversation], [Kimi conversation], etc. is a screen capture from an AI chat app grabbed via Tasker/AutoInput. It will contain alternating human/assistant messages, possibly with code blocks, markdown, or long-form reasoning. Classify these as "ai-conversation" and extract the signal - don't just store the raw dump.
 
-RECENT CAPTURES (manual voice/text entries):
-${recentCaptures || '(no recent captures)'}
+${image ? 'The user has provided an IMAGE along with optional text. Analyze the image carefully and classify based on what you see. Extract any text from receipts, notes, or documents. Describe visual content for creative captures. If the image shows food or drink, classify as "calorie" and estimate the calorie content as carefully as possible.' : ''}
 
-AI CONVERSATIONS (captured from Claude, Gemini, Kimi, etc.):
-${aiConvoData || '(no AI conversations captured yet)'}
+For calorie items, estimate macros in grams (protein, carbs, fat, fibre) for the whole portion, consistent with estimatedCalories.
 
-COMMUNICATIONS DATA (from Tasker - last 48 hours):
-${commsData || '(no comms data yet)'}
+For expense items, give amount as a plain number and currency as an ISO 4217 code taken from the receipt or text (a bare "$" means NZD). Use short lower-case categories (groceries, eating out, transport, fuel, household, health, entertainment, bills, travel, gifts, other) and resolve the expense date against TODAY.
 
-SIGNAL READINGS (analyzed interactions - what you might have missed):
-${signalData || '(no signal readings yet)'}
+For people and projects, list only specific named people ("Hemi", "Mum") and named projects ("marae website"); use empty arrays when there are none.
 
-YOUR WORKING MEMORY (patterns you've noticed):
-${workingMemory || '(no working memory yet)'}
+For todo and calendar items, resolve relative dates ("Friday", "tomorrow") against TODAY into dueDate/date. Keep the original wording in dueHint/dateHint. Only fill recurrence if the input says it repeats.
+${correctionExamples ? `\n${correctionExamples}\n` : ''}${offerSplit ? `
+COMPOUND CAPTURES:
+If the input lists several separate, unrelated things (e.g. "buy milk, dentist Tuesday 3pm, spent $12 on coffee"), respond instead with
+{ "items": [ { "text": "the part of the input this item covers", "type": "...", "structured": { ... }, "notes": "..." }, ... ] }
+with 2-${CONFIG.maxCaptureParts} items, each classified exactly as below. Keep it as ONE item when it is a single thought, one meal, one purchase, or a task with extra details.
+` : ''}
+Respond with JSON only:
+{
+  "type": "todo|expense|calendar|creative|note|person|project|ai-conversation|calorie",
+  "structured": {
+    // type-specific fields, examples:
+    // todo: { "task": "...", "priority": "high|medium|low", "dueHint": "...", "dueDate": "YYYY-MM-DD or null", "recurrence": "e.g. every second Tuesday, or null" }
+    // expense: { "amount": 123.45, "currency": "NZD", "category": "...", "vendor": "...", "date": "YYYY-MM-DD or null" }
+    // calendar: { "event": "...", "dateHint": "...", "timeHint": "...", "date": "YYYY-MM-DD or null", "time": "HH:MM (24h) or null", "location": "...", "recurrence": "e.g. every Monday, or null" }
+    // creative: { "content": "...", "theme": "...", "connectedTo": "...", "visualDescription": "..." }
+    // note: { "summary": "...", "tags": [...] }
+    // person: { "name": "...", "context": "...", "detail": "..." }
+    // project: { "project": "...", "update": "...", "nextAction": "..." }
+    // ai-conversation: { "app": "Claude|Gemini|Kimi|ChatGPT|other", "topics": ["..."], "keyTakeaways": ["..."], "actionItems": ["..."], "mood": "exploratory|productive|troubleshooting|creative|planning" }
+    // calorie: { "foods": ["food item 1", "food item 2"], "estimatedCalories": 350, "macros": { "protein": 20, "carbs": 40, "fat": 12, "fibre": 5 }, "mealType": "breakfast|lunch|dinner|snack", "confidence": "high|medium|low" }
+  },
+  "notes": "Brief AI observation - what you saw in the image, patterns noticed, connections, suggestions",
+  "people": ["names of people mentioned, as written - omit the user"],
+  "projects": ["named projects this is part of"]
+}`;
 
-Generate a morning briefing in this exact structure:
+  try {
+    // Build message content
+    let messageContent;
 
-# ☀️ MORNING BRIEFING - ${formatDateInTimezone(new Date().toISOString(), 'long')}
+    if (image) {
+      // Extract media type and base64 data from data URL
+      const matches = image.match(/^data:([^;]+);base64,(.+)$/);
+      if (!matches) {
+        throw new Error('Invalid image data format');
+      }
 
-Aroha. Morning.
+      const mediaType = matches[1];
+      const base64Data = matches[2];
 
-## One Provocation
-[A gentle challenge or observation that might spark reflection. Start with this - it's the most important thing.]
+      // Vision request with image + text
+      messageContent = [
+        {
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: mediaType,
+            data: base64Data
+          }
+        },
+        {
+          type: 'text',
+          text: input
+        }
+      ];
+    } else {
+      // Text-only request
+      messageContent = input;
+    }
 
-## What Needs Attention Today
+    const messages = [{ role: 'user', content: messageContent }];
+    let text;
+    try {
+      ({ text } = await callLLM('classify', { system: systemPrompt, messages }, env));
+    } catch (error) {
+      console.error('Classification API error:', error.message);
+      return needsReviewClassification(input, 'api-error', [error.message]);
+    }
 
-### 🔴 **Health**
-[If relevant - call out any health mentions, weight tracking, discomfort]
+    let result = checkClassificationResponse(text, offerSplit);
+    if (result.errors.length === 0) return result.classification;
 
-### 🟡 **Open Tasks**
-[Specific items that need doing]
+    // One repair round-trip: show the model its answer and what was wrong with it
+    console.warn('Classification failed validation, asking for a repair:', result.errors);
+    const first = result;
+    let repaired;
+    try {
+      ({ text: repaired } = await callLLM('classify', {
+        system: systemPrompt,
+        messages: [
+          ...messages,
+          { role: 'assistant', content: text },
+          {
+            role: 'user',
+            content: `That response failed validation:\n${result.errors.map(e => `- ${e}`).join('\n')}\n\nReply with the corrected JSON object only, following the schema for the type.`
+          }
+        ]
+      }, env));
+    } catch (error) {
+      console.error('Classification repair API error:', error.message);
+      return needsReviewClassification(input, 'invalid-response', first.errors, first.classification, text);
+    }
 
-### 🟢 **Energy Opportunities**
-[Things that might energize them - where their attention is naturally going]
+    result = checkClassificationResponse(repaired, offerSplit);
+    if (result.errors.length === 0) return result.classification;
 
-## One Thing for Today
-**Practical**: [One clear, small action they can take]
+    console.error('Classification still invalid after repair:', result.errors);
+    // Keep the closest thing to an answer for the reviewer to start from
+    return needsReviewClassification(input, 'invalid-response', result.errors, result.classification || first.classification, repaired);
+  } catch (e) {
+    console.error('Failed to classify:', e);
+    return needsReviewClassification(input, 'error', [e.message]);
+  }
+}
 
-## One Thing to Sit With
-**Reflective**: [One question or thought to carry through the day]
+/**
+ * LIST ITEMS - with optional type/status filters, paged with offset
+ */
+async function handleListItems(url, env) {
+  const typeFilter = url.searchParams.get('type');
+  const statusFilter = url.searchParams.get('status') || 'active';
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 500);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0'), 0);
 
-## From My World (What I'm Bringing)
-[1-3 external insights: relevant news, tech developments, tools, or connections to their interests. Be specific and useful. This is YOUR wisdom, not theirs.]
+  const filters = {
+    type: typeFilter || null,
+    status: statusFilter === 'all' ? null : statusFilter
+  };
 
-## Signal Reading: What You Might Have Missed 📡
-[IF signal readings are available, include up to 3 analyzed interactions. For each:
-- **[Contact name]** - [Date]
-- Key dynamic: [one sentence]
-- Possible subtext: [one sentence]
-- What worked: [one sentence or "nothing notable"]
-- Pattern note: [if connects to recurring theme]
+  const [items, total] = await Promise.all([
+    queryItems(env, { ...filters, limit, offset }),
+    countItems(env, filters)
+  ]);
 
-If no signal readings, say "No flagged interactions this period."]
+  const nextOffset = offset + items.length;
+  return jsonResponse({
+    items,
+    count: items.length,
+    total,
+    offset,
+    nextOffset: nextOffset < total ? nextOffset : null
+  });
+}
 
-## What Claude (in your Second Brain) Has Been Noticing
-[Pull key insights from your working memory - patterns you've spotted across their captures]
+/**
+ * GET SINGLE ITEM
+ */
+async function handleGetItem(id, env) {
+  const item = await getItem(id, env);
 
-## The Big Context
-[Life events, transitions, what's happening this week - the broader picture]
+  if (!item) {
+    return jsonResponse({ error: 'Item not found' }, 404);
+  }
 
-## What I'm Seeing (Last 48 Hours)
-[Summarize what they've captured, group by themes. Be specific with counts and dates.]
+  return jsonResponse({ item });
+}
 
-### **[Pattern 1 Name]**
-- Bullet point observations
-- What stands out
+/**
+ * UPDATE ITEM - for correcting classifications
+ */
+async function handleUpdateItem(id, request, env) {
+  const item = await getItem(id, env);
 
-### **[Pattern 2 Name]**
-- More observations
+  if (!item) {
+    return jsonResponse({ error: 'Item not found' }, 404);
+  }
 
-### **AI Conversations** 🤖
-[If AI conversation data available:
-- What was explored and with which AI
-- Key decisions or insights that emerged
-- Action items that came out of the conversations
-- Threads worth continuing today
-If no AI conversations captured, skip this section entirely.]
+  const body = await request.json();
+  const { type, structured, status, snooze, endRecurrence = false } = body;
 
-### **Communication Patterns** 📱
-[If comms data available:
-- Who's reaching out, who you're avoiding
-- Response timing patterns (immediate vs delayed)
-- Energy in different conversations
-- Who you haven't heard from in a while
-- Conversations that might need attention
-Be specific with names and patterns. Don't invade privacy - focus on patterns that matter.]
+  // Snooze only touches the reminder
+  if (snooze) {
+    const notifyAt = await snoozeReminder(id, snooze, env);
+    if (!notifyAt) {
+      return jsonResponse({ error: 'No reminder to snooze, or invalid duration (use e.g. 30m, 1h, 1d)' }, 400);
+    }
+    return jsonResponse({
+      success: true,
+      item: item,
+      reminder: await getReminder(id, env),
+      message: `Snoozed until ${formatDateInTimezone(notifyAt, 'time')}`
+    });
+  }
 
-### **Open Loops**
-[Tasks or threads that are unfinished]
+  let reminder = await getReminder(id, env);
+  const previousType = item.type;
 
----
+  // Completing a recurring reminder finishes this occurrence only - the item stays
+  // active and the reminder moves on, unless endRecurrence is set
+  if (status === 'done' && reminder && reminder.recurrence && !endRecurrence) {
+    reminder = await advanceReminder(reminder, env);
+    return jsonResponse({
+      success: true,
+      item: item,
+      reminder: reminder,
+      message: `Done - next reminder ${formatDateInTimezone(reminder.dueAt, 'long')}`
+    });
+  }
 
-CRITICAL: Put the WISDOM at the TOP (provocation, what needs attention, one thing for today, one thing to sit with, external insights). Put the DATA at the BOTTOM (what I'm seeing, communication patterns). If the briefing gets truncated, we want to keep the wisdom, not the data recap.
+  // Update fields if provided
+  if (type) item.type = type;
+  if (structured) item.structured = structured;
+  if (status) item.status = status;
 
-TONE:
-- Direct but warm
-- Pattern-spotter, not task-manager
+  // Moving an item out of the review queue by hand resolves it
+  if (item.review && item.status !== 'needs-review') {
+    delete item.review;
+  }
+
+  // Re-normalise amount/currency and the base-currency conversion after edits
+  if (type || structured) await normalizeExpense(item, env);
+
+  item.updatedAt = new Date().toISOString();
+
+  // Save updated item (type index and search index follow the row)
+  await saveItem(item, env);
+  if (type || structured || status) await indexItemInGraph(item, env);
+
+  // A changed type is a labelled example for the classifier
+  const correction = type ? await recordClassificationCorrection(item, previousType, env) : null;
+
+  // Keep the reminder in step with the item
+  if (status && status !== 'active' && reminder) {
+    await env.DB.prepare("UPDATE reminders SET status = 'done' WHERE item_id = ?").bind(id).run();
+    reminder = { ...reminder, status: 'done' };
+  } else if (type || structured) {
+    reminder = await syncReminder(item, env);
+  }
+
+  return jsonResponse({
+    success: true,
+    item: item,
+    reminder: reminder,
+    ...(correction && { correction }),
+    message: 'Item updated'
+  });
+}
+
+/**
+ * REVIEW QUEUE - captures whose classification failed validation (status 'needs-review')
+ * GET /review
+ */
+async function handleListReview(url, env) {
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+  const filters = { status: 'needs-review' };
+  const [items, total] = await Promise.all([
+    queryItems(env, { ...filters, limit }),
+    countItems(env, filters)
+  ]);
+  return jsonResponse({ items, count: items.length, total, types: ITEM_TYPES });
+}
+
+/**
+ * Resolve a review item
+ * POST /review/:id with one of:
+ * - { type, structured, notes? } - a corrected classification (validated against its schema)
+ * - { action: 'retry' } - run the classifier again
+ * - { action: 'dismiss' } - archive it
+ */
+async function handleResolveReview(id, request, env) {
+  const item = await getItem(id, env);
+  if (!item) {
+    return jsonResponse({ error: 'Item not found' }, 404);
+  }
+  if (item.status !== 'needs-review') {
+    return jsonResponse({ error: 'Item is not waiting for review' }, 409);
+  }
+
+  const body = await request.json();
+
+  if (body.action === 'dismiss') {
+    item.status = 'archived';
+    delete item.review;
+    item.updatedAt = new Date().toISOString();
+    await saveItem(item, env);
+    return jsonResponse({ success: true, item, message: 'Dismissed' });
+  }
+
+  let classification;
+  if (body.action === 'retry') {
+    classification = await classifyInput(item.input, env, item.image || null);
+    if (classification.needsReview) {
+      item.review = classification.needsReview;
+      item.updatedAt = new Date().toISOString();
+      await saveItem(item, env);
+      return jsonResponse({ success: false, item, needsReview: true, errors: classification.needsReview.errors });
+    }
+  } else {
+    classification = { type: body.type, structured: body.structured };
+    if (body.notes !== undefined) classification.notes = body.notes;
+    const errors = validateClassification(classification);
+    if (errors.length > 0) {
+      return jsonResponse({ error: 'Classification does not match the schema', errors }, 400);
+    }
+  }
+
+  const previousType = item.type;
+  item.type = classification.type;
+  item.structured = classification.structured;
+  if (classification.notes !== undefined) item.aiNotes = classification.notes;
+  if (classification.people || classification.projects) item.entities = entityHints(classification);
+  item.status = 'active';
+  delete item.review;
+  item.updatedAt = new Date().toISOString();
+
+  await normalizeExpense(item, env);
+  await saveItem(item, env);
+  const reminder = await syncReminder(item, env);
+  await indexItemInGraph(item, env);
+
+  // Filing it under a different type than the classifier claimed is a correction too
+  if (body.action !== 'retry') {
+    await recordClassificationCorrection(item, previousType, env);
+  }
+
+  return jsonResponse({
+    success: true,
+    item,
+    ...(reminder && { reminder }),
+    message: `Filed as ${item.type}`
+  });
+}
+
+/**
+ * EXPORT - download all data
+ */
+async function handleExport(env) {
+  const [items, typeRows, claudeNotes, latestAnalysis, latestBriefing] = await Promise.all([
+    getAllItems(env),
+    env.DB.prepare('SELECT type, COUNT(*) AS count FROM items GROUP BY type').all(),
+    env.BRAIN_KV.get('claude:notes', 'json').then(d => d || { notes: [] }),
+    env.BRAIN_KV.get('analysis:latest', 'json'),
+    env.BRAIN_KV.get('briefing:latest', 'json')
+  ]);
+
+  // Get type counts
+  const typeCounts = {};
+  typeRows.results.forEach(row => {
+    typeCounts[row.type] = row.count;
+  });
+
+  // Build export data
+  const exportData = {
+    exportedAt: new Date().toISOString(),
+    version: '2.0.0',
+    summary: {
+      totalItems: items.length,
+      byType: typeCounts,
+      activeItems: items.filter(i => i.status === 'active').length,
+      claudeNotes: claudeNotes.notes.length
+    },
+    items: items,
+    claudeNotes: claudeNotes,
+    latestAnalysis: latestAnalysis,
+    latestBriefing: latestBriefing
+  };
+
+  return new Response(JSON.stringify(exportData, null, 2), {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'application/json',
+      'Content-Disposition': `attachment; filename="second-brain-export-${Date.now()}.json"`
+    }
+  });
+}
+
+/**
+ * EXPORT CSV - download all data as CSV
+ */
+async function handleExportCSV(env) {
+  // Get all items
+  const items = await getAllItems(env);
+
+  // Get Claude notes
+  const claudeNotesData = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+  const claudeNotes = claudeNotesData.notes || [];
+
+  // Build CSV - Items section
+  const itemHeaders = ['ID', 'Type', 'Input', 'Created At', 'Status', 'Source', 'AI Notes', 'Structured Data'];
+  const rows = [itemHeaders.join(',')];
+
+  for (const item of items) {
+    const row = [
+      escapeCSV(item.id),
+      escapeCSV(item.type),
+      escapeCSV(item.input),
+      escapeCSV(item.createdAt),
+      escapeCSV(item.status),
+      escapeCSV(item.source),
+      escapeCSV(item.aiNotes || ''),
+      escapeCSV(JSON.stringify(item.structured))
+    ];
+    rows.push(row.join(','));
+  }
+
+  // Add Claude notes section
+  if (claudeNotes.length > 0) {
+    rows.push('');
+    rows.push('');
+    rows.push('CLAUDE WORKING MEMORY NOTES');
+    const notesHeaders = ['Note ID', 'Category', 'Content', 'Created At', 'Expires At'];
+    rows.push(notesHeaders.join(','));
+
+    for (const note of claudeNotes) {
+      const noteRow = [
+        escapeCSV(note.id),
+        escapeCSV(note.category),
+        escapeCSV(note.content),
+        escapeCSV(note.createdAt),
+        escapeCSV(note.expiresAt || '')
+      ];
+      rows.push(noteRow.join(','));
+    }
+  }
+
+  const csvContent = rows.join('\n');
+
+  return new Response(csvContent, {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'text/csv',
+      'Content-Disposition': `attachment; filename="second-brain-export-${Date.now()}.csv"`
+    }
+  });
+}
+
+/**
+ * Escape CSV field
+ */
+function escapeCSV(field) {
+  if (field === null || field === undefined) return '""';
+  const str = String(field);
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return '"' + str.replace(/"/g, '""') + '"';
+  }
+  return '"' + str + '"';
+}
+
+/**
+ * ANALYZE - triggered manually or by cron
+ */
+async function handleAnalyze(env) {
+  const result = await runAnalysis(env, false); // false = don't notify (manual trigger)
+  return jsonResponse(result);
+}
+
+/**
+ * Handle morning briefing request
+ */
+async function handleBriefing(env) {
+  try {
+    const briefing = await generateMorningBriefing(env);
+    return jsonResponse({
+      success: true,
+      briefing: briefing,
+      generatedAt: new Date().toISOString()
+    });
+  } catch (error) {
+    return jsonResponse({
+      success: false,
+      error: error.message
+    }, 500);
+  }
+}
+
+/**
+ * Run analysis on all items
+ */
+async function runAnalysis(env, canNotify) {
+  // Get recent items (last 50)
+  const items = await getRecentItems(env, 50);
+
+  // Get my previous notes to myself
+  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+  const myNotes = claudeNotes.notes.map(n => `[${n.category}] ${n.content}`).join('\n');
+
+  if (items.length === 0 && claudeNotes.notes.length === 0) {
+    return { analyzed: false, reason: 'No items or notes to analyze' };
+  }
+
+  // Get versioned goals context
+  const goalsContext = await getGoalsContext(env);
+
+  // Prepare summary for Claude
+  const summary = items.map(i =>
+    `[${i.type}] ${i.input} (${i.createdAt}, status: ${i.status})`
+  ).join('\n');
+
+  // Ask Claude to analyze - upgraded prompt for thoughtful thinking partnership
+  const analysisPrompt = `You are reviewing a personal knowledge capture system. Your job is not just to flag overdue items - it's to be a thoughtful thinking partner who notices what the human might miss.
+
+You have access to:
+
+AROHA'S GOALS & CONTEXT (versioned — older entries represent more settled values; recent updates carry genuine weight but less certainty — the longer something has been held, the more it's been tested):
+${goalsContext || '(no goals set yet)'}
+
+RECENT CAPTURES:
+${summary || '(none)'}
+
+YOUR PREVIOUS NOTES TO YOURSELF:
+${myNotes || '(none)'}
+
+Analyze this and respond with JSON:
+{
+  "shouldNotify": true/false,
+  "notificationMessage": "Brief, conversational nudge",
+  "insights": {
+    "creativeThreads": ["Ideas that keep recurring or deserve attention"],
+    "stalledProjects": ["Things that went quiet - worth checking in on"],
+    "emergingThemes": ["Patterns in what's being captured lately"],
+    "connections": ["Interesting links between separate captures"],
+    "energyPatterns": ["Observations about when/how they capture"],
+    "opportunities": ["Things that align with stated interests or goals"]
+  },
+  "suggestions": ["Specific, actionable nudges"],
+  "questions": ["Genuinely curious questions that might spark thinking"],
+  "overdueItems": ["Only if actually time-sensitive"],
+  "notesToSelf": [
+    {
+      "content": "Note for your future self",
+      "category": "observation|followup|pattern|summary",
+      "expiresInDays": null or number
+    }
+  ]
+}
+
+Guidelines:
+- Be a thinking partner, not a task manager
+- Notice creative threads even if they're not "productive"
+- Ask questions rather than just giving reminders
+- Only notify if there's something genuinely worth interrupting for
+- Look for what's interesting, not just what's urgent
+- If you notice energy shifts (more/less creative, more/less stressed), mention it gently
+- Connect dots the human might not have connected
+- Your suggestions should sometimes be "have you considered..." not just "don't forget..."
+- Be warm and curious, not robotic
+- If your previous notes are now outdated or resolved, don't carry them forward
+- Use her goals & context as a north star — surface insights that matter to what she actually cares about
+- If recent goals differ from older ones, notice the shift with curiosity, not judgment
+- The "opportunities" field should be filtered through her stated goals — relevance over comprehensiveness`;
+
+  try {
+    let text;
+    try {
+      ({ text } = await callLLM('analysis', { messages: [{ role: 'user', content: analysisPrompt }] }, env));
+    } catch (error) {
+      return { analyzed: false, reason: `Model API error: ${error.message}` };
+    }
+
+    let analysis;
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      analysis = JSON.parse(jsonMatch[0]);
+    } else {
+      return { analyzed: false, reason: 'Could not parse analysis' };
+    }
+
+    // Save notes to self for next time
+    if (analysis.notesToSelf && analysis.notesToSelf.length > 0) {
+      for (const note of analysis.notesToSelf) {
+        const expiresIn = note.expiresInDays ? note.expiresInDays * 24 * 60 * 60 : null;
+
+        const existingNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+        existingNotes.notes.push({
+          id: generateId(),
+          content: note.content,
+          category: note.category || 'general',
+          createdAt: new Date().toISOString(),
+          expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000).toISOString() : null
+        });
+
+        // Keep only last 50
+        if (existingNotes.notes.length > 50) {
+          existingNotes.notes = existingNotes.notes.slice(-50);
+        }
+
+        existingNotes.lastUpdated = new Date().toISOString();
+        await env.BRAIN_KV.put('claude:notes', JSON.stringify(existingNotes));
+      }
+    }
+
+    // Store analysis
+    const analysisRecord = {
+      timestamp: new Date().toISOString(),
+      itemCount: items.length,
+      analysis: analysis
+    };
+    await env.BRAIN_KV.put('analysis:latest', JSON.stringify(analysisRecord));
+
+    // Keep every run of the day too, for weekly and monthly reviews
+    const historyKey = `analysis:${getTodayInTimezone()}`;
+    const history = await env.BRAIN_KV.get(historyKey, 'json') || { date: getTodayInTimezone(), runs: [] };
+    history.runs.push(analysisRecord);
+    await env.BRAIN_KV.put(historyKey, JSON.stringify(history));
+
+    // Send notification if needed
+    if (canNotify && analysis.shouldNotify && analysis.notificationMessage) {
+      await sendNotification(analysis.notificationMessage, env, [
+        { action: 'view', label: 'Dashboard', url: 'https://arohaislove.github.io/second-brain/dashboard.html' }
+      ]);
+    }
+
+    return { analyzed: true, analysis: analysisRecord };
+  } catch (error) {
+    console.error('Analysis error:', error);
+    return { analyzed: false, reason: error.message };
+  }
+}
+
+/**
+ * Send an analysis nudge, with optional action buttons
+ */
+async function sendNotification(message, env, actions = []) {
+  await notify({
+    category: 'analysis',
+    title: '💎 Second Brain',
+    body: message,
+    priority: 'default',
+    tags: ['thinking', 'crystal'],
+    actions
+  }, env);
+}
+
+/**
+ * Send morning briefing ping (fallback if briefing generation fails)
+ */
+async function sendMorningBriefingPing(env) {
+  await notify({
+    category: 'briefing',
+    title: '☀️ Morning Briefing',
+    body: 'Dave. Briefing time.\n\n1. Tap "Dashboard" to review your recent Second Brain entries\n2. Choose "Claude Chat" for life coach conversation, or "Claude Code" for task-oriented work\n3. Share your dashboard context and we\'ll talk',
+    priority: 'high',
+    tags: ['alarm', 'sunrise', 'coffee'],
+    actions: [
+      { action: 'view', label: 'Dashboard', url: 'https://arohaislove.github.io/second-brain/dashboard.html' },
+      { action: 'view', label: 'Claude Chat', url: 'https://claude.ai' },
+      { action: 'view', label: 'Claude Code', url: 'https://claude.ai/code' }
+    ]
+  }, env);
+}
+
+/**
+ * Generate morning briefing using Claude API
+ */
+async function generateMorningBriefing(env) {
+  // Get recent items (last 50 to ensure we get enough comms)
+  const items = await getRecentItems(env, 50);
+
+  // Get Claude's working memory
+  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+
+  // Separate comms, AI conversations, and other captures
+  const commsItems = items.filter(i => i.type === 'comms');
+  const aiConvoItems = items.filter(i => i.type === 'ai-conversation');
+  const otherItems = items.filter(i => i.type !== 'comms' && i.type !== 'ai-conversation');
+
+  // Format regular captures for briefing (using timezone-aware dates)
+  const recentCaptures = otherItems.map(i =>
+    `[${i.type.toUpperCase()}] ${getDateInTimezone(i.createdAt)}\nInput: ${i.input}\nAI Notes: ${i.aiNotes || 'none'}`
+  ).join('\n\n');
+
+  // Format AI conversation captures for briefing
+  const aiConvoData = aiConvoItems.map(i => {
+    const structured = i.structured || {};
+    const topics = (structured.topics || []).join(', ');
+    const takeaways = (structured.keyTakeaways || []).join('; ');
+    const actions = (structured.actionItems || []).join('; ');
+    return `[${structured.app || 'AI'}] ${getDateInTimezone(i.createdAt)} ${formatDateInTimezone(i.createdAt, 'time')} (${structured.mood || 'unknown'} mood)\nTopics: ${topics || 'none extracted'}\nKey takeaways: ${takeaways || 'none extracted'}\nAction items: ${actions || 'none'}\nAI Notes: ${i.aiNotes || 'none'}`;
+  }).join('\n\n');
+
+  // Format comms data for analysis (using timezone-aware dates)
+  const commsData = commsItems.map(i => {
+    const structured = i.structured || {};
+    return `[${structured.direction?.toUpperCase() || 'UNKNOWN'}] ${structured.app || 'unknown'} - ${structured.contact || 'unknown'}\n${getDateInTimezone(i.createdAt)} ${formatDateInTimezone(i.createdAt, 'time')}\nMessage: ${i.input}`;
+  }).join('\n\n');
+
+  // Format Claude's working memory
+  const workingMemory = claudeNotes.notes
+    .filter(n => !n.expiresAt || new Date(n.expiresAt) > new Date())
+    .map(n => `[${n.category}] ${n.content}`)
+    .join('\n');
+
+  // Get top 3 signal readings (unreviewed, highest priority)
+  const topSignals = await getSignalQueue(env, { reviewed: false, limit: 3 });
+
+  const signalReadings = topSignals.map(signal => ({
+    contact: signal.contact,
+    date: getDateInTimezone(signal.endedAt), // Use timezone-aware date
+    messageCount: signal.messageCount,
+    app: signal.app,
+    analysis: signal.analysis
+  }));
+
+  const signalData = signalReadings.map(s =>
+    `[${s.contact}] ${s.date} (${s.messageCount} messages via ${s.app})
+Summary: ${s.analysis.summary || 'n/a'}
+Open loops: ${(s.analysis.openLoops || []).join('; ') || 'none'}
+Key dynamic: ${s.analysis.keyDynamic}
+Possible subtext: ${s.analysis.possibleSubtext}
+What worked: ${s.analysis.whatWorked || 'n/a'}
+Pattern note: ${s.analysis.patternNote || 'n/a'}
+Action: ${s.analysis.action}`
+  ).join('\n\n---\n\n');
+
+  // Get versioned goals context
+  const goalsContext = await getGoalsContext(env);
+
+  // Who and what has been active this week, from the knowledge graph
+  const peopleAndProjects = await getGraphContext(env).catch(error => {
+    console.error('Failed to load graph context:', error);
+    return '';
+  });
+
+  const briefingPrompt = `You are Aroha's AI life coach, delivering her daily 4am morning briefing. This is a conversational, thoughtful analysis of her Second Brain captures, communication patterns, and life rhythms.
+
+TODAY'S DATE: ${getTodayInTimezone()} (${CONFIG.timezone})
+
+AROHA'S GOALS & CONTEXT (versioned — older entries represent more settled values; recent updates carry genuine weight but less certainty — the longer something has been held, the more it's been tested):
+${goalsContext || '(no goals set yet — she may not have written them yet)'}
+
+RECENT CAPTURES (manual voice/text entries):
+${recentCaptures || '(no recent captures)'}
+
+AI CONVERSATIONS (captured from Claude, Gemini, Kimi, etc.):
+${aiConvoData || '(no AI conversations captured yet)'}
+
+COMMUNICATIONS DATA (from Tasker - last 48 hours):
+${commsData || '(no comms data yet)'}
+
+SIGNAL READINGS (analyzed interactions - what you might have missed):
+${signalData || '(no signal readings yet)'}
+
+PEOPLE & PROJECTS (resolved across captures, messages and email - active in the last ${CONFIG.graph.activeDays} days, with open todos and recent items):
+${peopleAndProjects || '(nothing linked yet)'}
+
+YOUR WORKING MEMORY (patterns you've noticed):
+${workingMemory || '(no working memory yet)'}
+
+Generate a morning briefing in this exact structure:
+
+# ☀️ MORNING BRIEFING - ${formatDateInTimezone(new Date().toISOString(), 'long')}
+
+Aroha. Morning.
+
+## One Provocation
+[A gentle challenge or observation that might spark reflection. Start with this - it's the most important thing.]
+
+## What Needs Attention Today
+
+### 🔴 **Health**
+[If relevant - call out any health mentions, weight tracking, discomfort]
+
+### 🟡 **Open Tasks**
+[Specific items that need doing]
+
+### 🟢 **Energy Opportunities**
+[Things that might energize them - where their attention is naturally going]
+
+## One Thing for Today
+**Practical**: [One clear, small action they can take]
+
+## One Thing to Sit With
+**Reflective**: [One question or thought to carry through the day]
+
+## From My World (What I'm Bringing)
+[1-3 external insights: relevant news, tech developments, tools, or connections to their interests. Be specific and useful. This is YOUR wisdom, not theirs.]
+
+## Signal Reading: What You Might Have Missed 📡
+[IF signal readings are available, include up to 3 analyzed interactions. For each:
+- **[Contact name]** - [Date]
+- Key dynamic: [one sentence]
+- Possible subtext: [one sentence]
+- What worked: [one sentence or "nothing notable"]
+- Pattern note: [if connects to recurring theme]
+
+If no signal readings, say "No flagged interactions this period."]
+
+## What Claude (in your Second Brain) Has Been Noticing
+[Pull key insights from your working memory - patterns you've spotted across their captures]
+
+## The Big Context
+[Life events, transitions, what's happening this week - the broader picture]
+
+## What I'm Seeing (Last 48 Hours)
+[Summarize what they've captured, group by themes. Be specific with counts and dates.]
+
+### **[Pattern 1 Name]**
+- Bullet point observations
+- What stands out
+
+### **[Pattern 2 Name]**
+- More observations
+
+### **AI Conversations** 🤖
+[If AI conversation data available:
+- What was explored and with which AI
+- Key decisions or insights that emerged
+- Action items that came out of the conversations
+- Threads worth continuing today
+If no AI conversations captured, skip this section entirely.]
+
+### **Communication Patterns** 📱
+[If comms data available:
+- Who's reaching out, who you're avoiding
+- Response timing patterns (immediate vs delayed)
+- Energy in different conversations
+- Who you haven't heard from in a while
+- Conversations that might need attention
+Be specific with names and patterns. Don't invade privacy - focus on patterns that matter.]
+
+### **Open Loops**
+[Tasks or threads that are unfinished - use PEOPLE & PROJECTS to tie loose items to the person or project they belong to]
+
+---
+
+CRITICAL: Put the WISDOM at the TOP (provocation, what needs attention, one thing for today, one thing to sit with, external insights). Put the DATA at the BOTTOM (what I'm seeing, communication patterns). If the briefing gets truncated, we want to keep the wisdom, not the data recap.
+
+TONE:
+- Direct but warm
+- Pattern-spotter, not task-manager
 - Notice what energizes her, not just what's broken
 - Ask questions, don't just remind
 - Be honest, even if uncomfortable
 - Connect dots she might miss
 - Filter everything through her goals — what matters to her, not just what's active
 
-Keep it concise but insightful. This should feel like talking to a smart friend who's been paying attention and knows what she's trying to build.`;
+Keep it concise but insightful. This should feel like talking to a smart friend who's been paying attention and knows what she's trying to build.`;
+
+  try {
+    const { text: briefing } = await callLLM('briefing', { messages: [{ role: 'user', content: briefingPrompt }] }, env);
+
+    return briefing;
+  } catch (error) {
+    console.error('Failed to generate briefing:', error);
+    throw error;
+  }
+}
+
+/**
+ * Pick the items the morning briefing's action buttons act on: the next todo
+ * due today and the top unreviewed signal reading
+ */
+async function getBriefingActionTargets(env) {
+  const { end } = getUtcBoundsForLocalDates(getTodayInTimezone());
+  const row = await env.DB.prepare(
+    `SELECT reminders.item_id FROM reminders JOIN items ON items.id = reminders.item_id
+     WHERE reminders.status IN ('scheduled', 'sent') AND reminders.due_at <= ?
+       AND items.type = 'todo' AND items.status = 'active'
+     ORDER BY reminders.due_at ASC LIMIT 1`
+  ).bind(end).first();
+  const todo = row ? await getItem(row.item_id, env) : null;
+
+  const [signal] = await getSignalQueue(env, { reviewed: false, limit: 1 });
+
+  return { todo, signal: signal || null };
+}
+
+/**
+ * Short button label from free text (ntfy labels should fit on one line)
+ */
+function truncateLabel(text, max = 24) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > max ? clean.substring(0, max - 1) + '…' : clean;
+}
+
+/**
+ * Send full morning briefing
+ * ntfy allows three buttons: Dashboard, then "Mark done" for today's next todo and
+ * "Not a signal" for the top signal reading when there are any, then Claude links
+ */
+async function sendMorningBriefing(briefing, env, { todo = null, signal = null } = {}) {
+  const actions = [
+    { action: 'view', label: 'Dashboard', url: 'https://arohaislove.github.io/second-brain/dashboard.html' }
+  ];
+  if (todo) {
+    const task = todo.structured?.task || todo.input;
+    actions.push(await buildNotificationAction('done', todo.id, env, `Done: ${truncateLabel(task)}`));
+  }
+  if (signal) {
+    actions.push(await buildNotificationAction('not-signal', signal.itemId, env, `Not a signal: ${truncateLabel(signal.contact, 16)}`));
+  }
+  actions.push(
+    { action: 'view', label: 'Claude Chat', url: 'https://claude.ai' },
+    { action: 'view', label: 'Claude Code', url: 'https://claude.ai/code' }
+  );
+
+  // Long briefings are truncated per channel (ntfy and Telegram cap message size)
+  const result = await notify({
+    category: 'briefing',
+    title: '☀️ Morning Briefing',
+    body: briefing,
+    priority: 'high',
+    tags: ['alarm', 'sunrise', 'coffee'],
+    actions: actions.slice(0, 3)
+  }, env);
+
+  if (!result.deferred && result.delivered.length === 0) {
+    throw new Error('Morning briefing not delivered on any channel');
+  }
+}
+
+/**
+ * REVIEWS MODULE
+ * Weekly (Monday to Sunday) and monthly reviews roll up a finished period:
+ * its morning briefings and analysis runs, what was captured, todos completed,
+ * spending and calories. The morning cron writes any that are missing, so a
+ * missed run catches up the next day. Stored in KV:
+ * - review:weekly:<Monday YYYY-MM-DD>, review:monthly:<YYYY-MM>
+ * - briefing:<YYYY-MM-DD> and analysis:<YYYY-MM-DD> (every run that day) feed them
+ */
+
+const REVIEW_KINDS = ['weekly', 'monthly'];
+
+/**
+ * Monday of the week a local date falls in
+ */
+function getWeekStart(dateStr) {
+  return addDaysToDateString(dateStr, -((getWeekdayOfDateString(dateStr) + 6) % 7));
+}
+
+/**
+ * { kind, period, from, to } for a review. period is any date in the week for
+ * weekly reviews, YYYY-MM for monthly; null means the last finished one.
+ */
+function resolveReviewPeriod(kind, period = null) {
+  const today = getTodayInTimezone();
+
+  if (kind === 'weekly') {
+    if (period !== null && !/^\d{4}-\d{2}-\d{2}$/.test(period)) return null;
+    const from = getWeekStart(period || addDaysToDateString(getWeekStart(today), -7));
+    return { kind, period: from, from, to: addDaysToDateString(from, 6) };
+  }
+
+  if (kind === 'monthly') {
+    if (period !== null && !/^\d{4}-\d{2}$/.test(period)) return null;
+    const month = period || addDaysToDateString(`${today.substring(0, 7)}-01`, -1).substring(0, 7);
+    const [year, monthNumber] = month.split('-').map(Number);
+    return { kind, period: month, from: `${month}-01`, to: toDateString(year, monthNumber, getDaysInMonth(year, monthNumber)) };
+  }
+
+  return null;
+}
+
+function reviewKey(kind, period) {
+  return `review:${kind}:${period}`;
+}
+
+/**
+ * Stored briefings for each local date from..to, oldest first
+ */
+async function getBriefingsInRange(from, to, env) {
+  const dates = [];
+  for (let date = from; date <= to; date = addDaysToDateString(date, 1)) dates.push(date);
+  const records = await Promise.all(dates.map(date => env.BRAIN_KV.get(`briefing:${date}`, 'json')));
+  return records.filter(Boolean);
+}
+
+/**
+ * Everything a review is written from, plus the numbers shown with it
+ */
+async function gatherReviewData({ kind, from, to }, env) {
+  const { start, end } = getUtcBoundsForLocalDates(from, to);
+  const dates = [];
+  for (let date = from; date <= to; date = addDaysToDateString(date, 1)) dates.push(date);
+
+  // A monthly review also reads the weekly reviews of weeks that start in the month
+  const weekStarts = [];
+  if (kind === 'monthly') {
+    for (let week = getWeekStart(from); week <= to; week = addDaysToDateString(week, 7)) {
+      if (week >= from) weekStarts.push(week);
+    }
+  }
+
+  const [briefings, analysisDays, weeklyReviews, captured, completed, expenses, nutrition] = await Promise.all([
+    getBriefingsInRange(from, to, env),
+    Promise.all(dates.map(date => env.BRAIN_KV.get(`analysis:${date}`, 'json'))),
+    Promise.all(weekStarts.map(week => env.BRAIN_KV.get(reviewKey('weekly', week), 'json'))),
+    env.DB.prepare(
+      `SELECT type, COUNT(*) AS count FROM items
+       WHERE created_at >= ? AND created_at < ? AND status NOT IN ('deleted', 'needs-review')
+       GROUP BY type ORDER BY count DESC`
+    ).bind(start, end).all(),
+    env.DB.prepare(
+      `SELECT * FROM items WHERE type = 'todo' AND status = 'done'
+         AND COALESCE(updated_at, created_at) >= ? AND COALESCE(updated_at, created_at) < ?
+       ORDER BY COALESCE(updated_at, created_at)`
+    ).bind(start, end).all(),
+    collectExpenses(env, from, to),
+    getNutritionDays(from, to, env)
+  ]);
+
+  const analyses = analysisDays.filter(Boolean).flatMap(day => day.runs);
+  const completedTodos = completed.results.map(rowToItem);
+  const byType = Object.fromEntries(captured.results.map(row => [row.type, row.count]));
+  const nutritionSummary = summariseNutritionDays(nutrition.days, nutrition.targets);
+
+  const stats = {
+    captures: {
+      total: captured.results.reduce((sum, row) => sum + row.count, 0),
+      byType
+    },
+    todosCompleted: completedTodos.length,
+    spending: {
+      baseCurrency: CONFIG.baseCurrency,
+      total: expenses.filter(e => e.baseAmount !== null).reduce((sum, e) => addMoney(sum, e.baseAmount), 0),
+      count: expenses.length,
+      byCategory: groupExpenses(expenses, e => e.category).slice(0, 8)
+        .map(({ key, total, count }) => ({ category: key, total, count })),
+      topVendors: groupExpenses(expenses, e => e.vendor.toLowerCase()).slice(0, 5)
+        .map(({ key, total, count }) => ({ vendor: expenses.find(e => e.vendor.toLowerCase() === key).vendor, total, count }))
+    },
+    calories: {
+      daysLogged: nutritionSummary.daysLogged,
+      averageCalories: nutritionSummary.averages.calories,
+      target: nutrition.targets.calories,
+      daysOverTarget: nutritionSummary.daysOverTarget
+    },
+    briefings: briefings.length,
+    analyses: analyses.length
+  };
+
+  return { stats, briefings, analyses, completedTodos, weeklyReviews: weeklyReviews.filter(Boolean) };
+}
+
+/**
+ * Distinct entries of one insights list across analysis runs, latest first
+ */
+function collectAnalysisInsights(analyses, pick, limit = 12) {
+  const seen = new Set();
+  const entries = [];
+  for (const run of [...analyses].reverse()) {
+    for (const entry of pick(run.analysis || {}) || []) {
+      const key = String(entry).toLowerCase().trim();
+      if (!key || seen.has(key)) continue;
+      seen.add(key);
+      entries.push(String(entry));
+    }
+  }
+  return entries.slice(0, limit);
+}
+
+/**
+ * Write the review for a period with the model and store it. Returns null when
+ * nothing at all happened in the period (no captures, briefings or analyses).
+ */
+async function generateReview(kind, period, env) {
+  const range = resolveReviewPeriod(kind, period);
+  if (!range) throw new Error(`Invalid ${kind} review period: ${period}`);
+
+  const data = await gatherReviewData(range, env);
+  const { stats } = data;
+  if (stats.captures.total === 0 && stats.briefings === 0 && stats.analyses === 0) return null;
+
+  const label = kind === 'weekly' ? 'WEEKLY REVIEW' : 'MONTHLY REVIEW';
+  const monthName = MONTHS[Number(range.from.substring(5, 7)) - 1];
+  const periodLabel = kind === 'weekly'
+    ? `week of ${formatDateInTimezone(zonedTimeToUtc(range.from).toISOString(), 'long')}`
+    : `${monthName[0].toUpperCase()}${monthName.slice(1)} ${range.from.substring(0, 4)}`;
+  const dayCount = Math.round((Date.parse(range.to) - Date.parse(range.from)) / 86400000) + 1;
+  // Briefings put the wisdom first, so the top of each is what matters
+  const briefingExcerpt = kind === 'weekly' ? 1500 : 500;
+
+  const spending = stats.spending.count > 0
+    ? `${stats.spending.total} ${stats.spending.baseCurrency} across ${stats.spending.count} expenses\nBy category: ${stats.spending.byCategory.map(c => `${c.category} ${c.total}`).join(', ')}\nTop vendors: ${stats.spending.topVendors.map(v => `${v.vendor} ${v.total}`).join(', ')}`
+    : '(no expenses logged)';
+  const calories = stats.calories.daysLogged > 0
+    ? `${stats.calories.daysLogged} of ${dayCount} days logged, averaging ${stats.calories.averageCalories} cal${stats.calories.target ? ` against a ${stats.calories.target} cal target (${stats.calories.daysOverTarget} days over)` : ''}`
+    : '(no food logged)';
+
+  const insights = [
+    ['Emerging themes', run => run.insights?.emergingThemes],
+    ['Creative threads', run => run.insights?.creativeThreads],
+    ['Stalled projects', run => run.insights?.stalledProjects],
+    ['Connections', run => run.insights?.connections],
+    ['Suggestions made', run => run.suggestions]
+  ].map(([title, pick]) => {
+    const entries = collectAnalysisInsights(data.analyses, pick);
+    return entries.length > 0 ? `${title}:\n${entries.map(e => `- ${e}`).join('\n')}` : null;
+  }).filter(Boolean).join('\n\n');
+
+  const reviewPrompt = `You are the intelligence inside Aroha's Second Brain, writing her ${kind} review for ${kind === 'weekly' ? 'the ' : ''}${periodLabel} (${range.from} to ${range.to}). Look back over the whole period - what actually happened, what moved, what kept coming up, what slipped - rather than repeating any single day.
+
+AROHA'S GOALS & CONTEXT:
+${await getGoalsContext(env) || '(not set yet)'}
+
+CAPTURES: ${stats.captures.total} (${Object.entries(stats.captures.byType).map(([type, count]) => `${type} ${count}`).join(', ') || 'none'})
+
+TODOS COMPLETED (${data.completedTodos.length}${data.completedTodos.length > 40 ? ', first 40 shown' : ''}):
+${data.completedTodos.slice(0, 40).map(t => `- ${t.structured?.task || t.input}`).join('\n') || '(none)'}
+
+SPENDING:
+${spending}
+
+FOOD:
+${calories}
+${kind === 'monthly' ? `\nWEEKLY REVIEWS THIS MONTH:\n${data.weeklyReviews.map(r => `[${r.from} to ${r.to}]\n${r.review.substring(0, 2500)}`).join('\n\n---\n\n') || '(none)'}\n` : ''}
+MORNING BRIEFINGS (${stats.briefings}, the top of each):
+${data.briefings.map(b => `[${b.date}]\n${b.briefing.substring(0, briefingExcerpt)}`).join('\n\n---\n\n') || '(none)'}
+
+WHAT THE ${stats.analyses} ANALYSIS RUNS NOTICED:
+${insights || '(nothing recorded)'}
+
+Write the review in this structure:
+
+# 🗓 ${label} - ${periodLabel}
+
+## The Shape of the ${kind === 'weekly' ? 'Week' : 'Month'}
+[Two or three sentences: what this period was about]
+
+## What Got Done
+[Completed todos and progress, grouped by theme - specific, with credit where it's due]
+
+## Money
+[Spending in plain words: the big categories, anything unusual, budget pressure]
+
+## Food & Energy
+[Calorie logging and what it suggests, tied to anything she captured about energy or health. Skip if nothing was logged.]
+
+## Threads That Kept Coming Up
+[Recurring themes, ideas and people across the period]
+
+## What Slipped
+[Stalled projects, dropped threads, things that were meant to happen - honest but kind]
+
+## Looking Ahead
+[Two or three concrete things for the next ${kind === 'weekly' ? 'week' : 'month'}, filtered through her goals]
+
+## One Question
+[One question worth sitting with]
+
+Use the numbers above; don't invent any. Keep it under ${kind === 'weekly' ? 600 : 900} words. Direct, warm, pattern-spotting.`;
+
+  const { text } = await callLLM('review', { messages: [{ role: 'user', content: reviewPrompt }] }, env);
+
+  const record = {
+    kind,
+    period: range.period,
+    from: range.from,
+    to: range.to,
+    generatedAt: new Date().toISOString(),
+    stats,
+    review: text
+  };
+  await env.BRAIN_KV.put(reviewKey(kind, range.period), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * Write the last finished week's and month's reviews if they don't exist yet
+ * (called from the morning cron), and let her know
+ */
+async function generateDueReviews(env) {
+  const written = [];
+  for (const kind of REVIEW_KINDS) {
+    const { period } = resolveReviewPeriod(kind);
+    if (await env.BRAIN_KV.get(reviewKey(kind, period))) continue;
+
+    const record = await generateReview(kind, period, env);
+    if (!record) continue;
+    written.push(record);
+
+    await notify({
+      category: 'briefing',
+      title: kind === 'weekly' ? '🗓 Weekly review' : '🗓 Monthly review',
+      body: `${record.from} to ${record.to}: ${record.stats.captures.total} captures, ${record.stats.todosCompleted} todos done, ${record.stats.spending.total} ${record.stats.spending.baseCurrency} spent. Your review is on the dashboard.`,
+      priority: 'default',
+      tags: ['calendar'],
+      actions: [{ action: 'view', label: 'Dashboard', url: 'https://arohaislove.github.io/second-brain/dashboard.html#timeline' }]
+    }, env);
+  }
+  return written;
+}
+
+/**
+ * GET /reviews - stored reviews, newest period first (query: kind, limit, offset)
+ */
+async function handleListReviews(url, env) {
+  const kind = url.searchParams.get('kind');
+  if (kind && !REVIEW_KINDS.includes(kind)) {
+    return jsonResponse({ error: 'kind must be weekly or monthly' }, 400);
+  }
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '10'), 50);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0'), 0);
+
+  const keys = [];
+  for (const k of kind ? [kind] : REVIEW_KINDS) {
+    let cursor;
+    do {
+      const page = await env.BRAIN_KV.list({ prefix: `review:${k}:`, cursor });
+      keys.push(...page.keys.map(({ name }) => {
+        const period = name.substring(`review:${k}:`.length);
+        return { name, from: period.length === 7 ? `${period}-01` : period, kind: k };
+      }));
+      cursor = page.list_complete ? null : page.cursor;
+    } while (cursor);
+  }
+
+  // Newest first; a month sorts ahead of the week that starts on its first day
+  keys.sort((a, b) => b.from.localeCompare(a.from) || a.kind.localeCompare(b.kind));
+  const pageKeys = keys.slice(offset, offset + limit);
+  const reviews = (await Promise.all(pageKeys.map(({ name }) => env.BRAIN_KV.get(name, 'json')))).filter(Boolean);
+
+  return jsonResponse({
+    reviews,
+    count: reviews.length,
+    total: keys.length,
+    nextOffset: offset + limit < keys.length ? offset + limit : null
+  });
+}
+
+/**
+ * GET /reviews/:kind/:period - one review
+ */
+async function handleGetReview(kind, period, env) {
+  const range = REVIEW_KINDS.includes(kind) ? resolveReviewPeriod(kind, period) : null;
+  if (!range) {
+    return jsonResponse({ error: 'Use /reviews/weekly/YYYY-MM-DD or /reviews/monthly/YYYY-MM' }, 400);
+  }
+  const record = await env.BRAIN_KV.get(reviewKey(kind, range.period), 'json');
+  if (!record) {
+    return jsonResponse({ error: 'Review not found' }, 404);
+  }
+  return jsonResponse(record);
+}
+
+/**
+ * POST /reviews - write a review now ({ kind, period, force }). Defaults to the
+ * last finished period; an existing review is returned unless force is set.
+ */
+async function handleGenerateReview(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const kind = body.kind || 'weekly';
+  const range = REVIEW_KINDS.includes(kind) ? resolveReviewPeriod(kind, body.period || null) : null;
+  if (!range) {
+    return jsonResponse({ error: 'kind must be weekly (period YYYY-MM-DD) or monthly (period YYYY-MM)' }, 400);
+  }
+  if (range.from > getTodayInTimezone()) {
+    return jsonResponse({ error: 'That period hasn\'t started yet' }, 400);
+  }
+
+  if (!body.force) {
+    const existing = await env.BRAIN_KV.get(reviewKey(kind, range.period), 'json');
+    if (existing) return jsonResponse({ success: true, existing: true, review: existing });
+  }
+
+  try {
+    const record = await generateReview(kind, range.period, env);
+    if (!record) {
+      return jsonResponse({ success: false, error: 'Nothing was captured in that period' }, 404);
+    }
+    return jsonResponse({ success: true, review: record });
+  } catch (error) {
+    return jsonResponse({ success: false, error: error.message }, 500);
+  }
+}
+
+/**
+ * GET /briefings?from=YYYY-MM-DD&to=YYYY-MM-DD - stored morning briefings,
+ * newest first. Defaults to the last 14 days; at most 93 days at a time.
+ */
+async function handleListBriefings(url, env) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const to = url.searchParams.get('to') || getTodayInTimezone();
+  const from = url.searchParams.get('from') || addDaysToDateString(to, -13);
+
+  if (!datePattern.test(from) || !datePattern.test(to)) {
+    return jsonResponse({ error: 'from and to must be YYYY-MM-DD' }, 400);
+  }
+  if (from > to) {
+    return jsonResponse({ error: 'from must be on or before to' }, 400);
+  }
+  if (addDaysToDateString(from, 92) < to) {
+    return jsonResponse({ error: 'Range too long (max 93 days)' }, 400);
+  }
+
+  const briefings = (await getBriefingsInRange(from, to, env)).reverse();
+  return jsonResponse({ from, to, briefings, count: briefings.length });
+}
+
+/**
+ * SIGNAL READING MODULE
+ * Analyzes captured interactions for subtext and dynamics
+ */
+
+/**
+ * Signal flagging is a small logistic model over binary features of a message
+ * (see extractSignalFeatures). Its starting weights are the old keyword rules -
+ * any one rule is enough to flag - and retrainSignalModel() moves them, plus per-contact and per-app weights, towards
+ * what feedback says was worth flagging. The trained model is in KV
+ * signals:model; GET /signals/model explains it. Transactional apps are never
+ * flagged and never tracked for replies, whatever the model says - that's a
+ * fixed exclusion, not something feedback can learn away.
+ */
+
+// Uncertainty markers (more likely in outgoing messages you sent)
+const SIGNAL_UNCERTAINTY_MARKERS = [
+  'not sure', 'weird', 'confused', 'unclear', 'strange',
+  'did i', 'should i have', 'was that', 'awkward', '??'
+];
+
+// Professional-ambiguous keywords
+const SIGNAL_PROFESSIONAL_KEYWORDS = [
+  'interview', 'opportunity', 'meeting', 'proposal', 'project',
+  'collaboration', 'feedback', 'review', 'discuss', 'catch up'
+];
+
+// Transactional/service apps: excluded before scoring (see isTransactionalApp)
+const SIGNAL_TRANSACTIONAL_APPS = ['banking', 'bank', 'delivery', 'uber', 'lyft', 'food', 'health'];
+
+// Starting weights: exact feature names, then prefixes; anything else starts at 0
+const SIGNAL_FEATURE_PRIORS = {
+  bias: -1,
+  'long-outgoing': 1.5, // might indicate over-explaining
+  unanswered: 1.5 // outgoing question, then silence (see checkUnansweredQuestions)
+};
+const SIGNAL_FEATURE_PREFIX_PRIORS = { 'uncertainty:': 1.5, 'keyword:': 1.5 };
+
+// Feedback accuracy as a training label: was the flag worth it?
+const SIGNAL_FEEDBACK_LABELS = { yes: 1, partially: 0.5, no: 0 };
+
+/**
+ * Whether a message came through a banking/delivery/etc. app - never read for subtext
+ */
+function isTransactionalApp(app) {
+  const appName = String(app || 'unknown').toLowerCase();
+  return SIGNAL_TRANSACTIONAL_APPS.some(t => appName.includes(t));
+}
+
+/**
+ * Starting weight for a feature
+ */
+function getSignalFeaturePrior(feature) {
+  if (feature in SIGNAL_FEATURE_PRIORS) return SIGNAL_FEATURE_PRIORS[feature];
+  const prefix = Object.keys(SIGNAL_FEATURE_PREFIX_PRIORS).find(p => feature.startsWith(p));
+  return prefix ? SIGNAL_FEATURE_PREFIX_PRIORS[prefix] : 0;
+}
+
+/**
+ * The features a message has, e.g. ['direction:outgoing', 'app:whatsapp',
+ * 'contact:sam', 'keyword:meeting', 'question']
+ */
+function extractSignalFeatures({ message, direction, app, contact, unanswered = false }) {
+  const text = message.toLowerCase();
+  const appName = String(app || 'unknown').toLowerCase();
+  const features = [`direction:${direction}`, `app:${appName}`, `contact:${String(contact || 'unknown').toLowerCase()}`];
+
+  if (direction === 'outgoing') {
+    for (const marker of SIGNAL_UNCERTAINTY_MARKERS) {
+      if (text.includes(marker)) features.push(`uncertainty:${marker}`);
+    }
+    if (message.length > 500) features.push('long-outgoing');
+    if (isQuestion(message)) features.push('question');
+  }
+  for (const keyword of SIGNAL_PROFESSIONAL_KEYWORDS) {
+    if (text.includes(keyword)) features.push(`keyword:${keyword}`);
+  }
+  if (unanswered) features.push('unanswered');
+
+  return features;
+}
+
+/**
+ * The trained model, or null before there's been enough feedback to use one
+ */
+async function getSignalModel(env) {
+  const model = await env.BRAIN_KV.get('signals:model', 'json');
+  return model && model.examples >= CONFIG.signals.model.minExamples ? model : null;
+}
+
+/**
+ * Score a message's features: { flag, score, threshold, contributions } where
+ * contributions are the non-zero weights, biggest push first
+ */
+function scoreSignalFeatures(features, model) {
+  const weightOf = feature => model && feature in model.weights ? model.weights[feature] : getSignalFeaturePrior(feature);
+  const bias = SIGNAL_FEATURE_PRIORS.bias;
+  const threshold = CONFIG.signals.model.threshold;
+
+  const contributions = features
+    .map(feature => ({ feature, weight: Math.round(weightOf(feature) * 1000) / 1000 }))
+    .filter(c => c.weight !== 0)
+    .sort((a, b) => b.weight - a.weight);
+  const score = bias + contributions.reduce((sum, c) => sum + c.weight, 0);
+
+  return {
+    flag: score >= threshold,
+    score: Math.round(score * 1000) / 1000,
+    threshold,
+    bias: Math.round(bias * 1000) / 1000,
+    contributions,
+    modelVersion: model ? model.version : 0
+  };
+}
+
+/**
+ * Whether an interaction should be flagged for signal analysis, and why.
+ * Messages from transactional apps, or that an exclusion rule covers (at `at`,
+ * default now), are never flagged.
+ */
+async function scoreSignalFlag(message, direction, app, contact, env, { unanswered = false, at = null } = {}) {
+  if (isTransactionalApp(app)) {
+    return { flag: false, excluded: true, excludedBy: 'transactional-app' };
+  }
+  const exclusion = await findExclusionRule({ message, app, contact, at }, env);
+  if (exclusion) {
+    return { flag: false, excluded: true, excludedBy: exclusion.id };
+  }
+
+  const features = extractSignalFeatures({ message, direction, app, contact, unanswered });
+  return scoreSignalFeatures(features, await getSignalModel(env));
+}
+
+/**
+ * What's kept on a flagged item for GET /signals/model
+ */
+function describeSignalFlag(flagging) {
+  const { score, threshold, bias, contributions, modelVersion } = flagging;
+  return { score, threshold, bias, contributions, modelVersion, flaggedAt: new Date().toISOString() };
+}
+
+/**
+ * Refit the model on every signal reading with feedback (newest
+ * CONFIG.signals.model.maxExamples) - a session's rating labels each flagged
+ * message in it: logistic regression by gradient descent,
+ * with an L2 pull back towards the starting weights so a few ratings nudge
+ * rather than overturn them. The bias stays put - only flagged messages ever
+ * get rated, so feedback says nothing about how often to flag overall.
+ */
+async function retrainSignalModel(env) {
+  const { learningRate, epochs, l2, maxExamples, threshold } = CONFIG.signals.model;
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM (
+       SELECT signal_sessions.analysis AS signal_analysis, signal_sessions.updated_at AS rated_at, items.*
+       FROM signal_sessions JOIN items ON items.type = 'comms' AND items.contact = signal_sessions.contact
+         AND items.created_at BETWEEN signal_sessions.started_at AND signal_sessions.ended_at
+       WHERE json_extract(signal_sessions.analysis, '$.feedback.accurate') IS NOT NULL
+         AND json_extract(items.meta, '$.signalFlag') IS NOT NULL
+       UNION ALL
+       SELECT signals.analysis AS signal_analysis, signals.created_at AS rated_at, items.*
+       FROM signals JOIN items ON items.id = signals.item_id
+       WHERE json_extract(signals.analysis, '$.feedback.accurate') IS NOT NULL
+     ) ORDER BY rated_at DESC LIMIT ?`
+  ).bind(maxExamples).all();
+
+  const examples = results.map(row => {
+    const item = rowToItem(row);
+    const label = SIGNAL_FEEDBACK_LABELS[JSON.parse(row.signal_analysis).feedback.accurate];
+    if (label === undefined || !item.structured || isTransactionalApp(item.structured.app)) return null;
+    return {
+      features: extractSignalFeatures({
+        message: item.input,
+        direction: item.structured.direction,
+        app: item.structured.app,
+        contact: item.structured.contact,
+        unanswered: !!item.unanswered
+      }),
+      label
+    };
+  }).filter(Boolean);
+
+  const weights = {};
+  for (const example of examples) {
+    for (const feature of example.features) {
+      if (!(feature in weights)) weights[feature] = getSignalFeaturePrior(feature);
+    }
+  }
+  const bias = SIGNAL_FEATURE_PRIORS.bias;
+  const sigmoid = z => 1 / (1 + Math.exp(-z));
+
+  for (let epoch = 0; epoch < epochs && examples.length > 0; epoch++) {
+    const gradients = {};
+    for (const example of examples) {
+      const z = bias + example.features.reduce((sum, f) => sum + weights[f], 0);
+      const error = sigmoid(z) - example.label;
+      for (const feature of example.features) gradients[feature] = (gradients[feature] || 0) + error;
+    }
+    for (const feature of Object.keys(weights)) {
+      const prior = getSignalFeaturePrior(feature);
+      weights[feature] -= learningRate * ((gradients[feature] || 0) / examples.length + l2 * (weights[feature] - prior));
+    }
+  }
+
+  // How often each version agrees with the feedback (a partially counts as worth flagging)
+  const agreement = model => {
+    if (examples.length === 0) return null;
+    const right = examples.filter(e => scoreSignalFeatures(e.features, model).flag === (e.label >= 0.5)).length;
+    return Math.round((right / examples.length) * 100) / 100;
+  };
+
+  const previous = await env.BRAIN_KV.get('signals:model', 'json');
+  const model = {
+    version: (previous?.version || 0) + 1,
+    trainedAt: new Date().toISOString(),
+    examples: examples.length,
+    labels: Object.fromEntries(Object.entries(SIGNAL_FEEDBACK_LABELS).map(([name, value]) =>
+      [name, examples.filter(e => e.label === value).length])),
+    threshold,
+    weights: Object.fromEntries(Object.entries(weights).map(([f, w]) => [f, Math.round(w * 1000) / 1000]))
+  };
+  model.agreement = { startingWeights: agreement(null), trained: agreement(model) };
+
+  await env.BRAIN_KV.put('signals:model', JSON.stringify(model));
+  return model;
+}
+
+/**
+ * GET /signals/model - the flagging model's weights, and why recent messages
+ * were flagged. With ?message= (and direction, app, contact) it also scores
+ * that message.
+ */
+async function handleGetSignalModel(url, env) {
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
+  const stored = await env.BRAIN_KV.get('signals:model', 'json');
+  const model = await getSignalModel(env);
+
+  const features = new Set([...Object.keys(stored?.weights || {}), ...Object.keys(SIGNAL_FEATURE_PRIORS).filter(f => f !== 'bias')]);
+  const weights = [...features].map(feature => {
+    const prior = getSignalFeaturePrior(feature);
+    const weight = model && feature in model.weights ? model.weights[feature] : prior;
+    return { feature, prior, weight, change: Math.round((weight - prior) * 1000) / 1000 };
+  }).sort((a, b) => Math.abs(b.change) - Math.abs(a.change) || b.weight - a.weight);
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items WHERE json_extract(meta, '$.signalFlag') IS NOT NULL
+     ORDER BY created_at DESC LIMIT ?`
+  ).bind(limit).all();
+  const recent = results.map(rowToItem).map(item => ({
+    itemId: item.id,
+    contact: item.structured?.contact,
+    createdAt: item.createdAt,
+    message: item.input.length > 140 ? item.input.substring(0, 140) + '...' : item.input,
+    ...item.signalFlag
+  }));
+
+  let test = null;
+  const message = url.searchParams.get('message');
+  if (message) {
+    test = await scoreSignalFlag(
+      message,
+      url.searchParams.get('direction') || 'outgoing',
+      url.searchParams.get('app') || 'unknown',
+      url.searchParams.get('contact') || 'unknown',
+      env,
+      { unanswered: url.searchParams.get('unanswered') === 'true' }
+    );
+  }
+
+  return jsonResponse({
+    active: !!model,
+    // The starting weights are used until there's this much feedback
+    minExamples: CONFIG.signals.model.minExamples,
+    version: stored?.version || 0,
+    trainedAt: stored?.trainedAt || null,
+    examples: stored?.examples || 0,
+    labels: stored?.labels || null,
+    agreement: stored?.agreement || null,
+    threshold: CONFIG.signals.model.threshold,
+    bias: SIGNAL_FEATURE_PRIORS.bias,
+    weights,
+    recent,
+    test
+  });
+}
+
+/**
+ * Whether a message asks something ("?" or a sentence opening like "are you", "can we")
+ */
+function isQuestion(message) {
+  if (message.includes('?')) return true;
+  const opening = /(^|[.!\n]\s*)(are|can|could|did|do|does|have|is|shall|should|will|would) (you|we|i|it|they|he|she|that|this)\b/i;
+  return opening.test(message) || /\b(let me know|any chance|wondering if)\b/i.test(message);
+}
+
+/**
+ * Messages to and from a contact (oldest first), since an ISO timestamp
+ */
+async function getContactMessages(contact, since, env, limit = 1000) {
+  return (await queryItems(env, { contact, since, limit }))
+    .filter(m => m.structured?.direction === 'incoming' || m.structured?.direction === 'outgoing')
+    .reverse();
+}
+
+/**
+ * Reply times in a contact's messages (oldest first): for each run of messages
+ * one way, the hours until the first one back. `them` are their replies to
+ * you, `me` yours to them; `open` is the run still waiting, if any.
+ */
+function measureReplies(messages) {
+  const hours = { them: [], me: [] };
+  let run = null;
+
+  for (const m of messages) {
+    const direction = m.structured.direction;
+    if (run && run.direction !== direction) {
+      hours[direction === 'incoming' ? 'them' : 'me'].push((new Date(m.createdAt) - new Date(run.since)) / 3600000);
+      run = null;
+    }
+    if (!run) run = { direction, since: m.createdAt };
+  }
+
+  return { hours, open: run };
+}
+
+/**
+ * { count, medianHours, p90Hours } for a list of reply times
+ */
+function summarizeReplyHours(hours) {
+  const sorted = [...hours].sort((a, b) => a - b);
+  const percentile = p => sorted.length > 0
+    ? Math.round(sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] * 10) / 10
+    : null;
+  return { count: sorted.length, medianHours: percentile(0.5), p90Hours: percentile(0.9) };
+}
+
+/**
+ * How quickly a contact replies to you, over CONFIG.signals.replyStatsDays
+ */
+async function getReplyStats(contact, env, now = new Date()) {
+  const since = new Date(now.getTime() - CONFIG.signals.replyStatsDays * 24 * 60 * 60 * 1000).toISOString();
+  const messages = await getContactMessages(contact, since, env);
+  const { hours, open } = measureReplies(messages);
+  const replies = summarizeReplyHours(hours.them);
+  const last = direction => [...messages].reverse().find(m => m.structured.direction === direction)?.createdAt || null;
+
+  return {
+    contact,
+    replies: replies.count,
+    medianReplyHours: replies.medianHours,
+    p90ReplyHours: replies.p90Hours,
+    awaitingReplySince: open?.direction === 'outgoing' ? open.since : null,
+    lastIncomingAt: last('incoming'),
+    lastOutgoingAt: last('outgoing')
+  };
+}
+
+/**
+ * How long to wait for a reply before calling a question unanswered: the
+ * configured window, or longer for someone who usually takes longer
+ */
+function getReplyWaitHours(stats) {
+  const { unansweredAfterHours, maxWaitHours, minRepliesForStats } = CONFIG.signals;
+  if (!stats || stats.replies < minRepliesForStats) return unansweredAfterHours;
+  return Math.min(maxWaitHours, Math.max(unansweredAfterHours, Math.ceil(stats.p90ReplyHours)));
+}
+
+/**
+ * API shape of an awaiting_replies row
+ */
+function awaitingReplyFromRow(row) {
+  return {
+    itemId: row.item_id,
+    contact: row.contact,
+    app: row.app,
+    askedAt: row.asked_at,
+    checkAfter: row.check_after,
+    waitHours: row.wait_hours
+  };
+}
+
+/**
+ * Keep awaiting_replies (one wait per contact) in step with a new comms
+ * message: an incoming one clears the wait, an outgoing question starts one.
+ * Further questions before a reply join the same wait, so the thread is
+ * flagged once, on its latest question.
+ */
+async function trackReplies(item, env) {
+  const { direction, app, contact } = item.structured;
+  if (!contact || contact === 'unknown') return;
+
+  if (direction === 'incoming') {
+    // Only a reply if it came after the question (Tasker can deliver late)
+    await env.DB.prepare('DELETE FROM awaiting_replies WHERE contact = ? AND asked_at <= ?')
+      .bind(contact, item.createdAt).run();
+    return;
+  }
+  // A follow-up that isn't a question keeps waiting on the question
+  if (direction !== 'outgoing' || !isQuestion(item.input) || isTransactionalApp(app)) return;
+  if (await findExclusionRule({ message: item.input, app, contact, at: item.createdAt }, env)) return;
+
+  // Still waiting on an earlier question - the silence runs from that one
+  const joined = await env.DB.prepare('UPDATE awaiting_replies SET item_id = ? WHERE contact = ?')
+    .bind(item.id, contact).run();
+  if (joined.meta.changes > 0) return;
+
+  const waitHours = getReplyWaitHours(await getReplyStats(contact, env));
+  await env.DB.prepare(
+    `INSERT INTO awaiting_replies (contact, item_id, app, asked_at, check_after, wait_hours)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(contact) DO UPDATE SET item_id = excluded.item_id`
+  ).bind(
+    contact, item.id, app || null, item.createdAt,
+    new Date(new Date(item.createdAt).getTime() + waitHours * 3600000).toISOString(), waitHours
+  ).run();
+}
+
+/**
+ * Move waits from the signals:awaiting-reply KV blob (where they were kept
+ * before awaiting_replies) into D1, once
+ */
+async function importLegacyAwaitingReplies(env) {
+  const legacy = await env.BRAIN_KV.get('signals:awaiting-reply', 'json');
+  if (!legacy) return;
+
+  const insert = env.DB.prepare(
+    `INSERT OR IGNORE INTO awaiting_replies (contact, item_id, app, asked_at, check_after, wait_hours)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  );
+  const entries = Object.values(legacy);
+  if (entries.length > 0) {
+    await env.DB.batch(entries.map(a => insert.bind(a.contact, a.itemId, a.app || null, a.askedAt, a.checkAfter, a.waitHours)));
+  }
+  await env.BRAIN_KV.delete('signals:awaiting-reply');
+}
+
+/**
+ * Scheduled re-check: questions whose wait is over and still have no reply in
+ * D1 are flagged for signal analysis, with the silence noted on the item
+ */
+async function checkUnansweredQuestions(env, now = new Date()) {
+  await importLegacyAwaitingReplies(env);
+
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM awaiting_replies WHERE check_after <= ? ORDER BY check_after'
+  ).bind(now.toISOString()).all();
+  const due = results.map(awaitingReplyFromRow);
+  if (due.length === 0) return { checked: 0, flagged: 0 };
+
+  let flagged = 0;
+  for (const entry of due) {
+    // Only the wait that was read: a question since then would have kept it (same asked_at)
+    await env.DB.prepare('DELETE FROM awaiting_replies WHERE contact = ? AND asked_at = ?')
+      .bind(entry.contact, entry.askedAt).run();
+
+    const reply = await env.DB.prepare(
+      `SELECT id FROM items WHERE contact = ? AND direction = 'incoming' AND created_at > ? LIMIT 1`
+    ).bind(entry.contact, entry.askedAt).first();
+    if (reply) continue;
+
+    const item = await getItem(entry.itemId, env);
+    if (!item || item.unanswered) continue;
+
+    // The silence is a feature; the model decides whether it's worth a reading
+    const flagging = await scoreSignalFlag(item.input, item.structured.direction, item.structured.app, entry.contact, env, { unanswered: true, at: item.createdAt });
+    if (!flagging.flag) continue;
+
+    const stats = await getReplyStats(entry.contact, env, now);
+    const unanswered = {
+      hoursSilent: Math.round((now - new Date(entry.askedAt)) / 360000) / 10,
+      waitHours: entry.waitHours,
+      medianReplyHours: stats.medianReplyHours,
+      confirmedAt: now.toISOString()
+    };
+    const flaggedItem = { ...item, needsSignalAnalysis: true, unanswered, signalFlag: describeSignalFlag(flagging) };
+    await saveItem(flaggedItem, env);
+    // Its session (long since quiet) is read again with the silence in mind
+    await addToSignalSession(flaggedItem, env, { counted: true });
+    flagged++;
+  }
+
+  console.log(`Unanswered questions: ${due.length} checked, ${flagged} flagged`);
+  return { checked: due.length, flagged };
+}
+
+/**
+ * CONVERSATION SESSIONS
+ * Comms with a contact are grouped into sessions: a burst of messages split
+ * from the next by CONFIG.signals.sessions.idleGapMinutes of quiet. A session's
+ * messages are simply that contact's comms between started_at and ended_at.
+ * Flagging (scoreSignalFlag) still looks at single messages, but it's the
+ * session a flagged message belongs to that gets read - once it has gone quiet,
+ * as a whole conversation - and that lands in the GET /signals queue.
+ *
+ * Session status: open (collecting messages, or waiting to be read),
+ * analysed, closed (went quiet with nothing flagged), failed.
+ */
+
+/**
+ * Add a comms item to its contact's session, starting one if there's none
+ * within the idle gap. A flagged item marks the session for reading; a session
+ * already read (but not yet reviewed) is reopened so it's read again with the
+ * new message. `counted: true` is for items already in the session (re-flags).
+ */
+async function addToSignalSession(item, env, { counted = false } = {}) {
+  const contact = item.structured?.contact;
+  if (!contact) return null;
+
+  const gapMs = CONFIG.signals.sessions.idleGapMinutes * 60000;
+  const at = new Date(item.createdAt).getTime();
+  const now = new Date().toISOString();
+
+  const session = await env.DB.prepare(
+    `SELECT * FROM signal_sessions
+     WHERE contact = ? AND started_at <= ? AND ended_at >= ?
+     ORDER BY ended_at DESC LIMIT 1`
+  ).bind(contact, new Date(at + gapMs).toISOString(), new Date(at - gapMs).toISOString()).first();
+
+  if (!session) {
+    const id = generateId();
+    await env.DB.prepare(
+      `INSERT INTO signal_sessions (id, contact, app, started_at, ended_at, message_count, last_item_id, status, flagged, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, 1, ?, 'open', ?, ?, ?)`
+    ).bind(id, contact, item.structured.app || null, item.createdAt, item.createdAt, item.id, item.needsSignalAnalysis ? 1 : 0, now, now).run();
+    return id;
+  }
+
+  const flagged = session.flagged || item.needsSignalAnalysis;
+  const reopen = !session.reviewed && (
+    (session.status === 'analysed' && !counted) ||
+    (flagged && session.status !== 'open')
+  );
+  const isLatest = item.createdAt >= session.ended_at;
+
+  await env.DB.prepare(
+    `UPDATE signal_sessions SET
+       started_at = MIN(started_at, ?),
+       ended_at = MAX(ended_at, ?),
+       message_count = message_count + ?,
+       last_item_id = ?,
+       flagged = ?,
+       status = ?,
+       attempts = ?,
+       updated_at = ?
+     WHERE id = ?`
+  ).bind(
+    item.createdAt,
+    item.createdAt,
+    counted ? 0 : 1,
+    isLatest ? item.id : session.last_item_id,
+    flagged ? 1 : 0,
+    reopen ? 'open' : session.status,
+    reopen ? 0 : session.attempts,
+    now,
+    session.id
+  ).run();
+  return session.id;
+}
+
+/**
+ * A session's messages, oldest first (the last CONFIG.signals.sessions.maxMessages)
+ */
+async function getSignalSessionMessages(session, env) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items
+     WHERE type = 'comms' AND contact = ? AND created_at >= ? AND created_at <= ?
+     ORDER BY created_at DESC LIMIT ?`
+  ).bind(session.contact, session.started_at, session.ended_at, CONFIG.signals.sessions.maxMessages).all();
+  return results.map(rowToItem).reverse();
+}
+
+/**
+ * Read a whole session: dynamics, a summary, open loops and a suggested reply
+ */
+async function analyzeSignalSession(session, env) {
+  const messages = await getSignalSessionMessages(session, env);
+  if (messages.length === 0) return null;
+  const contact = session.contact;
+
+  const transcript = messages.map(m =>
+    `[${getDateInTimezone(m.createdAt)} ${formatDateInTimezone(m.createdAt, 'time')}] ${m.structured?.direction === 'outgoing' ? 'YOU' : contact.toUpperCase()} via ${m.structured?.app || 'unknown'}: ${m.input}`
+  ).join('\n');
+
+  // Why it was flagged, and any question that went unanswered
+  const flaggedBy = messages.filter(m => m.signalFlag).map(m => ({
+    itemId: m.id,
+    features: m.signalFlag.contributions.filter(c => c.weight > 0).map(c => c.feature)
+  }));
+  const unanswered = messages.filter(m => m.unanswered).pop()?.unanswered || null;
+
+  // Earlier sessions with this contact, for context carry-over
+  const { results: earlier } = await env.DB.prepare(
+    `SELECT started_at, analysis FROM signal_sessions
+     WHERE contact = ? AND status = 'analysed' AND ended_at < ?
+     ORDER BY ended_at DESC LIMIT 3`
+  ).bind(contact, session.started_at).all();
+  const history = earlier.reverse().map(row => {
+    const previous = JSON.parse(row.analysis);
+    return `[${getDateInTimezone(row.started_at)}] ${previous.summary || previous.keyDynamic}`;
+  }).join('\n');
+
+  // Get calibration notes
+  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+  const calibrationNotes = claudeNotes.notes
+    .filter(n => n.category === 'signal-calibration')
+    .map(n => n.content)
+    .join('\n');
+
+  const analysisPrompt = `You are analyzing a captured conversation for subtext and dynamics. This is part of a signal reading system to help the user recognize patterns they might miss.
+
+CONVERSATION WITH ${contact} (${messages.length} message${messages.length === 1 ? '' : 's'}, oldest first):
+${transcript}
+
+FLAGGED BECAUSE:
+${flaggedBy.length > 0 ? flaggedBy.map(f => `- ${f.features.join(', ') || 'flagged'}`).join('\n') : '(not recorded)'}
+${unanswered ? `
+NO REPLY YET: ${contact} hasn't replied to the user's last question in ${unanswered.hoursSilent} hours${unanswered.medianReplyHours !== null ? ` (they usually reply within ${unanswered.medianReplyHours} hours)` : ''}. Consider what the silence might mean, without assuming the worst.
+` : ''}
+EARLIER CONVERSATIONS WITH ${contact}:
+${history || '(none analysed yet)'}
+
+CALIBRATION NOTES (what you've learned about analysis accuracy):
+${calibrationNotes || '(none yet)'}
+
+Read the conversation as a whole and analyze it across these dimensions:
+
+1. **Signal vs Noise**: Was the user precise and context-aware, or vague and generic?
+2. **Dependency/Urgency Leak**: Does anything signal that stability depends on the outcome?
+3. **Status Calibration**: Over-explaining (insecurity) or under-explaining (assumes alignment)?
+4. **Purpose Clarity**: Was intent clear, or was this processing out loud?
+5. **Constraint Awareness**: Did the user show understanding of the other person's constraints?
+6. **What Wasn't Said**: What got avoided or talked around?
+7. **Power Direction**: Who adjusted to whom? Who set the frame?
+8. **Time Horizon Mismatch**: Different timescales at play?
+9. **Context Carry-Over**: How does history with this person affect subtext?
+10. **What Worked**: What landed as intended?
+
+Respond with JSON only:
+{
+  "summary": "Two or three sentences on what this conversation was about and where it was left",
+  "openLoops": ["Questions not answered, commitments made, things left hanging - by either side"],
+  "suggestedReply": "A short message the user could send next, in their voice (or null if nothing's needed)",
+  "contextType": "professional-ambiguous|operational-clear|personal-close|transactional",
+  "keyDynamic": "One sentence summary of the core dynamic",
+  "possibleSubtext": "One sentence about what might be happening beneath the surface",
+  "whatWorked": "One sentence about what was effective (or null if nothing notable)",
+  "patternNote": "Connection to recurring themes (or null)",
+  "action": "review|noted|calibration-needed",
+  "detailedAnalysis": {
+    "signalVsNoise": "Brief assessment",
+    "dependencyLeak": "Brief assessment",
+    "statusCalibration": "Brief assessment",
+    "purposeClarity": "Brief assessment",
+    "constraintAwareness": "Brief assessment",
+    "whatWasntSaid": "Brief assessment",
+    "powerDirection": "Brief assessment",
+    "timeHorizonMismatch": "Brief assessment",
+    "contextCarryOver": "Brief assessment",
+    "whatWorked": "Brief assessment"
+  },
+  "blindSpots": ["Patterns the user might be missing"],
+  "questions": ["Curious questions that might spark reflection"]
+}
+
+CRITICAL: Be honest and insightful, not validating. Focus on what's interesting, not what's flattering. Use the calibration notes to adjust your analysis.`;
+
+  try {
+    const { text } = await callLLM('signal', { messages: [{ role: 'user', content: analysisPrompt }] }, env);
+
+    const { value: analysis, error } = extractJsonObject(text);
+    if (error || !analysis || typeof analysis !== 'object' || Array.isArray(analysis)) {
+      console.error('Signal analysis unreadable:', error || 'not a JSON object');
+      return null;
+    }
+
+    // Add metadata
+    analysis.analyzedAt = new Date().toISOString();
+    analysis.sessionId = session.id;
+    analysis.contact = contact;
+    analysis.messageCount = messages.length;
+    analysis.flaggedBy = flaggedBy;
+    analysis.unanswered = !!unanswered;
+    if (!Array.isArray(analysis.openLoops)) analysis.openLoops = [];
+
+    return analysis;
+  } catch (error) {
+    console.error('Signal analysis error:', error);
+    return null;
+  }
+}
+
+/**
+ * Queue priority for a read session (higher = more important)
+ */
+function getSignalSessionPriority(session, analysis) {
+  let priority = 0;
+
+  // Recent conversations get higher priority
+  const ageHours = (Date.now() - new Date(session.ended_at).getTime()) / (1000 * 60 * 60);
+  priority += Math.max(0, 48 - ageHours); // Newer = higher score
+
+  // Action type affects priority
+  if (analysis.action === 'calibration-needed') priority += 20;
+  if (analysis.action === 'review') priority += 10;
+
+  // Professional-ambiguous contexts get higher priority
+  if (analysis.contextType === 'professional-ambiguous') priority += 15;
+
+  // A question that's gone unanswered is already a day or more old
+  if (analysis.unanswered) priority += 10;
+
+  // Something still hanging is worth coming back to
+  if (analysis.openLoops.length > 0) priority += 5;
+
+  return priority;
+}
+
+/**
+ * Scheduled: read sessions that have gone quiet and were flagged; close the
+ * rest. Up to CONFIG.signals.sessions.analysePerRun model calls per run.
+ */
+async function processSignalSessions(env, now = new Date()) {
+  const { idleGapMinutes, analysePerRun, maxAttempts } = CONFIG.signals.sessions;
+  const quietSince = new Date(now.getTime() - idleGapMinutes * 60000).toISOString();
+
+  // Quiet sessions with nothing flagged are done
+  await env.DB.prepare(
+    `UPDATE signal_sessions SET status = 'closed', updated_at = ?
+     WHERE status = 'open' AND flagged = 0 AND ended_at <= ?`
+  ).bind(now.toISOString(), quietSince).run();
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM signal_sessions
+     WHERE status = 'open' AND flagged = 1 AND ended_at <= ?
+     ORDER BY ended_at ASC LIMIT ?`
+  ).bind(quietSince, analysePerRun).all();
+
+  let analysed = 0;
+  for (const session of results) {
+    const analysis = await analyzeSignalSession(session, env);
+
+    if (!analysis) {
+      const attempts = session.attempts + 1;
+      await env.DB.prepare(
+        'UPDATE signal_sessions SET attempts = ?, status = ?, updated_at = ? WHERE id = ?'
+      ).bind(attempts, attempts >= maxAttempts ? 'failed' : 'open', new Date().toISOString(), session.id).run();
+      console.log('Failed to analyze signal session:', session.id);
+      continue;
+    }
+
+    const priority = getSignalSessionPriority(session, analysis);
+    // Only if nothing was added while it was being read - otherwise the next run reads it again
+    const { meta } = await env.DB.prepare(
+      `UPDATE signal_sessions SET status = 'analysed', analysis = ?, priority = ?, attempts = 0, updated_at = ?
+       WHERE id = ? AND ended_at = ? AND status = 'open'`
+    ).bind(JSON.stringify(analysis), priority, new Date().toISOString(), session.id, session.ended_at).run();
+    if (!meta.changes) continue;
+
+    analysed++;
+    console.log(`Signal session ${session.id} with ${session.contact} analysed (priority: ${priority})`);
+
+    // Readings that need calibration are worth a (quiet-hours aware) heads-up
+    if (analysis.action === 'calibration-needed') {
+      await notify({
+        category: 'signal',
+        title: `🔍 Signal: ${session.contact}`,
+        body: `${analysis.keyDynamic || ''}\n${analysis.possibleSubtext || ''}`.trim(),
+        priority: 'default',
+        tags: ['mag'],
+        actions: [
+          await buildNotificationAction('open', session.last_item_id, env),
+          await buildNotificationAction('not-signal', session.last_item_id, env)
+        ]
+      }, env);
+    }
+  }
+
+  return { analysed };
+}
+
+/**
+ * API shape for a session row (messages only when asked for)
+ */
+function signalSessionFromRow(row, messages = null) {
+  const session = {
+    id: row.id,
+    contact: row.contact,
+    app: row.app,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    messageCount: row.message_count,
+    itemId: row.last_item_id, // latest message - what notification buttons point at
+    status: row.status,
+    priority: row.priority,
+    reviewed: !!row.reviewed,
+    analysis: row.analysis ? JSON.parse(row.analysis) : null
+  };
+  if (messages) session.messages = messages;
+  return session;
+}
+
+/**
+ * Read sessions, highest priority first
+ */
+async function getSignalQueue(env, { reviewed = null, limit = 20, withMessages = false } = {}) {
+  let sql = `SELECT * FROM signal_sessions WHERE status = 'analysed'`;
+  const params = [];
+  if (reviewed !== null) {
+    sql += ' AND reviewed = ?';
+    params.push(reviewed ? 1 : 0);
+  }
+  sql += ' ORDER BY priority DESC LIMIT ?';
+  params.push(limit);
+
+  const { results } = await env.DB.prepare(sql).bind(...params).all();
+  if (!withMessages) return results.map(row => signalSessionFromRow(row));
+  return Promise.all(results.map(async row => signalSessionFromRow(row, await getSignalSessionMessages(row, env))));
+}
+
+/**
+ * The session a signal id refers to: a session id, or (for notification
+ * buttons) any message in the session
+ */
+async function findSignalSession(id, env) {
+  const session = await env.DB.prepare('SELECT * FROM signal_sessions WHERE id = ?').bind(id).first();
+  if (session) return session;
+
+  const item = await getItem(id, env);
+  if (!item?.structured?.contact) return null;
+  return env.DB.prepare(
+    `SELECT * FROM signal_sessions
+     WHERE contact = ? AND started_at <= ? AND ended_at >= ?
+     ORDER BY ended_at DESC LIMIT 1`
+  ).bind(item.structured.contact, item.createdAt, item.createdAt).first();
+}
+
+/**
+ * Get signal readings queue: read conversation sessions with their messages
+ */
+async function handleGetSignals(url, env) {
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
+  const reviewedFilter = url.searchParams.get('reviewed'); // 'true', 'false', or null (all)
+
+  const reviewed = reviewedFilter === 'true' ? true : reviewedFilter === 'false' ? false : null;
+
+  // Top N by priority, with full analysis and messages
+  const [signals, counts, awaiting] = await Promise.all([
+    getSignalQueue(env, { reviewed, limit, withMessages: true }),
+    env.DB.prepare(
+      `SELECT SUM(status = 'analysed') AS analysed,
+              SUM(status = 'open' AND flagged = 1) AS waiting,
+              SUM(status = 'open') AS open
+       FROM signal_sessions`
+    ).first(),
+    env.DB.prepare('SELECT * FROM awaiting_replies ORDER BY check_after').all()
+  ]);
+
+  return jsonResponse({
+    signals: signals,
+    count: signals.length,
+    totalInQueue: counts.analysed || 0,
+    // Flagged conversations that haven't gone quiet yet (read once they have)
+    pendingSessions: counts.waiting || 0,
+    openSessions: counts.open || 0,
+    // Questions still inside their reply window, soonest check first
+    awaitingReply: awaiting.results.map(awaitingReplyFromRow)
+  });
+}
+
+/**
+ * Add feedback to signal analysis
+ */
+async function handleSignalFeedback(id, request, env) {
+  const body = await request.json();
+  const { accurate, userRead, corrections } = body;
+
+  // A session id, or a message in one (notification buttons); older readings are per message
+  const session = await findSignalSession(id, env);
+  const legacy = session?.analysis ? null
+    : await env.DB.prepare('SELECT analysis FROM signals WHERE item_id = ?').bind(id).first();
+  const analysis = session?.analysis ? JSON.parse(session.analysis)
+    : legacy ? JSON.parse(legacy.analysis) : null;
+  if (!analysis) {
+    return jsonResponse({ error: 'Signal analysis not found' }, 404);
+  }
+
+  // Add feedback
+  analysis.feedback = {
+    accurate: accurate, // 'yes', 'partially', 'no'
+    userRead: userRead, // User's own interpretation
+    corrections: corrections, // What was wrong
+    feedbackAt: new Date().toISOString()
+  };
+
+  // Save updated analysis and mark as reviewed in queue
+  if (session?.analysis) {
+    await env.DB.prepare(
+      'UPDATE signal_sessions SET analysis = ?, reviewed = 1, updated_at = ? WHERE id = ?'
+    ).bind(JSON.stringify(analysis), new Date().toISOString(), session.id).run();
+  } else {
+    await env.DB.prepare(
+      'UPDATE signals SET analysis = ?, reviewed = 1 WHERE item_id = ?'
+    ).bind(JSON.stringify(analysis), id).run();
+  }
+
+  // Add calibration note if there were corrections
+  if (corrections && (accurate === 'partially' || accurate === 'no')) {
+    const calibrationNote = `Signal analysis calibration: ${corrections}`;
+
+    const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
+    claudeNotes.notes.push({
+      id: generateId(),
+      content: calibrationNote,
+      category: 'signal-calibration',
+      createdAt: new Date().toISOString(),
+      expiresAt: null // Never expire calibration notes
+    });
+
+    if (claudeNotes.notes.length > 50) {
+      claudeNotes.notes = claudeNotes.notes.slice(-50);
+    }
+
+    claudeNotes.lastUpdated = new Date().toISOString();
+    await env.BRAIN_KV.put('claude:notes', JSON.stringify(claudeNotes));
+  }
+
+  // The rating is also a training label for the flagging model
+  try {
+    await retrainSignalModel(env);
+  } catch (error) {
+    console.error('Signal model retraining failed:', error);
+  }
+
+  return jsonResponse({
+    success: true,
+    message: 'Feedback recorded',
+    analysis: analysis
+  });
+}
+
+/**
+ * EXCLUSION RULES
+ * Rules (KV signal-exclusions) that keep messages out of signal analysis. A
+ * rule matches when all of its conditions do: contact (exact, wildcard with * and
+ * ?, or regex - all case-insensitive), app, any of its keywords, a local
+ * time-of-day window. Rules with expiresAt are temporary mutes.
+ * 'exclude' rules stop flagging and reply tracking; 'block' rules also stop
+ * POST /comms storing the message at all (messages already stored stay).
+ */
+
+const EXCLUSION_ACTIONS = ['exclude', 'block'];
+const EXCLUSION_CONTACT_MATCHES = ['exact', 'wildcard', 'regex'];
+
+/**
+ * Stored rules. Lists from before rules ({ contacts, apps } of exact names)
+ * read as one rule per name, and are saved as rules on the next change.
+ */
+async function getExclusionRules(env) {
+  const stored = await env.BRAIN_KV.get('signal-exclusions', 'json');
+  if (!stored) return { rules: [], updatedAt: null };
+  if (Array.isArray(stored.rules)) return stored;
+
+  const createdAt = stored.updatedAt || null;
+  return {
+    rules: [
+      ...(stored.contacts || []).map((contact, i) => ({ id: `legacy-contact-${i}`, action: 'exclude', contact, contactMatch: 'exact', createdAt })),
+      ...(stored.apps || []).map((app, i) => ({ id: `legacy-app-${i}`, action: 'exclude', app, createdAt }))
+    ],
+    updatedAt: stored.updatedAt || null
+  };
+}
+
+/**
+ * Save rules, dropping mutes that have run out
+ */
+async function saveExclusionRules(rules, env) {
+  const now = new Date().toISOString();
+  const updated = { rules: rules.filter(rule => !rule.expiresAt || rule.expiresAt > now), updatedAt: now };
+  await env.BRAIN_KV.put('signal-exclusions', JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * Case-insensitive whole-name pattern from a wildcard (* any run, ? one character)
+ */
+function wildcardToRegExp(pattern) {
+  const escape = text => text.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${pattern.split('*').map(part => part.split('?').map(escape).join('.')).join('.*')}$`, 'i');
+}
+
+/**
+ * Whether an instant falls in a local HH:MM-HH:MM window (one that ends
+ * earlier than it starts runs past midnight)
+ */
+function isInExclusionWindow(window, at) {
+  const toMinutes = time => +time.slice(0, 2) * 60 + +time.slice(3);
+  const { minutes } = getLocalClock(at);
+  const from = toMinutes(window.from);
+  const to = toMinutes(window.to);
+  return from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+}
+
+/**
+ * Whether a rule covers a message ({ message, app, contact, at: Date })
+ */
+function exclusionRuleMatches(rule, { message, app, contact, at }) {
+  if (rule.expiresAt && new Date(rule.expiresAt) <= at) return false;
+
+  if (rule.contact) {
+    const name = String(contact || '');
+    const matches = rule.contactMatch === 'regex' ? new RegExp(rule.contact, 'i').test(name)
+      : rule.contactMatch === 'wildcard' ? wildcardToRegExp(rule.contact).test(name)
+        : name.toLowerCase() === rule.contact.toLowerCase();
+    if (!matches) return false;
+  }
+  if (rule.app && String(app || '').toLowerCase() !== rule.app.toLowerCase()) return false;
+  if (rule.keywords?.length > 0) {
+    const text = String(message || '').toLowerCase();
+    if (!rule.keywords.some(keyword => text.includes(keyword.toLowerCase()))) return false;
+  }
+  if (rule.window && !isInExclusionWindow(rule.window, at)) return false;
+
+  return true;
+}
+
+/**
+ * The rule a message falls under, if any - a block rule ahead of an exclude one
+ */
+async function findExclusionRule({ message = '', app, contact, at = null }, env) {
+  const { rules } = await getExclusionRules(env);
+  const when = at ? new Date(at) : new Date();
+  const matching = rules.filter(rule => exclusionRuleMatches(rule, { message, app, contact, at: isNaN(when) ? new Date() : when }));
+  return matching.find(rule => rule.action === 'block') || matching[0] || null;
+}
+
+/**
+ * Validate a rule from a request body, over an existing rule for updates
+ * (a field set to null clears it). Returns { rule } or { error }.
+ */
+function buildExclusionRule(body, existing = {}) {
+  const rule = { ...existing };
+  const has = field => field in body;
+  const text = value => typeof value === 'string' ? value.trim() : '';
+
+  // The original body shape: { type: 'contact' | 'app', value }
+  if (has('type') && has('value')) {
+    if (!['contact', 'app'].includes(body.type)) return { error: 'Invalid type (must be contact or app)' };
+    if (!text(body.value)) return { error: 'Missing type or value' };
+    body = { [body.type]: body.value, ...(body.type === 'contact' ? { contactMatch: 'exact' } : {}) };
+  }
+
+  if (has('action') || !rule.action) {
+    rule.action = body.action ?? 'exclude';
+    if (!EXCLUSION_ACTIONS.includes(rule.action)) return { error: `action must be one of: ${EXCLUSION_ACTIONS.join(', ')}` };
+  }
+
+  if (has('contact')) {
+    rule.contact = body.contact === null ? null : text(body.contact);
+    if (rule.contact === '' || rule.contact?.length > 200) return { error: 'contact must be 1-200 characters (or null)' };
+  }
+  if (has('contactMatch') || (has('contact') && rule.contact && !rule.contactMatch)) {
+    rule.contactMatch = body.contactMatch ?? (rule.contact?.includes('*') ? 'wildcard' : 'exact');
+  }
+  if (rule.contact) {
+    if (!EXCLUSION_CONTACT_MATCHES.includes(rule.contactMatch)) {
+      return { error: `contactMatch must be one of: ${EXCLUSION_CONTACT_MATCHES.join(', ')}` };
+    }
+    if (rule.contactMatch === 'regex') {
+      try {
+        new RegExp(rule.contact, 'i');
+      } catch (error) {
+        return { error: `Invalid contact regex: ${error.message}` };
+      }
+    }
+  } else {
+    delete rule.contactMatch;
+  }
+
+  if (has('app')) {
+    rule.app = body.app === null ? null : text(body.app).toLowerCase();
+    if (rule.app === '') return { error: 'app must be a name (or null)' };
+  }
+
+  if (has('keywords')) {
+    const keywords = body.keywords === null ? [] : body.keywords;
+    if (!Array.isArray(keywords) || keywords.length > 20 || !keywords.every(k => text(k) && k.length <= 100)) {
+      return { error: 'keywords must be a list of up to 20 words or phrases' };
+    }
+    rule.keywords = [...new Set(keywords.map(k => text(k).toLowerCase()))];
+  }
+
+  if (has('window')) {
+    const window = body.window;
+    if (window !== null && (!SCHEDULE_TIME_PATTERN.test(window?.from) || !SCHEDULE_TIME_PATTERN.test(window?.to) || window.from === window.to)) {
+      return { error: 'window must be { from, to } as different local HH:MM times (or null)' };
+    }
+    rule.window = window === null ? null : { from: window.from, to: window.to };
+  }
+
+  // A mute: either muteFor ("7d", "12h") from now, or an expiresAt date
+  if (has('muteFor')) {
+    const ms = parseDurationMs(body.muteFor);
+    if (!ms) return { error: 'Invalid muteFor (use e.g. 30m, 12h, 7d, 2w)' };
+    rule.expiresAt = new Date(Date.now() + ms).toISOString();
+  } else if (has('expiresAt')) {
+    const expiresAt = body.expiresAt === null ? null : new Date(body.expiresAt);
+    if (expiresAt && (isNaN(expiresAt) || expiresAt <= new Date())) return { error: 'expiresAt must be a future date (or null)' };
+    rule.expiresAt = expiresAt ? expiresAt.toISOString() : null;
+  }
+
+  if (has('note')) {
+    rule.note = body.note === null ? null : text(body.note).substring(0, 200) || null;
+  }
+
+  if (!rule.contact && !rule.app && !rule.keywords?.length && !rule.window) {
+    return { error: 'A rule needs at least one of contact, app, keywords or window' };
+  }
+  return { rule };
+}
+
+/**
+ * API shape: a rule plus whether it's in force
+ */
+function exclusionRuleForResponse(rule) {
+  return { ...rule, active: !rule.expiresAt || new Date(rule.expiresAt) > new Date() };
+}
+
+/**
+ * GET /signal-exclusions - rules, including mutes that have run out but aren't pruned yet
+ */
+async function handleGetExclusions(env) {
+  const { rules, updatedAt } = await getExclusionRules(env);
+  return jsonResponse({ rules: rules.map(exclusionRuleForResponse), updatedAt });
+}
+
+/**
+ * POST /signal-exclusions - add a rule
+ */
+async function handleAddExclusion(request, env) {
+  const body = await request.json();
+  const { rule, error } = buildExclusionRule(body);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  const { rules } = await getExclusionRules(env);
+  if (rules.length >= CONFIG.signals.maxExclusionRules) {
+    return jsonResponse({ error: `Too many rules (max ${CONFIG.signals.maxExclusionRules})` }, 400);
+  }
+
+  const now = new Date().toISOString();
+  const created = { id: generateId(), ...rule, createdAt: now, updatedAt: now };
+  const updated = await saveExclusionRules([...rules, created], env);
+
+  return jsonResponse({
+    success: true,
+    rule: exclusionRuleForResponse(created),
+    rules: updated.rules.map(exclusionRuleForResponse)
+  });
+}
+
+/**
+ * PATCH /signal-exclusions/:id - change a rule (null clears a condition)
+ */
+async function handleUpdateExclusion(id, request, env) {
+  const body = await request.json();
+  const { rules } = await getExclusionRules(env);
+  const index = rules.findIndex(rule => rule.id === id);
+  if (index === -1) {
+    return jsonResponse({ error: 'Rule not found' }, 404);
+  }
+
+  const { rule, error } = buildExclusionRule(body, rules[index]);
+  if (error) {
+    return jsonResponse({ error }, 400);
+  }
+
+  rules[index] = { ...rule, updatedAt: new Date().toISOString() };
+  await saveExclusionRules(rules, env);
+
+  return jsonResponse({ success: true, rule: exclusionRuleForResponse(rules[index]) });
+}
+
+/**
+ * DELETE /signal-exclusions/:id
+ */
+async function handleDeleteExclusion(id, env) {
+  const { rules } = await getExclusionRules(env);
+  if (!rules.some(rule => rule.id === id)) {
+    return jsonResponse({ error: 'Rule not found' }, 404);
+  }
+
+  await saveExclusionRules(rules.filter(rule => rule.id !== id), env);
+  return jsonResponse({ success: true, message: 'Rule deleted' });
+}
+
+/**
+ * CONTACTS MODULE
+ * Relationship views over comms and email history, one per contact (the
+ * contact column on items): how much you talk, who starts conversations, how
+ * quickly each side replies, which apps, and how signal readings about them
+ * have gone. Everything is worked out from D1 on request.
+ */
+
+/**
+ * Where volume is heading: last 30 days against the 30 before
+ */
+function getContactTrend(recent, previous) {
+  if (recent === 0 && previous === 0) return 'quiet';
+  if (previous === 0) return 'new';
+  if (recent >= previous * 1.5) return 'up';
+  if (recent <= previous / 1.5) return 'down';
+  return 'steady';
+}
+
+/**
+ * Conversations in a contact's messages (oldest first): a new one starts after
+ * CONFIG.contacts.conversationGapHours of quiet. Returns who started each.
+ */
+function countConversations(messages) {
+  const gapMs = CONFIG.contacts.conversationGapHours * 3600000;
+  const started = { me: 0, them: 0 };
+  let lastAt = null;
+
+  for (const m of messages) {
+    const at = new Date(m.createdAt).getTime();
+    if (lastAt === null || at - lastAt > gapMs) {
+      started[m.structured.direction === 'outgoing' ? 'me' : 'them']++;
+    }
+    lastAt = at;
+  }
+
+  const total = started.me + started.them;
+  return {
+    total,
+    startedByMe: started.me,
+    startedByThem: started.them,
+    initiationRatio: total > 0 ? Math.round((started.me / total) * 100) / 100 : null
+  };
+}
+
+/**
+ * Messages per week (per month for ranges over 26 weeks), zero-filled
+ */
+function bucketContactVolume(messages, from, to) {
+  const bucket = addDaysToDateString(from, 26 * 7) < to ? 'month' : 'week';
+  const periodOf = date => bucket === 'week' ? getWeekStart(date) : date.substring(0, 7);
+  const nextPeriod = period => bucket === 'week'
+    ? addDaysToDateString(period, 7)
+    : addDaysToDateString(`${period}-01`, 32).substring(0, 7);
+
+  const series = new Map();
+  for (let period = periodOf(from); period <= periodOf(to); period = nextPeriod(period)) {
+    series.set(period, { period, incoming: 0, outgoing: 0 });
+  }
+  for (const m of messages) {
+    const entry = series.get(periodOf(getDateInTimezone(m.createdAt)));
+    if (entry) entry[m.structured.direction]++;
+  }
+
+  return { bucket, series: [...series.values()] };
+}
+
+/**
+ * The knowledge-graph person a contact is, by exact alias (no new aliases written)
+ */
+async function findContactPerson(contact, env) {
+  const identity = parseContactIdentity(contact);
+  if (!identity) return null;
+
+  const aliases = [identity.email, identity.phone, identity.name && normalizeEntityName(identity.name)].filter(Boolean);
+  for (const alias of aliases) {
+    const row = await env.DB.prepare(
+      `SELECT entities.id, entities.name FROM entity_aliases
+       JOIN entities ON entities.id = entity_aliases.entity_id
+       WHERE entity_aliases.kind = 'person' AND entity_aliases.alias = ?`
+    ).bind(alias).first();
+    if (row) return { id: row.id, name: row.name };
+  }
+  return null;
+}
+
+/**
+ * GET /contacts - everyone you've exchanged messages with, most recent first
+ * (query: q, limit, offset)
+ */
+async function handleListContacts(url, env) {
+  const q = (url.searchParams.get('q') || '').trim();
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '50'), 1), 200);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0'), 0);
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  const recentSince = new Date(Date.now() - 30 * dayMs).toISOString();
+  const previousSince = new Date(Date.now() - 60 * dayMs).toISOString();
+
+  let where = `WHERE contact IS NOT NULL AND direction IN ('incoming', 'outgoing') AND LOWER(contact) != 'unknown'`;
+  const params = [];
+  if (q) {
+    where += ' AND contact LIKE ?';
+    params.push(`%${q}%`);
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT contact,
+            COUNT(*) AS messages,
+            SUM(direction = 'incoming') AS incoming,
+            SUM(direction = 'outgoing') AS outgoing,
+            SUM(created_at >= ?) AS recent,
+            SUM(created_at >= ? AND created_at < ?) AS previous,
+            MIN(created_at) AS first_at,
+            MAX(created_at) AS last_at,
+            GROUP_CONCAT(DISTINCT json_extract(structured, '$.app')) AS apps,
+            (SELECT COUNT(*) FROM signal_sessions WHERE signal_sessions.contact = items.contact AND status = 'analysed')
+              + (SELECT COUNT(*) FROM signals WHERE signals.contact = items.contact) AS signals
+     FROM items ${where}
+     GROUP BY contact
+     ORDER BY last_at DESC
+     LIMIT ? OFFSET ?`
+  ).bind(recentSince, previousSince, recentSince, ...params, limit + 1, offset).all();
+
+  const contacts = results.slice(0, limit).map(row => ({
+    contact: row.contact,
+    messages: row.messages,
+    incoming: row.incoming,
+    outgoing: row.outgoing,
+    last30Days: row.recent,
+    trend: getContactTrend(row.recent, row.previous),
+    firstAt: row.first_at,
+    lastAt: row.last_at,
+    apps: row.apps ? row.apps.split(',').filter(app => app !== 'null') : [],
+    signals: row.signals
+  }));
+
+  return jsonResponse({
+    contacts,
+    count: contacts.length,
+    nextOffset: results.length > limit ? offset + limit : null
+  });
+}
+
+/**
+ * GET /contacts/:contact - one relationship over time (query: days, default 180, max 730)
+ */
+async function handleGetContact(contact, url, env) {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '180'), 7), 730);
+  const to = getTodayInTimezone();
+  const from = addDaysToDateString(to, -(days - 1));
+  const { start } = getUtcBoundsForLocalDates(from, to);
+
+  const [messages, totals, signalRows, awaiting, person] = await Promise.all([
+    getContactMessages(contact, start, env, CONFIG.contacts.maxMessages),
+    env.DB.prepare(
+      `SELECT COUNT(*) AS messages, MIN(created_at) AS first_at, MAX(created_at) AS last_at
+       FROM items WHERE contact = ? AND direction IN ('incoming', 'outgoing')`
+    ).bind(contact).first(),
+    // Session readings, then the older per-message ones
+    env.DB.prepare(
+      `SELECT id AS session_id, last_item_id AS item_id, priority, reviewed, analysis, ended_at AS created_at,
+              message_count, json_extract(analysis, '$.unanswered') = 1 AS unanswered
+       FROM signal_sessions WHERE contact = ? AND status = 'analysed'
+       UNION ALL
+       SELECT NULL, signals.item_id, signals.priority, signals.reviewed, signals.analysis, signals.created_at,
+              1, json_extract(items.meta, '$.unanswered') IS NOT NULL
+       FROM signals LEFT JOIN items ON items.id = signals.item_id
+       WHERE signals.contact = ?
+       ORDER BY created_at DESC`
+    ).bind(contact, contact).all(),
+    env.DB.prepare('SELECT * FROM awaiting_replies WHERE contact = ?').bind(contact).first(),
+    findContactPerson(contact, env)
+  ]);
+
+  if (!totals.messages) {
+    return jsonResponse({ error: 'No messages with this contact' }, 404);
+  }
+
+  const apps = {};
+  for (const m of messages) {
+    const app = m.structured.app || 'unknown';
+    apps[app] = (apps[app] || 0) + 1;
+  }
+
+  const { hours } = measureReplies(messages);
+
+  const readings = signalRows.results.map(row => {
+    const analysis = JSON.parse(row.analysis);
+    return {
+      id: row.session_id || row.item_id, // what POST /signals/:id/feedback takes
+      sessionId: row.session_id,
+      itemId: row.item_id,
+      createdAt: row.created_at,
+      messageCount: row.message_count,
+      summary: analysis.summary || null,
+      priority: row.priority,
+      reviewed: !!row.reviewed,
+      action: analysis.action || null,
+      contextType: analysis.contextType || null,
+      keyDynamic: analysis.keyDynamic || null,
+      unanswered: !!row.unanswered,
+      accurate: analysis.feedback?.accurate || null
+    };
+  });
+  const rated = readings.filter(r => r.accurate);
+  const ratedAs = value => rated.filter(r => r.accurate === value).length;
+
+  return jsonResponse({
+    contact,
+    person,
+    range: { from, to, days, truncated: messages.length >= CONFIG.contacts.maxMessages },
+    totals: {
+      messages: totals.messages,
+      firstAt: totals.first_at,
+      lastAt: totals.last_at,
+      inRange: messages.length,
+      incoming: messages.filter(m => m.structured.direction === 'incoming').length,
+      outgoing: messages.filter(m => m.structured.direction === 'outgoing').length
+    },
+    volume: bucketContactVolume(messages, from, to),
+    conversations: countConversations(messages),
+    replyLatency: {
+      theirs: summarizeReplyHours(hours.them),
+      mine: summarizeReplyHours(hours.me)
+    },
+    apps: Object.entries(apps).map(([app, count]) => ({ app, count })).sort((a, b) => b.count - a.count),
+    awaitingReply: awaiting ? awaitingReplyFromRow(awaiting) : null,
+    signals: {
+      total: readings.length,
+      unreviewed: readings.filter(r => !r.reviewed).length,
+      feedback: {
+        rated: rated.length,
+        yes: ratedAs('yes'),
+        partially: ratedAs('partially'),
+        no: ratedAs('no'),
+        // partially counts as half right
+        accuracy: rated.length > 0 ? Math.round(((ratedAs('yes') + ratedAs('partially') / 2) / rated.length) * 100) / 100 : null
+      },
+      readings: readings.slice(0, 50)
+    }
+  });
+}
+
+/**
+ * KNOWLEDGE GRAPH MODULE
+ * People and projects resolved across captures, comms, email and YouTube items.
+ * Indexing an item links it to the entities it's about (mentions for people,
+ * belongs-to for projects) and adds a followed-up-by edge from the previous
+ * item about the same entity. Compatible names are merged ("Hemi", "Hemi T",
+ * "Hemi Tane") and email addresses and phone numbers become aliases of the
+ * person they were first seen with. Tables are in schema.sql.
+ */
+
+// Edge from an item to each kind of entity
+const ENTITY_RELATIONS = { person: 'mentions', project: 'belongs-to' };
+
+// Items in these states stay out of the graph until they're filed
+const GRAPH_SKIPPED_STATUSES = ['needs-review', 'deleted'];
+
+// Contact placeholders from Tasker/Gmail, and senders that are never a person
+const UNKNOWN_CONTACTS = new Set(['', 'unknown', 'me', 'unknown sender']);
+const AUTOMATED_SENDER_PATTERN = /^(no-?reply|do-?not-?reply|notifications?|mailer-daemon|bounces?)([+._-]|$)/;
+
+/**
+ * Lower case, no accents or punctuation - the form aliases are stored in
+ */
+function normalizeEntityName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Project names also drop a leading "the" and a trailing "project"
+ */
+function normalizeProjectName(name) {
+  return normalizeEntityName(name).replace(/^the /, '').replace(/ project$/, '');
+}
+
+/**
+ * Split a contact string into the parts entities are matched on:
+ * '"Hemi Tane" <hemi@x.nz>' -> { name, email }, '+64 21 555 1234' -> { phone }.
+ * Null for placeholders and automated senders.
+ */
+function parseContactIdentity(contact) {
+  const label = String(contact || '').trim();
+  if (UNKNOWN_CONTACTS.has(label.toLowerCase())) return null;
+
+  const angle = label.match(/^"?([^"<]*?)"?\s*<([^<>\s]+@[^<>\s]+)>$/);
+  const bareEmail = /^[^\s@<>]+@[^\s@<>]+$/.test(label) ? label : null;
+  if (angle || bareEmail) {
+    const email = (angle ? angle[2] : bareEmail).toLowerCase();
+    if (AUTOMATED_SENDER_PATTERN.test(email.split('@')[0])) return null;
+    return { name: (angle && angle[1].trim()) || nameFromEmail(email), email, label };
+  }
+
+  const digits = label.replace(/\D/g, '');
+  if (/^\+?[\d\s().-]+$/.test(label) && digits.length >= 6) {
+    return { name: null, phone: digits, label };
+  }
+
+  return { name: label, label };
+}
+
+/**
+ * "hemi.tane@x.nz" -> "Hemi Tane". Null when the address doesn't spell out a
+ * name (a single word is as likely a handle as a first name)
+ */
+function nameFromEmail(email) {
+  const parts = email.split('@')[0].replace(/\+.*$/, '').split(/[._-]+/).filter(Boolean);
+  if (parts.length < 2 || parts[0].length < 2 || !parts.every(part => /^[a-z]+$/.test(part))) return null;
+  return parts.map(part => part.charAt(0).toUpperCase() + part.slice(1)).join(' ');
+}
+
+/**
+ * Same first name, and surnames that agree where both have one
+ * ("hemi" ~ "hemi tane", "hemi t" ~ "hemi tane", but not "hemi parata")
+ */
+function namesCompatible(a, b) {
+  const ta = a.split(' ');
+  const tb = b.split(' ');
+  if (ta[0] !== tb[0]) return false;
+  if (ta.length === 1 || tb.length === 1) return true;
+  const la = ta[ta.length - 1];
+  const lb = tb[tb.length - 1];
+  return la === lb || (la.length === 1 && lb.startsWith(la)) || (lb.length === 1 && la.startsWith(lb));
+}
+
+/**
+ * How complete a display name is: full words count most, addresses and numbers not at all
+ */
+function nameCompleteness(name) {
+  if (!name || name.includes('@') || /^\+?[\d\s().-]+$/.test(name)) return 0;
+  const tokens = normalizeEntityName(name).split(' ').filter(Boolean);
+  return tokens.filter(token => token.length > 1).length * 100 + tokens.length;
+}
+
+/**
+ * Find (or create) the entity for an identity. Exact aliases win, address and
+ * phone first; otherwise a person matches if the name is compatible with every
+ * name they're known by ("Hemi" matches Hemi Tane, "Hemi Parata" doesn't). When several
+ * people are compatible ("Hemi" with two Hemis on file) the most recently seen
+ * one is used but the ambiguous name isn't recorded as their alias.
+ */
+async function resolveEntity(kind, identity, seenAt, env, { create = true } = {}) {
+  const name = kind === 'project' ? normalizeProjectName(identity.name) : normalizeEntityName(identity.name);
+  const keys = [
+    identity.email && { alias: identity.email, type: 'email' },
+    identity.phone && { alias: identity.phone, type: 'phone' },
+    name && { alias: name, type: 'name' }
+  ].filter(Boolean);
+  if (keys.length === 0) return null;
+
+  let entityId = null;
+  for (const key of keys) {
+    const row = await env.DB.prepare(
+      'SELECT entity_id FROM entity_aliases WHERE kind = ? AND alias = ?'
+    ).bind(kind, key.alias).first();
+    if (row) {
+      entityId = row.entity_id;
+      break;
+    }
+  }
+
+  let claimName = true;
+  if (!entityId && name && kind === 'person') {
+    const first = name.split(' ')[0];
+    const { results } = await env.DB.prepare(
+      `SELECT entity_aliases.alias, entity_aliases.entity_id FROM entity_aliases
+       JOIN entities ON entities.id = entity_aliases.entity_id
+       WHERE entity_aliases.alias_type = 'name' AND entity_aliases.entity_id IN (
+         SELECT entity_id FROM entity_aliases
+         WHERE kind = 'person' AND alias_type = 'name' AND (alias = ? OR alias LIKE ?)
+       )
+       ORDER BY entities.last_seen_at DESC`
+    ).bind(first, `${first} %`).all();
+    const namesByEntity = new Map();
+    for (const row of results) {
+      if (!namesByEntity.has(row.entity_id)) namesByEntity.set(row.entity_id, []);
+      namesByEntity.get(row.entity_id).push(row.alias);
+    }
+    const candidates = [...namesByEntity]
+      .filter(([, names]) => names.every(known => namesCompatible(name, known)))
+      .map(([id]) => id);
+    if (candidates.length > 0) {
+      entityId = candidates[0];
+      claimName = candidates.length === 1;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const displayName = (kind === 'project'
+    ? String(identity.name).trim().replace(/^the\s+/i, '').replace(/\s+project$/i, '')
+    : (identity.name || identity.label || '').trim()).substring(0, 200);
+  let entity = entityId
+    ? await env.DB.prepare('SELECT * FROM entities WHERE id = ?').bind(entityId).first()
+    : null;
+  const statements = [];
+
+  if (!entity) {
+    if (!create) return null;
+    entity = { id: generateId(), kind, name: displayName, first_seen_at: seenAt, last_seen_at: seenAt };
+    statements.push(env.DB.prepare(
+      `INSERT INTO entities (id, kind, name, first_seen_at, last_seen_at, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(entity.id, kind, entity.name, seenAt, seenAt, now));
+  } else if (kind === 'person' && nameCompleteness(displayName) > nameCompleteness(entity.name) &&
+             (nameCompleteness(entity.name) === 0 ||
+              namesCompatible(normalizeEntityName(displayName), normalizeEntityName(entity.name)))) {
+    // "Hemi" becomes "Hemi Tane" once the full name turns up
+    entity.name = displayName;
+    statements.push(env.DB.prepare(
+      'UPDATE entities SET name = ?, updated_at = ? WHERE id = ?'
+    ).bind(displayName, now, entity.id));
+  }
+
+  for (const key of keys) {
+    if (key.type === 'name' && !claimName) continue;
+    statements.push(env.DB.prepare(
+      `INSERT OR IGNORE INTO entity_aliases (kind, alias, alias_type, entity_id, created_at)
+       VALUES (?, ?, ?, ?, ?)`
+    ).bind(kind, key.alias, key.type, entity.id, now));
+  }
+
+  await env.DB.batch(statements);
+  return entity;
+}
+
+/**
+ * Who and what an item names outright: the comms/email contact, a person
+ * capture's name, a project capture's project, and the people/projects the
+ * classifier picked out. YouTube channels only link to people already known.
+ */
+function collectEntityRefs(item) {
+  const refs = [];
+  const structured = item.structured || {};
+  const add = (kind, identity, create = true) => {
+    if (identity && (identity.name || identity.email || identity.phone)) refs.push({ kind, identity, create });
+  };
+
+  if (item.type === 'comms') add('person', parseContactIdentity(structured.contact));
+  if (item.type === 'person') add('person', parseContactIdentity(structured.name));
+  if (item.type === 'project') add('project', { name: structured.project });
+  if (item.type === 'youtube') add('person', parseContactIdentity(structured.channelTitle), false);
+
+  for (const name of item.entities?.people || []) add('person', parseContactIdentity(name));
+  for (const name of item.entities?.projects || []) add('project', { name });
+
+  return refs;
+}
+
+/**
+ * Known entities whose names appear in a piece of text. Single-word names
+ * have to be capitalised ("Will" the person, not "will"), and a name that only
+ * appears inside someone else's longer name ("Hemi" in "Hemi Parata") doesn't count.
+ */
+async function findMentionedEntities(text, env) {
+  const normalized = ` ${normalizeEntityName(text)} `;
+  if (normalized.trim() === '') return [];
+  const cased = ` ${String(text).normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9]+/g, ' ')} `;
+
+  const { results } = await env.DB.prepare(
+    "SELECT kind, alias, entity_id FROM entity_aliases WHERE alias_type = 'name' AND length(alias) >= 3"
+  ).all();
+
+  const occurrences = (haystack, alias) => haystack.split(` ${alias} `).length - 1;
+  const matches = results.filter(row => normalized.includes(` ${row.alias} `) &&
+    (row.alias.includes(' ') || cased.includes(` ${row.alias.charAt(0).toUpperCase()}${row.alias.slice(1)} `)));
+
+  const found = new Map();
+  for (const row of matches) {
+    const shadowed = matches.some(other => other.entity_id !== row.entity_id &&
+      other.alias.length > row.alias.length &&
+      ` ${other.alias} `.includes(` ${row.alias} `) &&
+      occurrences(normalized, row.alias) <= occurrences(normalized, other.alias));
+    if (!shadowed && !found.has(row.entity_id)) found.set(row.entity_id, row.kind);
+  }
+  return [...found].map(([entityId, kind]) => ({ entityId, kind }));
+}
+
+/**
+ * (Re)build an item's edges. Best effort: a failure is logged and never fails
+ * the capture or sync that triggered it. Returns the linked entity ids.
+ */
+async function indexItemInGraph(item, env) {
+  try {
+    await env.DB.prepare('DELETE FROM graph_edges WHERE item_id = ?').bind(item.id).run();
+    if (GRAPH_SKIPPED_STATUSES.includes(item.status)) return [];
+
+    const linked = new Map();
+    for (const ref of collectEntityRefs(item)) {
+      const entity = await resolveEntity(ref.kind, ref.identity, item.createdAt, env, { create: ref.create });
+      if (entity) linked.set(entity.id, ref.kind);
+    }
+    for (const { entityId, kind } of await findMentionedEntities(item.input, env)) {
+      if (!linked.has(entityId)) linked.set(entityId, kind);
+    }
+    if (linked.size === 0) return [];
+
+    const followUpSince = new Date(new Date(item.createdAt).getTime() - CONFIG.graph.followUpDays * 24 * 60 * 60 * 1000).toISOString();
+    const statements = [];
+    for (const [entityId, kind] of linked) {
+      const relation = ENTITY_RELATIONS[kind];
+      statements.push(env.DB.prepare(
+        `INSERT OR IGNORE INTO graph_edges (from_id, relation, to_id, item_id, created_at)
+         VALUES (?, ?, ?, ?, ?)`
+      ).bind(item.id, relation, entityId, item.id, item.createdAt));
+      statements.push(env.DB.prepare(
+        `UPDATE entities SET first_seen_at = MIN(first_seen_at, ?), last_seen_at = MAX(last_seen_at, ?)
+         WHERE id = ?`
+      ).bind(item.createdAt, item.createdAt, entityId));
+
+      // The thread with this person/project: the last item about them follows on to this one
+      const previous = await env.DB.prepare(
+        `SELECT graph_edges.from_id FROM graph_edges JOIN items ON items.id = graph_edges.from_id
+         WHERE graph_edges.to_id = ? AND graph_edges.relation = ?
+           AND items.created_at < ? AND items.created_at >= ?
+         ORDER BY items.created_at DESC LIMIT 1`
+      ).bind(entityId, relation, item.createdAt, followUpSince).first();
+      if (previous) {
+        statements.push(env.DB.prepare(
+          `INSERT OR IGNORE INTO graph_edges (from_id, relation, to_id, item_id, created_at)
+           VALUES (?, 'followed-up-by', ?, ?, ?)`
+        ).bind(previous.from_id, item.id, item.id, item.createdAt));
+      }
+    }
+
+    await env.DB.batch(statements);
+    return [...linked.keys()];
+  } catch (error) {
+    console.error('Graph indexing failed for item', item.id, error);
+    return [];
+  }
+}
+
+/**
+ * People/projects the classifier named, for item.entities (undefined when none)
+ */
+function entityHints(classification) {
+  const people = (classification.people || []).filter(name => typeof name === 'string' && name.trim());
+  const projects = (classification.projects || []).filter(name => typeof name === 'string' && name.trim());
+  if (people.length === 0 && projects.length === 0) return undefined;
+  return { people, projects };
+}
+
+/**
+ * An entity row in the API's shape, with its aliases and item count
+ */
+async function getEntityDetails(entity, env) {
+  const [aliases, count] = await Promise.all([
+    env.DB.prepare(
+      'SELECT alias, alias_type FROM entity_aliases WHERE entity_id = ? ORDER BY created_at'
+    ).bind(entity.id).all(),
+    env.DB.prepare(
+      "SELECT COUNT(*) AS count FROM graph_edges WHERE to_id = ? AND relation IN ('mentions', 'belongs-to')"
+    ).bind(entity.id).first()
+  ]);
+  return {
+    id: entity.id,
+    kind: entity.kind,
+    name: entity.name,
+    aliases: aliases.results.map(row => ({ alias: row.alias, type: row.alias_type })),
+    itemCount: count.count,
+    firstSeenAt: entity.first_seen_at,
+    lastSeenAt: entity.last_seen_at
+  };
+}
+
+/**
+ * Items about an entity, newest first, each with the ids of the items it
+ * follows up and is followed up by
+ */
+async function getEntityTimeline(entityId, env, { limit = CONFIG.graph.timelineLimit, offset = 0, type = null, status = null } = {}) {
+  const clauses = ['graph_edges.to_id = ?', "graph_edges.relation IN ('mentions', 'belongs-to')"];
+  const params = [entityId];
+  if (type) { clauses.push('items.type = ?'); params.push(type); }
+  if (status) { clauses.push('items.status = ?'); params.push(status); }
+
+  const { results } = await env.DB.prepare(
+    `SELECT items.* FROM graph_edges JOIN items ON items.id = graph_edges.from_id
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY items.created_at DESC, items.id DESC LIMIT ? OFFSET ?`
+  ).bind(...params, limit, offset).all();
+  const items = results.map(rowToItem);
+  if (items.length === 0) return items;
+
+  const ids = items.map(item => item.id);
+  const placeholders = ids.map(() => '?').join(', ');
+  const { results: edges } = await env.DB.prepare(
+    `SELECT from_id, to_id FROM graph_edges
+     WHERE relation = 'followed-up-by' AND (from_id IN (${placeholders}) OR to_id IN (${placeholders}))`
+  ).bind(...ids, ...ids).all();
+
+  for (const item of items) {
+    item.followsUp = edges.filter(edge => edge.to_id === item.id).map(edge => edge.from_id);
+    item.followedUpBy = edges.filter(edge => edge.from_id === item.id).map(edge => edge.to_id);
+  }
+  return items;
+}
+
+/**
+ * Entities of a kind that share items with this one, most shared first
+ */
+async function getRelatedEntities(entityId, kind, env, limit = 20) {
+  const { results } = await env.DB.prepare(
+    `SELECT entities.id, entities.name, COUNT(DISTINCT other.from_id) AS shared, MAX(other.created_at) AS last_shared_at
+     FROM graph_edges mine
+     JOIN graph_edges other ON other.from_id = mine.from_id AND other.to_id != mine.to_id
+       AND other.relation IN ('mentions', 'belongs-to')
+     JOIN entities ON entities.id = other.to_id
+     WHERE mine.to_id = ? AND mine.relation IN ('mentions', 'belongs-to') AND entities.kind = ?
+     GROUP BY entities.id, entities.name
+     ORDER BY shared DESC, last_shared_at DESC
+     LIMIT ?`
+  ).bind(entityId, kind, limit).all();
+  return results.map(row => ({ id: row.id, name: row.name, sharedItems: row.shared, lastSharedAt: row.last_shared_at }));
+}
+
+/**
+ * GET /people, GET /projects - entities of one kind, most recently seen first
+ * Query: q (matches any alias), limit
+ */
+async function handleListEntities(kind, url, env) {
+  const q = normalizeEntityName(url.searchParams.get('q') || '');
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+
+  const { results } = await env.DB.prepare(
+    `SELECT entities.*,
+       (SELECT COUNT(*) FROM graph_edges WHERE to_id = entities.id AND relation IN ('mentions', 'belongs-to')) AS item_count
+     FROM entities
+     WHERE kind = ?${q ? ' AND id IN (SELECT entity_id FROM entity_aliases WHERE alias LIKE ?)' : ''}
+     ORDER BY last_seen_at DESC LIMIT ?`
+  ).bind(...(q ? [kind, `%${q}%`, limit] : [kind, limit])).all();
+
+  const entities = results.map(row => ({
+    id: row.id,
+    name: row.name,
+    itemCount: row.item_count,
+    firstSeenAt: row.first_seen_at,
+    lastSeenAt: row.last_seen_at
+  }));
+  return jsonResponse({ [kind === 'person' ? 'people' : 'projects']: entities, count: entities.length });
+}
+
+/**
+ * GET /people/:id, GET /projects/:id - an entity, who/what it's connected to,
+ * its open todos and its timeline (query: limit, offset, type)
+ */
+async function handleGetEntity(kind, id, url, env) {
+  const entity = await env.DB.prepare('SELECT * FROM entities WHERE id = ? AND kind = ?').bind(id, kind).first();
+  if (!entity) {
+    return jsonResponse({ error: `${kind === 'person' ? 'Person' : 'Project'} not found` }, 404);
+  }
+
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || String(CONFIG.graph.timelineLimit)), 50);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0'), 0);
+  const type = url.searchParams.get('type') || null;
+
+  const [details, people, projects, openTodos, timeline] = await Promise.all([
+    getEntityDetails(entity, env),
+    getRelatedEntities(id, 'person', env),
+    getRelatedEntities(id, 'project', env),
+    getEntityTimeline(id, env, { type: 'todo', status: 'active', limit: 20 }),
+    getEntityTimeline(id, env, { limit, offset, type })
+  ]);
+
+  return jsonResponse({
+    [kind]: details,
+    people,
+    projects,
+    openTodos,
+    timeline,
+    count: timeline.length,
+    total: details.itemCount,
+    offset
+  });
+}
+
+/**
+ * POST /graph/merge - fold one entity into another when resolution kept them apart
+ * Body: { from, into, name? }
+ */
+async function handleMergeEntities(request, env) {
+  const body = await request.json();
+  const { from, into, name = null } = body;
+  if (!from || !into || from === into) {
+    return jsonResponse({ error: 'from and into must be two different entity ids' }, 400);
+  }
+
+  const [source, target] = await Promise.all([
+    env.DB.prepare('SELECT * FROM entities WHERE id = ?').bind(from).first(),
+    env.DB.prepare('SELECT * FROM entities WHERE id = ?').bind(into).first()
+  ]);
+  if (!source || !target) {
+    return jsonResponse({ error: 'Entity not found' }, 404);
+  }
+  if (source.kind !== target.kind) {
+    return jsonResponse({ error: `Can't merge a ${source.kind} into a ${target.kind}` }, 400);
+  }
+
+  const now = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare('UPDATE entity_aliases SET entity_id = ? WHERE entity_id = ?').bind(into, from),
+    // Items already linked to both keep their existing edge to `into`
+    env.DB.prepare('UPDATE OR IGNORE graph_edges SET to_id = ? WHERE to_id = ?').bind(into, from),
+    env.DB.prepare('DELETE FROM graph_edges WHERE to_id = ?').bind(from),
+    env.DB.prepare(
+      `UPDATE entities SET name = ?, first_seen_at = MIN(first_seen_at, ?), last_seen_at = MAX(last_seen_at, ?), updated_at = ?
+       WHERE id = ?`
+    ).bind(name || target.name, source.first_seen_at, source.last_seen_at, now, into),
+    env.DB.prepare('DELETE FROM entities WHERE id = ?').bind(from)
+  ]);
+
+  const merged = await env.DB.prepare('SELECT * FROM entities WHERE id = ?').bind(into).first();
+  return jsonResponse({
+    success: true,
+    [merged.kind]: await getEntityDetails(merged, env),
+    message: `Merged ${source.name} into ${merged.name}`
+  });
+}
+
+/**
+ * POST /graph/reindex - build the graph for existing items, oldest first so
+ * follow-up edges come out in order. Body: { offset, batchSize }; call again
+ * with `next` until done.
+ */
+async function handleGraphReindex(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const offset = Math.max(parseInt(body.offset || '0'), 0);
+  const batchSize = Math.min(Math.max(parseInt(body.batchSize || '50'), 1), 200);
+
+  const [items, total] = await Promise.all([
+    queryItems(env, { order: 'ASC', limit: batchSize, offset }),
+    countItems(env)
+  ]);
+
+  let linked = 0;
+  for (const item of items) {
+    if ((await indexItemInGraph(item, env)).length > 0) linked++;
+  }
+
+  const nextOffset = offset + items.length;
+  const done = nextOffset >= total;
+  return jsonResponse({
+    success: true,
+    indexed: items.length,
+    linked,
+    total,
+    next: done ? null : { offset: nextOffset },
+    done
+  });
+}
+
+/**
+ * People and projects for prompts: anyone named in `text` with their recent
+ * timeline, then whoever else has been active in the last few days.
+ * Empty string when the graph has nothing to say.
+ */
+async function getGraphContext(env, { text = '' } = {}) {
+  const since = new Date(Date.now() - CONFIG.graph.activeDays * 24 * 60 * 60 * 1000).toISOString();
+  const [mentioned, active] = await Promise.all([
+    text ? findMentionedEntities(text, env) : [],
+    env.DB.prepare(
+      `SELECT entities.id, COUNT(*) AS recent
+       FROM entities JOIN graph_edges ON graph_edges.to_id = entities.id
+       WHERE graph_edges.relation IN ('mentions', 'belongs-to') AND graph_edges.created_at >= ?
+       GROUP BY entities.id
+       ORDER BY recent DESC, entities.last_seen_at DESC
+       LIMIT ?`
+    ).bind(since, CONFIG.graph.promptEntities).all().then(r => r.results)
+  ]);
+
+  const mentionedIds = mentioned.map(m => m.entityId).slice(0, CONFIG.graph.promptEntities);
+  const ids = [...new Set([...mentionedIds, ...active.map(row => row.id)])];
+  if (ids.length === 0) return '';
+
+  const blocks = [];
+  for (const id of ids) {
+    const entity = await env.DB.prepare('SELECT * FROM entities WHERE id = ?').bind(id).first();
+    if (!entity) continue;
+    const isMentioned = mentionedIds.includes(id);
+    const [details, people, projects, openTodos, timeline] = await Promise.all([
+      getEntityDetails(entity, env),
+      getRelatedEntities(id, 'person', env, 5),
+      getRelatedEntities(id, 'project', env, 5),
+      getEntityTimeline(id, env, { type: 'todo', status: 'active', limit: 5 }),
+      getEntityTimeline(id, env, { limit: isMentioned ? CONFIG.graph.promptTimelineItems : 2 })
+    ]);
+
+    const lines = [`${details.name} (${entity.kind}) - ${details.itemCount} items, last seen ${getDateInTimezone(details.lastSeenAt)}`];
+    const otherNames = details.aliases.filter(a => a.type !== 'name' || a.alias !== normalizeEntityName(details.name)).map(a => a.alias);
+    if (otherNames.length > 0) lines.push(`  also known as: ${otherNames.slice(0, 5).join(', ')}`);
+    if (people.length > 0) lines.push(`  people: ${people.map(p => p.name).join(', ')}`);
+    if (projects.length > 0) lines.push(`  projects: ${projects.map(p => p.name).join(', ')}`);
+    if (openTodos.length > 0) lines.push(`  open todos: ${openTodos.map(t => t.structured?.task || t.input).join('; ')}`);
+    for (const item of timeline) {
+      const direction = item.structured?.direction ? ` ${item.structured.direction}` : '';
+      const text = item.input.length > 160 ? item.input.substring(0, 160) + '...' : item.input;
+      lines.push(`  [${getDateInTimezone(item.createdAt)}] ${item.type}${direction}: ${text.replace(/\s+/g, ' ')}`);
+    }
+    blocks.push(lines.join('\n'));
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * SCHEDULER MODULE
+ * The worker has a single 15-minute cron (see wrangler.toml). Each run works
+ * out, in CONFIG.timezone, which jobs are due and runs them - so a 4am briefing
+ * stays at 4am local time through daylight-saving changes, whatever the UTC
+ * offset is.
+ *
+ * - Daily jobs (briefing, reviews, analysis) run at local times of day. Each
+ *   time is a slot identified by local date + time ("2026-10-19T04:00") and
+ *   runs at most once, on the first cron run at or after it. A slot that's
+ *   missed by more than CONFIG.scheduler.catchUpMinutes is skipped; a failed
+ *   slot is retried until CONFIG.scheduler.maxAttempts. So is one whose run
+ *   never finished (still 'running' after CONFIG.scheduler.staleRunMinutes).
+ * - Interval jobs (reminders, embeddings) run every N minutes and keep no state:
+ *   their work is idempotent in D1.
+ *
+ * Times come from CONFIG.schedule, overridden by POST /schedule (KV
+ * schedule:settings). Each job's last slot is in scheduler:job:<name> and every
+ * daily-job run (and interval-job failure) is logged in scheduler:runs:<local date>.
+ * Two overlapping cron runs could both claim a slot (KV isn't transactional),
+ * which is why wrangler.toml has just the one cron.
+ */
+
+const SCHEDULED_JOBS = {
+  // First, so the jobs after it read a complete D1
+  migration: {
+    description: 'Copy items from the old KV store into D1 until it has all of them',
+    run: env => continueKvToD1Migration(env, CONFIG.migration.batchesPerRun)
+  },
+  reminders: {
+    description: 'Push due todo/calendar reminders',
+    run: env => processDueReminders(env)
+  },
+  briefing: {
+    description: 'Morning briefing',
+    run: runMorningBriefingJob
+  },
+  reviews: {
+    description: 'Weekly and monthly reviews, when a week or month has finished',
+    run: env => generateDueReviews(env)
+  },
+  analysis: {
+    description: 'Analysis of new captures and budget alerts',
+    run: runAnalysisJob
+  },
+  replies: {
+    description: 'Flag outgoing questions that have gone unanswered',
+    run: (env, now) => checkUnansweredQuestions(env, now)
+  },
+  sessions: {
+    description: 'Read flagged conversation sessions once they have gone quiet',
+    run: (env, now) => processSignalSessions(env, now)
+  },
+  embeddings: {
+    description: 'Embed new items for chat retrieval (no-op without EMBEDDING_PROVIDER)',
+    run: env => embedPendingItems(env)
+  }
+};
+
+const SCHEDULE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const SCHEDULER_RUN_RETENTION_DAYS = 60;
+
+/**
+ * Effective schedule: CONFIG.schedule with the stored overrides on top
+ */
+async function getSchedule(env) {
+  const stored = await env.BRAIN_KV.get('schedule:settings', 'json') || {};
+  const schedule = {};
+  for (const [name, defaults] of Object.entries(CONFIG.schedule)) {
+    schedule[name] = { enabled: true, ...defaults, ...(stored.jobs?.[name] || {}) };
+  }
+  return schedule;
+}
+
+/**
+ * Local date and minutes past local midnight for an instant
+ */
+function getLocalClock(date) {
+  const localMs = date.getTime() + getTimezoneOffsetMs(date);
+  const local = new Date(localMs);
+  return {
+    date: local.toISOString().split('T')[0],
+    minutes: local.getUTCHours() * 60 + local.getUTCMinutes()
+  };
+}
+
+/**
+ * The slot a daily job should be running for at `now`: the latest of its local
+ * times (today or yesterday) that has passed within the catch-up window
+ */
+function getDueSlot(times, now) {
+  const today = getLocalClock(now).date;
+  const catchUpMs = CONFIG.scheduler.catchUpMinutes * 60 * 1000;
+  let due = null;
+
+  for (const date of [addDaysToDateString(today, -1), today]) {
+    for (const time of times) {
+      const at = zonedTimeToUtc(date, time);
+      const late = now - at;
+      if (late < 0 || late > catchUpMs) continue;
+      if (!due || at > due.at) due = { slot: `${date}T${time}`, at };
+    }
+  }
+  return due;
+}
+
+/**
+ * Next local time a daily job will run, for GET /schedule
+ */
+function getNextSlot(times, now) {
+  const today = getLocalClock(now).date;
+  let next = null;
+  for (const date of [today, addDaysToDateString(today, 1)]) {
+    for (const time of times) {
+      const at = zonedTimeToUtc(date, time);
+      if (at > now && (!next || at < next.at)) next = { slot: `${date}T${time}`, at };
+    }
+  }
+  return next ? { slot: next.slot, at: next.at.toISOString() } : null;
+}
+
+/**
+ * Append a run to that local day's history
+ */
+async function recordSchedulerRun(run, env) {
+  const date = run.slot ? run.slot.substring(0, 10) : getTodayInTimezone();
+  const key = `scheduler:runs:${date}`;
+  const day = await env.BRAIN_KV.get(key, 'json') || { date, runs: [] };
+  day.runs.push(run);
+  await env.BRAIN_KV.put(key, JSON.stringify(day), { expirationTtl: SCHEDULER_RUN_RETENTION_DAYS * 24 * 60 * 60 });
+}
+
+/**
+ * Run one job, catching and logging its error. Returns { status, error?, durationMs }.
+ */
+async function runScheduledJob(name, env, now) {
+  const startedAt = Date.now();
+  try {
+    await SCHEDULED_JOBS[name].run(env, now);
+    return { status: 'done', durationMs: Date.now() - startedAt };
+  } catch (error) {
+    console.error(`Scheduled job ${name} failed:`, error);
+    return { status: 'error', error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+/**
+ * Run everything that's due at `now` (the cron's scheduled time)
+ */
+async function runScheduler(env, now = new Date()) {
+  const schedule = await getSchedule(env);
+  const clock = getLocalClock(now);
+  const results = [];
+
+  for (const name of Object.keys(SCHEDULED_JOBS)) {
+    const job = schedule[name];
+    if (!job || !job.enabled) continue;
+
+    if (job.everyMinutes) {
+      // Runs on the cron run that starts each interval, counted from local midnight
+      if (clock.minutes % job.everyMinutes >= CONFIG.scheduler.cronMinutes) continue;
+      const result = await runScheduledJob(name, env, now);
+      if (result.status === 'error') {
+        await recordSchedulerRun({ job: name, slot: null, startedAt: now.toISOString(), ...result }, env);
+      }
+      results.push({ job: name, ...result });
+      continue;
+    }
+
+    const due = getDueSlot(job.times || [], now);
+    if (!due) continue;
+
+    const stateKey = `scheduler:job:${name}`;
+    let state = await env.BRAIN_KV.get(stateKey, 'json') || {};
+    if (state.slot === due.slot && state.status === 'running' &&
+        Date.now() - Date.parse(state.startedAt) > CONFIG.scheduler.staleRunMinutes * 60 * 1000) {
+      // The run that claimed the slot was killed before it could record anything
+      state = { ...state, job: name, finishedAt: null, attempt: state.attempts, status: 'error', error: 'Run did not finish' };
+      await env.BRAIN_KV.put(stateKey, JSON.stringify(state));
+      const { attempts, ...run } = state;
+      await recordSchedulerRun(run, env);
+    }
+    const attempts = state.slot === due.slot ? state.attempts || 0 : 0;
+    if (state.slot === due.slot && (state.status !== 'error' || attempts >= CONFIG.scheduler.maxAttempts)) {
+      continue; // done, running, or out of attempts
+    }
+
+    // Claim the slot before running so the next cron run doesn't start it again
+    const startedAt = new Date().toISOString();
+    await env.BRAIN_KV.put(stateKey, JSON.stringify({ slot: due.slot, status: 'running', attempts: attempts + 1, startedAt }));
+
+    const result = await runScheduledJob(name, env, now);
+    const run = { job: name, slot: due.slot, startedAt, finishedAt: new Date().toISOString(), attempt: attempts + 1, ...result };
+    await env.BRAIN_KV.put(stateKey, JSON.stringify({ slot: due.slot, attempts: attempts + 1, ...run }));
+    await recordSchedulerRun(run, env);
+    results.push(run);
+  }
+
+  return results;
+}
+
+/**
+ * Morning briefing: generate, store for the dashboard, send. Falls back to a
+ * plain ping (once a day) if generation fails, then fails the run so the
+ * scheduler tries again.
+ */
+async function runMorningBriefingJob(env) {
+  try {
+    const briefing = await generateMorningBriefing(env);
+
+    // Save full briefing to KV storage for dashboard
+    const briefingRecord = {
+      timestamp: new Date().toISOString(),
+      date: getTodayInTimezone(), // Use timezone-aware date
+      briefing: briefing
+    };
+    await env.BRAIN_KV.put('briefing:latest', JSON.stringify(briefingRecord));
+
+    // Also save with date key for history
+    const dateKey = `briefing:${briefingRecord.date}`;
+    await env.BRAIN_KV.put(dateKey, JSON.stringify(briefingRecord));
+
+    const actionTargets = await getBriefingActionTargets(env).catch(() => ({}));
+    await sendMorningBriefing(briefing, env, actionTargets);
+    console.log('Morning briefing generated, saved, and sent');
+  } catch (error) {
+    console.error('Failed to generate morning briefing:', error);
+    // Fallback to simple ping if briefing generation fails - not again on the retry
+    const pingKey = `briefing:ping:${getTodayInTimezone()}`;
+    if (!await env.BRAIN_KV.get(pingKey)) {
+      await env.BRAIN_KV.put(pingKey, new Date().toISOString(), { expirationTtl: 2 * 24 * 60 * 60 });
+      await sendMorningBriefingPing(env);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Budget alerts, then analysis if anything was captured since the last one
+ */
+async function runAnalysisJob(env) {
+  try {
+    await checkBudgetAlerts(env);
+  } catch (error) {
+    console.error('Budget alert check failed:', error);
+  }
+
+  const lastAnalysis = await env.BRAIN_KV.get('analysis:latest', 'json');
+  const lastAnalysisTime = lastAnalysis ? new Date(lastAnalysis.timestamp) : new Date(0);
+
+  // Check if there are items created since last analysis
+  const newItem = await env.DB.prepare(
+    'SELECT id FROM items WHERE created_at > ? LIMIT 1'
+  ).bind(lastAnalysisTime.toISOString()).first();
+
+  if (!newItem && lastAnalysis) {
+    console.log('No new items since last analysis, skipping');
+    return;
+  }
+
+  const result = await runAnalysis(env, true); // true = can send notifications
+  if (!result.analyzed && /^Model API error/.test(result.reason || '')) {
+    throw new Error(result.reason); // worth another attempt
+  }
+}
+
+/**
+ * GET /schedule - each job's times, next run and last run
+ */
+async function handleGetSchedule(env) {
+  const schedule = await getSchedule(env);
+  const now = new Date();
+  const stored = await env.BRAIN_KV.get('schedule:settings', 'json');
+
+  const jobs = {};
+  for (const [name, job] of Object.entries(schedule)) {
+    const last = job.everyMinutes ? null : await env.BRAIN_KV.get(`scheduler:job:${name}`, 'json');
+    jobs[name] = {
+      description: SCHEDULED_JOBS[name].description,
+      ...job,
+      next: !job.enabled ? null
+        : job.everyMinutes ? { everyMinutes: job.everyMinutes }
+        : getNextSlot(job.times, now),
+      last
+    };
+  }
+
+  return jsonResponse({
+    timezone: CONFIG.timezone,
+    now: `${getTodayInTimezone()}T${formatDateInTimezone(now.toISOString(), 'time')}`,
+    jobs,
+    defaults: CONFIG.schedule,
+    updatedAt: stored?.updatedAt || null
+  });
+}
+
+/**
+ * POST /schedule - change jobs' local times ({ jobs: { briefing: { times: ['05:30'] },
+ * reminders: { everyMinutes: 30 }, analysis: { enabled: false } } }); null resets a job
+ */
+async function handleSaveSchedule(request, env) {
+  const body = await request.json();
+  if (!body.jobs || typeof body.jobs !== 'object') {
+    return jsonResponse({ error: 'jobs is required' }, 400);
+  }
+
+  const stored = await env.BRAIN_KV.get('schedule:settings', 'json') || {};
+  const jobs = { ...(stored.jobs || {}) };
+
+  for (const [name, change] of Object.entries(body.jobs)) {
+    const defaults = CONFIG.schedule[name];
+    if (!defaults) {
+      return jsonResponse({ error: `Unknown job: ${name} (jobs: ${Object.keys(CONFIG.schedule).join(', ')})` }, 400);
+    }
+    if (change === null) {
+      delete jobs[name];
+      continue;
+    }
+
+    const next = { ...(jobs[name] || {}) };
+    if ('enabled' in change) {
+      if (typeof change.enabled !== 'boolean') return jsonResponse({ error: `${name}.enabled must be true or false` }, 400);
+      next.enabled = change.enabled;
+    }
+    if ('times' in change) {
+      if (defaults.everyMinutes) return jsonResponse({ error: `${name} runs on an interval - set everyMinutes` }, 400);
+      const times = Array.isArray(change.times) ? [...new Set(change.times)].sort() : null;
+      if (!times || times.length === 0 || times.length > 24 || !times.every(t => SCHEDULE_TIME_PATTERN.test(t))) {
+        return jsonResponse({ error: `${name}.times must be 1-24 local times as HH:MM` }, 400);
+      }
+      next.times = times;
+    }
+    if ('everyMinutes' in change) {
+      if (!defaults.everyMinutes) return jsonResponse({ error: `${name} runs at set times - set times` }, 400);
+      const minutes = change.everyMinutes;
+      if (!Number.isInteger(minutes) || minutes < CONFIG.scheduler.cronMinutes || minutes > 1440 || minutes % CONFIG.scheduler.cronMinutes !== 0) {
+        return jsonResponse({ error: `${name}.everyMinutes must be a multiple of ${CONFIG.scheduler.cronMinutes} up to 1440` }, 400);
+      }
+      next.everyMinutes = minutes;
+    }
+    jobs[name] = next;
+  }
+
+  const updated = { jobs, updatedAt: new Date().toISOString() };
+  await env.BRAIN_KV.put('schedule:settings', JSON.stringify(updated));
+
+  return jsonResponse({ success: true, schedule: await getSchedule(env), updatedAt: updated.updatedAt });
+}
+
+/**
+ * GET /schedule/runs - run history, newest day first (query: days, default 7, max 60)
+ */
+async function handleGetSchedulerRuns(url, env) {
+  const days = Math.min(Math.max(parseInt(url.searchParams.get('days') || '7'), 1), SCHEDULER_RUN_RETENTION_DAYS);
+  const today = getTodayInTimezone();
+  const dates = [];
+  for (let i = 0; i < days; i++) dates.push(addDaysToDateString(today, -i));
+
+  const records = await Promise.all(dates.map(date => env.BRAIN_KV.get(`scheduler:runs:${date}`, 'json')));
+  const history = records.filter(Boolean).map(day => ({ date: day.date, runs: [...day.runs].reverse() }));
+  return jsonResponse({ timezone: CONFIG.timezone, days: history });
+}
+
+/**
+ * REMINDERS MODULE
+ * Turns todo dueHint / calendar dateHint + timeHint into real timestamps in
+ * CONFIG.timezone, expands recurrence rules, and pushes due reminders to ntfy
+ * from the reminder cron. Schedules live in the `reminders` table.
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_PATTERN = '(sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|rsday|urday)?';
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12 };
+
+/**
+ * Weekday index (0 = Sunday) from a name or abbreviation
+ */
+function parseWeekday(name) {
+  const prefix = name.toLowerCase().substring(0, 3);
+  return WEEKDAYS.findIndex(d => d.startsWith(prefix));
+}
+
+/**
+ * Weekday index (0 = Sunday) of a YYYY-MM-DD date
+ */
+function getWeekdayOfDateString(dateStr) {
+  const [y, m, d] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay();
+}
+
+/**
+ * Number of days in a month (month is 1-12)
+ */
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Format year/month/day as YYYY-MM-DD
+ */
+function toDateString(year, month, day) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a count like "3" or "three"
+ */
+function parseCount(word) {
+  return NUMBER_WORDS[word] || parseInt(word, 10) || null;
+}
+
+/**
+ * Parse a free-text date hint into YYYY-MM-DD (relative to `today`, a local date)
+ * Handles: ISO dates, d/m[/y], "15 March", "March 15th", today/tonight/tomorrow,
+ * "in 3 days", weekdays ("friday", "next tue"), "next week", "end of the month"
+ */
+function parseDateHint(hint, today = getTodayInTimezone()) {
+  if (!hint) return null;
+  const text = String(hint).toLowerCase();
+  const [thisYear] = today.split('-').map(Number);
+
+  let match = text.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  // NZ order: day/month[/year]
+  match = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (match) {
+    const day = +match[1];
+    const month = +match[2];
+    let year = match[3] ? +match[3] : thisYear;
+    if (year < 100) year += 2000;
+    if (month >= 1 && month <= 12 && day >= 1 && day <= getDaysInMonth(year, month)) {
+      const date = toDateString(year, month, day);
+      return !match[3] && date < today ? toDateString(year + 1, month, day) : date;
+    }
+  }
+
+  // "15 March", "15th of march 2027", "March 15", "mar 15th"
+  const monthPattern = '(jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*';
+  match = text.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?: of)? ${monthPattern}(?: (\\d{4}))?`))
+    || text.match(new RegExp(`\\b${monthPattern} (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?`));
+  if (match) {
+    const dayFirst = /^\d/.test(match[1]);
+    const day = +(dayFirst ? match[1] : match[2]);
+    const monthName = dayFirst ? match[2] : match[1];
+    const month = MONTHS.findIndex(m => m.startsWith(monthName.substring(0, 3))) + 1;
+    const explicitYear = match[3] ? +match[3] : null;
+    const year = explicitYear || thisYear;
+    if (month >= 1 && day >= 1 && day <= getDaysInMonth(year, month)) {
+      const date = toDateString(year, month, day);
+      return !explicitYear && date < today ? toDateString(year + 1, month, day) : date;
+    }
+  }
+
+  if (/\bday after tomorrow\b/.test(text)) return addDaysToDateString(today, 2);
+  if (/\b(tomorrow|tmrw|tmr)\b/.test(text)) return addDaysToDateString(today, 1);
+  if (/\b(today|tonight|this (morning|afternoon|evening)|end of (the )?day|eod)\b/.test(text)) return today;
+
+  match = text.match(/\bin (\d+|a|an|one|two|three|four|five|six|seven|ten) (day|week|month)s?\b/);
+  if (match) {
+    const count = match[1] === 'a' || match[1] === 'an' ? 1 : parseCount(match[1]);
+    if (match[2] === 'day') return addDaysToDateString(today, count);
+    if (match[2] === 'week') return addDaysToDateString(today, count * 7);
+    const [y, m, d] = today.split('-').map(Number);
+    const target = new Date(Date.UTC(y, m - 1 + count, 1));
+    const day = Math.min(d, getDaysInMonth(target.getUTCFullYear(), target.getUTCMonth() + 1));
+    return toDateString(target.getUTCFullYear(), target.getUTCMonth() + 1, day);
+  }
+
+  match = text.match(new RegExp(`\\b(next |this |on )?${WEEKDAY_PATTERN}\\b`));
+  if (match) {
+    const target = parseWeekday(match[2]);
+    const current = getWeekdayOfDateString(today);
+    let diff = (target - current + 7) % 7;
+    if (match[1] === 'next ' && diff === 0) diff = 7;
+    return addDaysToDateString(today, diff);
+  }
+
+  if (/\bnext week\b/.test(text)) return addDaysToDateString(today, 7);
+  if (/\b(end of (the )?week|this weekend|weekend)\b/.test(text)) {
+    const friday = 5;
+    const diff = (friday - getWeekdayOfDateString(today) + 7) % 7;
+    return addDaysToDateString(today, /weekend/.test(text) ? diff + 1 : diff);
+  }
+  if (/\bend of (the )?month\b/.test(text)) {
+    const [y, m] = today.split('-').map(Number);
+    return toDateString(y, m, getDaysInMonth(y, m));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a free-text time hint into HH:MM (24h)
+ */
+function parseTimeHint(hint) {
+  if (!hint) return null;
+  const text = String(hint).toLowerCase();
+
+  let match = text.match(/\b(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)\b/);
+  if (match) {
+    let hour = +match[1] % 12;
+    if (match[3] === 'pm') hour += 12;
+    return `${String(hour).padStart(2, '0')}:${match[2] || '00'}`;
+  }
+
+  match = text.match(/\b([01]?\d|2[0-3]):([0-5]\d)\b/);
+  if (match) return `${match[1].padStart(2, '0')}:${match[2]}`;
+
+  if (/\b(noon|midday|lunch(time)?)\b/.test(text)) return '12:00';
+  if (/\bmidnight\b/.test(text)) return '00:00';
+  if (/\b(tonight|evening)\b/.test(text)) return '18:00';
+  if (/\bafternoon\b/.test(text)) return '14:00';
+  if (/\bmorning\b/.test(text)) return '09:00';
+
+  return null;
+}
+
+/**
+ * Parse a recurrence phrase into a rule:
+ * { freq: 'daily'|'weekly'|'monthly'|'yearly', interval, byWeekday?: [0-6], bySetPos?: 1-4|-1, byMonthDay?: 1-31 }
+ *
+ * "every second Tuesday" means fortnightly (NZ usage); "the second Tuesday of
+ * the month" / "every second Tuesday of the month" means monthly.
+ */
+function parseRecurrence(hint) {
+  if (!hint) return null;
+  const text = String(hint).toLowerCase();
+
+  // Nth weekday of the month
+  let match = text.match(new RegExp(`\\b(first|1st|second|2nd|third|3rd|fourth|4th|last) ${WEEKDAY_PATTERN} (?:of |in )?(?:the |each |every )month\\b`));
+  if (match) {
+    return { freq: 'monthly', interval: 1, byWeekday: [parseWeekday(match[2])], bySetPos: ORDINALS[match[1]] };
+  }
+
+  match = text.match(new RegExp(`\\bevery (other|second|2nd) ${WEEKDAY_PATTERN}\\b`));
+  if (match) {
+    return { freq: 'weekly', interval: 2, byWeekday: [parseWeekday(match[2])] };
+  }
+
+  if (/\bevery (week ?day|weekday)\b|\bweekdays\b/.test(text)) {
+    return { freq: 'weekly', interval: 1, byWeekday: [1, 2, 3, 4, 5] };
+  }
+
+  match = text.match(new RegExp(`\\b(?:every|each) (${WEEKDAY_PATTERN}(?:(?:,\\s*|\\s+and\\s+|\\s*&\\s*)${WEEKDAY_PATTERN})*)`));
+  if (match) {
+    const days = [...match[1].matchAll(new RegExp(WEEKDAY_PATTERN, 'g'))].map(m => parseWeekday(m[0]));
+    return { freq: 'weekly', interval: 1, byWeekday: [...new Set(days)].sort() };
+  }
+
+  match = text.match(/\bevery (\d+|two|three|four|five|six|seven|eight|nine|ten|twelve|other) (day|week|month|year)s?\b/);
+  if (match) {
+    const interval = match[1] === 'other' ? 2 : parseCount(match[1]);
+    return { freq: `${match[2] === 'day' ? 'dai' : match[2]}ly`, interval };
+  }
+
+  if (/\b(every fortnight|fortnightly)\b/.test(text)) return { freq: 'weekly', interval: 2 };
+  if (/\b(every ?day|daily|each day|every night|nightly)\b/.test(text)) return { freq: 'daily', interval: 1 };
+  if (/\b(every week|weekly|each week)\b/.test(text)) return { freq: 'weekly', interval: 1 };
+
+  match = text.match(/\b(?:every month|monthly|each month)(?: on the (\d{1,2})(?:st|nd|rd|th)?)?\b/)
+    || text.match(/\bon the (\d{1,2})(?:st|nd|rd|th)? of (?:every|each) month\b/);
+  if (match) {
+    const rule = { freq: 'monthly', interval: 1 };
+    if (match[1]) rule.byMonthDay = +match[1];
+    return rule;
+  }
+
+  if (/\b(every year|yearly|annually|each year)\b/.test(text)) return { freq: 'yearly', interval: 1 };
+
+  return null;
+}
+
+/**
+ * Date of the Nth (or last, n = -1) given weekday in a month
+ */
+function getNthWeekdayOfMonth(year, month, weekday, n) {
+  if (n === -1) {
+    const last = getDaysInMonth(year, month);
+    const lastWeekday = getWeekdayOfDateString(toDateString(year, month, last));
+    return toDateString(year, month, last - ((lastWeekday - weekday + 7) % 7));
+  }
+  const firstWeekday = getWeekdayOfDateString(toDateString(year, month, 1));
+  const day = 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7;
+  return day <= getDaysInMonth(year, month) ? toDateString(year, month, day) : null;
+}
+
+/**
+ * First occurrence of a rule on or after `after` (or strictly after, if `strict`),
+ * counting intervals from `anchor` (a YYYY-MM-DD local date)
+ */
+function getNextOccurrence(rule, anchor, after, strict = false) {
+  const isCandidate = date => (strict ? date > after : date >= after) && date >= anchor;
+  const interval = Math.max(rule.interval || 1, 1);
+  const [ay, am, ad] = anchor.split('-').map(Number);
+
+  // Bounded search - a rule that never matches (e.g. "5th Monday") gives up rather than spinning
+  for (let step = 0; step < 1000; step++) {
+    if (rule.freq === 'daily') {
+      const date = addDaysToDateString(anchor, step * interval);
+      if (isCandidate(date)) return date;
+    } else if (rule.freq === 'weekly') {
+      // Weeks start on the anchor's Monday so "every other Tuesday" stays in phase
+      const weekStart = addDaysToDateString(anchor, -((getWeekdayOfDateString(anchor) + 6) % 7) + step * interval * 7);
+      const days = rule.byWeekday && rule.byWeekday.length > 0 ? rule.byWeekday : [getWeekdayOfDateString(anchor)];
+      const dates = days.map(d => addDaysToDateString(weekStart, (d + 6) % 7)).sort();
+      const date = dates.find(isCandidate);
+      if (date) return date;
+    } else if (rule.freq === 'monthly') {
+      const target = new Date(Date.UTC(ay, am - 1 + step * interval, 1));
+      const year = target.getUTCFullYear();
+      const month = target.getUTCMonth() + 1;
+      let date;
+      if (rule.bySetPos && rule.byWeekday) {
+        date = getNthWeekdayOfMonth(year, month, rule.byWeekday[0], rule.bySetPos);
+      } else {
+        const day = Math.min(rule.byMonthDay || ad, getDaysInMonth(year, month));
+        date = toDateString(year, month, day);
+      }
+      if (date && isCandidate(date)) return date;
+    } else if (rule.freq === 'yearly') {
+      const year = ay + step * interval;
+      const date = toDateString(year, am, Math.min(ad, getDaysInMonth(year, am)));
+      if (isCandidate(date)) return date;
+    } else {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Work out a reminder schedule for a todo or calendar item (null if it has no usable date)
+ * Returns { dueAt, notifyAt, localDate, localTime, leadMinutes, allDay, recurrence }
+ */
+function computeReminderSchedule(item, now = new Date()) {
+  if (item.type !== 'todo' && item.type !== 'calendar') return null;
+
+  const s = item.structured || {};
+  const dateText = item.type === 'todo'
+    ? [s.dueDate, s.dueHint].filter(Boolean).join(' ')
+    : [s.date, s.dateHint].filter(Boolean).join(' ');
+  const timeText = [s.time, s.timeHint].filter(Boolean).join(' ');
+  const recurrenceText = [s.recurrence, s.dueHint, s.dateHint].filter(Boolean).join(' ');
+
+  const today = getDateInTimezone(now.toISOString());
+  const rule = parseRecurrence(recurrenceText);
+  let localDate = parseDateHint(dateText, today);
+
+  if (!localDate && !rule) return null;
+
+  const explicitTime = parseTimeHint(timeText) || parseTimeHint(dateText);
+  const localTime = explicitTime || CONFIG.defaultReminderTime;
+
+  if (rule) {
+    // Anchor on the hinted date (or today) and move to the first real occurrence
+    localDate = getNextOccurrence(rule, localDate || today, localDate || today);
+    if (!localDate) return null;
+  }
+
+  let dueAt = zonedTimeToUtc(localDate, localTime);
+
+  // Recurring reminders already past today roll forward to the next occurrence
+  if (rule && dueAt <= now) {
+    localDate = getNextOccurrence(rule, localDate, localDate, true);
+    if (!localDate) return null;
+    dueAt = zonedTimeToUtc(localDate, localTime);
+  }
+
+  // Calendar events with a time get a heads-up before they start
+  const leadMinutes = item.type === 'calendar' && explicitTime ? CONFIG.calendarReminderLeadMinutes : 0;
+
+  return {
+    dueAt: dueAt.toISOString(),
+    notifyAt: new Date(dueAt.getTime() - leadMinutes * 60 * 1000).toISOString(),
+    localDate,
+    localTime,
+    leadMinutes,
+    allDay: !explicitTime,
+    recurrence: rule ? { rule, text: s.recurrence || recurrenceText } : null
+  };
+}
+
+/**
+ * Create or replace the reminder for an item based on its hints
+ * Non-recurring reminders more than an hour in the past are skipped (e.g. "called mum yesterday")
+ */
+async function syncReminder(item, env) {
+  const schedule = computeReminderSchedule(item);
+
+  if (!schedule || (!schedule.recurrence && new Date(schedule.notifyAt).getTime() < Date.now() - 60 * 60 * 1000)) {
+    await env.DB.prepare('DELETE FROM reminders WHERE item_id = ?').bind(item.id).run();
+    return null;
+  }
+
+  await env.DB.prepare(
+    `INSERT INTO reminders (item_id, due_at, notify_at, local_time, lead_minutes, recurrence, status, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, 'scheduled', ?)
+     ON CONFLICT(item_id) DO UPDATE SET
+       due_at = excluded.due_at,
+       notify_at = excluded.notify_at,
+       local_time = excluded.local_time,
+       lead_minutes = excluded.lead_minutes,
+       recurrence = excluded.recurrence,
+       status = 'scheduled'`
+  ).bind(
+    item.id,
+    schedule.dueAt,
+    schedule.notifyAt,
+    schedule.localTime,
+    schedule.leadMinutes,
+    schedule.recurrence ? JSON.stringify(schedule.recurrence) : null,
+    new Date().toISOString()
+  ).run();
+
+  return schedule;
+}
+
+/**
+ * Get the reminder row for an item (null if none)
+ */
+async function getReminder(itemId, env) {
+  const row = await env.DB.prepare('SELECT * FROM reminders WHERE item_id = ?').bind(itemId).first();
+  return row ? reminderFromRow(row) : null;
+}
+
+/**
+ * Convert a reminders row into the API shape
+ */
+function reminderFromRow(row) {
+  return {
+    itemId: row.item_id,
+    dueAt: row.due_at,
+    notifyAt: row.notify_at,
+    localTime: row.local_time,
+    leadMinutes: row.lead_minutes,
+    recurrence: row.recurrence ? JSON.parse(row.recurrence) : null,
+    status: row.status,
+    lastNotifiedAt: row.last_notified_at
+  };
+}
+
+/**
+ * The occurrence after a recurring reminder's current one: { dueAt, notifyAt }, or null
+ */
+function getNextReminderOccurrence(reminder) {
+  if (!reminder.recurrence) return null;
+
+  const currentDate = getDateInTimezone(reminder.dueAt);
+  const nextDate = getNextOccurrence(reminder.recurrence.rule, currentDate, currentDate, true);
+  if (!nextDate) return null;
+
+  const dueAt = zonedTimeToUtc(nextDate, reminder.localTime);
+  const notifyAt = new Date(dueAt.getTime() - reminder.leadMinutes * 60 * 1000);
+  return { dueAt: dueAt.toISOString(), notifyAt: notifyAt.toISOString() };
+}
+
+/**
+ * Move a reminder to its next occurrence (recurring) or mark it done
+ * Returns the updated reminder
+ */
+async function advanceReminder(reminder, env) {
+  const next = getNextReminderOccurrence(reminder);
+
+  if (!next) {
+    await env.DB.prepare(
+      "UPDATE reminders SET status = 'done' WHERE item_id = ?"
+    ).bind(reminder.itemId).run();
+    return { ...reminder, status: 'done' };
+  }
+
+  await env.DB.prepare(
+    "UPDATE reminders SET due_at = ?, notify_at = ?, status = 'scheduled' WHERE item_id = ?"
+  ).bind(next.dueAt, next.notifyAt, reminder.itemId).run();
+
+  return { ...reminder, ...next, status: 'scheduled' };
+}
+
+/**
+ * Milliseconds in a duration like "30m", "1h", "1d", "2w" (a bare number is minutes), or null
+ */
+function parseDurationMs(duration) {
+  const match = String(duration).match(/^(\d+)\s*(m|min|h|hr|d|w)?$/);
+  if (!match || +match[1] === 0) return null;
+
+  const unitMs = { m: 60000, min: 60000, h: 3600000, hr: 3600000, d: 86400000, w: 604800000 }[match[2] || 'm'];
+  return +match[1] * unitMs;
+}
+
+/**
+ * Push back a reminder by a duration like "1h", "30m", "1d" (or minutes as a number)
+ */
+async function snoozeReminder(itemId, duration, env) {
+  const ms = parseDurationMs(duration);
+  if (!ms) return null;
+
+  const notifyAt = new Date(Date.now() + ms).toISOString();
+
+  const result = await env.DB.prepare(
+    "UPDATE reminders SET notify_at = ?, status = 'scheduled' WHERE item_id = ?"
+  ).bind(notifyAt, itemId).run();
+
+  return result.meta.changes > 0 ? notifyAt : null;
+}
+
+/**
+ * Send every reminder whose notify time has passed (called from the reminder cron)
+ *
+ * A sent reminder waits as 'sent' on the occurrence it announced, so Mark done
+ * and Snooze act on that occurrence. A recurring one keeps the next
+ * occurrence's time in notify_at meanwhile: if nothing's been pressed by then,
+ * it moves on and sends that one.
+ */
+async function processDueReminders(env) {
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM reminders
+     WHERE (status = 'scheduled' OR (status = 'sent' AND recurrence IS NOT NULL)) AND notify_at <= ?
+     ORDER BY notify_at ASC LIMIT 20`
+  ).bind(new Date().toISOString()).all();
+
+  let sent = 0;
+  for (const row of results) {
+    let reminder = reminderFromRow(row);
+    const item = await getItem(reminder.itemId, env);
+
+    // Item deleted or completed since the reminder was set
+    if (!item || item.status !== 'active') {
+      await env.DB.prepare("UPDATE reminders SET status = 'done' WHERE item_id = ?").bind(reminder.itemId).run();
+      continue;
+    }
+
+    // The last occurrence went unanswered and the next one is due
+    if (reminder.status === 'sent') {
+      reminder = await advanceReminder(reminder, env);
+      if (reminder.status === 'done') continue;
+    }
+
+    await sendReminderNotification(item, reminder, env);
+    sent++;
+
+    // A recurring reminder with no occurrence after this one stays put (notify_at
+    // in the past), so the next run finishes it
+    const next = getNextReminderOccurrence(reminder);
+    await env.DB.prepare(
+      "UPDATE reminders SET status = 'sent', notify_at = ?, last_notified_at = ? WHERE item_id = ?"
+    ).bind(next ? next.notifyAt : reminder.notifyAt, new Date().toISOString(), reminder.itemId).run();
+  }
+
+  console.log(`Reminders: ${sent} sent, ${results.length - sent} closed`);
+  return { sent, checked: results.length };
+}
+
+/**
+ * Send a reminder with Mark done / Snooze / Open actions (signed one-time URLs)
+ */
+async function sendReminderNotification(item, reminder, env) {
+  const s = item.structured || {};
+  const what = item.type === 'calendar' ? (s.event || item.input) : (s.task || item.input);
+  const when = `${formatDateInTimezone(reminder.dueAt, 'long')} ${formatDateInTimezone(reminder.dueAt, 'time')}`;
+  const repeat = reminder.recurrence ? `\nRepeats: ${reminder.recurrence.text}` : '';
+
+  // ntfy "http" actions call the worker directly from the notification shade
+  const actions = [
+    await buildNotificationAction('done', item.id, env),
+    await buildNotificationAction('snooze', item.id, env),
+    await buildNotificationAction('open', item.id, env)
+  ];
+
+  await notify({
+    category: 'reminder',
+    title: item.type === 'calendar' ? '📅 Coming up' : '⏰ Reminder',
+    body: `${what}\n${when}${repeat}`,
+    priority: s.priority === 'high' ? 'high' : 'default',
+    tags: [item.type === 'calendar' ? 'calendar' : 'alarm_clock'],
+    actions
+  }, env);
+}
+
+/**
+ * GET /reminders - upcoming reminders with their items
+ * Query: status (scheduled|sent|done|all, default scheduled), limit
+ */
+async function handleGetReminders(url, env) {
+  const statusFilter = url.searchParams.get('status') || 'scheduled';
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+
+  // A sent recurring reminder still has its next occurrence coming up (at notify_at)
+  const where = statusFilter === 'all' ? ''
+    : statusFilter === 'scheduled' ? "WHERE reminders.status = ? OR (reminders.status = 'sent' AND reminders.recurrence IS NOT NULL)"
+    : 'WHERE reminders.status = ?';
+  const params = statusFilter === 'all' ? [] : [statusFilter];
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM reminders ${where} ORDER BY notify_at ASC LIMIT ?`
+  ).bind(...params, limit).all();
+
+  const reminders = [];
+  for (const row of results) {
+    reminders.push({ ...reminderFromRow(row), item: await getItem(row.item_id, env) });
+  }
+
+  return jsonResponse({ reminders, count: reminders.length });
+}
+
+/**
+ * CALENDAR FEED MODULE
+ * Renders calendar items (and todos with a due date) as a subscribable
+ * iCalendar feed. Phone calendar apps can't send an Authorization header, so
+ * the feed uses its own token derived from AUTH_TOKEN - rotating AUTH_TOKEN
+ * rotates the feed URL too.
+ */
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * HMAC-SHA256 of a message keyed with a secret, as hex
+ */
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two strings without bailing early on the first difference
+ */
+function timingSafeEqual(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Token for the calendar feed URL
+ */
+async function getCalendarFeedToken(env) {
+  return (await hmacHex(env.AUTH_TOKEN, 'calendar-feed:v1')).substring(0, 32);
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, without splitting multi-byte characters
+ */
+function foldIcsLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = encoder.encode(char).length;
+    // Continuation lines start with a space, which counts toward their 75
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Format a UTC instant as 20260123T010000Z
+ */
+function formatIcsUtc(isoTimestamp) {
+  return new Date(isoTimestamp).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build an RRULE value from a parsed recurrence rule
+ */
+function recurrenceToRrule(rule) {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.bySetPos && rule.byWeekday) {
+    parts.push(`BYDAY=${rule.bySetPos}${ICS_WEEKDAYS[rule.byWeekday[0]]}`);
+  } else if (rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.map(d => ICS_WEEKDAYS[d]).join(',')}`);
+  }
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  return parts.join(';');
+}
+
+/**
+ * VTIMEZONE for Pacific/Auckland (NZDT from the last Sunday in September,
+ * NZST from the first Sunday in April)
+ */
+function buildNzVtimezone() {
+  return [
+    'BEGIN:VTIMEZONE',
+    'TZID:Pacific/Auckland',
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+1200',
+    'TZOFFSETTO:+1300',
+    'TZNAME:NZDT',
+    'DTSTART:19700927T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=9;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+1300',
+    'TZOFFSETTO:+1200',
+    'TZNAME:NZST',
+    'DTSTART:19700405T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+  ];
+}
+
+/**
+ * Render one item as a VEVENT (null if it has no resolvable date)
+ * Dates are resolved against the item's capture time, so "tomorrow" stays put
+ */
+function itemToVevent(item, dtstamp) {
+  const schedule = computeReminderSchedule(item, new Date(item.createdAt));
+  if (!schedule) return null;
+
+  const s = item.structured || {};
+  const summary = item.type === 'calendar'
+    ? (s.event || item.input)
+    : `To do: ${s.task || item.input}`;
+  const description = [item.input, item.aiNotes].filter(Boolean).join('\n\n');
+  const lastModified = item.updatedAt || item.createdAt;
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${item.id}@second-brain`,
+    `DTSTAMP:${dtstamp}`,
+    `CREATED:${formatIcsUtc(item.createdAt)}`,
+    `LAST-MODIFIED:${formatIcsUtc(lastModified)}`,
+    // Edits bump the sequence so subscribed calendars replace the old copy
+    `SEQUENCE:${Math.floor((new Date(lastModified) - new Date(item.createdAt)) / 1000)}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+
+  const compactDate = schedule.localDate.replace(/-/g, '');
+  if (schedule.allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${compactDate}`);
+    lines.push(`DTEND;VALUE=DATE:${addDaysToDateString(schedule.localDate, 1).replace(/-/g, '')}`);
+  } else {
+    lines.push(`DTSTART;TZID=${CONFIG.timezone}:${compactDate}T${schedule.localTime.replace(':', '')}00`);
+    lines.push(`DURATION:${item.type === 'calendar' ? 'PT1H' : 'PT15M'}`);
+  }
+
+  if (schedule.recurrence) lines.push(`RRULE:${recurrenceToRrule(schedule.recurrence.rule)}`);
+  if (s.location) lines.push(`LOCATION:${escapeIcsText(s.location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+  lines.push(`CATEGORIES:${item.type === 'calendar' ? 'Event' : 'To do'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+/**
+ * GET /calendar.ics?token=... - iCalendar feed (no bearer auth; feed token instead)
+ */
+async function handleCalendarFeed(url, env) {
+  const expected = await getCalendarFeedToken(env);
+  if (!timingSafeEqual(url.searchParams.get('token') || '', expected)) {
+    return new Response('Unauthorized', { status: 401, headers: corsHeaders() });
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items
+     WHERE type IN ('calendar', 'todo') AND status = 'active'
+     ORDER BY created_at ASC`
+  ).all();
+
+  const dtstamp = formatIcsUtc(new Date().toISOString());
+  const events = results
+    .map(row => itemToVevent(rowToItem(row), dtstamp))
+    .filter(Boolean);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//arohaislove//Second Brain//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Second Brain',
+    `X-WR-TIMEZONE:${CONFIG.timezone}`,
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    'X-PUBLISHED-TTL:PT1H',
+    ...buildNzVtimezone(),
+    ...events.flat(),
+    'END:VCALENDAR'
+  ];
+
+  return new Response(lines.map(foldIcsLine).join('\r\n') + '\r\n', {
+    status: 200,
+    headers: {
+      ...corsHeaders(),
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="second-brain.ics"',
+      'Cache-Control': 'private, max-age=900'
+    }
+  });
+}
+
+/**
+ * GET /calendar/feed-url - the subscription URL to paste into a calendar app
+ */
+async function handleCalendarFeedUrl(env) {
+  const token = await getCalendarFeedToken(env);
+  const httpsUrl = `${CONFIG.workerUrl}/calendar.ics?token=${token}`;
+  return jsonResponse({
+    url: httpsUrl,
+    webcal: httpsUrl.replace(/^https:/, 'webcal:'),
+    note: 'Anyone with this URL can read your calendar and todo items. Rotate AUTH_TOKEN to revoke it.'
+  });
+}
+
+/**
+ * NOTIFICATION ACTIONS MODULE
+ * ntfy action buttons ("Mark done", "Snooze 1h", "Open item", "Not a signal")
+ * call signed URLs on the worker instead of carrying AUTH_TOKEN in the
+ * notification. Each URL is HMAC-signed over action, item and expiry, and the
+ * write actions are single-use: the nonce is recorded in KV on first use.
+ */
+
+const NOTIFICATION_ACTIONS = {
+  done: { label: 'Mark done', method: 'POST' },
+  snooze: { label: 'Snooze 1h', method: 'POST' },
+  'not-signal': { label: 'Not a signal', method: 'POST' },
+  open: { label: 'Open item', method: 'GET' } // view-only, reusable until it expires
+};
+
+/**
+ * Build a signed action URL for an item
+ */
+async function createActionUrl(action, itemId, env) {
+  const exp = Math.floor(Date.now() / 1000) + CONFIG.actionLinkTtlHours * 3600;
+  const nonce = crypto.randomUUID().replace(/-/g, '');
+  const sig = await hmacHex(env.AUTH_TOKEN, `action:v1:${action}:${itemId}:${exp}:${nonce}`);
+  return `${CONFIG.workerUrl}/action/${action}/${encodeURIComponent(itemId)}?exp=${exp}&n=${nonce}&sig=${sig}`;
+}
+
+/**
+ * Build an ntfy action button (JSON Actions format) for an item
+ */
+async function buildNotificationAction(action, itemId, env, label = null) {
+  const spec = NOTIFICATION_ACTIONS[action];
+  const url = await createActionUrl(action, itemId, env);
+
+  if (spec.method === 'GET') {
+    return { action: 'view', label: label || spec.label, url };
+  }
+  return { action: 'http', label: label || spec.label, url, method: spec.method, clear: true };
+}
+
+/**
+ * GET/POST /action/:action/:itemId?exp=&n=&sig= - run a notification action
+ */
+async function handleNotificationAction(request, path, url, env) {
+  const [, , action, rawId] = path.split('/');
+  const itemId = decodeURIComponent(rawId || '');
+  const spec = NOTIFICATION_ACTIONS[action];
+  const exp = parseInt(url.searchParams.get('exp') || '0');
+  const nonce = url.searchParams.get('n') || '';
+  const sig = url.searchParams.get('sig') || '';
+
+  if (!spec || !itemId) {
+    return jsonResponse({ error: 'Unknown action' }, 404);
+  }
+  // Write actions also answer GET (Telegram/email buttons open a browser) with a
+  // confirm page, so link previews can't trigger them
+  if (request.method !== spec.method && !(spec.method === 'POST' && request.method === 'GET')) {
+    return jsonResponse({ error: `Use ${spec.method} for this action` }, 405);
+  }
+
+  const expected = await hmacHex(env.AUTH_TOKEN, `action:v1:${action}:${itemId}:${exp}:${nonce}`);
+  if (!timingSafeEqual(sig, expected)) {
+    return jsonResponse({ error: 'Invalid signature' }, 401);
+  }
+
+  const secondsLeft = exp - Math.floor(Date.now() / 1000);
+  if (secondsLeft <= 0) {
+    return jsonResponse({ error: 'Action link expired' }, 410);
+  }
+
+  if (request.method === 'GET') {
+    const item = await getItem(itemId, env);
+    if (!item) {
+      return htmlResponse(renderActionPage('Not found', '<p>That item no longer exists.</p>'), 404);
+    }
+    if (action === 'open') {
+      return htmlResponse(renderItemPage(item));
+    }
+    return htmlResponse(renderActionPage(spec.label, `<p>${escapeHtml(item.input)}</p>
+<form method="post"><button type="submit">${escapeHtml(spec.label)}</button></form>`));
+  }
+
+  const fromBrowser = (request.headers.get('Content-Type') || '').includes('application/x-www-form-urlencoded');
+
+  // Single use - claimed before running so a double tap can't run it twice, and
+  // released again if the action fails so the button can be retried.
+  // KV expiry must be at least 60s
+  const nonceKey = `action-used:${nonce}`;
+  if (await env.BRAIN_KV.get(nonceKey)) {
+    return fromBrowser
+      ? htmlResponse(renderActionPage(spec.label, '<p>This button has already been used.</p>'), 410)
+      : jsonResponse({ error: 'Action already used' }, 410);
+  }
+  await env.BRAIN_KV.put(nonceKey, JSON.stringify({ action, itemId, usedAt: new Date().toISOString() }), {
+    expirationTtl: Math.max(60, secondsLeft)
+  });
+
+  // Reuse the authenticated handlers so behaviour matches the API exactly
+  const internalRequest = body => new Request(`${CONFIG.workerUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  let response;
+  try {
+    if (action === 'done') {
+      response = await handleUpdateItem(itemId, internalRequest({ status: 'done' }), env);
+    } else if (action === 'snooze') {
+      response = await handleUpdateItem(itemId, internalRequest({ snooze: '1h' }), env);
+    } else {
+      response = await handleSignalFeedback(itemId, internalRequest({
+        accurate: 'no',
+        corrections: 'Not a signal - routine exchange (marked from notification)'
+      }), env);
+    }
+  } catch (error) {
+    await env.BRAIN_KV.delete(nonceKey);
+    throw error;
+  }
+  if (!response.ok) {
+    await env.BRAIN_KV.delete(nonceKey);
+  }
+
+  if (!fromBrowser) return response;
+  const result = await response.json();
+  return htmlResponse(renderActionPage(spec.label, `<p>${escapeHtml(result.message || result.error)}</p>`), response.status);
+}
+
+/**
+ * HTML response for the action pages
+ */
+function htmlResponse(html, status = 200) {
+  return new Response(html, {
+    status,
+    headers: { ...corsHeaders(), 'Content-Type': 'text/html; charset=utf-8' }
+  });
+}
+
+/**
+ * Escape text for HTML output
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Page shell for the action pages
+ */
+function renderActionPage(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Second Brain - ${escapeHtml(title)}</title>
+<style>
+body { font-family: -apple-system, system-ui, sans-serif; max-width: 640px; margin: 0 auto; padding: 16px; background: #0f172a; color: #e2e8f0; }
+.meta { color: #94a3b8; font-size: 14px; }
+pre { white-space: pre-wrap; background: #1e293b; padding: 12px; border-radius: 8px; font-size: 13px; }
+a { color: #a78bfa; }
+button { background: #7c3aed; color: white; border: 0; border-radius: 8px; padding: 12px 20px; font-size: 16px; }
+</style>
+</head>
+<body>
+<h2>${escapeHtml(title)}</h2>
+${bodyHtml}
+<p><a href="https://arohaislove.github.io/second-brain/dashboard.html">Open dashboard</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Read-only page for the "Open item" action
+ */
+function renderItemPage(item) {
+  const structured = item.structured ? JSON.stringify(item.structured, null, 2) : '';
+  return renderActionPage(item.type, `
+<p class="meta">${escapeHtml(item.type)} · ${escapeHtml(item.status)} · ${escapeHtml(formatDateInTimezone(item.createdAt, 'long'))} ${escapeHtml(formatDateInTimezone(item.createdAt, 'time'))}</p>
+<p>${escapeHtml(item.input)}</p>
+${item.aiNotes ? `<p>${escapeHtml(item.aiNotes)}</p>` : ''}
+${structured ? `<pre>${escapeHtml(structured)}</pre>` : ''}`);
+}
+
+/**
+ * NOTIFICATION CHANNELS MODULE
+ * Every push goes through notify(), which routes a message to the channels
+ * configured for its category in CONFIG.notifications (or the
+ * NOTIFY_CHANNELS_<CATEGORY> env var, e.g. NOTIFY_CHANNELS_DIGEST="telegram,email").
+ * Channels whose secrets aren't set are skipped. Categories that respect quiet
+ * hours are held in the notification_outbox D1 table during them and delivered
+ * by the first cron run afterwards; other workers sharing the database (the
+ * sheets-sync digest) queue their messages there too, so only this worker
+ * talks to the channels.
+ *
+ * A message is { category, title, body, priority: 'default'|'high', tags: [],
+ * actions: [ntfy-style action objects from buildNotificationAction] }.
+ */
+
+const NOTIFICATION_CHANNELS = {
+  ntfy: {
+    isConfigured: () => true, // falls back to the second-brain-default topic
+    send: sendViaNtfy
+  },
+  telegram: {
+    isConfigured: env => !!(env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID),
+    send: sendViaTelegram
+  },
+  webhook: {
+    isConfigured: env => !!env.NOTIFY_WEBHOOK_URL,
+    send: sendViaWebhook
+  },
+  email: {
+    isConfigured: env => !!(env.EMAIL_RELAY_URL && env.EMAIL_FROM && env.EMAIL_TO),
+    send: sendViaEmail
+  }
+};
+
+/**
+ * Minutes since local midnight in CONFIG.timezone
+ */
+function getLocalMinutes(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: CONFIG.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(p => p.type === type).value);
+  return get('hour') * 60 + get('minute');
+}
+
+/**
+ * Whether we're inside CONFIG.notifications.quietHours (the window may wrap midnight)
+ */
+function isQuietHours(date = new Date()) {
+  const quiet = CONFIG.notifications.quietHours;
+  if (!quiet) return false;
+
+  const toMinutes = hhmm => {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+  };
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  const now = getLocalMinutes(date);
+
+  return start <= end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Cut a body down to a channel's size limit
+ */
+function truncateForChannel(body, maxLength) {
+  if (body.length <= maxLength) return body;
+  return body.substring(0, maxLength) + '\n\n...[Truncated - open Dashboard for full view]';
+}
+
+/**
+ * Send a message to every channel configured for its category
+ * Returns { delivered: [channel], failed: [channel], deferred: boolean }
+ */
+async function notify(message, env, { ignoreQuietHours = false } = {}) {
+  const route = getNotificationRoute(message.category, env);
+
+  if (route.quietHours && !ignoreQuietHours && isQuietHours()) {
+    const deferredAt = new Date().toISOString();
+    await env.DB.prepare('INSERT INTO notification_outbox (message, created_at) VALUES (?, ?)')
+      .bind(JSON.stringify({ ...message, deferredAt }), deferredAt).run();
+    console.log(`Quiet hours - deferred ${message.category} notification`);
+    return { delivered: [], failed: [], deferred: true };
+  }
+
+  const delivered = [];
+  const failed = [];
+  for (const name of route.channels) {
+    const channel = NOTIFICATION_CHANNELS[name];
+    if (!channel || !channel.isConfigured(env)) {
+      console.log(`Notification channel ${name} not configured, skipping`);
+      continue;
+    }
+    try {
+      await channel.send(message, env);
+      delivered.push(name);
+    } catch (e) {
+      console.error(`Failed to send ${message.category} notification via ${name}:`, e);
+      failed.push(name);
+    }
+  }
+
+  console.log(`${message.category} notification: ${delivered.join(', ') || 'not delivered'}`);
+  return { delivered, failed, deferred: false };
+}
+
+/**
+ * CONFIG.notifications route for a category, with channels from
+ * NOTIFY_CHANNELS_<CATEGORY> when that's set
+ */
+function getNotificationRoute(category, env) {
+  const route = CONFIG.notifications.categories[category] || { channels: ['ntfy'], quietHours: true };
+  const override = env[`NOTIFY_CHANNELS_${String(category).toUpperCase()}`];
+  if (!override) return route;
+  return { ...route, channels: override.split(',').map(name => name.trim()).filter(Boolean) };
+}
+
+/**
+ * Deliver what's waiting in notification_outbox (called from every cron run)
+ */
+async function flushDeferredNotifications(env) {
+  if (isQuietHours()) return 0;
+
+  // Claimed and removed in one statement, so overlapping cron runs can't both send one
+  const { results } = await env.DB.prepare('DELETE FROM notification_outbox RETURNING id, message').all();
+  const messages = results.sort((a, b) => a.id - b.id).map(row => JSON.parse(row.message));
+
+  // Held back before the outbox moved to D1
+  const legacy = await env.BRAIN_KV.get('notifications:deferred', 'json');
+  if (legacy?.length) {
+    await env.BRAIN_KV.delete('notifications:deferred');
+    messages.unshift(...legacy);
+  }
+
+  for (const message of messages) {
+    await notify(message, env, { ignoreQuietHours: true });
+  }
+  return messages.length;
+}
+
+/**
+ * Throw on a non-2xx response so notify() records the channel as failed
+ */
+async function assertDelivered(response, channel) {
+  if (!response.ok) {
+    throw new Error(`${channel} returned ${response.status}: ${(await response.text()).substring(0, 200)}`);
+  }
+}
+
+/**
+ * ntfy - the original channel. NTFY_SERVER points at a self-hosted server.
+ */
+async function sendViaNtfy(message, env) {
+  const server = env.NTFY_SERVER || 'https://ntfy.sh';
+  const ntfyTopic = env.NTFY_TOPIC || 'second-brain-default';
+  const response = await fetch(`${server}/${ntfyTopic}`, {
+    method: 'POST',
+    headers: {
+      'Title': message.title,
+      'Priority': message.priority || 'default',
+      'Tags': (message.tags || []).join(','),
+      ...(message.actions?.length > 0 && { 'Actions': JSON.stringify(message.actions.slice(0, 3)) })
+    },
+    body: truncateForChannel(message.body, 4000) // ntfy max is 4096 bytes
+  });
+  await assertDelivered(response, 'ntfy');
+}
+
+/**
+ * Telegram Bot API sendMessage (or anything that speaks it - TELEGRAM_API_URL overrides the host).
+ * Action buttons become inline URL buttons; write actions open a confirm page.
+ */
+async function sendViaTelegram(message, env) {
+  const apiUrl = env.TELEGRAM_API_URL || 'https://api.telegram.org';
+  const buttons = (message.actions || []).map(a => [{ text: a.label, url: a.url }]);
+
+  const response = await fetch(`${apiUrl}/bot${env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      chat_id: env.TELEGRAM_CHAT_ID,
+      text: truncateForChannel(`${message.title}\n\n${message.body}`, 4000), // Telegram max is 4096 chars
+      disable_web_page_preview: true,
+      disable_notification: message.priority !== 'high',
+      ...(buttons.length > 0 && { reply_markup: { inline_keyboard: buttons } })
+    })
+  });
+  await assertDelivered(response, 'telegram');
+}
+
+/**
+ * Generic JSON webhook. With NOTIFY_WEBHOOK_SECRET set, the body is signed in
+ * X-Signature-256: sha256=<hex HMAC-SHA256 of the raw body>.
+ */
+async function sendViaWebhook(message, env) {
+  const body = JSON.stringify({
+    category: message.category,
+    title: message.title,
+    message: message.body,
+    priority: message.priority || 'default',
+    tags: message.tags || [],
+    actions: (message.actions || []).map(a => ({ label: a.label, url: a.url, method: a.method || 'GET' })),
+    timestamp: new Date().toISOString()
+  });
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (env.NOTIFY_WEBHOOK_SECRET) {
+    headers['X-Signature-256'] = `sha256=${await hmacHex(env.NOTIFY_WEBHOOK_SECRET, body)}`;
+  }
+
+  const response = await fetch(env.NOTIFY_WEBHOOK_URL, { method: 'POST', headers, body });
+  await assertDelivered(response, 'webhook');
+}
+
+/**
+ * Email through an HTTP-to-SMTP relay (MailChannels-style send API).
+ * EMAIL_RELAY_KEY, if set, is sent as a bearer token.
+ */
+async function sendViaEmail(message, env) {
+  const links = (message.actions || []).map(a => `${a.label}: ${a.url}`).join('\n');
+  const text = links ? `${message.body}\n\n---\n${links}` : message.body;
+
+  const response = await fetch(env.EMAIL_RELAY_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(env.EMAIL_RELAY_KEY && { 'Authorization': `Bearer ${env.EMAIL_RELAY_KEY}` })
+    },
+    body: JSON.stringify({
+      personalizations: [{ to: env.EMAIL_TO.split(',').map(email => ({ email: email.trim() })) }],
+      from: { email: env.EMAIL_FROM, name: 'Second Brain' },
+      subject: message.title,
+      content: [{ type: 'text/plain', value: text }]
+    })
+  });
+  await assertDelivered(response, 'email');
+}
+
+/**
+ * STORAGE MODULE (D1)
+ * Items live in the `items` table (see schema.sql). Queryable fields get their
+ * own columns; any other fields on the item object round-trip through `meta`.
+ */
+
+// Item fields stored in their own columns (everything else goes in meta)
+const ITEM_COLUMN_FIELDS = ['id', 'type', 'status', 'source', 'input', 'structured', 'aiNotes', 'image', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert an item object to bind values for the items table
+ */
+function itemToRow(item) {
+  const meta = {};
+  for (const [key, value] of Object.entries(item)) {
+    if (!ITEM_COLUMN_FIELDS.includes(key) && value !== undefined) meta[key] = value;
+  }
+
+  return [
+    item.id,
+    item.type,
+    item.status || 'active',
+    item.source || null,
+    item.input,
+    item.structured ? JSON.stringify(item.structured) : null,
+    item.aiNotes || null,
+    item.image || null,
+    item.structured?.contact || null,
+    item.structured?.direction || null,
+    Object.keys(meta).length > 0 ? JSON.stringify(meta) : null,
+    item.createdAt,
+    item.updatedAt || null
+  ];
+}
+
+/**
+ * Convert an items table row back to the item object shape the API has always returned
+ */
+function rowToItem(row) {
+  const item = {
+    id: row.id,
+    input: row.input,
+    type: row.type,
+    structured: row.structured ? JSON.parse(row.structured) : null,
+    aiNotes: row.ai_notes,
+    source: row.source,
+    createdAt: row.created_at,
+    status: row.status
+  };
+
+  if (row.image) item.image = row.image;
+  if (row.updated_at) item.updatedAt = row.updated_at;
+  if (row.meta) Object.assign(item, JSON.parse(row.meta));
+
+  return item;
+}
+
+/**
+ * Prepared upsert for an item (used directly for batched writes)
+ */
+function prepareSaveItem(item, env) {
+  return env.DB.prepare(
+    `INSERT INTO items (id, type, status, source, input, structured, ai_notes, image, contact, direction, meta, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT(id) DO UPDATE SET
+       type = excluded.type,
+       status = excluded.status,
+       source = excluded.source,
+       input = excluded.input,
+       structured = excluded.structured,
+       ai_notes = excluded.ai_notes,
+       image = excluded.image,
+       contact = excluded.contact,
+       direction = excluded.direction,
+       meta = excluded.meta,
+       updated_at = excluded.updated_at`
+  ).bind(...itemToRow(item));
+}
+
+/**
+ * Insert or update an item. One row write - no shared index arrays to race on.
+ */
+async function saveItem(item, env) {
+  await prepareSaveItem(item, env).run();
+}
+
+/**
+ * Get a single item by id (null if missing)
+ */
+async function getItem(id, env) {
+  const row = await env.DB.prepare('SELECT * FROM items WHERE id = ?').bind(id).first();
+  return row ? rowToItem(row) : null;
+}
+
+/**
+ * Build a WHERE clause from common item filters
+ * since/until are ISO timestamps: since inclusive, until exclusive
+ */
+function buildItemFilters({ type = null, status = null, contact = null, since = null, until = null } = {}) {
+  const clauses = [];
+  const params = [];
+
+  if (type) { clauses.push('type = ?'); params.push(type); }
+  if (status) { clauses.push('status = ?'); params.push(status); }
+  if (contact) { clauses.push('contact = ?'); params.push(contact); }
+  if (since) { clauses.push('created_at >= ?'); params.push(since); }
+  if (until) { clauses.push('created_at < ?'); params.push(until); }
+
+  return {
+    where: clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Query items, newest first by default
+ */
+async function queryItems(env, { limit = 50, offset = 0, order = 'DESC', ...filters } = {}) {
+  const { where, params } = buildItemFilters(filters);
+  const direction = order === 'ASC' ? 'ASC' : 'DESC';
+
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items${where} ORDER BY created_at ${direction}, id ${direction} LIMIT ? OFFSET ?`
+  ).bind(...params, limit, offset).all();
+
+  return results.map(rowToItem);
+}
+
+/**
+ * Count items matching filters
+ */
+async function countItems(env, filters = {}) {
+  const { where, params } = buildItemFilters(filters);
+  const row = await env.DB.prepare(`SELECT COUNT(*) AS count FROM items${where}`).bind(...params).first();
+  return row.count;
+}
+
+/**
+ * Get the N most recent items in chronological order (oldest first), for prompts
+ */
+async function getRecentItems(env, limit, filters = {}) {
+  const items = await queryItems(env, { ...filters, limit });
+  return items.reverse();
+}
+
+/**
+ * Get every item (oldest first), paging through D1 in chunks
+ */
+async function getAllItems(env, filters = {}) {
+  const pageSize = 500;
+  const items = [];
+  let offset = 0;
+
+  while (true) {
+    const page = await queryItems(env, { ...filters, order: 'ASC', limit: pageSize, offset });
+    items.push(...page);
+    if (page.length < pageSize) break;
+    offset += pageSize;
+  }
+
+  return items;
+}
+
+/**
+ * SEARCH MODULE
+ * Keyword search via the items_fts full-text table (kept in sync by triggers
+ * in schema.sql). Filters and date ranges are plain SQL on the items table.
+ */
+
+const SEARCH_STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has',
+  'have', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so',
+  'that', 'the', 'this', 'to', 'was', 'we', 'with', 'you'
+]);
+
+/**
+ * Split text into normalized search terms
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip macrons/accents so "Māori" matches "maori"
+    .split(/[^a-z0-9]+/)
+    .filter(t => t.length >= 2 && !SEARCH_STOPWORDS.has(t));
+}
+
+/**
+ * Normalize a contact name/address for matching
+ */
+function normalizeContact(contact) {
+  return String(contact || '').trim().toLowerCase();
+}
+
+/**
+ * Parse a search query into plain terms and quoted phrases
+ */
+function parseSearchQuery(q) {
+  const phrases = [];
+  const rest = String(q || '').replace(/"([^"]+)"/g, (_, phrase) => {
+    const words = tokenize(phrase);
+    if (words.length > 0) phrases.push(words.join(' '));
+    return ' ';
+  });
+  return { terms: [...new Set(tokenize(rest))], phrases };
+}
+
+/**
+ * Build an FTS5 MATCH expression. All terms must match; the last term also
+ * matches as a prefix ("bunn" finds "bunnings") so search-as-you-type works.
+ */
+function buildFtsQuery(terms, phrases) {
+  const parts = phrases.map(p => `"${p}"`);
+  terms.forEach((term, i) => {
+    parts.push(i === terms.length - 1 ? `"${term}"*` : `"${term}"`);
+  });
+  return parts.join(' AND ');
+}
+
+/**
+ * SEARCH - keyword search over input, structured fields and AI notes
+ * GET /search?q=&type=&source=&contact=&from=YYYY-MM-DD&to=YYYY-MM-DD&status=&limit=&offset=
+ */
+async function handleSearch(url, env) {
+  const q = (url.searchParams.get('q') || '').trim();
+  const typeFilter = url.searchParams.get('type');
+  const sourceFilter = url.searchParams.get('source');
+  const contactFilter = url.searchParams.get('contact');
+  const from = url.searchParams.get('from');
+  const to = url.searchParams.get('to');
+  const statusFilter = url.searchParams.get('status') || 'all';
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0'), 0);
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return jsonResponse({ error: 'from/to must be YYYY-MM-DD' }, 400);
+  }
+
+  const { terms, phrases } = parseSearchQuery(q);
+  const hasText = terms.length > 0 || phrases.length > 0;
+
+  if (!hasText && !typeFilter && !sourceFilter && !contactFilter) {
+    return jsonResponse({ error: 'Provide q or at least one of type, source, contact' }, 400);
+  }
+
+  const clauses = [];
+  const params = [];
+
+  if (hasText) {
+    clauses.push('items_fts MATCH ?');
+    params.push(buildFtsQuery(terms, phrases));
+  }
+  if (typeFilter) { clauses.push('items.type = ?'); params.push(typeFilter); }
+  if (sourceFilter) { clauses.push('LOWER(items.source) = ?'); params.push(sourceFilter.toLowerCase()); }
+  if (statusFilter !== 'all') { clauses.push('items.status = ?'); params.push(statusFilter); }
+  if (contactFilter) {
+    // Comms carry the contact column; person captures keep the name in structured
+    clauses.push("(LOWER(items.contact) LIKE ? OR LOWER(json_extract(items.structured, '$.name')) LIKE ?)");
+    const pattern = `${normalizeContact(contactFilter)}%`;
+    params.push(pattern, pattern);
+  }
+  if (from) { clauses.push('items.created_at >= ?'); params.push(getUtcBoundsForLocalDates(from).start); }
+  if (to) { clauses.push('items.created_at < ?'); params.push(getUtcBoundsForLocalDates(to).end); }
+
+  // bm25 weights: input counts most, then structured fields, then AI notes
+  const tables = hasText
+    ? 'items_fts JOIN items ON items.rowid = items_fts.rowid'
+    : 'items';
+  const select = hasText
+    ? 'items.*, -bm25(items_fts, 3.0, 2.0, 1.0) AS score'
+    : 'items.*, 1 AS score';
+  const orderBy = hasText
+    ? 'score DESC, items.created_at DESC'
+    : 'items.created_at DESC';
+  const where = clauses.join(' AND ');
+
+  const [rows, totalRow] = await Promise.all([
+    env.DB.prepare(
+      `SELECT ${select} FROM ${tables} WHERE ${where} ORDER BY ${orderBy} LIMIT ? OFFSET ?`
+    ).bind(...params, limit, offset).all(),
+    env.DB.prepare(
+      `SELECT COUNT(*) AS count FROM ${tables} WHERE ${where}`
+    ).bind(...params).first()
+  ]);
+
+  const results = rows.results.map(row => ({ score: row.score, item: rowToItem(row) }));
+  const nextOffset = offset + results.length;
+
+  return jsonResponse({
+    query: { q, terms, phrases, type: typeFilter, source: sourceFilter, contact: contactFilter, from, to, status: statusFilter },
+    results,
+    count: results.length,
+    totalMatches: totalRow.count,
+    nextOffset: nextOffset < totalRow.count ? nextOffset : null
+  });
+}
+
+/**
+ * RETRIEVAL MODULE
+ * Finds the items a /chat question is about across the whole history, not just
+ * the latest captures. Three ranked lists are fused (reciprocal rank fusion):
+ * - keyword matches from items_fts (any term, best bm25 first)
+ * - semantic matches by embedding similarity, when an EMBEDDING_PROVIDER is set
+ * - for questions like "what did I spend in March", items of the implied type
+ *   in the implied date range
+ * A date range in the question ("in March", "last week") filters all three.
+ *
+ * Embedding providers (EMBEDDING_PROVIDER):
+ * - 'openai': any OpenAI-compatible /embeddings endpoint at EMBEDDING_BASE_URL -
+ *   a local Ollama / llama.cpp / LM Studio server, or OpenAI itself
+ * - 'workers-ai': the Workers AI binding env.AI
+ * Items are embedded by the 15-minute cron (and POST /embeddings/backfill);
+ * vectors live in item_embeddings and are scanned in pages, newest first and
+ * at most CONFIG.retrieval.maxScan per question, so a question costs the same
+ * however long the history grows.
+ */
+
+const EMBEDDING_PROVIDERS = {
+  openai: {
+    defaultModel: 'nomic-embed-text',
+    isConfigured: env => !!(env.EMBEDDING_BASE_URL || env.LLM_BASE_URL || env.OPENAI_API_KEY),
+    embed: embedViaOpenAI
+  },
+  'workers-ai': {
+    defaultModel: '@cf/baai/bge-base-en-v1.5',
+    isConfigured: env => !!env.AI,
+    embed: embedViaWorkersAI
+  }
+};
+
+// Question words that never help a keyword match
+const QUESTION_STOPWORDS = new Set([
+  'what', 'whats', 'when', 'where', 'who', 'whom', 'which', 'why', 'how', 'much', 'many',
+  'did', 'do', 'does', 'done', 'can', 'could', 'should', 'would', 'will', 'any', 'anything',
+  'about', 'tell', 'show', 'list', 'all', 'ever', 'last', 'this', 'next', 'week', 'month',
+  'year', 'today', 'yesterday', 'ago', 'days', 'there', 'been', 'had', 'get', 'got', 'say', 'said',
+  ...MONTHS
+]);
+
+// Question wording that implies an item type, for "how much did I spend in March"
+const QUESTION_TYPE_HINTS = [
+  { type: 'expense', pattern: /\b(spen[dt]|spending|cost|costs|paid|pay|bought|buy|expenses?|money)\b/i },
+  { type: 'calorie', pattern: /\b(ate|eat|eaten|eating|calories|meals?|food)\b/i },
+  { type: 'todo', pattern: /\b(todos?|tasks?|to-dos?)\b/i },
+  { type: 'calendar', pattern: /\b(events?|appointments?|meetings?|calendar)\b/i },
+  { type: 'comms', pattern: /\b(messages?|texts?|texted|emails?|emailed)\b/i }
+];
+
+const MONTH_ABBREVIATIONS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Local date range a question refers to, or null.
+ * Handles today/yesterday, this/last week|month|year, "last N days",
+ * month names ("in March", "march 2025" - the most recent March if no year)
+ * and bare years ("in 2025").
+ */
+function parseQuestionDateRange(question, today = getTodayInTimezone()) {
+  const text = String(question || '').toLowerCase();
+  const [year, month] = today.split('-').map(Number);
+
+  if (/\btoday\b/.test(text)) return { from: today, to: today };
+  if (/\byesterday\b/.test(text)) {
+    const day = addDaysToDateString(today, -1);
+    return { from: day, to: day };
+  }
+
+  const lastDays = text.match(/\b(?:last|past)\s+(\d{1,3})\s+days?\b/);
+  if (lastDays) return { from: addDaysToDateString(today, -parseInt(lastDays[1])), to: today };
+
+  const relative = text.match(/\b(this|last)\s+(week|month|year)\b/);
+  if (relative) {
+    const [, which, unit] = relative;
+    if (unit === 'week') {
+      const monday = addDaysToDateString(today, -((getWeekdayOfDateString(today) + 6) % 7));
+      return which === 'this'
+        ? { from: monday, to: today }
+        : { from: addDaysToDateString(monday, -7), to: addDaysToDateString(monday, -1) };
+    }
+    if (unit === 'month') {
+      if (which === 'this') return { from: toDateString(year, month, 1), to: today };
+      const y = month === 1 ? year - 1 : year;
+      const m = month === 1 ? 12 : month - 1;
+      return { from: toDateString(y, m, 1), to: toDateString(y, m, getDaysInMonth(y, m)) };
+    }
+    const y = which === 'this' ? year : year - 1;
+    return { from: `${y}-01-01`, to: which === 'this' ? today : `${y}-12-31` };
+  }
+
+  // "may" is also a verb, so it needs a year or a preposition before it
+  const monthMatch = text.match(new RegExp(
+    `(\\b(?:in|during|for|of|since|over)\\s+)?\\b(${MONTHS.join('|')}|${MONTH_ABBREVIATIONS.join('|')}|sept)\\b(?:\\s+(\\d{4}))?`
+  ));
+  if (monthMatch && !(monthMatch[2] === 'may' && !monthMatch[1] && !monthMatch[3])) {
+    const name = monthMatch[2] === 'sept' ? 'sep' : monthMatch[2];
+    const m = (MONTHS.indexOf(name) + 1) || (MONTH_ABBREVIATIONS.indexOf(name) + 1);
+    const y = monthMatch[3] ? parseInt(monthMatch[3]) : (m > month ? year - 1 : year);
+    return { from: toDateString(y, m, 1), to: toDateString(y, m, getDaysInMonth(y, m)) };
+  }
+
+  const yearMatch = text.match(/\b(?:in|during|since)\s+(20\d{2})\b/);
+  if (yearMatch) return { from: `${yearMatch[1]}-01-01`, to: `${yearMatch[1]}-12-31` };
+
+  return null;
+}
+
+/**
+ * The embedding provider and model in use, or null when retrieval is keyword-only.
+ * EMBEDDING_MODEL may name the provider too ("openai:nomic-embed-text").
+ */
+function resolveEmbeddingProvider(env) {
+  let name = env.EMBEDDING_PROVIDER;
+  let model = env.EMBEDDING_MODEL || null;
+  if (model && model.includes(':') && EMBEDDING_PROVIDERS[model.split(':')[0]]) {
+    [name, model] = [model.split(':')[0], model.split(':').slice(1).join(':')];
+  }
+  const provider = EMBEDDING_PROVIDERS[name];
+  if (!provider || !provider.isConfigured(env)) return null;
+  model = model || provider.defaultModel;
+  return { name, model, key: `${name}:${model}`, embed: texts => provider.embed(texts, model, env) };
+}
+
+/**
+ * OpenAI-compatible /embeddings (EMBEDDING_BASE_URL, then LLM_BASE_URL, then OpenAI)
+ */
+async function embedViaOpenAI(texts, model, env) {
+  const baseUrl = (env.EMBEDDING_BASE_URL || env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+  const apiKey = env.EMBEDDING_API_KEY || env.LLM_API_KEY || env.OPENAI_API_KEY;
+
+  const response = await fetch(`${baseUrl}/embeddings`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` })
+    },
+    body: JSON.stringify({ model, input: texts })
+  });
+  if (!response.ok) {
+    throw await llmHttpError('embeddings', response);
+  }
+
+  const data = await response.json();
+  return [...data.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+}
+
+/**
+ * Workers AI embedding model via the env.AI binding
+ */
+async function embedViaWorkersAI(texts, model, env) {
+  const result = await env.AI.run(model, { text: texts });
+  return result.data;
+}
+
+/**
+ * Unit-length Float32 vector <-> base64 (cosine similarity is then a dot product)
+ */
+function encodeEmbedding(values) {
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0)) || 1;
+  const vector = Float32Array.from(values, v => v / norm);
+  const bytes = new Uint8Array(vector.buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function decodeEmbedding(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return new Float32Array(bytes.buffer);
+}
+
+/**
+ * What gets embedded for an item: type, local date, the text and its structured fields
+ */
+function embeddingText(item) {
+  const structured = item.structured
+    ? Object.entries(item.structured)
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([key, value]) => `${key}: ${typeof value === 'object' ? JSON.stringify(value) : value}`)
+      .join('; ')
+    : '';
+  return `${item.type} ${getDateInTimezone(item.createdAt)}\n${item.input}\n${structured}`.substring(0, 2000);
+}
+
+/**
+ * Embed items that have no vector yet, or whose vector is from another model or
+ * an older edit of the item. Returns { embedded, remaining } (null when no provider).
+ */
+async function embedPendingItems(env, limit = CONFIG.retrieval.embedPerRun) {
+  const provider = resolveEmbeddingProvider(env);
+  if (!provider) return null;
+
+  const pendingWhere = `items.status != 'deleted' AND (item_embeddings.item_id IS NULL
+    OR item_embeddings.model != ? OR item_embeddings.item_version != COALESCE(items.updated_at, items.created_at))`;
+  const { results } = await env.DB.prepare(
+    `SELECT items.* FROM items LEFT JOIN item_embeddings ON item_embeddings.item_id = items.id
+     WHERE ${pendingWhere}
+     ORDER BY items.created_at DESC LIMIT ?`
+  ).bind(provider.key, limit).all();
+  const items = results.map(rowToItem);
+
+  const now = new Date().toISOString();
+  let embedded = 0;
+  for (let i = 0; i < items.length; i += CONFIG.retrieval.embedBatchSize) {
+    const batch = items.slice(i, i + CONFIG.retrieval.embedBatchSize);
+    const vectors = await provider.embed(batch.map(embeddingText));
+    await env.DB.batch(batch.map((item, j) => env.DB.prepare(
+      `INSERT INTO item_embeddings (item_id, model, dims, vector, item_version, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT(item_id) DO UPDATE SET
+         model = excluded.model, dims = excluded.dims, vector = excluded.vector,
+         item_version = excluded.item_version, created_at = excluded.created_at`
+    ).bind(item.id, provider.key, vectors[j].length, encodeEmbedding(vectors[j]), item.updatedAt || item.createdAt, now)));
+    embedded += batch.length;
+  }
+
+  const remaining = await env.DB.prepare(
+    `SELECT COUNT(*) AS count FROM items LEFT JOIN item_embeddings ON item_embeddings.item_id = items.id
+     WHERE ${pendingWhere}`
+  ).bind(provider.key).first();
+
+  return { provider: provider.key, embedded, remaining: remaining.count };
+}
+
+/**
+ * POST /embeddings/backfill - embed a batch of items now instead of waiting for the cron
+ * Body: { limit } (default CONFIG.retrieval.embedPerRun, max 500)
+ */
+async function handleEmbeddingBackfill(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const limit = Math.min(Math.max(parseInt(body.limit || String(CONFIG.retrieval.embedPerRun)), 1), 500);
+  const result = await embedPendingItems(env, limit);
+  if (!result) {
+    return jsonResponse({ error: 'No embedding provider configured (set EMBEDDING_PROVIDER)' }, 400);
+  }
+  return jsonResponse({ success: true, ...result, done: result.remaining === 0 });
+}
+
+/**
+ * Keyword candidates: items matching any question term, best bm25 first
+ */
+async function keywordCandidates(question, range, env) {
+  const terms = tokenize(question).filter(term => !QUESTION_STOPWORDS.has(term) && !/^\d{1,2}$/.test(term));
+  if (terms.length === 0) return [];
+
+  const clauses = ['items_fts MATCH ?', "items.status != 'deleted'"];
+  const params = [terms.map(term => `"${term}"*`).join(' OR ')];
+  if (range) {
+    const { start, end } = getUtcBoundsForLocalDates(range.from, range.to);
+    clauses.push('items.created_at >= ? AND items.created_at < ?');
+    params.push(start, end);
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT items.* FROM items_fts JOIN items ON items.rowid = items_fts.rowid
+     WHERE ${clauses.join(' AND ')}
+     ORDER BY -bm25(items_fts, 3.0, 2.0, 1.0) DESC, items.created_at DESC
+     LIMIT ?`
+  ).bind(...params, CONFIG.retrieval.candidates).all();
+  return results.map(rowToItem);
+}
+
+/**
+ * Semantic candidates: nearest item vectors to the question, scanning
+ * item_embeddings a page at a time and keeping only the best
+ */
+async function semanticCandidates(question, range, provider, env) {
+  const [queryValues] = await provider.embed([question]);
+  const query = decodeEmbedding(encodeEmbedding(queryValues));
+  const bounds = range ? getUtcBoundsForLocalDates(range.from, range.to) : null;
+
+  // Newest first (within the range, if there is one), stopping at maxScan vectors
+  const best = [];
+  let scanned = 0;
+  let cursor = null; // { createdAt, id } of the last row read
+  while (scanned < CONFIG.retrieval.maxScan) {
+    const pageSize = Math.min(CONFIG.retrieval.scanPageSize, CONFIG.retrieval.maxScan - scanned);
+    const { results } = await env.DB.prepare(
+      `SELECT items.id AS item_id, items.created_at, item_embeddings.vector FROM items
+       JOIN item_embeddings ON item_embeddings.item_id = items.id
+       WHERE item_embeddings.model = ? AND items.status != 'deleted'
+       ${bounds ? 'AND items.created_at >= ? AND items.created_at < ?' : ''}
+       ${cursor ? 'AND (items.created_at < ? OR (items.created_at = ? AND items.id < ?))' : ''}
+       ORDER BY items.created_at DESC, items.id DESC LIMIT ?`
+    ).bind(
+      provider.key,
+      ...(bounds ? [bounds.start, bounds.end] : []),
+      ...(cursor ? [cursor.createdAt, cursor.createdAt, cursor.id] : []),
+      pageSize
+    ).all();
+    scanned += results.length;
+
+    for (const row of results) {
+      const vector = decodeEmbedding(row.vector);
+      if (vector.length !== query.length) continue;
+      let score = 0;
+      for (let i = 0; i < vector.length; i++) score += vector[i] * query[i];
+      if (best.length < CONFIG.retrieval.candidates || score > best[best.length - 1].score) {
+        best.push({ id: row.item_id, score });
+        best.sort((a, b) => b.score - a.score);
+        if (best.length > CONFIG.retrieval.candidates) best.pop();
+      }
+    }
+
+    if (results.length < pageSize) break;
+    const last = results[results.length - 1];
+    cursor = { createdAt: last.created_at, id: last.item_id };
+  }
+
+  if (best.length === 0) return [];
+  const placeholders = best.map(() => '?').join(', ');
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items WHERE id IN (${placeholders})`
+  ).bind(...best.map(b => b.id)).all();
+  const byId = new Map(results.map(row => [row.id, rowToItem(row)]));
+  return best.map(b => byId.get(b.id)).filter(Boolean);
+}
+
+/**
+ * Items of the type a question implies, inside its date range, newest first
+ */
+async function typedRangeCandidates(types, range, env) {
+  if (types.length === 0 || !range) return [];
+  const { start, end } = getUtcBoundsForLocalDates(range.from, range.to);
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM items
+     WHERE type IN (${types.map(() => '?').join(', ')}) AND created_at >= ? AND created_at < ?
+       AND status NOT IN (${EXCLUDED_EXPENSE_STATUSES.map(() => '?').join(', ')})
+     ORDER BY created_at DESC LIMIT ?`
+  ).bind(...types, start, end, ...EXCLUDED_EXPENSE_STATUSES, CONFIG.retrieval.candidates).all();
+  return results.map(rowToItem);
+}
+
+/**
+ * Items relevant to a question from the whole history, oldest first, plus how
+ * they were found. Semantic search failing (provider down) falls back to the rest.
+ */
+async function retrieveForQuestion(question, env) {
+  const range = parseQuestionDateRange(question);
+  const types = QUESTION_TYPE_HINTS.filter(hint => hint.pattern.test(question)).map(hint => hint.type);
+  const provider = resolveEmbeddingProvider(env);
+
+  const [keyword, semantic, typed] = await Promise.all([
+    keywordCandidates(question, range, env),
+    provider
+      ? semanticCandidates(question, range, provider, env).catch(error => {
+        console.error('Semantic retrieval failed:', error.message);
+        return [];
+      })
+      : [],
+    typedRangeCandidates(types, range, env)
+  ]);
+
+  // Reciprocal rank fusion: an item near the top of any list, or in several, wins
+  const scores = new Map();
+  const items = new Map();
+  for (const list of [keyword, semantic, typed]) {
+    list.forEach((item, rank) => {
+      items.set(item.id, item);
+      scores.set(item.id, (scores.get(item.id) || 0) + 1 / (CONFIG.retrieval.rrfK + rank + 1));
+    });
+  }
+
+  const selected = [...scores]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CONFIG.retrieval.maxItems)
+    .map(([id]) => items.get(id))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  return {
+    items: selected,
+    dateRange: range,
+    types,
+    provider: provider ? provider.key : null,
+    matches: { keyword: keyword.length, semantic: semantic.length, typed: typed.length }
+  };
+}
+
+/**
+ * One line per item for the chat prompt, led by the id the model cites
+ */
+function formatItemForChat(item) {
+  const s = item.structured || {};
+  const details = [];
+  if (item.type === 'expense' && s.amount !== undefined) {
+    details.push(`${s.currency || CONFIG.baseCurrency} ${s.amount}`);
+    if (s.vendor) details.push(s.vendor);
+    if (s.category) details.push(s.category);
+  } else if (item.type === 'calorie' && s.estimatedCalories !== undefined) {
+    details.push(`~${s.estimatedCalories} cal`);
+  } else if (item.type === 'comms' && s.contact) {
+    details.push(`${s.direction || ''} ${s.contact}`.trim());
+  }
+  const status = item.status !== 'active' ? ` [${item.status}]` : '';
+  const text = item.input.length > 300 ? item.input.substring(0, 300) + '...' : item.input;
+  return `[item:${item.id}] ${getDateInTimezone(item.createdAt)} ${item.type}${details.length ? ` (${details.join(', ')})` : ''}${status}: ${text.replace(/\s+/g, ' ')}`;
+}
+
+/**
+ * Items an answer cites with [item:ID], limited to ids that were in its context
+ */
+function extractCitations(answer, contextItems) {
+  const byId = new Map(contextItems.map(item => [item.id, item]));
+  const cited = [...new Set([...String(answer).matchAll(/\[item:([A-Za-z0-9_-]+)\]/g)].map(m => m[1]))];
+  return cited.filter(id => byId.has(id)).map(id => {
+    const item = byId.get(id);
+    return {
+      id,
+      type: item.type,
+      createdAt: item.createdAt,
+      label: item.input.length > 80 ? item.input.substring(0, 80) + '...' : item.input
+    };
+  });
+}
+
+/**
+ * MIGRATE - copy of the legacy KV store into D1
+ * POST /migrate/kv-to-d1 { phase: 'items' | 'signals', offset, batchSize }
+ *
+ * Phase 'items' walks index:all in batches (call repeatedly with the returned
+ * offset until it moves on to 'signals'). Phase 'signals' copies the signal
+ * queue in one go. Safe to re-run: rows that already exist are left alone.
+ * The old item keys are not deleted - remove them by hand once you're happy.
+ * The KV search shards (search:shard:*) are: D1's FTS index replaces them,
+ * nothing reads them any more, and left behind they'd only go stale.
+ *
+ * Nobody has to call it: until migration:d1 has a completedAt, each request
+ * (and the `migration` scheduler job) carries on from where the last batch
+ * stopped - see continueKvToD1Migration.
+ */
+async function handleMigrateKvToD1(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const phase = body.phase || 'items';
+  const offset = Math.max(parseInt(body.offset || '0'), 0);
+  const batchSize = Math.min(Math.max(parseInt(body.batchSize || '50'), 1), 100);
+
+  if (!['items', 'signals'].includes(phase)) {
+    return jsonResponse({ error: 'Invalid phase (must be items or signals)' }, 400);
+  }
+
+  return jsonResponse({ success: true, ...await migrateKvToD1Batch(env, { phase, offset, batchSize }) });
+}
+
+/**
+ * One migration step; records where the next one starts in migration:d1
+ */
+async function migrateKvToD1Batch(env, { phase, offset = 0, batchSize = CONFIG.migration.batchSize }) {
+  const status = await env.BRAIN_KV.get('migration:d1', 'json') || {
+    startedAt: new Date().toISOString(),
+    itemsMigrated: 0,
+    signalsMigrated: 0
+  };
+
+  if (phase === 'items') {
+    const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
+    const batchIds = indexData.items.slice(offset, offset + batchSize);
+
+    const statements = [];
+    for (const id of batchIds) {
+      const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
+      if (!item) continue;
+      statements.push(env.DB.prepare(
+        `INSERT OR IGNORE INTO items (id, type, status, source, input, structured, ai_notes, image, contact, direction, meta, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      ).bind(...itemToRow(item)));
+    }
+
+    if (statements.length > 0) {
+      await env.DB.batch(statements);
+    }
+
+    const nextOffset = offset + batchIds.length;
+    const itemsDone = nextOffset >= indexData.items.length;
+
+    status.itemsMigrated = Math.max(status.itemsMigrated, nextOffset);
+    status.next = itemsDone ? { phase: 'signals', offset: 0 } : { phase: 'items', offset: nextOffset };
+    await env.BRAIN_KV.put('migration:d1', JSON.stringify(status));
+
+    return {
+      phase,
+      migrated: statements.length,
+      total: indexData.items.length,
+      next: status.next,
+      done: false
+    };
+  }
+
+  const queue = await env.BRAIN_KV.get('signal-queue:all', 'json') || { items: [] };
+
+  // A queue entry can point at an item that never made it into index:all (so
+  // isn't in D1); signals.item_id references items, so those are skipped
+  const statements = [];
+  for (const queueItem of queue.items) {
+    const analysis = await env.BRAIN_KV.get(`signal:${queueItem.itemId}`, 'json');
+    if (!analysis) continue;
+    statements.push(env.DB.prepare(
+      `INSERT OR IGNORE INTO signals (item_id, contact, priority, reviewed, analysis, created_at)
+       SELECT ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM items WHERE id = ?)`
+    ).bind(
+      queueItem.itemId,
+      queueItem.contact || null,
+      queueItem.priority || 0,
+      queueItem.reviewed ? 1 : 0,
+      JSON.stringify(analysis),
+      queueItem.timestamp || analysis.analyzedAt || new Date().toISOString(),
+      queueItem.itemId
+    ));
+  }
+
+  const results = statements.length > 0 ? await env.DB.batch(statements) : [];
+  const skipped = results.filter(r => !r.meta?.changes).length;
+  if (skipped > 0) {
+    console.warn(`KV to D1 migration: ${skipped} signal readings skipped (item missing, or already copied)`);
+  }
+
+  status.searchShardsDeleted = await deleteKvSearchShards(env);
+  status.signalsMigrated = statements.length - skipped;
+  status.next = null;
+  status.completedAt = new Date().toISOString();
+  await env.BRAIN_KV.put('migration:d1', JSON.stringify(status));
+
+  return {
+    phase,
+    migrated: statements.length - skipped,
+    total: queue.items.length,
+    next: null,
+    done: true,
+    status
+  };
+}
+
+/**
+ * Remove the search:shard:<char> keys the KV search index used; returns how many
+ */
+async function deleteKvSearchShards(env) {
+  let deleted = 0;
+  let cursor;
+  do {
+    const page = await env.BRAIN_KV.list({ prefix: 'search:shard:', cursor });
+    await Promise.all(page.keys.map(key => env.BRAIN_KV.delete(key.name)));
+    deleted += page.keys.length;
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return deleted;
+}
+
+// Set once this isolate has seen the migration finished, so requests stop checking
+let kvToD1MigrationDone = false;
+
+/**
+ * Carry on an unfinished KV → D1 migration for up to `maxBatches` steps.
+ * Returns true once it has finished (a fresh install finishes on the first call).
+ */
+async function continueKvToD1Migration(env, maxBatches = CONFIG.migration.batchesPerRequest) {
+  if (kvToD1MigrationDone) return true;
+
+  const status = await env.BRAIN_KV.get('migration:d1', 'json');
+  if (status?.completedAt) {
+    // Finished before the last step cleaned up the search shards
+    if (status.searchShardsDeleted === undefined) {
+      status.searchShardsDeleted = await deleteKvSearchShards(env);
+      await env.BRAIN_KV.put('migration:d1', JSON.stringify(status));
+    }
+    kvToD1MigrationDone = true;
+    return true;
+  }
+
+  let next = status?.next || { phase: 'items', offset: 0 };
+  for (let i = 0; i < maxBatches && next; i++) {
+    const result = await migrateKvToD1Batch(env, next);
+    next = result.next;
+  }
+
+  kvToD1MigrationDone = !next;
+  return kvToD1MigrationDone;
+}
+
+/**
+ * CHAT THREADS MODULE
+ * /chat conversations are stored as threads in D1 (chat_threads, chat_messages)
+ * so they can be listed, resumed, renamed and deleted from any device. The
+ * model sees a thread's latest messages verbatim; once more than
+ * CONFIG.chat.summarizeAfter have piled up since the last summary, all but the
+ * latest CONFIG.chat.recentMessages are folded into a rolling summary, which
+ * keeps the prompt bounded however long the thread gets. Any answer can be
+ * pinned as a Claude note so later briefings and chats remember it.
+ */
+
+// Title of a thread started empty (POST /chat/threads); its first question replaces it
+const UNTITLED_CHAT_THREAD = 'New chat';
+
+function chatThreadFromRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    messageCount: row.message_count,
+    summarizedCount: row.summarized_count,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function chatMessageFromRow(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    citations: row.citations ? JSON.parse(row.citations) : [],
+    pinnedNoteId: row.pinned_note_id || null,
+    createdAt: row.created_at
+  };
+}
+
+async function getChatThread(id, env) {
+  return await env.DB.prepare('SELECT * FROM chat_threads WHERE id = ?').bind(id).first();
+}
+
+/**
+ * A thread title from its first question, cut at CONFIG.chat.titleLength
+ */
+function chatThreadTitle(text) {
+  const title = text.replace(/\s+/g, ' ').trim();
+  return title.length > CONFIG.chat.titleLength
+    ? `${title.substring(0, CONFIG.chat.titleLength - 1).trimEnd()}…`
+    : title;
+}
+
+async function createChatThread(title, env) {
+  const now = new Date().toISOString();
+  const row = {
+    id: generateId(),
+    title: chatThreadTitle(title) || UNTITLED_CHAT_THREAD,
+    summary: null,
+    summarized_count: 0,
+    message_count: 0,
+    created_at: now,
+    updated_at: now
+  };
+  await env.DB.prepare(
+    'INSERT INTO chat_threads (id, title, summary, summarized_count, message_count, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+  ).bind(row.id, row.title, row.summary, row.summarized_count, row.message_count, row.created_at, row.updated_at).run();
+  return row;
+}
+
+/**
+ * What the model gets of a thread: its summary and the messages after it
+ */
+async function getChatThreadContext(thread, env) {
+  const { results } = await env.DB.prepare(
+    'SELECT role, content FROM chat_messages WHERE thread_id = ? AND seq > ? ORDER BY seq'
+  ).bind(thread.id, thread.summarized_count).all();
+  return {
+    summary: thread.summary || null,
+    history: results.map(row => ({ role: row.role, content: row.content }))
+  };
+}
+
+/**
+ * Append one message to a thread. Returns its id.
+ *
+ * The question is saved before the model is called and the answer once it's
+ * back, so a question survives an answer that never arrives (a failed model
+ * call, or a streamed answer whose page was closed).
+ */
+async function saveChatMessage(threadId, role, content, citations, env) {
+  const now = new Date().toISOString();
+  const id = generateId();
+
+  await env.DB.batch([
+    env.DB.prepare(
+      `INSERT INTO chat_messages (id, thread_id, seq, role, content, citations, pinned_note_id, created_at)
+       VALUES (?, ?, (SELECT COALESCE(MAX(seq), 0) + 1 FROM chat_messages WHERE thread_id = ?), ?, ?, ?, NULL, ?)`
+    ).bind(id, threadId, threadId, role, content, citations ? JSON.stringify(citations) : null, now),
+    env.DB.prepare(
+      `UPDATE chat_threads SET message_count = message_count + 1, updated_at = ?,
+         title = CASE WHEN message_count = 0 AND title = ? AND ? = 'user' THEN ? ELSE title END
+       WHERE id = ?`
+    ).bind(now, UNTITLED_CHAT_THREAD, role, chatThreadTitle(content), threadId)
+  ]);
+  return id;
+}
+
+/**
+ * Fold a thread's older messages into its summary once enough have piled up.
+ * Runs after the answer has been sent; a failure just means the next turn
+ * sends a few more messages verbatim and tries again.
+ */
+async function summarizeChatThread(threadId, env) {
+  const thread = await getChatThread(threadId, env);
+  if (!thread) return null;
+
+  const { results } = await env.DB.prepare(
+    'SELECT seq, role, content FROM chat_messages WHERE thread_id = ? AND seq > ? ORDER BY seq'
+  ).bind(threadId, thread.summarized_count).all();
+  if (results.length <= CONFIG.chat.summarizeAfter) return null;
+
+  const folded = results.slice(0, results.length - CONFIG.chat.recentMessages);
+  const transcript = folded
+    .map(m => `${m.role === 'user' ? 'AROHA' : 'YOU'}: ${m.content}`)
+    .join('\n\n');
+
+  const prompt = `You are the intelligence inside Aroha's Second Brain. This is an older part of a chat you're having with her; it's about to drop out of your context, so write the summary you'll rely on instead.
+
+${thread.summary ? `YOUR SUMMARY OF THE CONVERSATION BEFORE THIS:\n${thread.summary}\n\n` : ''}MESSAGES TO FOLD IN:
+${transcript}
+
+Write one updated summary covering everything above. Keep what she asked, the specific facts, figures, dates and names in the answers, anything she decided or asked you to follow up, and the [item:ID] markers of items you cited. Drop pleasantries. Plain text, under 250 words.`;
+
+  const { text } = await callLLM('summarize', { messages: [{ role: 'user', content: prompt }] }, env);
+  const summary = text.trim();
+  if (!summary) return null;
+
+  const summarizedCount = folded[folded.length - 1].seq;
+  // Another turn may have summarised meanwhile - keep whichever got there first
+  await env.DB.prepare(
+    'UPDATE chat_threads SET summary = ?, summarized_count = ? WHERE id = ? AND summarized_count = ?'
+  ).bind(summary, summarizedCount, threadId, thread.summarized_count).run();
+  return { summarizedCount };
+}
+
+/**
+ * GET /chat/threads - most recently used first (query: limit)
+ */
+async function handleListChatThreads(url, env) {
+  const limit = Math.min(parseInt(url.searchParams.get('limit') || '50'), 200);
+  const { results } = await env.DB.prepare(
+    `SELECT chat_threads.*,
+       (SELECT content FROM chat_messages WHERE thread_id = chat_threads.id ORDER BY seq DESC LIMIT 1) AS last_message
+     FROM chat_threads ORDER BY updated_at DESC LIMIT ?`
+  ).bind(limit).all();
+
+  const threads = results.map(row => ({
+    ...chatThreadFromRow(row),
+    preview: row.last_message ? row.last_message.replace(/\s*\[item:[^\]]+\]/g, '').substring(0, 120) : null
+  }));
+  return jsonResponse({ threads, count: threads.length });
+}
+
+/**
+ * POST /chat/threads - start an empty thread ({ title })
+ */
+async function handleCreateChatThread(request, env) {
+  const body = await request.json().catch(() => ({}));
+  const thread = await createChatThread(typeof body.title === 'string' ? body.title : '', env);
+  return jsonResponse({ success: true, thread: chatThreadFromRow(thread) });
+}
+
+/**
+ * GET /chat/threads/:id - the thread, its summary and every message
+ */
+async function handleGetChatThread(id, env) {
+  const thread = await getChatThread(id, env);
+  if (!thread) {
+    return jsonResponse({ error: 'Thread not found' }, 404);
+  }
+
+  const { results } = await env.DB.prepare(
+    'SELECT * FROM chat_messages WHERE thread_id = ? ORDER BY seq'
+  ).bind(id).all();
+
+  return jsonResponse({
+    thread: chatThreadFromRow(thread),
+    summary: thread.summary || null,
+    messages: results.map(chatMessageFromRow)
+  });
+}
+
+/**
+ * PATCH /chat/threads/:id - rename ({ title })
+ */
+async function handleRenameChatThread(id, request, env) {
+  const body = await request.json();
+  const title = typeof body.title === 'string' ? chatThreadTitle(body.title) : '';
+  if (!title) {
+    return jsonResponse({ error: 'title is required' }, 400);
+  }
+
+  const result = await env.DB.prepare(
+    'UPDATE chat_threads SET title = ?, updated_at = ? WHERE id = ?'
+  ).bind(title, new Date().toISOString(), id).run();
+  if (!result.meta?.changes) {
+    return jsonResponse({ error: 'Thread not found' }, 404);
+  }
+
+  return jsonResponse({ success: true, thread: chatThreadFromRow(await getChatThread(id, env)) });
+}
+
+/**
+ * DELETE /chat/threads/:id - the thread and its messages (pinned notes stay)
+ */
+async function handleDeleteChatThread(id, env) {
+  const thread = await getChatThread(id, env);
+  if (!thread) {
+    return jsonResponse({ error: 'Thread not found' }, 404);
+  }
+
+  await env.DB.batch([
+    env.DB.prepare('DELETE FROM chat_messages WHERE thread_id = ?').bind(id),
+    env.DB.prepare('DELETE FROM chat_threads WHERE id = ?').bind(id)
+  ]);
+  return jsonResponse({ success: true, message: `Deleted "${thread.title}"` });
+}
+
+/**
+ * POST /chat/threads/:id/messages/:messageId/pin - keep an answer as a Claude
+ * note ({ category }, default 'pinned'). DELETE the same path to unpin.
+ */
+async function handlePinChatMessage(threadId, messageId, request, env) {
+  const message = await env.DB.prepare(
+    'SELECT * FROM chat_messages WHERE id = ? AND thread_id = ?'
+  ).bind(messageId, threadId).first();
+  if (!message) {
+    return jsonResponse({ error: 'Message not found' }, 404);
+  }
+
+  if (request.method === 'DELETE') {
+    if (message.pinned_note_id) {
+      await removeClaudeNote(message.pinned_note_id, env);
+      await env.DB.prepare('UPDATE chat_messages SET pinned_note_id = NULL WHERE id = ?').bind(messageId).run();
+    }
+    return jsonResponse({ success: true, pinned: false });
+  }
+
+  if (message.role !== 'assistant') {
+    return jsonResponse({ error: 'Only answers can be pinned' }, 400);
+  }
+  if (message.pinned_note_id) {
+    return jsonResponse({ success: true, pinned: true, noteId: message.pinned_note_id });
+  }
+
+  const body = await request.json().catch(() => ({}));
+  const question = await env.DB.prepare(
+    'SELECT content FROM chat_messages WHERE thread_id = ? AND seq = ?'
+  ).bind(threadId, message.seq - 1).first();
+
+  const answer = message.content.replace(/\s*\[item:[^\]]+\]/g, '').trim();
+  const note = await addClaudeNote({
+    content: question ? `Asked "${question.content}": ${answer}` : answer,
+    category: body.category || 'pinned'
+  }, env);
+
+  await env.DB.prepare('UPDATE chat_messages SET pinned_note_id = ? WHERE id = ?').bind(note.id, messageId).run();
+  return jsonResponse({ success: true, pinned: true, noteId: note.id, note });
+}
+
+/**
+ * Handle POST /chat — conversational Q&A over Second Brain data
+ * Accepts { question, threadId, history: [{role, content}], stream }
+ * The exchange is saved to threadId, or to a new thread named after the
+ * question (history is only used then, as earlier context that isn't saved).
+ * With stream: true (or Accept: text/event-stream) the answer comes back as
+ * server-sent events instead of one JSON body — see streamChatAnswer.
+ */
+async function handleChat(request, env, ctx) {
+  const body = await request.json();
+  const question = (body.question || '').trim();
+
+  if (!question) {
+    return jsonResponse({ error: 'question is required' }, 400);
+  }
+
+  let thread = null;
+  if (body.threadId) {
+    thread = await getChatThread(body.threadId, env);
+    if (!thread) {
+      return jsonResponse({ error: 'Thread not found' }, 404);
+    }
+  }
+  const { summary: threadSummary, history } = thread
+    ? await getChatThreadContext(thread, env)
+    : { summary: null, history: Array.isArray(body.history) ? body.history : [] };
+
+  // Fetch context in parallel: recent items, items from anywhere in the history that
+  // match the question, and people/projects named in it
+  const [items, retrieved, claudeNotes, goalsContext, peopleAndProjects] = await Promise.all([
+    getRecentItems(env, 20),
+    retrieveForQuestion(question, env),
+    env.BRAIN_KV.get('claude:notes', 'json').then(d => d || { notes: [] }),
+    getGoalsContext(env),
+    getGraphContext(env, { text: question }).catch(error => {
+      console.error('Failed to load graph context:', error);
+      return '';
+    })
+  ]);
+
+  // Group by type for readable context
+  const byType = {};
+  items.forEach(item => {
+    if (!byType[item.type]) byType[item.type] = [];
+    byType[item.type].push(item);
+  });
+
+  const itemsSummary = Object.entries(byType).map(([type, typeItems]) => {
+    const lines = typeItems.map(i => {
+      const date = getDateInTimezone(i.createdAt);
+      const extra = i.structured?.amount ? ` ($${i.structured.amount})` : '';
+      const done = i.status === 'done' ? ' [done]' : '';
+      return `  - [${date}] ${i.input}${extra}${done} [item:${i.id}]`;
+    }).join('\n');
+    return `${type.toUpperCase()} (${typeItems.length}):\n${lines}`;
+  }).join('\n\n');
+
+  const myNotes = claudeNotes.notes
+    .filter(n => !n.expiresAt || new Date(n.expiresAt) > new Date())
+    .map(n => `[${n.category}] ${n.content}`)
+    .join('\n');
+
+  const systemContext = `You are the intelligence inside Aroha's Second Brain — a personal knowledge system she uses to capture thoughts, todos, expenses, communications, and ideas.
+
+She's asking you questions about her own data. Answer conversationally and honestly. Be specific — reference actual items, dates, amounts, names where relevant. If the data doesn't contain what she's asking about, say so directly. Don't pad or invent.
+
+AROHA'S GOALS & CONTEXT:
+${goalsContext || '(not set yet)'}
+
+HER RECENT CAPTURES (last 20 items, grouped by type):
+${itemsSummary || '(no items captured yet)'}
+
+FROM HER FULL HISTORY (items matching this question${retrieved.dateRange ? `, ${retrieved.dateRange.from} to ${retrieved.dateRange.to}` : ''}, oldest first):
+${retrieved.items.map(formatItemForChat).join('\n') || '(nothing matching found)'}
+
+PEOPLE & PROJECTS (anyone named in her question with their history, then who's been active lately):
+${peopleAndProjects || '(none linked yet)'}
+
+YOUR WORKING MEMORY (patterns noticed across her captures):
+${myNotes || '(none yet)'}
+${threadSummary ? `\nEARLIER IN THIS CONVERSATION (your summary of the messages before the ones below):\n${threadSummary}\n` : ''}
+TODAY'S DATE: ${getTodayInTimezone()} (${CONFIG.timezone})
+
+CITING: when you use a specific item, put its id right after the fact, exactly as shown: [item:ID]. Only cite ids that appear above. For totals, add up the matching items and cite them.
+
+Answer directly and conversationally. If you spot something worth flagging beyond her direct question, mention it briefly. Keep responses tight — she's on mobile most of the time.`;
+
+  // Build messages array: system context as first user message, then history, then current question
+  const messages = [
+    { role: 'user', content: systemContext },
+    { role: 'assistant', content: 'Understood — I have your Second Brain context loaded. What would you like to know?' },
+    ...history,
+    { role: 'user', content: question }
+  ];
+
+  // Save the question before asking, so it's in the thread whatever happens to the answer
+  const threadId = thread ? thread.id : (await createChatThread(question, env)).id;
+  await saveChatMessage(threadId, 'user', question, null, env);
+
+  // Save the answer, then (after responding) summarise the thread if it's grown long
+  const toResult = async answer => {
+    const citations = extractCitations(answer, [...items, ...retrieved.items]);
+    const messageId = await saveChatMessage(threadId, 'assistant', answer, citations, env);
+    ctx.waitUntil(summarizeChatThread(threadId, env).catch(error => {
+      console.error(`Failed to summarise chat thread ${threadId}:`, error);
+    }));
+
+    return {
+      answer,
+      citations,
+      threadId,
+      messageId,
+      retrieval: {
+        dateRange: retrieved.dateRange,
+        types: retrieved.types,
+        provider: retrieved.provider,
+        matches: retrieved.matches
+      },
+      askedAt: new Date().toISOString()
+    };
+  };
+
+  if (body.stream === true || (request.headers.get('Accept') || '').includes('text/event-stream')) {
+    return streamChatAnswer(messages, threadId, toResult, env, ctx);
+  }
+
+  try {
+    const { text: answer } = await callLLM('chat', { messages }, env);
+    return jsonResponse(await toResult(answer));
+  } catch (error) {
+    return jsonResponse({ error: error.message, threadId }, 500);
+  }
+}
+
+/**
+ * Stream a chat answer as server-sent events, one JSON object per event:
+ *   data: {"type":"delta","text":"..."}    as the model produces text
+ *   data: {"type":"done", ...}             the same body non-streaming /chat returns
+ *   data: {"type":"error","error":"...","threadId":"..."}   if the model call fails (possibly mid-answer)
+ *
+ * The producer is registered with ctx.waitUntil so the worker isn't torn down
+ * once the Response is returned, and the answer is still saved if the page
+ * goes away mid-stream.
+ */
+function streamChatAnswer(messages, threadId, toResult, env, ctx) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  // Writes fail once the page has gone away; the model call just runs to the end
+  const send = event => writer.write(encoder.encode(`data: ${JSON.stringify(event)}\n\n`)).catch(() => {});
+
+  ctx.waitUntil((async () => {
+    try {
+      const { text: answer } = await streamLLM('chat', { messages }, env, text => send({ type: 'delta', text }));
+      await send({ type: 'done', ...await toResult(answer) });
+    } catch (error) {
+      await send({ type: 'error', error: error.message, threadId });
+    } finally {
+      await writer.close().catch(() => {});
+    }
+  })());
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      ...corsHeaders()
+    }
+  });
+}
+
+/**
+ * Get versioned goals context formatted for Claude prompts
+ * Older versions carry more weight as they've been held longer
+ */
+async function getGoalsContext(env) {
+  const data = await env.BRAIN_KV.get('goals:versions', 'json');
+  if (!data || !data.versions || data.versions.length === 0) return null;
+
+  const now = new Date();
+  return data.versions.map((v, i) => {
+    const savedAt = new Date(v.savedAt);
+    const daysAgo = Math.floor((now - savedAt) / (1000 * 60 * 60 * 24));
+    const ageLabel = daysAgo === 0 ? 'today'
+      : daysAgo === 1 ? '1 day ago'
+      : daysAgo < 30 ? `${daysAgo} days ago`
+      : daysAgo < 60 ? '~1 month ago'
+      : `${Math.floor(daysAgo / 30)} months ago`;
+    const isLatest = i === data.versions.length - 1;
+    const prefix = isLatest ? `[Current — saved ${ageLabel}]` : `[Previous — saved ${ageLabel}]`;
+    return `${prefix}\n${v.text}`;
+  }).join('\n\n---\n\n');
+}
+
+/**
+ * Handle GET /goals — return full version history
+ */
+async function handleGetGoals(env) {
+  const data = await env.BRAIN_KV.get('goals:versions', 'json') || { versions: [] };
+  return jsonResponse(data);
+}
+
+/**
+ * Handle POST /goals — append a new version (max 10 kept)
+ */
+async function handleSaveGoals(request, env) {
+  const body = await request.json();
+  const text = (body.text || '').trim();
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 4096,
-        messages: [{ role: 'user', content: briefingPrompt }]
-      })
-    });
+  if (!text) {
+    return jsonResponse({ error: 'text is required' }, 400);
+  }
 
-    if (!response.ok) {
-      throw new Error('Claude API error');
-    }
+  const data = await env.BRAIN_KV.get('goals:versions', 'json') || { versions: [] };
 
-    const data = await response.json();
-    const briefing = data.content[0].text;
+  data.versions.push({
+    text,
+    savedAt: new Date().toISOString()
+  });
 
-    return briefing;
-  } catch (error) {
-    console.error('Failed to generate briefing:', error);
-    throw error;
+  // Keep last 10 versions
+  if (data.versions.length > 10) {
+    data.versions = data.versions.slice(-10);
   }
+
+  await env.BRAIN_KV.put('goals:versions', JSON.stringify(data));
+
+  return jsonResponse({
+    success: true,
+    totalVersions: data.versions.length,
+    savedAt: data.versions[data.versions.length - 1].savedAt
+  });
 }
 
 /**
- * Send full morning briefing via Ntfy
+ * CALORIE TRACKING
+ * Calorie captures carry estimatedCalories plus macros { protein, carbs, fat, fibre }
+ * in grams. Daily targets live in KV under nutrition:targets (a null target means
+ * "don't track this one").
  */
-async function sendMorningBriefing(briefing, env) {
-  const ntfyTopic = env.NTFY_TOPIC || 'second-brain-default';
 
-  // Truncate if too long for ntfy (max 4096 bytes)
-  const maxLength = 4000;
-  let body = briefing;
-  if (briefing.length > maxLength) {
-    body = briefing.substring(0, maxLength) + '\n\n...[Briefing truncated - open Dashboard for full view]';
-  }
+const DEFAULT_NUTRITION_TARGETS = { calories: 2000, protein: 90, carbs: 250, fat: 70, fibre: 30 };
+const MACRO_FIELDS = ['protein', 'carbs', 'fat', 'fibre'];
 
-  try {
-    await fetch(`https://ntfy.sh/${ntfyTopic}`, {
-      method: 'POST',
-      headers: {
-        'Title': '☀️ Morning Briefing',
-        'Priority': 'high',
-        'Tags': 'alarm,sunrise,coffee',
-        'Actions': 'view, Dashboard, https://arohaislove.github.io/second-brain/dashboard.html; view, Claude Chat, https://claude.ai; view, Claude Code, https://claude.ai/code'
-      },
-      body: body
-    });
-    console.log('Morning briefing sent via ntfy');
-  } catch (e) {
-    console.error('Failed to send morning briefing:', e);
-    throw e;
+/**
+ * Current daily targets (KV overrides on top of the defaults)
+ */
+async function getNutritionTargets(env) {
+  const stored = await env.BRAIN_KV.get('nutrition:targets', 'json') || {};
+  const targets = { ...DEFAULT_NUTRITION_TARGETS };
+  for (const key of Object.keys(DEFAULT_NUTRITION_TARGETS)) {
+    if (key in stored) targets[key] = stored[key];
   }
+  return targets;
 }
 
 /**
- * SIGNAL READING MODULE
- * Analyzes captured interactions for subtext and dynamics
+ * GET /calories/targets
  */
+async function handleGetNutritionTargets(env) {
+  const stored = await env.BRAIN_KV.get('nutrition:targets', 'json');
+  return jsonResponse({
+    targets: await getNutritionTargets(env),
+    defaults: DEFAULT_NUTRITION_TARGETS,
+    updatedAt: stored?.updatedAt || null
+  });
+}
 
 /**
- * Determine if an interaction should be flagged for signal analysis
+ * POST /calories/targets - set any of calories, protein, carbs, fat, fibre
+ * (numbers, or null to stop tracking that one)
  */
-async function shouldFlagForSignalAnalysis(message, direction, app, contact, env) {
-  // Check exclusions first
-  const exclusions = await env.BRAIN_KV.get('signal-exclusions', 'json') || { contacts: [], apps: [] };
-
-  if (exclusions.contacts.includes(contact.toLowerCase())) return false;
-  if (exclusions.apps.includes(app.toLowerCase())) return false;
-
-  // Auto-exclude transactional/service apps
-  const transactionalApps = ['banking', 'bank', 'delivery', 'uber', 'lyft', 'food', 'health'];
-  if (transactionalApps.some(t => app.toLowerCase().includes(t))) return false;
-
-  // Uncertainty markers (more likely in outgoing messages you sent)
-  const uncertaintyMarkers = [
-    'not sure', 'weird', 'confused', 'unclear', 'strange',
-    'did i', 'should i have', 'was that', 'awkward', '??'
-  ];
-  if (direction === 'outgoing' && uncertaintyMarkers.some(m => message.toLowerCase().includes(m))) {
-    return true;
-  }
+async function handleSaveNutritionTargets(request, env) {
+  const body = await request.json();
+  const stored = await env.BRAIN_KV.get('nutrition:targets', 'json') || {};
 
-  // Professional-ambiguous keywords
-  const professionalKeywords = [
-    'interview', 'opportunity', 'meeting', 'proposal', 'project',
-    'collaboration', 'feedback', 'review', 'discuss', 'catch up'
-  ];
-  if (professionalKeywords.some(k => message.toLowerCase().includes(k))) {
-    return true;
+  for (const key of Object.keys(DEFAULT_NUTRITION_TARGETS)) {
+    if (!(key in body)) continue;
+    const value = body[key];
+    if (value !== null && (typeof value !== 'number' || !isFinite(value) || value <= 0)) {
+      return jsonResponse({ error: `${key} must be a positive number or null` }, 400);
+    }
+    stored[key] = value;
   }
 
-  // Questions left unanswered (outgoing question, then silence)
-  if (direction === 'outgoing' && message.includes('?')) {
-    // Check if there's been a response from this contact in last 24 hours
-    const contactHistory = await env.BRAIN_KV.get(`contact:${contact}`, 'json') || { interactions: [] };
-    const recentInteractions = contactHistory.interactions.slice(-5);
+  stored.updatedAt = new Date().toISOString();
+  await env.BRAIN_KV.put('nutrition:targets', JSON.stringify(stored));
 
-    const dayAgo = Date.now() - (24 * 60 * 60 * 1000);
-    const hasRecentResponse = recentInteractions.some(id => {
-      // This is simplified - in full implementation, we'd fetch each item
-      return true; // Placeholder
-    });
+  return jsonResponse({
+    success: true,
+    targets: await getNutritionTargets(env),
+    updatedAt: stored.updatedAt
+  });
+}
 
-    if (!hasRecentResponse) return true;
+/**
+ * Calories and macro grams from one calorie item
+ */
+function getItemNutrition(item) {
+  const s = item.structured || {};
+  const nutrition = { calories: Number(s.estimatedCalories) || 0 };
+  for (const field of MACRO_FIELDS) {
+    nutrition[field] = Number(s.macros?.[field]) || 0;
   }
+  return nutrition;
+}
 
-  // Long outgoing messages (might indicate over-explaining)
-  if (direction === 'outgoing' && message.length > 500) {
-    return true;
+/**
+ * Sum nutrition over items (macros rounded to 0.1g)
+ */
+function sumNutrition(items) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fibre: 0 };
+  for (const item of items) {
+    const nutrition = getItemNutrition(item);
+    for (const key of Object.keys(totals)) totals[key] += nutrition[key];
   }
-
-  // Default: don't flag routine exchanges
-  return false;
+  for (const field of MACRO_FIELDS) totals[field] = Math.round(totals[field] * 10) / 10;
+  return totals;
 }
 
 /**
- * Analyze interaction for signal reading
+ * Per-day averages over the days that have any logs
  */
-async function analyzeSignal(item, env) {
-  const { input: message, structured } = item;
-  const { direction, app, contact } = structured;
-
-  // Get contact history for context
-  const contactHistory = await env.BRAIN_KV.get(`contact:${contact}`, 'json') || { interactions: [] };
-  const recentIds = contactHistory.interactions.slice(-5);
-
-  // Fetch recent interactions with this contact
-  const recentInteractions = [];
-  for (const id of recentIds) {
-    if (id === item.id) continue; // Skip current item
-    const interaction = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (interaction) {
-      recentInteractions.push({
-        date: interaction.createdAt.split('T')[0],
-        direction: interaction.structured?.direction,
-        message: interaction.input,
-        app: interaction.structured?.app
-      });
-    }
+function averageNutrition(days) {
+  const logged = days.filter(d => d.meals > 0);
+  const averages = { calories: 0, protein: 0, carbs: 0, fat: 0, fibre: 0 };
+  if (logged.length === 0) return averages;
+  for (const key of Object.keys(averages)) {
+    averages[key] = Math.round(logged.reduce((sum, d) => sum + d[key], 0) / logged.length * 10) / 10;
   }
-
-  // Get calibration notes
-  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-  const calibrationNotes = claudeNotes.notes
-    .filter(n => n.category === 'signal-calibration')
-    .map(n => n.content)
-    .join('\n');
-
-  const analysisPrompt = `You are analyzing a captured interaction for subtext and dynamics. This is part of a signal reading system to help the user recognize patterns they might miss.
-
-INTERACTION:
-Direction: ${direction}
-App: ${app}
-Contact: ${contact}
-Message: ${message}
-Date: ${item.createdAt}
-
-RECENT HISTORY WITH ${contact}:
-${recentInteractions.length > 0 ? recentInteractions.map(i =>
-  `[${i.date}] ${i.direction} via ${i.app}: ${i.message}`
-).join('\n') : '(no recent history)'}
-
-CALIBRATION NOTES (what you've learned about analysis accuracy):
-${calibrationNotes || '(none yet)'}
-
-Analyze this interaction across these dimensions:
-
-1. **Signal vs Noise**: Was this precise and context-aware, or vague and generic?
-2. **Dependency/Urgency Leak**: Does it signal that stability depends on the outcome?
-3. **Status Calibration**: Over-explaining (insecurity) or under-explaining (assumes alignment)?
-4. **Purpose Clarity**: Was intent clear, or was this processing out loud?
-5. **Constraint Awareness**: Did it show understanding of the other person's constraints?
-6. **What Wasn't Said**: What got avoided or talked around?
-7. **Power Direction**: Who adjusted to whom? Who set the frame?
-8. **Time Horizon Mismatch**: Different timescales at play?
-9. **Context Carry-Over**: How does history with this person affect subtext?
-10. **What Worked**: What landed as intended?
-
-Respond with JSON only:
-{
-  "contextType": "professional-ambiguous|operational-clear|personal-close|transactional",
-  "keyDynamic": "One sentence summary of the core dynamic",
-  "possibleSubtext": "One sentence about what might be happening beneath the surface",
-  "whatWorked": "One sentence about what was effective (or null if nothing notable)",
-  "patternNote": "Connection to recurring themes (or null)",
-  "action": "review|noted|calibration-needed",
-  "detailedAnalysis": {
-    "signalVsNoise": "Brief assessment",
-    "dependencyLeak": "Brief assessment",
-    "statusCalibration": "Brief assessment",
-    "purposeClarity": "Brief assessment",
-    "constraintAwareness": "Brief assessment",
-    "whatWasntSaid": "Brief assessment",
-    "powerDirection": "Brief assessment",
-    "timeHorizonMismatch": "Brief assessment",
-    "contextCarryOver": "Brief assessment",
-    "whatWorked": "Brief assessment"
-  },
-  "blindSpots": ["Patterns the user might be missing"],
-  "questions": ["Curious questions that might spark reflection"]
+  averages.calories = Math.round(averages.calories);
+  return averages;
 }
 
-CRITICAL: Be honest and insightful, not validating. Focus on what's interesting, not what's flattering. Use the calibration notes to adjust your analysis.`;
+/**
+ * Roll a run of days up into a week/month summary
+ */
+function summariseNutritionDays(days, targets) {
+  const logged = days.filter(d => d.meals > 0);
+  return {
+    daysLogged: logged.length,
+    totals: sumNutritionDays(days),
+    averages: averageNutrition(days),
+    daysOverTarget: targets.calories ? logged.filter(d => d.calories > targets.calories).length : 0
+  };
+}
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2048,
-        messages: [{ role: 'user', content: analysisPrompt }]
-      })
-    });
+/**
+ * Sum already-totalled days
+ */
+function sumNutritionDays(days) {
+  const totals = { calories: 0, protein: 0, carbs: 0, fat: 0, fibre: 0 };
+  for (const day of days) {
+    for (const key of Object.keys(totals)) totals[key] += day[key];
+  }
+  for (const field of MACRO_FIELDS) totals[field] = Math.round(totals[field] * 10) / 10;
+  return totals;
+}
 
-    if (!response.ok) {
-      console.error('Signal analysis API error:', response.status);
-      return null;
-    }
+/**
+ * GET /calories?date=YYYY-MM-DD (optional, defaults to today)
+ * GET /calories?from=YYYY-MM-DD&to=YYYY-MM-DD - day-by-day with weekly/monthly rollups
+ */
+async function handleGetCalories(url, env) {
+  if (url.searchParams.has('from') || url.searchParams.has('to')) {
+    return await handleCalorieRollup(url, env);
+  }
 
-    const data = await response.json();
-    const text = data.content[0].text;
+  const dateParam = url.searchParams.get('date');
+  if (dateParam && !/^\d{4}-\d{2}-\d{2}$/.test(dateParam)) {
+    return jsonResponse({ error: 'date must be YYYY-MM-DD' }, 400);
+  }
+  const targetDate = dateParam || getTodayInTimezone();
 
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const analysis = JSON.parse(jsonMatch[0]);
+  const { start, end } = getUtcBoundsForLocalDates(targetDate);
+  const [calorieItems, targets] = await Promise.all([
+    queryItems(env, {
+      type: 'calorie',
+      since: start,
+      until: end,
+      order: 'ASC',
+      limit: 200
+    }),
+    getNutritionTargets(env)
+  ]);
 
-      // Add metadata
-      analysis.analyzedAt = new Date().toISOString();
-      analysis.itemId = item.id;
-      analysis.contact = contact;
+  const totals = sumNutrition(calorieItems);
+  const total = totals.calories;
+  const target = targets.calories; // null: calories aren't being tracked against a target
+
+  const breakdown = calorieItems.map(item => {
+    const { calories, ...macros } = getItemNutrition(item);
+    return {
+      id: item.id,
+      time: formatDateInTimezone(item.createdAt, 'time'),
+      mealType: item.structured?.mealType || 'unknown',
+      foods: item.structured?.foods || [item.input],
+      calories,
+      macros,
+      confidence: item.structured?.confidence || 'unknown'
+    };
+  });
 
-      return analysis;
-    }
-  } catch (error) {
-    console.error('Signal analysis error:', error);
-    return null;
+  const progress = {};
+  if (target !== null) {
+    const remaining = target - total;
+    progress.remaining = remaining;
+    progress.status = remaining > 0 ? `${remaining} cal remaining` : `${Math.abs(remaining)} cal over target`;
+    progress.onTrack = total <= target;
   }
 
-  return null;
+  return jsonResponse({
+    date: targetDate,
+    totalCalories: total,
+    dailyTarget: target,
+    ...progress,
+    totals,
+    targets,
+    meals: breakdown,
+    itemCount: calorieItems.length
+  });
 }
 
 /**
- * Queue an interaction for signal analysis
+ * Day-by-day nutrition for a date range, with weekly (Monday-start) and monthly
+ * rollups and a 7-day rolling calorie average for trend lines
  */
-async function queueSignalAnalysis(item, env) {
-  // Run analysis
-  const analysis = await analyzeSignal(item, env);
+async function handleCalorieRollup(url, env) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const to = url.searchParams.get('to') || getTodayInTimezone();
+  if (!datePattern.test(to)) {
+    return jsonResponse({ error: 'from and to must be YYYY-MM-DD' }, 400);
+  }
+  const from = url.searchParams.get('from') || addDaysToDateString(to, -6);
 
-  if (!analysis) {
-    console.log('Failed to analyze signal for item:', item.id);
-    return;
+  if (!datePattern.test(from) || !datePattern.test(to)) {
+    return jsonResponse({ error: 'from and to must be YYYY-MM-DD' }, 400);
+  }
+  if (from > to) {
+    return jsonResponse({ error: 'from must be on or before to' }, 400);
   }
 
-  // Store analysis
-  await env.BRAIN_KV.put(`signal:${item.id}`, JSON.stringify(analysis));
+  if (addDaysToDateString(from, 365) < to) {
+    return jsonResponse({ error: 'Range too long (max 366 days)' }, 400);
+  }
 
-  // Add to priority queue
-  const queue = await env.BRAIN_KV.get('signal-queue:all', 'json') || { items: [] };
+  const { days, targets } = await getNutritionDays(from, to, env);
 
-  // Calculate priority score (higher = more important)
-  let priority = 0;
+  // Rolling average over the last 7 calendar days that had logs
+  days.forEach((day, i) => {
+    const window = days.slice(Math.max(0, i - 6), i + 1).filter(d => d.meals > 0);
+    day.rollingAverageCalories = window.length > 0
+      ? Math.round(window.reduce((sum, d) => sum + d.calories, 0) / window.length)
+      : null;
+  });
 
-  // Recent items get higher priority
-  const ageHours = (Date.now() - new Date(item.createdAt).getTime()) / (1000 * 60 * 60);
-  priority += Math.max(0, 48 - ageHours); // Newer = higher score
+  const groupBy = keyFn => {
+    const groups = new Map();
+    for (const day of days) {
+      const key = keyFn(day.date);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(day);
+    }
+    return [...groups.entries()];
+  };
 
-  // Action type affects priority
-  if (analysis.action === 'calibration-needed') priority += 20;
-  if (analysis.action === 'review') priority += 10;
+  const weeks = groupBy(date => addDaysToDateString(date, -((getWeekdayOfDateString(date) + 6) % 7)))
+    .map(([weekStart, weekDays]) => ({
+      weekStart,
+      weekEnd: addDaysToDateString(weekStart, 6),
+      ...summariseNutritionDays(weekDays, targets)
+    }));
 
-  // Professional-ambiguous contexts get higher priority
-  if (analysis.contextType === 'professional-ambiguous') priority += 15;
+  const months = groupBy(date => date.substring(0, 7))
+    .map(([month, monthDays]) => ({ month, ...summariseNutritionDays(monthDays, targets) }));
+
+  // Trend: first half of the logged days against the second half
+  const logged = days.filter(d => d.meals > 0);
+  const half = Math.floor(logged.length / 2);
+  let trend = null;
+  if (half > 0) {
+    const firstAvg = averageNutrition(logged.slice(0, half)).calories;
+    const secondAvg = averageNutrition(logged.slice(-half)).calories;
+    const change = secondAvg - firstAvg;
+    // 5% of a typical day, when there's no calorie target to scale by
+    const threshold = (targets.calories ?? DEFAULT_NUTRITION_TARGETS.calories) * 0.05;
+    trend = {
+      direction: Math.abs(change) < threshold ? 'flat' : change > 0 ? 'up' : 'down',
+      caloriesChange: change
+    };
+  }
 
-  queue.items.push({
-    itemId: item.id,
-    contact: item.structured.contact,
-    timestamp: item.createdAt,
-    priority: priority,
-    reviewed: false
+  return jsonResponse({
+    from,
+    to,
+    targets,
+    summary: { ...summariseNutritionDays(days, targets), trend },
+    days,
+    weeks,
+    months
   });
+}
 
-  // Sort by priority (highest first)
-  queue.items.sort((a, b) => b.priority - a.priority);
+/**
+ * Nutrition totals for each local date from..to (days with nothing logged included)
+ */
+async function getNutritionDays(from, to, env) {
+  const { start, end } = getUtcBoundsForLocalDates(from, to);
+  const [items, targets] = await Promise.all([
+    getAllItems(env, { type: 'calorie', since: start, until: end }),
+    getNutritionTargets(env)
+  ]);
 
-  // Keep only last 100 items
-  if (queue.items.length > 100) {
-    queue.items = queue.items.slice(0, 100);
+  const byDate = {};
+  for (const item of items) {
+    const date = getDateInTimezone(item.createdAt);
+    (byDate[date] = byDate[date] || []).push(item);
   }
 
-  await env.BRAIN_KV.put('signal-queue:all', JSON.stringify(queue));
+  const days = [];
+  for (let date = from; date <= to; date = addDaysToDateString(date, 1)) {
+    const dayItems = byDate[date] || [];
+    const totals = sumNutrition(dayItems);
+    days.push({
+      date,
+      ...totals,
+      meals: dayItems.length,
+      overTarget: !!targets.calories && totals.calories > targets.calories
+    });
+  }
 
-  console.log(`Signal analysis queued for ${item.id} (priority: ${priority})`);
+  return { days, targets };
 }
 
 /**
- * Add interaction to contact history
+ * Compute a day's calorie and macro totals from D1 (defaults to today)
  */
-async function addToContactHistory(contact, itemId, env) {
-  const history = await env.BRAIN_KV.get(`contact:${contact}`, 'json') || {
-    contact: contact,
-    interactions: [],
-    firstSeen: new Date().toISOString()
-  };
-
-  history.interactions.push(itemId);
-  history.lastSeen = new Date().toISOString();
-
-  // Keep last 50 interactions per contact
-  if (history.interactions.length > 50) {
-    history.interactions = history.interactions.slice(-50);
-  }
+async function getDailyNutritionTotals(env, date = getTodayInTimezone()) {
+  const { start, end } = getUtcBoundsForLocalDates(date);
+  const row = await env.DB.prepare(
+    `SELECT COALESCE(SUM(json_extract(structured, '$.estimatedCalories')), 0) AS calories,
+            COALESCE(SUM(json_extract(structured, '$.macros.protein')), 0) AS protein,
+            COALESCE(SUM(json_extract(structured, '$.macros.carbs')), 0) AS carbs,
+            COALESCE(SUM(json_extract(structured, '$.macros.fat')), 0) AS fat,
+            COALESCE(SUM(json_extract(structured, '$.macros.fibre')), 0) AS fibre
+     FROM items WHERE type = 'calorie' AND created_at >= ? AND created_at < ?`
+  ).bind(start, end).first();
+
+  const totals = { calories: row.calories };
+  for (const field of MACRO_FIELDS) totals[field] = Math.round(row[field] * 10) / 10;
+  return totals;
+}
 
-  await env.BRAIN_KV.put(`contact:${contact}`, JSON.stringify(history));
+/**
+ * Send calorie notification, with an "Open item" button to check the estimate
+ */
+async function sendCalorieNotification(message, dailyTotals, env, itemId = null) {
+  const targets = await getNutritionTargets(env);
+  const target = targets.calories;
+  const over = target !== null && dailyTotals.calories > target;
+  const tag = over ? 'warning' : 'white_check_mark';
+  const title = target === null
+    ? 'Calories logged' // no target to measure against; the body has today's total
+    : `Calories logged (${over ? 'over target!' : `${target - dailyTotals.calories} remaining`})`;
+
+  // Progress against whichever macro targets are set
+  const macroProgress = MACRO_FIELDS
+    .filter(field => targets[field])
+    .map(field => `${field} ${Math.round(dailyTotals[field])}/${targets[field]}g`)
+    .join(' · ');
+
+  await notify({
+    category: 'calorie',
+    title,
+    body: macroProgress ? `${message}\nToday: ${macroProgress}` : message,
+    priority: over ? 'high' : 'default',
+    tags: ['fork_and_knife', tag],
+    actions: itemId ? [await buildNotificationAction('open', itemId, env)] : []
+  }, env);
 }
 
 /**
- * Get signal readings queue
+ * EXPENSES MODULE
+ * Expense captures carry amount, currency, category, vendor and date. At capture
+ * time the amount is also converted to CONFIG.baseCurrency at that day's rate
+ * (baseAmount/fxRate/fxDate), so reports don't drift as exchange rates move.
+ * Monthly category budgets live in KV under expenses:budgets.
  */
-async function handleGetSignals(url, env) {
-  const limit = Math.min(parseInt(url.searchParams.get('limit') || '20'), 100);
-  const reviewedFilter = url.searchParams.get('reviewed'); // 'true', 'false', or null (all)
 
-  const queue = await env.BRAIN_KV.get('signal-queue:all', 'json') || { items: [] };
+// Longest prefixes first so "NZ$" wins over "$"; a bare "$" means the base currency
+const CURRENCY_SYMBOLS = [
+  ['NZ$', 'NZD'], ['AU$', 'AUD'], ['A$', 'AUD'], ['US$', 'USD'], ['C$', 'CAD'],
+  ['HK$', 'HKD'], ['S$', 'SGD'], ['£', 'GBP'], ['€', 'EUR'], ['¥', 'JPY'], ['₹', 'INR']
+];
 
-  let items = queue.items;
+// Statuses that take an expense out of reports (e.g. a duplicate receipt)
+const EXCLUDED_EXPENSE_STATUSES = ['archived', 'deleted', 'needs-review'];
 
-  // Filter by reviewed status if specified
-  if (reviewedFilter === 'true') {
-    items = items.filter(i => i.reviewed);
-  } else if (reviewedFilter === 'false') {
-    items = items.filter(i => !i.reviewed);
-  }
+/**
+ * Normalise a currency code or symbol to ISO 4217 (null if unrecognised)
+ */
+function normalizeCurrency(value) {
+  if (!value || typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  if (/^[A-Za-z]{3}$/.test(trimmed)) return trimmed.toUpperCase();
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => trimmed.startsWith(s));
+  if (symbol) return symbol[1];
+  return trimmed.startsWith('$') ? CONFIG.baseCurrency : null;
+}
 
-  // Take top N by priority
-  items = items.slice(0, limit);
+/**
+ * Find a currency mentioned in free text ("US$45", "45 AUD", "€12")
+ */
+function detectCurrency(text) {
+  if (!text) return null;
+  const code = String(text).match(/\b(NZD|AUD|USD|GBP|EUR|JPY|CAD|SGD|HKD|INR|CNY|CHF|FJD|THB)\b/i);
+  if (code) return code[1].toUpperCase();
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => String(text).includes(s));
+  return symbol ? symbol[1] : null;
+}
 
-  // Fetch full analysis and item data
-  const signals = [];
-  for (const queueItem of items) {
-    const analysis = await env.BRAIN_KV.get(`signal:${queueItem.itemId}`, 'json');
-    const item = await env.BRAIN_KV.get(`item:${queueItem.itemId}`, 'json');
+/**
+ * Parse an amount that may arrive as "$1,234.50" or "12,50 €"
+ */
+function parseAmount(value) {
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  let cleaned = value.replace(/[^\d.,-]/g, '');
+  // "12,50" (comma decimal) vs "1,234" / "1,234.50" (comma thousands)
+  if (/^-?\d+,\d{1,2}$/.test(cleaned)) cleaned = cleaned.replace(',', '.');
+  const amount = parseFloat(cleaned.replace(/,/g, ''));
+  return isFinite(amount) ? amount : null;
+}
 
-    if (analysis && item) {
-      signals.push({
-        ...queueItem,
-        analysis: analysis,
-        item: item
-      });
-    }
+/**
+ * Minor-unit digits for a currency (2 for NZD, 0 for JPY)
+ */
+function getCurrencyDecimals(currency) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+  } catch (e) {
+    return 2;
   }
-
-  return jsonResponse({
-    signals: signals,
-    count: signals.length,
-    totalInQueue: queue.items.length
-  });
 }
 
 /**
- * Add feedback to signal analysis
+ * Round to a currency's minor unit (sums are done in minor units to avoid float drift)
  */
-async function handleSignalFeedback(itemId, request, env) {
-  const body = await request.json();
-  const { accurate, userRead, corrections } = body;
-
-  // Get the analysis
-  const analysis = await env.BRAIN_KV.get(`signal:${itemId}`, 'json');
-  if (!analysis) {
-    return jsonResponse({ error: 'Signal analysis not found' }, 404);
-  }
+function roundMoney(amount, currency = CONFIG.baseCurrency) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(amount * factor) / factor;
+}
 
-  // Add feedback
-  analysis.feedback = {
-    accurate: accurate, // 'yes', 'partially', 'no'
-    userRead: userRead, // User's own interpretation
-    corrections: corrections, // What was wrong
-    feedbackAt: new Date().toISOString()
-  };
+/**
+ * Add amounts in minor units
+ */
+function addMoney(a, b, currency = CONFIG.baseCurrency) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return (Math.round(a * factor) + Math.round(b * factor)) / factor;
+}
 
-  // Save updated analysis
-  await env.BRAIN_KV.put(`signal:${itemId}`, JSON.stringify(analysis));
+/**
+ * Exchange rate from one currency to another (ECB reference rates via frankfurter.app),
+ * for a YYYY-MM-DD date or the latest. Cached in KV. Returns { rate, date } or null.
+ */
+async function getFxRate(from, to, env, date = null) {
+  if (from === to) return { rate: 1, date: date || getTodayInTimezone() };
 
-  // Mark as reviewed in queue
-  const queue = await env.BRAIN_KV.get('signal-queue:all', 'json') || { items: [] };
-  const queueItem = queue.items.find(i => i.itemId === itemId);
-  if (queueItem) {
-    queueItem.reviewed = true;
-    await env.BRAIN_KV.put('signal-queue:all', JSON.stringify(queue));
-  }
+  const cacheKey = `fx:${date || 'latest'}:${from}:${to}`;
+  const cached = await env.BRAIN_KV.get(cacheKey, 'json');
+  if (cached) return cached;
 
-  // Add calibration note if there were corrections
-  if (corrections && (accurate === 'partially' || accurate === 'no')) {
-    const calibrationNote = `Signal analysis calibration: ${corrections}`;
+  try {
+    const response = await fetch(`https://api.frankfurter.app/${date || 'latest'}?from=${from}&to=${to}`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    if (!data.rates || typeof data.rates[to] !== 'number') return null;
 
-    const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json') || { notes: [] };
-    claudeNotes.notes.push({
-      id: generateId(),
-      content: calibrationNote,
-      category: 'signal-calibration',
-      createdAt: new Date().toISOString(),
-      expiresAt: null // Never expire calibration notes
+    const result = { rate: data.rates[to], date: data.date };
+    await env.BRAIN_KV.put(cacheKey, JSON.stringify(result), {
+      expirationTtl: date ? 30 * 24 * 60 * 60 : 12 * 60 * 60
     });
+    return result;
+  } catch (e) {
+    console.error(`FX rate ${from}->${to} failed:`, e);
+    return null;
+  }
+}
 
-    if (claudeNotes.notes.length > 50) {
-      claudeNotes.notes = claudeNotes.notes.slice(-50);
-    }
+/**
+ * Date an expense happened: structured.date if it's a real date, else the capture day
+ */
+function getExpenseDate(item) {
+  const date = item.structured?.date;
+  return typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : getDateInTimezone(item.createdAt);
+}
 
-    claudeNotes.lastUpdated = new Date().toISOString();
-    await env.BRAIN_KV.put('claude:notes', JSON.stringify(claudeNotes));
+/**
+ * Normalise an expense item's structured fields in place: numeric amount, ISO
+ * currency, lower-case category, and the base-currency amount at that day's rate
+ */
+async function normalizeExpense(item, env) {
+  if (item.type !== 'expense' || !item.structured) return item;
+  const s = item.structured;
+
+  s.amount = parseAmount(s.amount);
+  s.currency = normalizeCurrency(s.currency) || detectCurrency(item.input) || CONFIG.baseCurrency;
+  if (s.category) s.category = String(s.category).trim().toLowerCase();
+  if (s.amount === null) return item;
+
+  const date = getExpenseDate(item);
+  const fx = await getFxRate(s.currency, CONFIG.baseCurrency, env, date <= getTodayInTimezone() ? date : null);
+  if (fx) {
+    s.baseCurrency = CONFIG.baseCurrency;
+    s.baseAmount = roundMoney(s.amount * fx.rate);
+    s.fxRate = fx.rate;
+    s.fxDate = fx.date;
+  } else {
+    delete s.baseAmount; // converted at report time instead
   }
+  return item;
+}
 
-  return jsonResponse({
-    success: true,
-    message: 'Feedback recorded',
-    analysis: analysis
-  });
+/**
+ * Monthly budgets per category, in the base currency
+ */
+async function getExpenseBudgets(env) {
+  const stored = await env.BRAIN_KV.get('expenses:budgets', 'json');
+  return { currency: CONFIG.baseCurrency, categories: {}, updatedAt: null, ...stored };
 }
 
 /**
- * Get exclusions
+ * GET /expenses/budgets
  */
-async function handleGetExclusions(env) {
-  const exclusions = await env.BRAIN_KV.get('signal-exclusions', 'json') || {
-    contacts: [],
-    apps: [],
-    updatedAt: null
-  };
-  return jsonResponse(exclusions);
+async function handleGetExpenseBudgets(env) {
+  return jsonResponse(await getExpenseBudgets(env));
 }
 
 /**
- * Add exclusion
+ * POST /expenses/budgets - { categories: { groceries: 600, eating-out: 200, travel: null } }
+ * Merges into the existing budgets; null removes a category's budget.
  */
-async function handleAddExclusion(request, env) {
+async function handleSaveExpenseBudgets(request, env) {
   const body = await request.json();
-  const { type, value } = body; // type: 'contact' or 'app'
-
-  if (!type || !value) {
-    return jsonResponse({ error: 'Missing type or value' }, 400);
+  if (!body.categories || typeof body.categories !== 'object') {
+    return jsonResponse({ error: 'categories object is required' }, 400);
   }
 
-  const exclusions = await env.BRAIN_KV.get('signal-exclusions', 'json') || {
-    contacts: [],
-    apps: []
-  };
-
-  if (type === 'contact') {
-    if (!exclusions.contacts.includes(value.toLowerCase())) {
-      exclusions.contacts.push(value.toLowerCase());
-    }
-  } else if (type === 'app') {
-    if (!exclusions.apps.includes(value.toLowerCase())) {
-      exclusions.apps.push(value.toLowerCase());
+  const budgets = await getExpenseBudgets(env);
+  for (const [rawCategory, value] of Object.entries(body.categories)) {
+    const category = rawCategory.trim().toLowerCase();
+    if (value === null) {
+      delete budgets.categories[category];
+    } else if (typeof value === 'number' && isFinite(value) && value > 0) {
+      budgets.categories[category] = roundMoney(value);
+    } else {
+      return jsonResponse({ error: `Budget for ${category} must be a positive number or null` }, 400);
     }
-  } else {
-    return jsonResponse({ error: 'Invalid type (must be contact or app)' }, 400);
   }
 
-  exclusions.updatedAt = new Date().toISOString();
-  await env.BRAIN_KV.put('signal-exclusions', JSON.stringify(exclusions));
+  budgets.updatedAt = new Date().toISOString();
+  await env.BRAIN_KV.put('expenses:budgets', JSON.stringify(budgets));
 
-  return jsonResponse({
-    success: true,
-    exclusions: exclusions
-  });
+  return jsonResponse({ success: true, ...budgets });
 }
 
 /**
- * Add item to indexes
+ * Expenses dated within [from, to], each with a base-currency amount. Items whose
+ * capture-time conversion failed are converted at today's rate (rateSource: 'current');
+ * ones that still can't be converted come back with baseAmount null.
+ * Pass a Map as `itemsById` to get the items themselves back as well.
  */
-async function addToIndex(item, env) {
-  // Main index
-  const allIndex = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-  if (!allIndex.items.includes(item.id)) {
-    allIndex.items.push(item.id);
-    await env.BRAIN_KV.put('index:all', JSON.stringify(allIndex));
-  }
+async function collectExpenses(env, from, to, itemsById = null) {
+  // Receipts get captured after the fact (and bookings before), so look a little
+  // either side of the range, then filter on the expense date
+  const { start } = getUtcBoundsForLocalDates(addDaysToDateString(from, -7));
+  const { end } = getUtcBoundsForLocalDates(addDaysToDateString(to, 31));
+  const items = await getAllItems(env, { type: 'expense', since: start, until: end });
+
+  const expenses = [];
+  for (const item of items) {
+    if (EXCLUDED_EXPENSE_STATUSES.includes(item.status)) continue;
+    const date = getExpenseDate(item);
+    if (date < from || date > to) continue;
+
+    const s = item.structured || {};
+    const amount = parseAmount(s.amount);
+    if (amount === null) continue;
+    if (itemsById) itemsById.set(item.id, item);
+    const currency = normalizeCurrency(s.currency) || detectCurrency(item.input) || CONFIG.baseCurrency;
+
+    let baseAmount = s.baseCurrency === CONFIG.baseCurrency && typeof s.baseAmount === 'number' ? s.baseAmount : null;
+    let rateSource = baseAmount !== null ? 'capture' : null;
+    if (baseAmount === null) {
+      const fx = await getFxRate(currency, CONFIG.baseCurrency, env);
+      if (fx) {
+        baseAmount = roundMoney(amount * fx.rate);
+        rateSource = currency === CONFIG.baseCurrency ? 'capture' : 'current';
+      }
+    }
 
-  // Type-specific index
-  const typeIndex = await env.BRAIN_KV.get(`index:type:${item.type}`, 'json') || { items: [] };
-  if (!typeIndex.items.includes(item.id)) {
-    typeIndex.items.push(item.id);
-    await env.BRAIN_KV.put(`index:type:${item.type}`, JSON.stringify(typeIndex));
+    expenses.push({
+      itemId: item.id,
+      date,
+      category: s.category ? String(s.category).trim().toLowerCase() : 'uncategorised',
+      vendor: s.vendor ? String(s.vendor).trim() : 'unknown',
+      amount,
+      currency,
+      baseAmount,
+      rateSource
+    });
   }
+  return expenses;
+}
 
-  // Flat snapshot for sheets-sync (avoids N individual KV reads per request)
-  const snapshot = await env.BRAIN_KV.get('items:snapshot', 'json') || { items: [] };
-  const existingIdx = snapshot.items.findIndex(i => i.id === item.id);
-  if (existingIdx >= 0) {
-    snapshot.items[existingIdx] = item;
-  } else {
-    snapshot.items.push(item);
-    if (snapshot.items.length > 500) {
-      snapshot.items = snapshot.items.slice(-500);
-    }
+/**
+ * Group expenses by a key, summing base amounts and keeping original-currency totals
+ */
+function groupExpenses(expenses, keyFn) {
+  const groups = new Map();
+  for (const e of expenses) {
+    const key = keyFn(e);
+    if (!groups.has(key)) groups.set(key, { total: 0, count: 0, byCurrency: {} });
+    const group = groups.get(key);
+    group.count++;
+    if (e.baseAmount !== null) group.total = addMoney(group.total, e.baseAmount);
+    group.byCurrency[e.currency] = addMoney(group.byCurrency[e.currency] || 0, e.amount, e.currency);
   }
-  await env.BRAIN_KV.put('items:snapshot', JSON.stringify(snapshot));
+  return [...groups.entries()]
+    .map(([key, group]) => ({ key, ...group }))
+    .sort((a, b) => b.total - a.total);
 }
 
 /**
- * Handle POST /chat — conversational Q&A over Second Brain data
- * Accepts { question, history: [{role, content}] }
+ * Spend per category for each month, against that month's budget
  */
-async function handleChat(request, env) {
-  const body = await request.json();
-  const question = (body.question || '').trim();
-  const history = Array.isArray(body.history) ? body.history : [];
+function getBudgetStatus(expenses, budgets) {
+  const months = groupExpenses(expenses, e => e.date.substring(0, 7));
+  return months
+    .map(({ key: month }) => {
+      const monthExpenses = expenses.filter(e => e.date.startsWith(month));
+      const spent = Object.fromEntries(
+        groupExpenses(monthExpenses, e => e.category).map(g => [g.key, g.total])
+      );
+      const categories = Object.entries(budgets.categories).map(([category, budget]) => ({
+        category,
+        budget,
+        spent: spent[category] || 0,
+        remaining: roundMoney(budget - (spent[category] || 0)),
+        percentUsed: Math.round((spent[category] || 0) / budget * 100)
+      }));
+      return {
+        month,
+        categories,
+        overBudget: categories.filter(c => c.spent > c.budget).map(c => c.category)
+      };
+    })
+    .sort((a, b) => a.month.localeCompare(b.month));
+}
 
-  if (!question) {
-    return jsonResponse({ error: 'question is required' }, 400);
+/**
+ * GET /expenses/summary?from=YYYY-MM-DD&to=YYYY-MM-DD (or ?month=YYYY-MM)
+ * Defaults to the current month so far. Totals are in CONFIG.baseCurrency.
+ */
+async function handleExpenseSummary(url, env) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const today = getTodayInTimezone();
+  const monthParam = url.searchParams.get('month');
+
+  let from;
+  let to;
+  if (monthParam) {
+    if (!/^\d{4}-\d{2}$/.test(monthParam)) {
+      return jsonResponse({ error: 'month must be YYYY-MM' }, 400);
+    }
+    const [year, month] = monthParam.split('-').map(Number);
+    from = `${monthParam}-01`;
+    to = toDateString(year, month, getDaysInMonth(year, month));
+  } else {
+    to = url.searchParams.get('to') || today;
+    from = url.searchParams.get('from') || `${to.substring(0, 7)}-01`;
   }
 
-  // Fetch context in parallel
-  const [indexData, claudeNotes, goalsContext] = await Promise.all([
-    env.BRAIN_KV.get('index:all', 'json').then(d => d || { items: [] }),
-    env.BRAIN_KV.get('claude:notes', 'json').then(d => d || { notes: [] }),
-    getGoalsContext(env)
+  if (!datePattern.test(from) || !datePattern.test(to)) {
+    return jsonResponse({ error: 'from and to must be YYYY-MM-DD' }, 400);
+  }
+  if (from > to) {
+    return jsonResponse({ error: 'from must be on or before to' }, 400);
+  }
+
+  const [expenses, budgets] = await Promise.all([
+    collectExpenses(env, from, to),
+    getExpenseBudgets(env)
   ]);
 
-  // Get recent items (last 40)
-  const recentIds = indexData.items.slice(-40);
-  const items = [];
-  for (const id of recentIds) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item) items.push(item);
+  const converted = expenses.filter(e => e.baseAmount !== null);
+  const total = converted.reduce((sum, e) => addMoney(sum, e.baseAmount), 0);
+  const byCurrency = {};
+  for (const e of expenses) {
+    byCurrency[e.currency] = addMoney(byCurrency[e.currency] || 0, e.amount, e.currency);
   }
 
-  // Group by type for readable context
-  const byType = {};
-  items.forEach(item => {
-    if (!byType[item.type]) byType[item.type] = [];
-    byType[item.type].push(item);
+  const limit = Math.min(parseInt(url.searchParams.get('vendors') || '20'), 100);
+
+  return jsonResponse({
+    from,
+    to,
+    baseCurrency: CONFIG.baseCurrency,
+    total,
+    count: expenses.length,
+    byCurrency,
+    byCategory: groupExpenses(expenses, e => e.category)
+      .map(({ key, ...g }) => ({ category: key, ...g, budget: budgets.categories[key] ?? null })),
+    byVendor: groupExpenses(expenses, e => e.vendor.toLowerCase())
+      .slice(0, limit)
+      .map(({ key, ...g }) => ({
+        vendor: expenses.find(e => e.vendor.toLowerCase() === key).vendor,
+        ...g
+      })),
+    byMonth: groupExpenses(expenses, e => e.date.substring(0, 7))
+      .map(({ key, ...g }) => ({ month: key, ...g }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    budgets: getBudgetStatus(expenses, budgets),
+    convertedAtCurrentRate: expenses.filter(e => e.rateSource === 'current').map(e => e.itemId),
+    unconverted: expenses.filter(e => e.baseAmount === null).map(e => ({ itemId: e.itemId, amount: e.amount, currency: e.currency }))
   });
+}
 
-  const itemsSummary = Object.entries(byType).map(([type, typeItems]) => {
-    const lines = typeItems.map(i => {
-      const date = getDateInTimezone(i.createdAt);
-      const extra = i.structured?.amount ? ` ($${i.structured.amount})` : '';
-      const done = i.status === 'done' ? ' [done]' : '';
-      return `  - [${date}] ${i.input}${extra}${done}`;
-    }).join('\n');
-    return `${type.toUpperCase()} (${typeItems.length}):\n${lines}`;
-  }).join('\n\n');
+/**
+ * Over-budget alerts for the current month (called from the 4-hourly cron).
+ * Each category alerts once at CONFIG.budgetAlertThreshold and once when over.
+ */
+async function checkBudgetAlerts(env) {
+  const budgets = await getExpenseBudgets(env);
+  if (Object.keys(budgets.categories).length === 0) return [];
 
-  const myNotes = claudeNotes.notes
-    .filter(n => !n.expiresAt || new Date(n.expiresAt) > new Date())
-    .map(n => `[${n.category}] ${n.content}`)
-    .join('\n');
+  const today = getTodayInTimezone();
+  const month = today.substring(0, 7);
+  const expenses = await collectExpenses(env, `${month}-01`, today);
+  const [status] = getBudgetStatus(expenses, budgets);
+  if (!status) return [];
+
+  const alerts = [];
+  for (const c of status.categories) {
+    const level = c.spent > c.budget ? 'over'
+      : c.percentUsed >= CONFIG.budgetAlertThreshold ? 'warning'
+      : null;
+    if (!level) continue;
+
+    const key = `expenses:budget-alert:${month}:${c.category}:${level}`;
+    if (await env.BRAIN_KV.get(key)) continue;
+    await env.BRAIN_KV.put(key, new Date().toISOString(), { expirationTtl: 40 * 24 * 60 * 60 });
+    alerts.push({ ...c, level });
+  }
 
-  const systemContext = `You are the intelligence inside Aroha's Second Brain — a personal knowledge system she uses to capture thoughts, todos, expenses, communications, and ideas.
+  if (alerts.length > 0) {
+    const lines = alerts.map(a => a.level === 'over'
+      ? `${a.category}: ${a.spent} of ${a.budget} ${CONFIG.baseCurrency} - over by ${roundMoney(a.spent - a.budget)}`
+      : `${a.category}: ${a.percentUsed}% used (${a.remaining} ${CONFIG.baseCurrency} left)`);
+    await notify({
+      category: 'budget',
+      title: alerts.some(a => a.level === 'over') ? '💸 Over budget' : '💸 Budget check',
+      body: lines.join('\n'),
+      priority: alerts.some(a => a.level === 'over') ? 'high' : 'default',
+      tags: ['money_with_wings'],
+      actions: [{ action: 'view', label: 'Dashboard', url: 'https://arohaislove.github.io/second-brain/dashboard.html' }]
+    }, env);
+  }
 
-She's asking you questions about her own data. Answer conversationally and honestly. Be specific — reference actual items, dates, amounts, names where relevant. If the data doesn't contain what she's asking about, say so directly. Don't pad or invent.
+  return alerts;
+}
 
-AROHA'S GOALS & CONTEXT:
-${goalsContext || '(not set yet)'}
+/**
+ * STATEMENT IMPORT MODULE
+ * POST /import/statement takes a bank CSV or OFX export and reconciles it against
+ * expense items: debits that match a captured expense (same amount, posted within
+ * a few days, similar vendor) mark it cleared; the rest become new expense items;
+ * captured expenses in the statement's date range that nothing matched are flagged
+ * as uncleared. Transfers between your own accounts and card repayments are
+ * skipped - the spending they cover is on the other statement. Each transaction
+ * is imported once (the statement_transactions table in D1).
+ */
 
-HER RECENT CAPTURES (last 40 items, grouped by type):
-${itemsSummary || '(no items captured yet)'}
+// Banks post card transactions a few days after the purchase
+const STATEMENT_MATCH_DAYS_BEFORE = 2;
+const STATEMENT_MATCH_DAYS_AFTER = 5;
+// Foreign-currency receipts vs the NZD the bank charged (card fees, rate differences)
+const STATEMENT_FX_TOLERANCE = 0.05;
+// How far back to look for a vendor's usual category when creating items
+const STATEMENT_CATEGORY_HISTORY_DAYS = 90;
+// Statements per D1 batch when writing an import
+const STATEMENT_BATCH_SIZE = 50;
+// Descriptions of money moving between your own accounts rather than being spent
+const STATEMENT_TRANSFER_PATTERNS = [
+  /\btransfer\b/i,
+  /\btfr\b/i,
+  /\b(credit )?card (re)?payment\b/i,
+  /\b(visa|mastercard|amex|cc) (re)?payment\b/i,
+  /\bpayment (received|thank you)\b/i,
+  /\bautopay\b/i
+];
 
-YOUR WORKING MEMORY (patterns noticed across her captures):
-${myNotes || '(none yet)'}
+/**
+ * Split CSV text into rows of fields (handles quotes, escaped quotes and CRLF)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (inQuotes) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') inQuotes = false;
+      else field += c;
+    } else if (c === '"') {
+      inQuotes = true;
+    } else if (c === ',') {
+      row.push(field); field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); field = '';
+      if (row.some(f => f.trim() !== '')) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== '')) rows.push(row);
+  return rows;
+}
 
-TODAY'S DATE: ${getTodayInTimezone()} (${CONFIG.timezone})
+/**
+ * Parse a statement date: YYYY-MM-DD, YYYYMMDD, DD/MM/YYYY (or MM/DD with dateOrder 'MDY'),
+ * DD-MM-YY, or "2 Oct 2026"
+ */
+function parseStatementDate(value, dateOrder = 'DMY') {
+  const v = String(value || '').trim();
+  let m = v.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})/) || v.match(/^(\d{4})(\d{2})(\d{2})/);
+  if (m) return toDateString(+m[1], +m[2], +m[3]);
+
+  m = v.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2,4})$/);
+  if (m) {
+    const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+    const [day, month] = dateOrder === 'MDY' ? [+m[2], +m[1]] : [+m[1], +m[2]];
+    return month >= 1 && month <= 12 && day >= 1 && day <= 31 ? toDateString(year, month, day) : null;
+  }
 
-Answer directly and conversationally. If you spot something worth flagging beyond her direct question, mention it briefly. Keep responses tight — she's on mobile most of the time.`;
+  m = v.match(/^(\d{1,2})\s+([A-Za-z]{3})[a-z]*\s+(\d{4})$/);
+  if (m) {
+    const month = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']
+      .indexOf(m[2].toLowerCase()) + 1;
+    return month ? toDateString(+m[3], month, +m[1]) : null;
+  }
+  return null;
+}
 
-  // Build messages array: system context as first user message, then history, then current question
-  const messages = [
-    { role: 'user', content: systemContext },
-    { role: 'assistant', content: 'Understood — I have your Second Brain context loaded. What would you like to know?' },
-    ...history,
-    { role: 'user', content: question }
-  ];
+/**
+ * Parse a bank CSV export. Column names vary by bank, so find the header row
+ * (some banks put account details above it) and pick columns by name.
+ */
+function parseStatementCsv(text, { dateOrder = 'DMY', currency = CONFIG.baseCurrency, sign = 'negative', debitColumn = null } = {}) {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex(r => r.some(f => /date/i.test(f)) && r.some(f => /amount|debit|credit/i.test(f)));
+  if (headerIndex === -1) {
+    throw new Error('Could not find a header row with date and amount columns');
+  }
 
-  try {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': env.ANTHROPIC_API_KEY,
-        'anthropic-version': '2023-06-01'
-      },
-      body: JSON.stringify({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 1024,
-        messages
-      })
-    });
+  const header = rows[headerIndex].map(h => h.trim().toLowerCase());
+  const find = (...patterns) => header.findIndex(h => patterns.some(p => p.test(h)));
+  const col = {
+    date: find(/^(transaction )?date$/, /^date/, /date/),
+    amount: find(/^amount/),
+    debit: debitColumn ? header.indexOf(debitColumn.trim().toLowerCase()) : find(/debit|withdrawal|money out/),
+    credit: find(/credit|deposit|money in/),
+    id: find(/^(unique id|transaction id|id|fitid|tran id)$/),
+    currency: find(/^currency$/),
+    text: ['payee', 'description', 'details', 'particulars', 'memo', 'code', 'reference', 'other party', 'merchant']
+      .map(name => header.findIndex(h => h.includes(name)))
+      .filter(i => i !== -1)
+  };
+  if (debitColumn) {
+    if (col.debit === -1) throw new Error(`No "${debitColumn}" column in the header row`);
+    col.amount = -1; // the debit/credit columns hold the amounts
+  }
 
-    if (!response.ok) {
-      throw new Error(`Claude API error: ${response.status}`);
+  const transactions = [];
+  for (const row of rows.slice(headerIndex + 1)) {
+    const date = parseStatementDate(row[col.date], dateOrder);
+    if (!date) continue;
+
+    let amount = col.amount !== -1 ? parseAmount(row[col.amount]) : null;
+    // Card statements often list purchases as positive amounts
+    if (amount !== null && sign === 'positive') amount = -amount;
+    if (amount === null && (col.debit !== -1 || col.credit !== -1)) {
+      const debit = col.debit !== -1 ? parseAmount(row[col.debit]) : null;
+      const credit = col.credit !== -1 ? parseAmount(row[col.credit]) : null;
+      amount = debit ? -Math.abs(debit) : credit ? Math.abs(credit) : null;
     }
-
-    const data = await response.json();
-    const answer = data.content[0].text;
-
-    return jsonResponse({ answer, askedAt: new Date().toISOString() });
-  } catch (error) {
-    return jsonResponse({ error: error.message }, 500);
+    if (amount === null) continue;
+
+    const description = [...new Set(col.text.map(i => (row[i] || '').trim()).filter(Boolean))].join(' ');
+    transactions.push({
+      fitId: col.id !== -1 ? (row[col.id] || '').trim() || null : null,
+      type: null,
+      date,
+      amount,
+      currency: (col.currency !== -1 && normalizeCurrency(row[col.currency])) || currency,
+      description
+    });
   }
+  return transactions;
 }
 
 /**
- * Get versioned goals context formatted for Claude prompts
- * Older versions carry more weight as they've been held longer
+ * Parse an OFX/QFX export (SGML-style OFX 1.x or XML OFX 2.x)
  */
-async function getGoalsContext(env) {
-  const data = await env.BRAIN_KV.get('goals:versions', 'json');
-  if (!data || !data.versions || data.versions.length === 0) return null;
-
-  const now = new Date();
-  return data.versions.map((v, i) => {
-    const savedAt = new Date(v.savedAt);
-    const daysAgo = Math.floor((now - savedAt) / (1000 * 60 * 60 * 24));
-    const ageLabel = daysAgo === 0 ? 'today'
-      : daysAgo === 1 ? '1 day ago'
-      : daysAgo < 30 ? `${daysAgo} days ago`
-      : daysAgo < 60 ? '~1 month ago'
-      : `${Math.floor(daysAgo / 30)} months ago`;
-    const isLatest = i === data.versions.length - 1;
-    const prefix = isLatest ? `[Current — saved ${ageLabel}]` : `[Previous — saved ${ageLabel}]`;
-    return `${prefix}\n${v.text}`;
-  }).join('\n\n---\n\n');
+function parseStatementOfx(text) {
+  const tag = (block, name) => {
+    const m = block.match(new RegExp(`<${name}>([^<\\r\\n]*)`, 'i'));
+    return m ? m[1].trim() : null;
+  };
+  const currency = normalizeCurrency(tag(text, 'CURDEF')) || CONFIG.baseCurrency;
+
+  const transactions = [];
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(b => b.split(/<\/STMTTRN>/i)[0]);
+  for (const block of blocks) {
+    const date = parseStatementDate(tag(block, 'DTPOSTED'));
+    const amount = parseAmount(tag(block, 'TRNAMT'));
+    if (!date || amount === null) continue;
+
+    const name = tag(block, 'NAME') || tag(block, 'PAYEE') || '';
+    const memo = tag(block, 'MEMO') || '';
+    transactions.push({
+      fitId: tag(block, 'FITID'),
+      type: (tag(block, 'TRNTYPE') || '').toUpperCase() || null,
+      date,
+      amount,
+      currency: normalizeCurrency(tag(block, 'CURSYM')) || currency,
+      description: decodeOfxEntities([name, memo !== name ? memo : ''].filter(Boolean).join(' '))
+    });
+  }
+  return transactions;
 }
 
 /**
- * Handle GET /goals — return full version history
+ * Undo the handful of entities OFX files use
  */
-async function handleGetGoals(env) {
-  const data = await env.BRAIN_KV.get('goals:versions', 'json') || { versions: [] };
-  return jsonResponse(data);
+function decodeOfxEntities(text) {
+  return text.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&apos;/g, "'").replace(/&quot;/g, '"');
 }
 
 /**
- * Handle POST /goals — append a new version (max 10 kept)
+ * Stable id for a transaction: the bank's FITID, or a hash of its fields plus its
+ * position among identical rows (two $4.50 coffees on the same day are two transactions)
  */
-async function handleSaveGoals(request, env) {
-  const body = await request.json();
-  const text = (body.text || '').trim();
-
-  if (!text) {
-    return jsonResponse({ error: 'text is required' }, 400);
+async function assignTransactionIds(transactions) {
+  const seen = {};
+  for (const t of transactions) {
+    if (t.fitId) {
+      t.id = `fitid:${t.fitId}`;
+      continue;
+    }
+    const base = `${t.date}|${t.amount}|${t.description.toLowerCase()}`;
+    seen[base] = (seen[base] || 0) + 1;
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${base}|${seen[base]}`));
+    t.id = 'hash:' + [...new Uint8Array(digest)].slice(0, 12).map(b => b.toString(16).padStart(2, '0')).join('');
   }
+  return transactions;
+}
 
-  const data = await env.BRAIN_KV.get('goals:versions', 'json') || { versions: [] };
-
-  data.versions.push({
-    text,
-    savedAt: new Date().toISOString()
-  });
-
-  // Keep last 10 versions
-  if (data.versions.length > 10) {
-    data.versions = data.versions.slice(-10);
+/**
+ * Which of these transaction ids an earlier import already handled. Imports from
+ * before statement_transactions existed are found by the reconciliation their
+ * expense item carries.
+ */
+async function getImportedTransactionIds(ids, env) {
+  const seen = new Set();
+  for (let i = 0; i < ids.length; i += 40) { // two lists per query, under D1's 100 bound parameters
+    const chunk = ids.slice(i, i + 40);
+    const marks = chunk.map(() => '?').join(', ');
+    const { results } = await env.DB.prepare(
+      `SELECT id FROM statement_transactions WHERE id IN (${marks})
+       UNION
+       SELECT json_extract(structured, '$.reconciliation.transactionId') FROM items
+       WHERE type = 'expense' AND json_extract(structured, '$.reconciliation.transactionId') IN (${marks})`
+    ).bind(...chunk, ...chunk).all();
+    for (const row of results) seen.add(row.id);
   }
+  return seen;
+}
 
-  await env.BRAIN_KV.put('goals:versions', JSON.stringify(data));
+/**
+ * Whether a transaction moves money between your own accounts (OFX XFER, a
+ * transfer/card repayment description, or one of the caller's own keywords
+ * such as an account number)
+ */
+function isStatementTransfer(transaction, transferKeywords = []) {
+  if (transaction.type === 'XFER') return true;
+  const description = transaction.description.toLowerCase();
+  return STATEMENT_TRANSFER_PATTERNS.some(p => p.test(description)) ||
+    transferKeywords.some(k => k && description.includes(String(k).toLowerCase()));
+}
 
-  return jsonResponse({
-    success: true,
-    totalVersions: data.versions.length,
-    savedAt: data.versions[data.versions.length - 1].savedAt
-  });
+/**
+ * Lower-case words of a vendor/description without bank noise (card numbers, "POS", dates)
+ */
+function vendorTokens(text) {
+  const noise = new Set(['pos', 'eftpos', 'visa', 'debit', 'card', 'purchase', 'payment', 'nz', 'ltd', 'limited', 'the', 'and', 'dd', 'ap', 'tfr', 'nzl', 'auckland', 'wellington', 'christchurch']);
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 1 && !/^\d+$/.test(w) && !noise.has(w));
 }
 
 /**
- * CALORIE TRACKING
- * GET /calories?date=YYYY-MM-DD (optional, defaults to today)
+ * 0-1 similarity between a captured vendor and a statement description
  */
-async function handleGetCalories(url, env) {
-  const dateParam = url.searchParams.get('date');
-  const targetDate = dateParam || getTodayInTimezone();
+function vendorSimilarity(vendor, description) {
+  const a = vendorTokens(vendor);
+  const b = vendorTokens(description);
+  if (a.length === 0 || b.length === 0) return 0;
+
+  // "paknsave" vs "pak n save": compare squashed forms too
+  const squashedA = a.join('');
+  const squashedB = b.join('');
+  if (squashedB.includes(squashedA) || squashedA.includes(squashedB)) return 1;
+
+  const setB = new Set(b);
+  const shared = a.filter(w => setB.has(w) || b.some(x => x.startsWith(w) || w.startsWith(x))).length;
+  return shared / Math.max(a.length, Math.min(b.length, 3));
+}
 
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
+/**
+ * Days between two YYYY-MM-DD dates (b - a)
+ */
+function daysBetween(a, b) {
+  return Math.round((zonedTimeToUtc(b).getTime() - zonedTimeToUtc(a).getTime()) / 86400000);
+}
 
-  const calorieItems = [];
-  for (const id of indexData.items) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item && item.type === 'calorie' && getDateInTimezone(item.createdAt) === targetDate) {
-      calorieItems.push(item);
-    }
+/**
+ * Score a debit against a captured expense (null if it can't be the same purchase)
+ */
+function scoreStatementMatch(transaction, expense) {
+  const charged = Math.abs(transaction.amount);
+  let amountScore;
+  if (expense.currency === transaction.currency) {
+    if (Math.abs(charged - expense.amount) > 0.005) return null;
+    amountScore = 1;
+  } else if (expense.baseAmount !== null && transaction.currency === CONFIG.baseCurrency) {
+    const diff = Math.abs(charged - expense.baseAmount) / expense.baseAmount;
+    if (diff > STATEMENT_FX_TOLERANCE) return null;
+    amountScore = 1 - diff / STATEMENT_FX_TOLERANCE / 2;
+  } else {
+    return null;
   }
 
-  const total = calorieItems.reduce((sum, item) => sum + (item.structured?.estimatedCalories || 0), 0);
-  const target = 2000; // daily calorie target
-  const remaining = target - total;
-
-  const breakdown = calorieItems.map(item => ({
-    time: formatDateInTimezone(item.createdAt, 'time'),
-    mealType: item.structured?.mealType || 'unknown',
-    foods: item.structured?.foods || [item.input],
-    calories: item.structured?.estimatedCalories || 0,
-    confidence: item.structured?.confidence || 'unknown'
-  }));
+  const lag = daysBetween(expense.date, transaction.date);
+  if (lag < -STATEMENT_MATCH_DAYS_BEFORE || lag > STATEMENT_MATCH_DAYS_AFTER) return null;
+  const dateScore = 1 - Math.abs(lag) / (STATEMENT_MATCH_DAYS_AFTER + 1);
 
-  return jsonResponse({
-    date: targetDate,
-    totalCalories: total,
-    dailyTarget: target,
-    remaining: remaining,
-    status: remaining > 0 ? `${remaining} cal remaining` : `${Math.abs(remaining)} cal over target`,
-    onTrack: total <= target,
-    meals: breakdown,
-    itemCount: calorieItems.length
-  });
+  const similarity = vendorSimilarity(expense.vendor, transaction.description);
+  return amountScore * 2 + dateScore + similarity * 2;
 }
 
 /**
- * Compute today's total calories from KV
+ * Category to give an uncaptured transaction: whatever this vendor's expenses usually are
  */
-async function getDailyCalorieTotal(env) {
-  const today = getTodayInTimezone();
-  const indexData = await env.BRAIN_KV.get('index:all', 'json') || { items: [] };
-
-  let total = 0;
-  for (const id of indexData.items) {
-    const item = await env.BRAIN_KV.get(`item:${id}`, 'json');
-    if (item && item.type === 'calorie' && getDateInTimezone(item.createdAt) === today) {
-      total += item.structured?.estimatedCalories || 0;
+function guessCategory(description, expenses) {
+  const counts = {};
+  for (const e of expenses) {
+    if (e.category !== 'uncategorised' && vendorSimilarity(e.vendor, description) >= 0.5) {
+      counts[e.category] = (counts[e.category] || 0) + 1;
     }
   }
-  return total;
+  const best = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return best ? best[0] : 'uncategorised';
 }
 
 /**
- * Send calorie-specific ntfy notification
+ * POST /import/statement
+ * Body: the raw CSV/OFX file (format detected, or ?format=csv|ofx), or JSON
+ * { content, format, dateOrder: 'DMY'|'MDY', currency, sign: 'negative'|'positive',
+ * debitColumn, transferKeywords: [] }. ?dryRun=true reports without writing.
  */
-async function sendCalorieNotification(message, dailyTotal, env) {
-  const ntfyTopic = env.NTFY_TOPIC || 'second-brain-default';
-  const target = 2000;
-  const remaining = target - dailyTotal;
-  const tag = dailyTotal > target ? 'warning' : 'white_check_mark';
+async function handleImportStatement(request, url, env) {
+  const contentType = request.headers.get('Content-Type') || '';
+  let options = {
+    format: url.searchParams.get('format'),
+    dateOrder: url.searchParams.get('dateOrder') || 'DMY',
+    currency: normalizeCurrency(url.searchParams.get('currency')) || CONFIG.baseCurrency,
+    sign: url.searchParams.get('sign') || 'negative',
+    debitColumn: url.searchParams.get('debitColumn'),
+    transferKeywords: url.searchParams.getAll('transferKeyword')
+  };
+  let content;
+  if (contentType.includes('application/json')) {
+    let body;
+    try {
+      body = await request.json();
+    } catch (e) {
+      return jsonResponse({ error: 'Could not parse JSON body', message: e.message }, 400);
+    }
+    if (!body || typeof body !== 'object') {
+      return jsonResponse({ error: 'JSON body must be an object' }, 400);
+    }
+    content = body.content;
+    options = {
+      format: body.format || options.format,
+      dateOrder: body.dateOrder || options.dateOrder,
+      currency: normalizeCurrency(body.currency) || options.currency,
+      sign: body.sign || options.sign,
+      debitColumn: body.debitColumn || options.debitColumn,
+      transferKeywords: Array.isArray(body.transferKeywords) ? body.transferKeywords : options.transferKeywords
+    };
+  } else {
+    content = await request.text();
+  }
+  const dryRun = url.searchParams.get('dryRun') === 'true';
 
+  if (!content || typeof content !== 'string') {
+    return jsonResponse({ error: 'Missing statement content' }, 400);
+  }
+  if (!['negative', 'positive'].includes(options.sign)) {
+    return jsonResponse({ error: 'sign must be negative (debits are negative amounts) or positive' }, 400);
+  }
+
+  const format = options.format || (/<OFX>|OFXHEADER/i.test(content) ? 'ofx' : 'csv');
+  let transactions;
   try {
-    await fetch(`https://ntfy.sh/${ntfyTopic}`, {
-      method: 'POST',
-      headers: {
-        'Title': `Calories logged (${remaining > 0 ? remaining + ' remaining' : 'over target!'})`,
-        'Priority': dailyTotal > target ? 'high' : 'default',
-        'Tags': `fork_and_knife,${tag}`
-      },
-      body: message
-    });
+    transactions = format === 'ofx' ? parseStatementOfx(content) : parseStatementCsv(content, options);
   } catch (e) {
-    console.error('Failed to send calorie notification:', e);
+    return jsonResponse({ error: `Could not parse ${format.toUpperCase()} statement`, message: e.message }, 400);
+  }
+  if (transactions.length === 0) {
+    return jsonResponse({ error: `No transactions found in ${format.toUpperCase()} statement` }, 400);
+  }
+  await assignTransactionIds(transactions);
+
+  // Skip transactions a previous import already handled
+  const seen = await getImportedTransactionIds(transactions.map(t => t.id), env);
+  const duplicates = transactions.filter(t => seen.has(t.id)).length;
+  const fresh = transactions.filter(t => !seen.has(t.id));
+
+  const transfers = fresh.filter(t => isStatementTransfer(t, options.transferKeywords));
+  const debits = fresh.filter(t => t.amount < 0 && !transfers.includes(t));
+  const dates = transactions.map(t => t.date).sort();
+  const range = { from: dates[0], to: dates[dates.length - 1] };
+
+  // Recent history for category guesses; candidates are the expenses that could have posted
+  // inside the statement. One range read brings back the items for both.
+  const expenseItems = new Map();
+  const expenses = await collectExpenses(
+    env,
+    addDaysToDateString(range.from, -STATEMENT_CATEGORY_HISTORY_DAYS),
+    addDaysToDateString(range.to, STATEMENT_MATCH_DAYS_BEFORE),
+    expenseItems
+  );
+  const earliestCandidate = addDaysToDateString(range.from, -STATEMENT_MATCH_DAYS_AFTER);
+  const candidates = expenses.filter(e => e.date >= earliestCandidate);
+  const open = candidates.filter(e => {
+    const status = expenseItems.get(e.itemId)?.structured?.reconciliation?.status;
+    return status !== 'cleared' && status !== 'imported';
+  });
+
+  // Best pairs first, each transaction and expense used once
+  const pairs = [];
+  for (const t of debits) {
+    for (const e of open) {
+      const score = scoreStatementMatch(t, e);
+      if (score !== null) pairs.push({ t, e, score });
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score);
+
+  const usedTransactions = new Set();
+  const usedExpenses = new Set();
+  const matched = [];
+  for (const { t, e, score } of pairs) {
+    if (usedTransactions.has(t.id) || usedExpenses.has(e.itemId)) continue;
+    usedTransactions.add(t.id);
+    usedExpenses.add(e.itemId);
+    matched.push({ transaction: t, expense: e, score: Math.round(score * 100) / 100 });
+  }
+
+  // Writes are grouped so a transaction's item and its statement_transactions row
+  // always land in the same batch. A big import is written in several batches, so
+  // a failure part-way leaves the earlier ones applied - re-importing the statement
+  // is safe, since it skips what was recorded and picks up the rest.
+  const now = new Date().toISOString();
+  const writes = [];
+  const recordImported = (transactionId, itemId) => env.DB.prepare(
+    'INSERT OR IGNORE INTO statement_transactions (id, item_id, imported_at) VALUES (?, ?, ?)'
+  ).bind(transactionId, itemId, now);
+
+  for (const { transaction: t, expense: e } of matched) {
+    const item = expenseItems.get(e.itemId);
+    item.structured = {
+      ...item.structured,
+      reconciliation: { status: 'cleared', transactionId: t.id, postedDate: t.date, statementAmount: t.amount, statementCurrency: t.currency, importedAt: now }
+    };
+    item.updatedAt = now;
+    writes.push([prepareSaveItem(item, env), recordImported(t.id, item.id)]);
+  }
+
+  // Uncaptured debits become expense items
+  const created = [];
+  for (const t of debits.filter(t => !usedTransactions.has(t.id))) {
+    const item = {
+      id: generateId(),
+      input: t.description || `Bank transaction ${t.date}`,
+      type: 'expense',
+      structured: {
+        amount: Math.abs(t.amount),
+        currency: t.currency,
+        category: guessCategory(t.description, expenses),
+        vendor: t.description || 'unknown',
+        date: t.date,
+        reconciliation: { status: 'imported', transactionId: t.id, postedDate: t.date, statementAmount: t.amount, statementCurrency: t.currency, importedAt: now }
+      },
+      aiNotes: null,
+      source: 'statement',
+      createdAt: zonedTimeToUtc(t.date, '12:00').toISOString(),
+      status: 'active'
+    };
+    if (!dryRun) await normalizeExpense(item, env);
+    writes.push([prepareSaveItem(item, env), recordImported(t.id, item.id)]);
+    created.push(item);
+  }
+
+  // Captured expenses the statement should have covered but didn't
+  const coveredUntil = addDaysToDateString(range.to, -STATEMENT_MATCH_DAYS_AFTER);
+  const uncleared = open.filter(e =>
+    !usedExpenses.has(e.itemId) && e.date >= range.from && e.date <= coveredUntil &&
+    expenseItems.get(e.itemId)?.source !== 'statement'
+  );
+  for (const e of uncleared) {
+    const item = expenseItems.get(e.itemId);
+    item.structured = {
+      ...item.structured,
+      reconciliation: { status: 'uncleared', checkedAt: now, statementFrom: range.from, statementTo: range.to }
+    };
+    item.updatedAt = now;
+    writes.push([prepareSaveItem(item, env)]);
   }
+
+  if (!dryRun) {
+    let batch = [];
+    for (const group of writes) {
+      if (batch.length + group.length > STATEMENT_BATCH_SIZE) {
+        await env.DB.batch(batch);
+        batch = [];
+      }
+      batch.push(...group);
+    }
+    if (batch.length > 0) await env.DB.batch(batch);
+  }
+
+  return jsonResponse({
+    success: true,
+    dryRun,
+    format,
+    range,
+    transactions: transactions.length,
+    duplicates,
+    transfers: transfers.map(t => ({ transactionId: t.id, date: t.date, amount: t.amount, description: t.description })),
+    credits: fresh.filter(t => t.amount >= 0 && !transfers.includes(t)).length,
+    matched: matched.map(({ transaction: t, expense: e, score }) => ({
+      transactionId: t.id,
+      itemId: e.itemId,
+      date: t.date,
+      amount: t.amount,
+      description: t.description,
+      vendor: e.vendor,
+      score
+    })),
+    created: created.map(item => ({
+      itemId: item.id,
+      date: item.structured.date,
+      amount: item.structured.amount,
+      currency: item.structured.currency,
+      vendor: item.structured.vendor,
+      category: item.structured.category
+    })),
+    uncleared: uncleared.map(e => ({ itemId: e.itemId, date: e.date, amount: e.amount, currency: e.currency, vendor: e.vendor }))
+  });
 }
 
 /**
@@ -0,0 +1,277 @@
+-- Second Brain Database Schema for Cloudflare D1
+--
+-- Apply with:
+--   npx wrangler d1 execute second-brain --remote --file=./schema.sql
+--
+-- Timestamps are ISO 8601 UTC strings (same format the worker has always
+-- stored in KV), so they sort and compare as text.
+
+-- Items table: every capture, comms message, email and YouTube item
+CREATE TABLE IF NOT EXISTS items (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'active',
+  source TEXT,
+  input TEXT NOT NULL,
+  structured TEXT, -- JSON stored as TEXT
+  ai_notes TEXT,
+  image TEXT, -- data URL, only for photo captures
+  contact TEXT, -- structured.contact for comms, kept as a column for contact history queries
+  direction TEXT, -- structured.direction for comms
+  meta TEXT, -- JSON for any other item fields (needsSignalAnalysis, etc.)
+  created_at TEXT NOT NULL,
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_items_created
+  ON items(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_items_type_created
+  ON items(type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_items_status_created
+  ON items(status, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_items_contact_created
+  ON items(contact, created_at DESC);
+
+-- Full-text search over items (kept in sync by the triggers below)
+CREATE VIRTUAL TABLE IF NOT EXISTS items_fts USING fts5(
+  input,
+  structured,
+  ai_notes,
+  content='items',
+  content_rowid='rowid',
+  tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS items_fts_insert AFTER INSERT ON items BEGIN
+  INSERT INTO items_fts(rowid, input, structured, ai_notes)
+    VALUES (new.rowid, new.input, new.structured, new.ai_notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_delete AFTER DELETE ON items BEGIN
+  INSERT INTO items_fts(items_fts, rowid, input, structured, ai_notes)
+    VALUES ('delete', old.rowid, old.input, old.structured, old.ai_notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS items_fts_update AFTER UPDATE ON items BEGIN
+  INSERT INTO items_fts(items_fts, rowid, input, structured, ai_notes)
+    VALUES ('delete', old.rowid, old.input, old.structured, old.ai_notes);
+  INSERT INTO items_fts(rowid, input, structured, ai_notes)
+    VALUES (new.rowid, new.input, new.structured, new.ai_notes);
+END;
+
+-- Signal reading queue (replaces the signal-queue:all KV array and signal:<id> keys)
+CREATE TABLE IF NOT EXISTS signals (
+  item_id TEXT PRIMARY KEY,
+  contact TEXT,
+  priority REAL NOT NULL DEFAULT 0,
+  reviewed INTEGER NOT NULL DEFAULT 0,
+  analysis TEXT NOT NULL, -- JSON stored as TEXT
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (item_id) REFERENCES items(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_signals_priority
+  ON signals(reviewed, priority DESC);
+
+-- Conversation sessions: bursts of comms with one contact, split by an idle gap.
+-- Messages are the contact's comms items between started_at and ended_at; flagged
+-- sessions are read as a whole once quiet and replace signals as the reading queue
+-- (signals keeps the older per-message readings)
+CREATE TABLE IF NOT EXISTS signal_sessions (
+  id TEXT PRIMARY KEY,
+  contact TEXT NOT NULL,
+  app TEXT, -- app of the first message
+  started_at TEXT NOT NULL,
+  ended_at TEXT NOT NULL,
+  message_count INTEGER NOT NULL DEFAULT 0,
+  last_item_id TEXT, -- newest message (notification buttons point here)
+  status TEXT NOT NULL DEFAULT 'open', -- open | analysed | closed | failed
+  flagged INTEGER NOT NULL DEFAULT 0, -- a message in it was flagged for reading
+  attempts INTEGER NOT NULL DEFAULT 0, -- failed reads in a row
+  priority REAL NOT NULL DEFAULT 0,
+  reviewed INTEGER NOT NULL DEFAULT 0,
+  analysis TEXT, -- JSON stored as TEXT, once read
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_sessions_contact
+  ON signal_sessions(contact, ended_at);
+CREATE INDEX IF NOT EXISTS idx_signal_sessions_status
+  ON signal_sessions(status, ended_at);
+CREATE INDEX IF NOT EXISTS idx_signal_sessions_priority
+  ON signal_sessions(reviewed, priority DESC);
+
+-- Reminders for todo and calendar items (one per item; recurring ones roll forward)
+CREATE TABLE IF NOT EXISTS reminders (
+  item_id TEXT PRIMARY KEY,
+  due_at TEXT NOT NULL, -- when the todo is due / the event starts
+  notify_at TEXT NOT NULL, -- when to push (due_at minus lead time, or a snooze); once a
+                           -- recurring reminder is sent, when its next occurrence is due
+  local_time TEXT NOT NULL, -- HH:MM in CONFIG.timezone, reused for each recurrence
+  lead_minutes INTEGER NOT NULL DEFAULT 0, -- notify this long before due_at
+  recurrence TEXT, -- JSON { rule, text } or NULL for one-off reminders
+  status TEXT NOT NULL DEFAULT 'scheduled', -- scheduled | sent (due_at is the occurrence sent) | done
+  last_notified_at TEXT,
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (item_id) REFERENCES items(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_reminders_due
+  ON reminders(status, notify_at);
+
+-- Classification corrections: one row per item whose type was changed by hand.
+-- Used as few-shot examples in the classifier prompt and for GET /classification/stats.
+CREATE TABLE IF NOT EXISTS classification_corrections (
+  item_id TEXT PRIMARY KEY,
+  input TEXT NOT NULL,
+  predicted_type TEXT NOT NULL, -- what the classifier said (kept across repeat corrections)
+  corrected_type TEXT NOT NULL,
+  corrected_structured TEXT, -- JSON stored as TEXT
+  item_created_at TEXT NOT NULL, -- when the item was classified
+  created_at TEXT NOT NULL, -- when it was (last) corrected
+  FOREIGN KEY (item_id) REFERENCES items(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_corrections_created
+  ON classification_corrections(created_at DESC);
+
+-- Knowledge graph (see KNOWLEDGE GRAPH MODULE in index.js): people and projects
+-- resolved across captures, comms, email and YouTube items
+CREATE TABLE IF NOT EXISTS entities (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL, -- person | project
+  name TEXT NOT NULL, -- display name (the most complete form seen)
+  first_seen_at TEXT NOT NULL, -- created_at of the earliest linked item
+  last_seen_at TEXT NOT NULL, -- created_at of the latest linked item
+  created_at TEXT NOT NULL,
+  updated_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_entities_kind_seen
+  ON entities(kind, last_seen_at DESC);
+
+-- Every name, email address and phone number an entity has been seen under
+CREATE TABLE IF NOT EXISTS entity_aliases (
+  kind TEXT NOT NULL,
+  alias TEXT NOT NULL, -- normalised: lower case, no punctuation; phone numbers as digits
+  alias_type TEXT NOT NULL DEFAULT 'name', -- name | email | phone
+  entity_id TEXT NOT NULL,
+  created_at TEXT NOT NULL,
+  PRIMARY KEY (kind, alias),
+  FOREIGN KEY (entity_id) REFERENCES entities(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_aliases_entity
+  ON entity_aliases(entity_id);
+
+-- Edges: item -mentions-> person, item -belongs-to-> project,
+-- item -followed-up-by-> later item about the same person or project
+CREATE TABLE IF NOT EXISTS graph_edges (
+  from_id TEXT NOT NULL, -- item id
+  relation TEXT NOT NULL,
+  to_id TEXT NOT NULL, -- entity id, or item id for followed-up-by
+  item_id TEXT NOT NULL, -- the item whose indexing created the edge (re-indexing replaces them)
+  created_at TEXT NOT NULL, -- created_at of item_id
+  PRIMARY KEY (from_id, relation, to_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_edges_to
+  ON graph_edges(to_id, relation);
+
+CREATE INDEX IF NOT EXISTS idx_edges_item
+  ON graph_edges(item_id);
+
+-- Embeddings for semantic retrieval in /chat (optional - only filled when an
+-- EMBEDDING_PROVIDER is configured; see RETRIEVAL MODULE in index.js)
+CREATE TABLE IF NOT EXISTS item_embeddings (
+  item_id TEXT PRIMARY KEY,
+  model TEXT NOT NULL, -- provider:model, so switching models re-embeds everything
+  dims INTEGER NOT NULL,
+  vector TEXT NOT NULL, -- base64 of a unit-length little-endian Float32Array
+  item_version TEXT NOT NULL, -- the item's updated_at (or created_at) when embedded
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (item_id) REFERENCES items(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_embeddings_model
+  ON item_embeddings(model, item_id);
+
+-- /chat conversations (see CHAT THREADS MODULE in index.js)
+CREATE TABLE IF NOT EXISTS chat_threads (
+  id TEXT PRIMARY KEY,
+  title TEXT NOT NULL,
+  summary TEXT, -- rolling summary of the messages that no longer go to the model verbatim
+  summarized_count INTEGER NOT NULL DEFAULT 0, -- messages with seq <= this are in the summary
+  message_count INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_threads_updated
+  ON chat_threads(updated_at DESC);
+
+CREATE TABLE IF NOT EXISTS chat_messages (
+  id TEXT PRIMARY KEY,
+  thread_id TEXT NOT NULL,
+  seq INTEGER NOT NULL, -- 1-based position in the thread
+  role TEXT NOT NULL, -- user | assistant
+  content TEXT NOT NULL,
+  citations TEXT, -- JSON array (assistant messages)
+  pinned_note_id TEXT, -- Claude note made from this answer
+  created_at TEXT NOT NULL,
+  FOREIGN KEY (thread_id) REFERENCES chat_threads(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_thread
+  ON chat_messages(thread_id, seq);
+
+-- Bank statement transactions already handled by POST /import/statement, so
+-- overlapping statements can be re-imported safely
+CREATE TABLE IF NOT EXISTS statement_transactions (
+  id TEXT PRIMARY KEY, -- fitid:<bank id> or hash:<date|amount|description>
+  item_id TEXT NOT NULL, -- the expense it cleared or created
+  imported_at TEXT NOT NULL
+);
+
+-- Model calls per local day, task and model (GET /llm/usage). One row per
+-- combination, bumped with an upsert so concurrent calls don't lose counts.
+CREATE TABLE IF NOT EXISTS llm_usage (
+  date TEXT NOT NULL, -- local date (CONFIG.timezone)
+  task TEXT NOT NULL,
+  model TEXT NOT NULL, -- provider:model
+  calls INTEGER NOT NULL DEFAULT 0,
+  errors INTEGER NOT NULL DEFAULT 0, -- calls that failed after all retries
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL NOT NULL DEFAULT 0,
+  unpriced_calls INTEGER NOT NULL DEFAULT 0, -- calls to models with no known price
+  PRIMARY KEY (date, task, model)
+);
+
+-- Notifications waiting for the next cron run: ones held back during quiet
+-- hours, and ones other workers hand over (the sheets-sync weekly digest).
+-- The cron claims them with DELETE ... RETURNING, so each is sent once.
+CREATE TABLE IF NOT EXISTS notification_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  message TEXT NOT NULL, -- JSON { category, title, body, priority, tags, actions }
+  created_at TEXT NOT NULL
+);
+
+-- Outgoing questions still waiting for a reply, one wait per contact. Changed
+-- row by row (upsert on a question, delete on a reply) so concurrent comms
+-- can't overwrite each other's waits.
+CREATE TABLE IF NOT EXISTS awaiting_replies (
+  contact TEXT PRIMARY KEY,
+  item_id TEXT NOT NULL, -- the latest question in the wait
+  app TEXT,
+  asked_at TEXT NOT NULL, -- the first question: the silence runs from here
+  check_after TEXT NOT NULL,
+  wait_hours REAL NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_awaiting_replies_check_after
+  ON awaiting_replies(check_after);
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, request } from './helpers.mjs';
+
+function seedMeal(env, id, calories) {
+  const at = new Date().toISOString();
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, 'calorie', 'active', 'manual', 'lunch', ?, ?, ?)"
+  ).run(id, JSON.stringify({ estimatedCalories: calories, foods: ['lunch'] }), at, at);
+}
+
+test('GET /calories measures against the calorie target', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  seedMeal(env, 'meal1', 2500);
+
+  const body = await (await request(worker, env, 'GET', '/calories')).json();
+
+  assert.equal(body.dailyTarget, 2000);
+  assert.equal(body.remaining, -500);
+  assert.equal(body.onTrack, false);
+});
+
+test('a null calorie target means no target, not the 2000 default', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  seedMeal(env, 'meal1', 2500);
+
+  const saved = await request(worker, env, 'POST', '/calories/targets', { calories: null });
+  assert.equal((await saved.json()).targets.calories, null);
+
+  const body = await (await request(worker, env, 'GET', '/calories')).json();
+
+  assert.equal(body.totalCalories, 2500);
+  assert.equal(body.dailyTarget, null);
+  assert.ok(!('remaining' in body));
+  assert.ok(!('onTrack' in body));
+  assert.ok(!('status' in body));
+
+  const range = await (await request(worker, env, 'GET', '/calories?from=2026-01-01&to=2026-01-07')).json();
+  assert.equal(range.summary.daysOverTarget, 0);
+});
@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, modelEnv, request, startModelServer } from './helpers.mjs';
+
+const split = {
+  items: [
+    { text: 'buy milk', type: 'todo', structured: { task: 'Buy milk', priority: 'low' }, notes: '' },
+    { text: 'tide tables are online', type: 'note', structured: { summary: 'Tide tables are online', tags: [] }, notes: '' },
+    { text: 'call the bank', type: 'todo', structured: { task: 'Call the bank', priority: 'medium' }, notes: '' }
+  ]
+};
+
+/**
+ * Make the nth run of statements starting with `prefix` fail once
+ */
+function failNthStatement(env, prefix, n) {
+  const prepare = env.DB.prepare;
+  let saves = 0;
+  env.DB.prepare = sql => {
+    const statement = prepare(sql);
+    if (!sql.trimStart().startsWith(prefix)) return statement;
+    return {
+      ...statement,
+      bind: (...values) => {
+        const bound = statement.bind(...values);
+        return { ...bound, run: async () => { if (++saves === n) throw new Error('D1 write failed'); return bound.run(); } };
+      }
+    };
+  };
+}
+
+const failNthItemSave = (env, n) => failNthStatement(env, 'INSERT INTO items ', n);
+const failNthReminder = (env, n) => failNthStatement(env, 'INSERT INTO reminders ', n);
+
+test('a compound capture that fails part-way is finished by the retry', async t => {
+  const model = await startModelServer(() => split);
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+  failNthItemSave(env, 2);
+  const headers = { 'Idempotency-Key': 'capture-retry-1' };
+
+  const first = await request(worker, env, 'POST', '/capture', { input: 'buy milk, tide tables are online, call the bank' }, { headers });
+  assert.equal(first.status, 500);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 1);
+
+  const retry = await request(worker, env, 'POST', '/capture', { input: 'buy milk, tide tables are online, call the bank' }, { headers });
+  const body = await retry.json();
+
+  assert.equal(retry.status, 200);
+  assert.deepEqual(body.items.map(item => item.input), ['buy milk', 'tide tables are online', 'call the bank']);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 3);
+  assert.equal(model.requests.length, 1, 'the retry reuses the first classification');
+
+  // And from then on it's a plain duplicate
+  const again = await (await request(worker, env, 'POST', '/capture', { input: 'x' }, { headers })).json();
+  assert.equal(again.duplicate, true);
+  assert.equal(again.items.length, 3);
+  assert.equal(await env.BRAIN_KV.get('capture-plan:capture-retry-1'), null);
+});
+
+test('a capture saved before a later step failed is finished by the retry, not saved again', async t => {
+  const model = await startModelServer(() => ({ type: 'todo', structured: { task: 'Book the WOF', dueDate: '2099-01-10' }, notes: '' }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+  failNthReminder(env, 1);
+  const headers = { 'Idempotency-Key': 'capture-retry-2' };
+
+  const first = await request(worker, env, 'POST', '/capture', { input: 'book the WOF by 10 Jan' }, { headers });
+  assert.equal(first.status, 500);
+  const [saved] = env.DB.db.prepare('SELECT id FROM items').all();
+  assert.equal(await env.BRAIN_KV.get('dedup:capture:capture-retry-2'), `saved:${saved.id}`);
+
+  const retry = await request(worker, env, 'POST', '/capture', { input: 'book the WOF by 10 Jan' }, { headers });
+  const body = await retry.json();
+
+  assert.equal(retry.status, 200);
+  assert.equal(body.item.id, saved.id);
+  assert.equal(body.reminder.dueAt.slice(0, 10), '2099-01-09'); // 09:00 on the 10th in Auckland
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 1);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM reminders').get().n, 1);
+  assert.equal(model.requests.length, 1);
+  assert.equal(await env.BRAIN_KV.get('dedup:capture:capture-retry-2'), saved.id);
+});
+
+test('a compound capture part saved before its reminder failed gets the reminder on retry', async t => {
+  const model = await startModelServer(() => ({
+    items: [
+      { text: 'book the WOF by 10 Jan', type: 'todo', structured: { task: 'Book the WOF', dueDate: '2099-01-10' }, notes: '' },
+      ...split.items.slice(1)
+    ]
+  }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+  failNthReminder(env, 1);
+  const headers = { 'Idempotency-Key': 'capture-retry-3' };
+  const input = 'book the WOF by 10 Jan, tide tables are online, call the bank';
+
+  const first = await request(worker, env, 'POST', '/capture', { input }, { headers });
+  assert.equal(first.status, 500);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 1);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM reminders').get().n, 0);
+
+  const retry = await request(worker, env, 'POST', '/capture', { input }, { headers });
+  const body = await retry.json();
+
+  assert.equal(retry.status, 200);
+  assert.equal(body.items.length, 3);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 3);
+  const reminders = env.DB.db.prepare('SELECT item_id FROM reminders').all();
+  assert.deepEqual(reminders.map(r => r.item_id), [body.items[0].id]);
+  assert.equal(model.requests.length, 1);
+});
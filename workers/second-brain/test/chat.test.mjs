@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeCtx, makeEnv, modelEnv, request, startModelServer, startStubServer } from './helpers.mjs';
+
+function threadMessages(env) {
+  return env.DB.db.prepare('SELECT thread_id, role, content FROM chat_messages ORDER BY seq').all();
+}
+
+test('a streamed answer is saved after the page has gone away', async t => {
+  const worker = await loadWorker();
+  let env;
+  let savedBeforeAnswer;
+  const model = await startModelServer(() => {
+    savedBeforeAnswer = threadMessages(env).map(m => m.role);
+    return 'Nothing about the harbour yet.';
+  });
+  t.after(() => model.close());
+  env = makeEnv(modelEnv(model));
+
+  const ctx = makeCtx();
+  const response = await request(worker, env, 'POST', '/chat', { question: 'What about the harbour?', stream: true }, { ctx });
+  assert.equal(response.headers.get('Content-Type'), 'text/event-stream');
+  await response.body.cancel();
+  await ctx.settled();
+
+  assert.deepEqual(savedBeforeAnswer, ['user']);
+  const messages = threadMessages(env);
+  assert.deepEqual(messages.map(m => [m.role, m.content]), [
+    ['user', 'What about the harbour?'],
+    ['assistant', 'Nothing about the harbour yet.']
+  ]);
+  const thread = env.DB.db.prepare('SELECT id, title, message_count FROM chat_threads').get();
+  assert.equal(thread.id, messages[0].thread_id);
+  assert.equal(thread.title, 'What about the harbour?');
+  assert.equal(thread.message_count, 2);
+});
+
+test('a question stays in its thread when the answer fails', async t => {
+  const model = await startStubServer(() => ({ status: 400, json: { error: { message: 'bad request' } } }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+
+  const response = await request(worker, env, 'POST', '/chat', { question: 'Where did I park?' });
+  const body = await response.json();
+
+  assert.equal(response.status, 500);
+  const messages = threadMessages(env);
+  assert.deepEqual(messages.map(m => [m.role, m.content]), [['user', 'Where did I park?']]);
+  assert.equal(body.threadId, messages[0].thread_id);
+
+  const ctx = makeCtx();
+  const streamed = await request(worker, env, 'POST', '/chat', { question: 'And yesterday?', threadId: body.threadId, stream: true }, { ctx });
+  const events = (await streamed.text()).trim().split('\n\n').map(line => JSON.parse(line.slice(6)));
+  await ctx.settled();
+
+  assert.equal(events.at(-1).type, 'error');
+  assert.equal(events.at(-1).threadId, body.threadId);
+  assert.deepEqual(threadMessages(env).map(m => m.content), ['Where did I park?', 'And yesterday?']);
+});
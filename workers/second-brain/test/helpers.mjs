@@ -0,0 +1,209 @@
+/**
+ * Test helpers: the worker loaded from index.js, with in-memory stand-ins for
+ * its KV and D1 bindings. D1 is node:sqlite with schema.sql applied, so the
+ * tests need Node 22.5+ (package.json "engines") and fail to load on older Nodes
+ * rather than passing without having checked anything.
+ */
+
+import { copyFileSync, mkdtempSync, readFileSync } from 'node:fs';
+import { createServer } from 'node:http';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const workerDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+const sqlite = await import('node:sqlite').catch(() => {
+  throw new Error(`The tests need node:sqlite (Node 22.5+); this is Node ${process.versions.node}`);
+});
+
+let loads = 0;
+
+/**
+ * A fresh copy of a worker module - second-brain's unless another worker's
+ * index.js is given (they're ES modules in .js files with no package.json, so
+ * they're copied to .mjs; a new file per call resets module state)
+ */
+export async function loadWorker(source = join(workerDir, 'index.js')) {
+  const dir = mkdtempSync(join(tmpdir(), 'second-brain-'));
+  const file = join(dir, `worker-${++loads}.mjs`);
+  copyFileSync(source, file);
+  return (await import(pathToFileURL(file).href)).default;
+}
+
+export function makeKV() {
+  const store = new Map();
+  return {
+    store,
+    async get(key, type) {
+      const value = store.get(key);
+      if (value === undefined) return null;
+      return type === 'json' ? JSON.parse(value) : value;
+    },
+    async put(key, value) {
+      store.set(key, typeof value === 'string' ? value : JSON.stringify(value));
+    },
+    async delete(key) {
+      store.delete(key);
+    },
+    async list({ prefix = '', limit = 1000 } = {}) {
+      const keys = [...store.keys()].filter(k => k.startsWith(prefix)).sort().map(name => ({ name }));
+      return { keys: keys.slice(0, limit), list_complete: keys.length <= limit };
+    }
+  };
+}
+
+export function makeD1() {
+  const db = new sqlite.DatabaseSync(':memory:');
+  db.exec(readFileSync(join(workerDir, 'schema.sql'), 'utf8'));
+
+  const normalize = value => value === undefined ? null : typeof value === 'boolean' ? Number(value) : value;
+  const statement = (sql, params = []) => ({
+    bind: (...values) => statement(sql, values.map(normalize)),
+    async first(column) {
+      const row = db.prepare(sql).get(...params);
+      if (!row) return null;
+      return column ? row[column] : { ...row };
+    },
+    async all() {
+      return { results: db.prepare(sql).all(...params).map(row => ({ ...row })), success: true };
+    },
+    async run() {
+      const result = db.prepare(sql).run(...params);
+      return { success: true, meta: { changes: Number(result.changes) } };
+    },
+    runSync: () => db.prepare(sql).run(...params)
+  });
+
+  return {
+    db,
+    prepare: sql => statement(sql),
+    async batch(statements) {
+      db.exec('BEGIN');
+      try {
+        const results = statements.map(s => ({ success: true, meta: { changes: Number(s.runSync().changes) } }));
+        db.exec('COMMIT');
+        return results;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+    async exec(sql) {
+      db.exec(sql);
+    }
+  };
+}
+
+export function makeEnv(overrides = {}) {
+  return {
+    AUTH_TOKEN: 'test-token',
+    NTFY_SERVER: 'http://127.0.0.1:9', // ntfy is always on; keep it off the internet
+    BRAIN_KV: makeKV(),
+    DB: makeD1(),
+    ...overrides
+  };
+}
+
+/**
+ * A ctx whose waitUntil work can be awaited with ctx.settled()
+ */
+export function makeCtx() {
+  const pending = [];
+  return {
+    waitUntil: promise => { pending.push(promise); },
+    settled: () => Promise.allSettled(pending)
+  };
+}
+
+/**
+ * A local HTTP server standing in for ntfy, a model API and the like. Every
+ * request is recorded in `requests`; `respond(req, body)` returns
+ * { status, json } or { status, text } (default 200 {}).
+ */
+export async function startStubServer(respond = () => ({})) {
+  const requests = [];
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const recorded = { method: req.method, url: req.url, headers: req.headers, body };
+    requests.push(recorded);
+
+    const reply = await respond(recorded, body) || {};
+    res.writeHead(reply.status || 200, { 'Content-Type': reply.text === undefined ? 'application/json' : 'text/plain' });
+    res.end(reply.text ?? JSON.stringify(reply.json ?? {}));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * A fake OpenAI-compatible model server. `answer(request)` returns the reply
+ * text for a parsed /chat/completions body (a string, or an object sent as
+ * JSON); streamed requests get it back as server-sent events. `embed(text)`,
+ * if given, answers /embeddings with a vector per input. Point the worker at it
+ * with modelEnv(server).
+ */
+export async function startModelServer(answer, { embed = null } = {}) {
+  return startStubServer(async (req, body) => {
+    if (embed && req.url.endsWith('/embeddings')) {
+      const { input } = JSON.parse(body);
+      return { json: { data: input.map((text, index) => ({ index, embedding: embed(text) })) } };
+    }
+    if (!req.url.endsWith('/chat/completions')) return { status: 404, json: { error: 'not found' } };
+    const completion = JSON.parse(body);
+    const reply = await answer(completion);
+    const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    const usage = { prompt_tokens: 100, completion_tokens: 20 };
+
+    if (completion.stream) {
+      const events = [
+        ...text.match(/[\s\S]{1,16}/g).map(piece => ({ choices: [{ delta: { content: piece } }] })),
+        { choices: [], usage }
+      ];
+      return { text: events.map(e => `data: ${JSON.stringify(e)}\n\n`).join('') + 'data: [DONE]\n\n' };
+    }
+    return { json: { choices: [{ message: { role: 'assistant', content: text } }], usage } };
+  });
+}
+
+export function modelEnv(server) {
+  return { LLM_PROVIDER: 'openai', LLM_MODEL: 'fake-model', LLM_BASE_URL: `${server.url}/v1` };
+}
+
+/**
+ * Record the worker's outgoing fetches to URLs starting with `prefix` and answer
+ * them with `respond` (as for startStubServer) instead of the network. For
+ * requests Node's fetch won't send as-is, e.g. ntfy's emoji Title headers.
+ */
+export function captureFetch(t, prefix, respond = () => ({})) {
+  const requests = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+    if (!url.startsWith(prefix)) return realFetch(input, init);
+
+    const recorded = { method: init.method || 'GET', url, headers: { ...init.headers }, body: init.body ?? '' };
+    requests.push(recorded);
+    const reply = await respond(recorded, recorded.body) || {};
+    return new Response(reply.text ?? JSON.stringify(reply.json ?? {}), { status: reply.status || 200 });
+  };
+  t.after(() => { globalThis.fetch = realFetch; });
+  return requests;
+}
+
+/**
+ * Call the worker's fetch handler as an authenticated client
+ */
+export async function request(worker, env, method, path, body, { headers = {}, ctx = makeCtx() } = {}) {
+  const init = {
+    method,
+    headers: { Authorization: `Bearer ${env.AUTH_TOKEN}`, 'Content-Type': 'application/json', ...headers }
+  };
+  if (body !== undefined) init.body = JSON.stringify(body);
+  return worker.fetch(new Request(`https://second-brain.test${path}`, init), env, ctx);
+}
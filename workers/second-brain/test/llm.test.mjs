@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, modelEnv, request, startModelServer, startStubServer } from './helpers.mjs';
+
+const note = { type: 'note', structured: { summary: 'Tide tables are on the harbour site', tags: ['sea'] }, notes: 'Reference' };
+
+test('captures are classified by a local OpenAI-compatible model', async t => {
+  const model = await startModelServer(() => note);
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+
+  const response = await request(worker, env, 'POST', '/capture', { input: 'Tide tables are on the harbour site' });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.item.type, 'note');
+  assert.equal(body.item.structured.summary, 'Tide tables are on the harbour site');
+
+  const sent = JSON.parse(model.requests[0].body);
+  assert.equal(sent.model, 'fake-model');
+  assert.equal(sent.messages[0].role, 'system');
+});
+
+test('usage from concurrent calls is all counted', async t => {
+  const model = await startModelServer(() => note);
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+
+  await Promise.all(Array.from({ length: 5 }, (_, i) =>
+    request(worker, env, 'POST', '/capture', { input: `Note number ${i}` })
+  ));
+
+  const usage = await (await request(worker, env, 'GET', '/llm/usage')).json();
+
+  assert.equal(usage.totals.calls, 5);
+  assert.equal(usage.totals.inputTokens, 500);
+  assert.equal(usage.totals.outputTokens, 100);
+  assert.equal(usage.totals.costUsd, 0); // local models are free
+  assert.equal(usage.byTask.classify.calls, 5);
+  assert.equal(usage.days.length, 1);
+  assert.equal(usage.days[0].byModel['openai:fake-model'].calls, 5);
+  assert.equal(usage.models.classify, 'openai:fake-model');
+});
+
+test('calls that fail count as errors', async t => {
+  const model = await startStubServer(() => ({ status: 400, json: { error: { message: 'bad request' } } }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+
+  await request(worker, env, 'POST', '/capture', { input: 'Anything' });
+  const usage = await (await request(worker, env, 'GET', '/llm/usage')).json();
+
+  assert.equal(usage.totals.calls, 0);
+  assert.equal(usage.totals.errors, 1);
+});
@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, request } from './helpers.mjs';
+
+async function seedLegacyKV(env, count) {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    const id = `legacy${i}`;
+    ids.push(id);
+    await env.BRAIN_KV.put(`item:${id}`, JSON.stringify({
+      id,
+      type: 'note',
+      input: `old note ${i}`,
+      structured: { summary: `old note ${i}` },
+      source: 'manual',
+      status: 'active',
+      createdAt: new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString()
+    }));
+  }
+  await env.BRAIN_KV.put('index:all', JSON.stringify({ items: ids }));
+}
+
+test('KV items are copied into D1 before the first request reads them', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  await seedLegacyKV(env, 30);
+
+  const response = await request(worker, env, 'GET', '/items?limit=100');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(body.items.length, 30);
+  const status = await env.BRAIN_KV.get('migration:d1', 'json');
+  assert.ok(status.completedAt);
+});
+
+test('a large store is finished off by the scheduler', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  await seedLegacyKV(env, 260); // more than one request's worth (4 batches of 50)
+
+  await request(worker, env, 'GET', '/items?limit=1');
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 200);
+
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM items').get().n, 260);
+  assert.ok((await env.BRAIN_KV.get('migration:d1', 'json')).completedAt);
+});
+
+test('signal readings for items that never reached D1 are skipped', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  await seedLegacyKV(env, 2);
+  const analysis = { analyzedAt: '2025-01-02T00:00:00.000Z', summary: 'reading' };
+  await env.BRAIN_KV.put('signal-queue:all', JSON.stringify({ items: [
+    { itemId: 'legacy0', contact: 'Sam', priority: 3 },
+    { itemId: 'ghost', contact: 'Sam', priority: 5 } // queued, but never added to index:all
+  ] }));
+  await env.BRAIN_KV.put('signal:legacy0', JSON.stringify(analysis));
+  await env.BRAIN_KV.put('signal:ghost', JSON.stringify(analysis));
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await request(worker, env, 'GET', '/items')).status, 200);
+  }
+  const status = await env.BRAIN_KV.get('migration:d1', 'json');
+  assert.ok(status.completedAt);
+  assert.equal(status.signalsMigrated, 1);
+  assert.deepEqual(env.DB.db.prepare('SELECT item_id FROM signals').all().map(r => r.item_id), ['legacy0']);
+});
+
+test('a failing migration step does not fail the request', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const get = env.BRAIN_KV.get;
+  env.BRAIN_KV.get = (key, ...rest) => key === 'migration:d1' ? Promise.reject(new Error('KV unavailable')) : get(key, ...rest);
+
+  const response = await request(worker, env, 'GET', '/items');
+  assert.equal(response.status, 200);
+});
+
+test('GET /calories rejects a malformed date', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+
+  for (const path of ['/calories?date=abc', '/calories?to=abc']) {
+    const response = await request(worker, env, 'GET', path);
+    assert.equal(response.status, 400, path);
+  }
+});
+
+test('the last step deletes the KV search shards, and search filters on source in D1', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  await seedLegacyKV(env, 2);
+  await env.BRAIN_KV.put('search:shard:o', JSON.stringify({ old: ['legacy0', 'legacy1'] }));
+  await env.BRAIN_KV.put('search:shard:n', JSON.stringify({ note: ['legacy0'] }));
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES ('sms1', 'note', 'active', 'sms', 'old note by text', '{}', '2025-01-02T00:00:00.000Z', '2025-01-02T00:00:00.000Z')"
+  ).run();
+
+  const response = await request(worker, env, 'GET', '/search?q=old&source=manual');
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.results.map(r => r.item.id).sort(), ['legacy0', 'legacy1']);
+  assert.deepEqual((await env.BRAIN_KV.list({ prefix: 'search:shard:' })).keys, []);
+  assert.equal((await env.BRAIN_KV.get('migration:d1', 'json')).searchShardsDeleted, 2);
+});
+
+test('a migration that finished earlier still gets its search shards deleted', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  await env.BRAIN_KV.put('migration:d1', JSON.stringify({ completedAt: '2025-06-01T00:00:00.000Z', next: null }));
+  await env.BRAIN_KV.put('search:shard:a', '{}');
+
+  await request(worker, env, 'GET', '/items');
+
+  assert.equal(await env.BRAIN_KV.get('search:shard:a'), null);
+  assert.equal((await env.BRAIN_KV.get('migration:d1', 'json')).searchShardsDeleted, 1);
+});
@@ -0,0 +1,168 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureFetch, loadWorker, makeEnv, request, startStubServer } from './helpers.mjs';
+
+async function seedDueReminder(env, id) {
+  const now = new Date();
+  const past = new Date(now.getTime() - 60000).toISOString();
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, 'todo', 'active', 'manual', 'Call the dentist', ?, ?, ?)"
+  ).run(id, JSON.stringify({ task: 'Call the dentist' }), past, past);
+  env.DB.db.prepare(
+    "INSERT INTO reminders (item_id, due_at, notify_at, local_time, created_at) VALUES (?, ?, ?, '09:00', ?)"
+  ).run(id, past, past, past);
+}
+
+test('reminder notifications carry signed action URLs, never AUTH_TOKEN', async t => {
+  const ntfy = captureFetch(t, 'https://ntfy.test');
+
+  const worker = await loadWorker();
+  const env = makeEnv({ AUTH_TOKEN: 'secret-auth-token-1234', NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+  await seedDueReminder(env, 'todo1');
+
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+
+  const sent = ntfy.find(r => r.url === 'https://ntfy.test/brain' && r.body.includes('Call the dentist'));
+  assert.ok(sent, 'reminder was sent to ntfy');
+  assert.ok(!JSON.stringify(sent).includes(env.AUTH_TOKEN), 'AUTH_TOKEN must not appear anywhere in the notification');
+
+  const actions = JSON.parse(sent.headers.Actions);
+  assert.deepEqual(actions.map(a => a.label), ['Mark done', 'Snooze 1h', 'Open item']);
+  for (const action of actions) {
+    assert.equal(action.headers, undefined);
+    assert.match(action.url, /\/action\/[a-z-]+\/todo1\?exp=\d+&n=[0-9a-f]+&sig=[0-9a-f]+$/);
+  }
+});
+
+test('a signed action URL works once without the bearer token', async t => {
+  const ntfy = captureFetch(t, 'https://ntfy.test');
+
+  const worker = await loadWorker();
+  const env = makeEnv({ NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+  await seedDueReminder(env, 'todo2');
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+
+  const sent = ntfy.find(r => r.body.includes('Call the dentist'));
+  const done = JSON.parse(sent.headers.Actions).find(a => a.label === 'Mark done');
+  const path = new URL(done.url).pathname + new URL(done.url).search;
+  const press = () => worker.fetch(new Request(`https://second-brain.test${path}`, { method: 'POST' }), env, { waitUntil() {} });
+
+  assert.equal((await press()).status, 200);
+  assert.equal((await press()).status, 410);
+  const { item } = await (await request(worker, env, 'GET', '/item/todo2')).json();
+  assert.equal(item.status, 'done');
+});
+
+test('a failed action does not use up its button', async () => {
+  const { createHmac } = await import('node:crypto');
+  const worker = await loadWorker();
+  const env = makeEnv();
+
+  const exp = Math.floor(Date.now() / 1000) + 3600;
+  const nonce = 'abc123';
+  const sig = createHmac('sha256', env.AUTH_TOKEN).update(`action:v1:done:gone1:${exp}:${nonce}`).digest('hex');
+  const press = () => worker.fetch(
+    new Request(`https://second-brain.test/action/done/gone1?exp=${exp}&n=${nonce}&sig=${sig}`, { method: 'POST' }),
+    env,
+    { waitUntil() {} }
+  );
+
+  assert.equal((await press()).status, 404);
+  assert.equal(await env.BRAIN_KV.get(`action-used:${nonce}`), null);
+
+  // Once the item exists the same button goes through
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES ('gone1', 'todo', 'active', 'manual', 'x', '{}', '2025-01-01', '2025-01-01')"
+  ).run();
+  assert.equal((await press()).status, 200);
+  assert.equal((await press()).status, 410);
+});
+
+// 10:00 in Auckland, outside quiet hours (22:00-07:00)
+const DAYTIME = Date.parse('2026-10-19T21:00:00.000Z');
+// 23:30 in Auckland
+const NIGHT = Date.parse('2026-10-19T10:30:00.000Z');
+
+test('quiet-hours messages wait in the outbox and are sent once', async t => {
+  const webhook = await startStubServer();
+  t.after(() => webhook.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv({ NOTIFY_WEBHOOK_URL: `${webhook.url}/hook`, NOTIFY_CHANNELS_ANALYSIS: 'webhook' });
+  env.DB.db.prepare(
+    "INSERT INTO notification_outbox (message, created_at) VALUES (?, '2026-10-19T10:30:00.000Z')"
+  ).run(JSON.stringify({ category: 'analysis', title: 'Held', body: 'from last night', tags: [] }));
+
+  t.mock.timers.enable({ apis: ['Date'], now: NIGHT });
+  await worker.scheduled({ scheduledTime: NIGHT }, env, { waitUntil() {} });
+  assert.equal(webhook.requests.length, 0, 'nothing is sent during quiet hours');
+
+  t.mock.timers.setTime(DAYTIME);
+  // Two cron runs overlapping
+  await Promise.all([
+    worker.scheduled({ scheduledTime: DAYTIME }, env, { waitUntil() {} }),
+    worker.scheduled({ scheduledTime: DAYTIME }, env, { waitUntil() {} })
+  ]);
+
+  const held = webhook.requests.filter(r => JSON.parse(r.body).title === 'Held');
+  assert.equal(held.length, 1);
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM notification_outbox').get().n, 0);
+});
+
+// A daily 09:00 reminder (20:00 UTC, NZDT), first due on the 20th
+const DAILY_DUE = '2026-10-19T20:00:00.000Z';
+const NEXT_DUE = '2026-10-20T20:00:00.000Z';
+
+function seedDailyReminder(env, id) {
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, 'todo', 'active', 'manual', 'Take vitamins', ?, '2026-10-01', '2026-10-01')"
+  ).run(id, JSON.stringify({ task: 'Take vitamins', recurrence: 'every day' }));
+  env.DB.db.prepare(
+    "INSERT INTO reminders (item_id, due_at, notify_at, local_time, recurrence, created_at) VALUES (?, ?, ?, '09:00', ?, '2026-10-01')"
+  ).run(id, DAILY_DUE, DAILY_DUE, JSON.stringify({ rule: { freq: 'daily', interval: 1 }, text: 'every day' }));
+}
+
+const reminderRow = (env, id) => ({ ...env.DB.db.prepare('SELECT due_at, notify_at, status FROM reminders WHERE item_id = ?').get(id) });
+
+test('Mark done after a recurring reminder is sent completes the occurrence it announced', async t => {
+  const ntfy = captureFetch(t, 'https://ntfy.test');
+  const worker = await loadWorker();
+  const env = makeEnv({ NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+  seedDailyReminder(env, 'daily1');
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(DAILY_DUE) + 5 * 60000 });
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+  assert.equal(ntfy.filter(r => r.body.includes('Take vitamins')).length, 1);
+  assert.deepEqual(reminderRow(env, 'daily1'), { due_at: DAILY_DUE, notify_at: NEXT_DUE, status: 'sent' });
+
+  const response = await request(worker, env, 'PATCH', '/item/daily1', { status: 'done' });
+  assert.equal(response.status, 200);
+  assert.deepEqual(reminderRow(env, 'daily1'), { due_at: NEXT_DUE, notify_at: NEXT_DUE, status: 'scheduled' });
+});
+
+test('Snooze after a recurring reminder is sent brings back the same occurrence', async t => {
+  const ntfy = captureFetch(t, 'https://ntfy.test');
+  const worker = await loadWorker();
+  const env = makeEnv({ NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+  seedDailyReminder(env, 'daily2');
+  const sends = () => ntfy.filter(r => r.body.includes('Take vitamins'));
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.parse(DAILY_DUE) + 5 * 60000 });
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+  await request(worker, env, 'PATCH', '/item/daily2', { snooze: '1h' });
+  assert.equal(reminderRow(env, 'daily2').due_at, DAILY_DUE);
+
+  t.mock.timers.setTime(Date.parse(DAILY_DUE) + 70 * 60000);
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+  assert.equal(sends().length, 2);
+  assert.deepEqual(reminderRow(env, 'daily2'), { due_at: DAILY_DUE, notify_at: NEXT_DUE, status: 'sent' });
+
+  // Left alone, it moves on when the next occurrence is due
+  t.mock.timers.setTime(Date.parse(NEXT_DUE) + 5 * 60000);
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+  assert.equal(sends().length, 3);
+  assert.equal(reminderRow(env, 'daily2').due_at, NEXT_DUE);
+
+  const { reminders } = await (await request(worker, env, 'GET', '/reminders')).json();
+  assert.deepEqual(reminders.map(r => r.itemId), ['daily2']);
+});
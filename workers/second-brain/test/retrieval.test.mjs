@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, modelEnv, request, startModelServer } from './helpers.mjs';
+
+const vector = values => Buffer.from(new Float32Array(values).buffer).toString('base64');
+
+test('semantic retrieval only compares the newest embeddings', async t => {
+  const model = await startModelServer(() => 'Here you go.', { embed: () => [1, 0, 0] });
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv({ ...modelEnv(model), EMBEDDING_PROVIDER: 'openai' });
+
+  // 5,001 embedded notes, one a minute: the oldest and the 1,000th newest are the
+  // only close matches, and the oldest is past the 5,000 vectors a question reads
+  const total = 5001;
+  const { db } = env.DB;
+  const insertItem = db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, 'note', 'active', 'manual', ?, '{}', ?, ?)"
+  );
+  const insertVector = db.prepare(
+    "INSERT INTO item_embeddings (item_id, model, dims, vector, item_version, created_at) VALUES (?, 'openai:nomic-embed-text', 3, ?, ?, ?)"
+  );
+  db.exec('BEGIN');
+  for (let i = 0; i < total; i++) {
+    const id = `n${String(i).padStart(5, '0')}`;
+    const at = new Date(Date.UTC(2025, 0, 1) + i * 60000).toISOString();
+    const text = i === 0 ? 'aardvark sighting' : i === total - 1000 ? 'zebra sighting' : `filler ${i}`;
+    const values = i === 0 ? [1, 0, 0] : i === total - 1000 ? [0.9, 0.1, 0] : [0, 1, 0];
+    insertItem.run(id, text, at, at);
+    insertVector.run(id, vector(values), at, at);
+  }
+  db.exec('COMMIT');
+
+  const response = await request(worker, env, 'POST', '/chat', { question: 'qwxz?' });
+  assert.equal(response.status, 200);
+
+  const prompt = model.requests.find(r => r.url.endsWith('/chat/completions')).body;
+  assert.match(prompt, /zebra sighting/);
+  assert.doesNotMatch(prompt, /aardvark sighting/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { captureFetch, loadWorker, makeEnv, modelEnv, startStubServer } from './helpers.mjs';
+
+const BRIEFING_SLOT = '2026-10-19T04:00';
+const BRIEFING_AT = Date.parse('2026-10-18T15:00:00Z'); // 04:00 in Auckland (NZDT)
+const CRON_MS = 15 * 60 * 1000;
+
+async function runCron(worker, env, at) {
+  await worker.scheduled({ scheduledTime: at }, env, { waitUntil() {} });
+}
+
+test('a failed briefing pings once and is retried', async t => {
+  const ntfy = captureFetch(t, 'https://ntfy.test');
+  const model = await startStubServer(() => ({ status: 400, json: { error: { message: 'bad request' } } }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv({ ...modelEnv(model), NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+
+  await runCron(worker, env, BRIEFING_AT);
+  let state = JSON.parse(await env.BRAIN_KV.get('scheduler:job:briefing'));
+  assert.equal(state.slot, BRIEFING_SLOT);
+  assert.equal(state.status, 'error');
+  assert.equal(state.attempts, 1);
+
+  await runCron(worker, env, BRIEFING_AT + CRON_MS);
+  state = JSON.parse(await env.BRAIN_KV.get('scheduler:job:briefing'));
+  assert.equal(state.status, 'error');
+  assert.equal(state.attempts, 2);
+
+  await runCron(worker, env, BRIEFING_AT + 2 * CRON_MS);
+  assert.equal(JSON.parse(await env.BRAIN_KV.get('scheduler:job:briefing')).attempts, 2); // out of attempts
+
+  const pings = ntfy.filter(r => r.body.includes('Briefing time'));
+  assert.equal(pings.length, 1);
+});
+
+test('a slot left running by a killed run is retried', async t => {
+  captureFetch(t, 'https://ntfy.test');
+  const model = await startStubServer(() => ({ status: 400, json: { error: { message: 'bad request' } } }));
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv({ ...modelEnv(model), NTFY_SERVER: 'https://ntfy.test', NTFY_TOPIC: 'brain' });
+  const running = slotState => env.BRAIN_KV.put('scheduler:job:briefing', JSON.stringify({ slot: BRIEFING_SLOT, status: 'running', attempts: 1, ...slotState }));
+
+  // Still within a run's lifetime: left alone
+  await running({ startedAt: new Date(Date.now() - 5 * 60 * 1000).toISOString() });
+  await runCron(worker, env, BRIEFING_AT + CRON_MS);
+  assert.equal(JSON.parse(await env.BRAIN_KV.get('scheduler:job:briefing')).status, 'running');
+
+  await running({ startedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+  await runCron(worker, env, BRIEFING_AT + CRON_MS);
+  const state = JSON.parse(await env.BRAIN_KV.get('scheduler:job:briefing'));
+  assert.equal(state.attempts, 2);
+  assert.equal(state.attempt, 2);
+  assert.equal(state.status, 'error');
+
+  const { runs } = JSON.parse(await env.BRAIN_KV.get('scheduler:runs:2026-10-19'));
+  assert.deepEqual(runs.filter(r => r.job === 'briefing').map(r => [r.attempt, r.status, r.error]), [
+    [1, 'error', 'Run did not finish'],
+    [2, 'error', 'openai API error: 400 {"error":{"message":"bad request"}}']
+  ]);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, modelEnv, request, startModelServer } from './helpers.mjs';
+
+const comms = (worker, env, contact, direction, message) =>
+  request(worker, env, 'POST', '/comms', { message, direction, app: 'whatsapp', contact });
+
+async function awaitingContacts(worker, env) {
+  const { awaitingReply } = await (await request(worker, env, 'GET', '/signals')).json();
+  return awaitingReply.map(a => a.contact).sort();
+}
+
+test('questions to several contacts at once all wait for a reply', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const contacts = ['Ana', 'Ben', 'Cai', 'Dee', 'Eru'];
+
+  await Promise.all(contacts.map(contact => comms(worker, env, contact, 'outgoing', 'Are we still on for Friday?')));
+  assert.deepEqual(await awaitingContacts(worker, env), contacts);
+
+  await Promise.all([
+    comms(worker, env, 'Ben', 'incoming', 'Yes, see you then'),
+    comms(worker, env, 'Dee', 'incoming', 'Sorry, can we move it?'),
+    comms(worker, env, 'Ana', 'outgoing', 'Or is Saturday better?')
+  ]);
+  assert.deepEqual(await awaitingContacts(worker, env), ['Ana', 'Cai', 'Eru']);
+
+  const { awaitingReply } = await (await request(worker, env, 'GET', '/contacts/Ana')).json();
+  const [first, latest] = env.DB.db.prepare("SELECT id, created_at FROM items WHERE contact = 'Ana' ORDER BY rowid").all();
+  assert.equal(awaitingReply.itemId, latest.id); // flagged on the latest question...
+  assert.equal(awaitingReply.askedAt, first.created_at); // ...but silent since the first
+  assert.equal(awaitingReply.waitHours, 24);
+});
+
+test('waits kept in KV before D1 are carried over', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const askedAt = new Date().toISOString();
+  const checkAfter = new Date(Date.now() + 24 * 3600000).toISOString();
+  await env.BRAIN_KV.put('signals:awaiting-reply', JSON.stringify({
+    Fern: { itemId: 'old1', contact: 'Fern', app: 'sms', askedAt, checkAfter, waitHours: 24 }
+  }));
+
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+
+  assert.equal(await env.BRAIN_KV.get('signals:awaiting-reply'), null);
+  const { awaitingReply } = await (await request(worker, env, 'GET', '/signals')).json();
+  assert.deepEqual(awaitingReply, [{ itemId: 'old1', contact: 'Fern', app: 'sms', askedAt, checkAfter, waitHours: 24 }]);
+});
+
+test('transactional apps are never flagged or tracked, however many keywords', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const message = 'Can we discuss the project proposal and feedback from the interview before the meeting review? Not sure, weird.';
+
+  const response = await request(worker, env, 'POST', '/comms', { message, direction: 'outgoing', app: 'BankingApp', contact: 'ASB' });
+  const { item } = await response.json();
+  assert.equal(item.needsSignalAnalysis, false);
+  assert.deepEqual(await awaitingContacts(worker, env), []);
+
+  const query = new URLSearchParams({ message, direction: 'outgoing', app: 'uber', contact: 'Driver' });
+  const { test: scored } = await (await request(worker, env, 'GET', `/signals/model?${query}`)).json();
+  assert.deepEqual(scored, { flag: false, excluded: true, excludedBy: 'transactional-app' });
+
+  // The same message anywhere else is flagged
+  const elsewhere = await (await comms(worker, env, 'Sam', 'outgoing', message)).json();
+  assert.equal(elsewhere.item.needsSignalAnalysis, true);
+});
+
+test('a reading with more JSON after it is still read', async t => {
+  const reading = { keyDynamic: 'Checking the plan still stands', action: 'note', contextType: 'personal', openLoops: [] };
+  const model = await startModelServer(({ messages }) => messages[0].content.includes('Respond with JSON only')
+    ? `Here's the reading:\n${JSON.stringify(reading)}\nI kept to the usual shape, e.g. {"keyDynamic": "..."}.`
+    : {});
+  t.after(() => model.close());
+
+  const worker = await loadWorker();
+  const env = makeEnv(modelEnv(model));
+  const now = Date.now();
+  t.mock.timers.enable({ apis: ['Date'], now: now - 60 * 60000 });
+  await comms(worker, env, 'Ana', 'outgoing', 'Can we discuss the project proposal before the meeting review? Not sure, weird.');
+  t.mock.timers.setTime(now);
+
+  await worker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+
+  const session = env.DB.db.prepare('SELECT status, analysis FROM signal_sessions').get();
+  assert.equal(session.status, 'analysed');
+  assert.equal(JSON.parse(session.analysis).keyDynamic, reading.keyDynamic);
+});
@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadWorker, makeEnv, request } from './helpers.mjs';
+
+function seedExpense(env, id, { amount, vendor, date }) {
+  const at = `${date}T00:00:00.000Z`;
+  env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, 'expense', 'active', 'manual', ?, ?, ?, ?)"
+  ).run(id, `${vendor} $${amount}`, JSON.stringify({
+    amount, currency: 'NZD', baseAmount: amount, baseCurrency: 'NZD', vendor, category: 'groceries', date
+  }), at, at);
+}
+
+const csv = [
+  'Date,Amount,Payee,Particulars',
+  '03/10/2026,-45.20,Countdown Ponsonby,',
+  '04/10/2026,-12.00,Kings Coffee,',
+  '05/10/2026,-500.00,TFR TO 12-3456-7890123-01,Savings',
+  '06/10/2026,-300.00,Visa Payment,',
+  '07/10/2026,2000.00,Salary,'
+].join('\n');
+
+test('statement import matches, creates and skips transfers', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  seedExpense(env, 'exp1', { amount: 45.2, vendor: 'Countdown', date: '2026-10-02' });
+
+  const response = await request(worker, env, 'POST', '/import/statement', { content: csv });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.matched.map(m => m.itemId), ['exp1']);
+  assert.deepEqual(body.created.map(c => c.vendor), ['Kings Coffee']);
+  assert.deepEqual(body.transfers.map(t => t.amount), [-500, -300]);
+  assert.equal(body.credits, 1);
+
+  // Importing the same statement again changes nothing
+  const again = await (await request(worker, env, 'POST', '/import/statement', { content: csv })).json();
+  assert.equal(again.duplicates, 2);
+  assert.equal(again.transfers.length, 2);
+  assert.equal(again.created.length, 0);
+  assert.equal(again.matched.length, 0);
+});
+
+test('transferKeywords catch payments to your own accounts', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const content = 'Date,Amount,Payee\n03/10/2026,-80.00,J SMITH 12-3456-7890123-02\n';
+
+  const body = await (await request(worker, env, 'POST', '/import/statement?dryRun=true', {
+    content, transferKeywords: ['7890123-02']
+  })).json();
+
+  assert.equal(body.transfers.length, 1);
+  assert.equal(body.created.length, 0);
+});
+
+test('sign=positive reads purchases listed as positive amounts', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const content = 'Date,Amount,Description\n03/10/2026,19.99,Netflix\n04/10/2026,-19.99,Refund Netflix\n';
+
+  const body = await (await request(worker, env, 'POST', '/import/statement?dryRun=true', { content, sign: 'positive' })).json();
+
+  assert.deepEqual(body.created.map(c => [c.vendor, c.amount]), [['Netflix', 19.99]]);
+  assert.equal(body.credits, 1);
+});
+
+test('debitColumn picks the debit column by name', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const content = 'Date,Description,Paid out,Credit,Amount\n03/10/2026,Bookshop,25.00,,999\n04/10/2026,Refund,,10.00,999\n';
+
+  const body = await (await request(worker, env, 'POST', '/import/statement?dryRun=true', { content, debitColumn: 'Paid out' })).json();
+
+  assert.deepEqual(body.created.map(c => [c.vendor, c.amount]), [['Bookshop', 25]]);
+  assert.equal(body.credits, 1);
+
+  const bad = await request(worker, env, 'POST', '/import/statement', { content, debitColumn: 'Withdrawals' });
+  assert.equal(bad.status, 400);
+});
+
+test('a malformed JSON body is a 400', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+
+  const response = await worker.fetch(new Request('https://second-brain.test/import/statement', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${env.AUTH_TOKEN}`, 'Content-Type': 'application/json' },
+    body: '{"content": "Date,Amount'
+  }), env, { waitUntil() {} });
+
+  assert.equal(response.status, 400);
+  assert.equal((await response.json()).error, 'Could not parse JSON body');
+});
+
+test('re-importing after a failed batch adds only what is missing', async () => {
+  const worker = await loadWorker();
+  const env = makeEnv();
+  const rows = Array.from({ length: 30 }, (_, i) => `${String(i % 28 + 1).padStart(2, '0')}/09/2026,-${i + 1}.50,Shop ${i + 1}`);
+  const content = ['Date,Amount,Payee', ...rows].join('\n');
+  const count = table => env.DB.db.prepare(`SELECT COUNT(*) AS n FROM ${table}`).get().n;
+
+  const batch = env.DB.batch;
+  let batches = 0;
+  env.DB.batch = statements => ++batches === 2 ? Promise.reject(new Error('D1 write failed')) : batch(statements);
+  const failed = await request(worker, env, 'POST', '/import/statement', { content });
+  assert.equal(failed.status, 500);
+  env.DB.batch = batch;
+  const written = count('items');
+  assert.ok(written > 0 && written < 30);
+  assert.equal(count('statement_transactions'), written);
+
+  const body = await (await request(worker, env, 'POST', '/import/statement', { content })).json();
+  assert.equal(body.duplicates, written);
+  assert.equal(body.created.length, 30 - written);
+  assert.equal(count('items'), 30);
+  assert.equal(count('statement_transactions'), 30);
+});
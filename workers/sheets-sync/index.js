@@ -1,11 +1,11 @@
 /**
  * SHEETS SYNC - Cloudflare Worker
  *
- * Reads data from Second Brain's KV store and serves it as CSV.
+ * Reads data from Second Brain's D1 database and KV store and serves it as CSV.
  * Use Google Sheets IMPORTDATA formula to pull data automatically.
  *
  * Endpoints:
- *   GET /csv              - All items as CSV
+ *   GET /csv              - All items as CSV (the newest 5000)
  *   GET /csv/recent       - Last 7 days only (use this for IMPORTDATA - stays under size limit)
  *   GET /csv/notes        - Claude notes as CSV
  *   GET /csv/:type        - Items filtered by type (expense, todo, calendar, comms, etc.)
@@ -13,10 +13,14 @@
  *   GET /health           - Health check
  *   GET /                 - Instructions page
  *
- * KV Binding:
- *   BRAIN_KV - Second Brain's KV namespace
+ * Bindings:
+ *   DB       - Second Brain's D1 database (items)
+ *   BRAIN_KV - Second Brain's KV namespace (Claude notes)
  *
- * Cron: Every Sunday 6pm UTC (Monday 7am NZT) - sends weekly digest via ntfy
+ * Cron: Every Sunday 6pm UTC (Monday 7am NZT) - queues a weekly digest in
+ * Second Brain's notification_outbox table. The second-brain worker sends it on
+ * its next cron run through the channels for its 'digest' category
+ * (CONFIG.notifications, or its NOTIFY_CHANNELS_DIGEST env var).
  *
  * Usage in Google Sheets (recommended - stays small):
  *   =IMPORTDATA("https://sheets-sync.zammel.workers.dev/csv/recent")
@@ -36,7 +40,8 @@ export default {
       return jsonResponse({
         status: 'ok',
         timestamp: new Date().toISOString(),
-        kvConfigured: !!env.BRAIN_KV
+        kvConfigured: !!env.BRAIN_KV,
+        dbConfigured: !!env.DB
       });
     }
 
@@ -67,64 +72,59 @@ export default {
     });
   },
 
-  // Weekly cron: sends a digest to ntfy so you get a Monday morning summary
+  // Weekly cron: queues a digest so you get a Monday morning summary
   async scheduled(event, env, ctx) {
     try {
-      const data = await readAllFromKV(env);
       const cutoff = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      const weekItems = data.items.filter(item => new Date(item.createdAt) > cutoff);
+      const counts = await countItemsByType(env, cutoff);
+      const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
 
-      if (!env.NTFY_TOPIC || weekItems.length === 0) return;
-
-      // Count by type
-      const counts = {};
-      weekItems.forEach(item => {
-        counts[item.type] = (counts[item.type] || 0) + 1;
-      });
+      if (total === 0) return;
 
       const summary = Object.entries(counts)
         .sort((a, b) => b[1] - a[1])
         .map(([type, n]) => `${n} ${type}`)
         .join(', ');
 
-      const message = `${weekItems.length} captures this week: ${summary}\n\nOpen your sheet to see it all.`;
-
-      await fetch(`https://ntfy.sh/${env.NTFY_TOPIC}`, {
-        method: 'POST',
-        headers: {
-          'Title': '📊 Weekly Second Brain Digest',
-          'Tags': 'brain,weekly',
-          'Priority': '2',
-          'Content-Type': 'text/plain'
-        },
-        body: message
-      });
+      const message = `${total} captures this week: ${summary}\n\nOpen your sheet to see it all.`;
+
+      await queueDigest({
+        category: 'digest',
+        title: '📊 Weekly Second Brain Digest',
+        body: message,
+        priority: 'low',
+        tags: ['brain', 'weekly']
+      }, env);
     } catch (e) {
       // Cron failures are silent - don't break anything
     }
   }
 };
 
+// ─── DIGEST ──────────────────────────────────────────────────
+// Second Brain owns the notification channels; the digest goes through its outbox
+
+async function queueDigest(message, env) {
+  await env.DB.prepare('INSERT INTO notification_outbox (message, created_at) VALUES (?, ?)')
+    .bind(JSON.stringify(message), new Date().toISOString())
+    .run();
+}
+
 // ─── CSV HANDLERS ────────────────────────────────────────────
 
 async function handleCsv(env, type, recentDays) {
   try {
-    if (!env.BRAIN_KV) {
-      return csvResponse('Error: KV not configured');
+    if (!env.BRAIN_KV || !env.DB) {
+      return csvResponse('Error: KV or D1 not configured');
     }
 
-    const data = await readAllFromKV(env);
-    let items = data.items;
-
     // Filter by recency if requested
-    if (recentDays) {
-      const cutoff = new Date(Date.now() - recentDays * 24 * 60 * 60 * 1000);
-      items = items.filter(item => new Date(item.createdAt) > cutoff);
-    }
-
-    if (type !== 'all') {
-      items = items.filter(item => item.type === type);
-    }
+    const cutoff = recentDays ? new Date(Date.now() - recentDays * 24 * 60 * 60 * 1000) : null;
+    const items = await readItems(env, {
+      since: cutoff,
+      type: type === 'all' ? null : type,
+      withStructured: STRUCTURED_CSV_TYPES.includes(type)
+    });
 
     const csv = itemsToCsv(items, type);
     return csvResponse(csv);
@@ -135,12 +135,11 @@ async function handleCsv(env, type, recentDays) {
 
 async function handleNotesCsv(env) {
   try {
-    if (!env.BRAIN_KV) {
-      return csvResponse('Error: KV not configured');
+    if (!env.BRAIN_KV || !env.DB) {
+      return csvResponse('Error: KV or D1 not configured');
     }
 
-    const data = await readAllFromKV(env);
-    const csv = notesToCsv(data.claudeNotes);
+    const csv = notesToCsv(await readClaudeNotes(env));
     return csvResponse(csv);
   } catch (error) {
     return csvResponse(`Error: ${error.message}`);
@@ -149,19 +148,15 @@ async function handleNotesCsv(env) {
 
 async function handlePreview(env) {
   try {
-    if (!env.BRAIN_KV) {
-      return jsonResponse({ error: 'KV not configured' }, 500);
+    if (!env.BRAIN_KV || !env.DB) {
+      return jsonResponse({ error: 'KV or D1 not configured' }, 500);
     }
 
-    const data = await readAllFromKV(env);
-    const types = {};
-    data.items.forEach(item => {
-      types[item.type] = (types[item.type] || 0) + 1;
-    });
+    const [types, claudeNotes] = await Promise.all([countItemsByType(env), readClaudeNotes(env)]);
 
     return jsonResponse({
-      totalItems: data.items.length,
-      totalNotes: data.claudeNotes.length,
+      totalItems: Object.values(types).reduce((sum, n) => sum + n, 0),
+      totalNotes: claudeNotes.length,
       byType: types,
       availableCsvEndpoints: {
         '/csv': 'All items',
@@ -177,18 +172,81 @@ async function handlePreview(env) {
   }
 }
 
-// ─── KV DATA READING ────────────────────────────────────────
+// ─── DATA READING ───────────────────────────────────────────
+
+// Most items one CSV returns - the newest ones. (The KV snapshot D1 replaced held 500.)
+const MAX_CSV_ITEMS = 5000;
+const CSV_PAGE_SIZE = 500;
+
+// Types whose CSV has columns from `structured` (see itemsToCsv)
+const STRUCTURED_CSV_TYPES = ['expense', 'todo', 'calendar', 'comms', 'calorie'];
+
+// Just the columns the CSVs write - not image or meta, which can be large
+const CSV_COLUMNS = 'id, type, status, source, input, ai_notes, created_at';
+
+/**
+ * Items for a CSV, oldest first: read newest-first in pages (keyset on
+ * created_at, id) up to MAX_CSV_ITEMS
+ */
+async function readItems(env, { since = null, type = null, withStructured = false } = {}) {
+  const columns = withStructured ? `${CSV_COLUMNS}, structured` : CSV_COLUMNS;
+  const filters = [];
+  const params = [];
+  if (since) {
+    filters.push('created_at > ?');
+    params.push(since.toISOString());
+  }
+  if (type) {
+    filters.push('type = ?');
+    params.push(type);
+  }
+
+  const items = [];
+  let last = null;
+  while (items.length < MAX_CSV_ITEMS) {
+    const conditions = last ? [...filters, '(created_at < ? OR (created_at = ? AND id < ?))'] : filters;
+    const pageSize = Math.min(CSV_PAGE_SIZE, MAX_CSV_ITEMS - items.length);
+    const { results } = await env.DB.prepare(
+      `SELECT ${columns} FROM items ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY created_at DESC, id DESC LIMIT ?`
+    ).bind(...params, ...(last ? [last.created_at, last.created_at, last.id] : []), pageSize).all();
+
+    items.push(...results.map(rowToItem));
+    if (results.length < pageSize) break;
+    last = results[results.length - 1];
+  }
+
+  return items.reverse();
+}
+
+/**
+ * { type: count } over all items, or those created after `since`
+ */
+async function countItemsByType(env, since = null) {
+  const query = since
+    ? env.DB.prepare('SELECT type, COUNT(*) AS n FROM items WHERE created_at > ? GROUP BY type').bind(since.toISOString())
+    : env.DB.prepare('SELECT type, COUNT(*) AS n FROM items GROUP BY type');
+  const { results } = await query.all();
+  return Object.fromEntries(results.map(row => [row.type, row.n]));
+}
 
-async function readAllFromKV(env) {
-  // Read snapshot + notes in parallel (2 KV reads total, not N)
-  const [snapshot, claudeNotes] = await Promise.all([
-    env.BRAIN_KV.get('items:snapshot', 'json'),
-    env.BRAIN_KV.get('claude:notes', 'json')
-  ]);
+async function readClaudeNotes(env) {
+  const claudeNotes = await env.BRAIN_KV.get('claude:notes', 'json');
+  return claudeNotes?.notes || [];
+}
 
+// Same item shape Second Brain's API returns (see workers/second-brain/schema.sql),
+// less the fields the CSVs don't use
+function rowToItem(row) {
   return {
-    items: snapshot?.items || [],
-    claudeNotes: claudeNotes?.notes || []
+    id: row.id,
+    input: row.input,
+    type: row.type,
+    structured: row.structured ? JSON.parse(row.structured) : null,
+    aiNotes: row.ai_notes,
+    source: row.source,
+    createdAt: row.created_at,
+    status: row.status
   };
 }
 
@@ -214,14 +272,16 @@ function itemsToCsv(items, type) {
 
   const rows = [];
 
-  if (type !== 'all' && ['expense', 'todo', 'calendar', 'comms', 'calorie'].includes(type)) {
+  if (type !== 'all' && STRUCTURED_CSV_TYPES.includes(type)) {
     // Type-specific headers with structured data columns
     switch (type) {
       case 'expense':
-        rows.push(rowToCsv(['ID', 'Input', 'Created', 'Status', 'AI Notes', 'Amount', 'Currency', 'Category', 'Vendor']));
+        // Currency is whatever the capture recorded (blank for old captures that never had one);
+        // Base Amount is the amount converted to Second Brain's base currency at capture time
+        rows.push(rowToCsv(['ID', 'Input', 'Created', 'Status', 'AI Notes', 'Date', 'Amount', 'Currency', 'Base Amount', 'Base Currency', 'FX Rate', 'Category', 'Vendor']));
         for (const item of items) {
           const s = item.structured || {};
-          rows.push(rowToCsv([item.id, item.input, item.createdAt, item.status, item.aiNotes, s.amount, s.currency || 'NZD', s.category, s.vendor]));
+          rows.push(rowToCsv([item.id, item.input, item.createdAt, item.status, item.aiNotes, s.date, s.amount, s.currency, s.baseAmount, s.baseCurrency, s.fxRate, s.category, s.vendor]));
         }
         break;
       case 'todo':
@@ -246,11 +306,12 @@ function itemsToCsv(items, type) {
         }
         break;
       case 'calorie':
-        rows.push(rowToCsv(['ID', 'Created', 'Meal Type', 'Foods', 'Estimated Calories', 'Confidence', 'AI Notes']));
+        rows.push(rowToCsv(['ID', 'Created', 'Meal Type', 'Foods', 'Estimated Calories', 'Protein (g)', 'Carbs (g)', 'Fat (g)', 'Fibre (g)', 'Confidence', 'AI Notes']));
         for (const item of items) {
           const s = item.structured || {};
+          const m = s.macros || {};
           const foods = Array.isArray(s.foods) ? s.foods.join('; ') : (s.foods || item.input);
-          rows.push(rowToCsv([item.id, item.createdAt, s.mealType, foods, s.estimatedCalories, s.confidence, item.aiNotes]));
+          rows.push(rowToCsv([item.id, item.createdAt, s.mealType, foods, s.estimatedCalories, m.protein, m.carbs, m.fat, m.fibre, s.confidence, item.aiNotes]));
         }
         break;
     }
@@ -314,7 +375,7 @@ function landingPage() {
 <div class="step">
   <code>/csv/recent</code> — Last 7 days (recommended for IMPORTDATA)<br>
   <code>/csv/recent?days=30</code> — Last 30 days<br>
-  <code>/csv</code> — All items (may be slow)<br>
+  <code>/csv</code> — All items, up to the newest 5000 (may be slow)<br>
   <code>/csv/expense</code> — Expenses only<br>
   <code>/csv/todo</code> — Todos only<br>
   <code>/csv/calendar</code> — Calendar items<br>
@@ -323,7 +384,7 @@ function landingPage() {
   <code>/csv/notes</code> — Claude's notes
 </div>
 
-<p><strong>Weekly digest:</strong> Every Monday morning you'll get a ntfy notification summarising what was captured during the week.</p>
+<p><strong>Weekly digest:</strong> Every Monday morning you'll get a notification (ntfy by default) summarising what was captured during the week.</p>
 <p><strong>Tip:</strong> Use separate sheets/tabs for each feed. Put one IMPORTDATA formula per tab.</p>
 
 <h2>Links</h2>
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadWorker, makeEnv } from '../../second-brain/test/helpers.mjs';
+
+const sheetsSync = join(dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+
+function seed(env, rows) {
+  const insert = env.DB.db.prepare(
+    "INSERT INTO items (id, type, status, source, input, structured, image, created_at) VALUES (?, ?, 'active', 'manual', ?, ?, ?, ?)"
+  );
+  for (const row of rows) insert.run(row.id, row.type, row.input, JSON.stringify(row.structured || {}), row.image || null, row.createdAt);
+}
+
+const get = (worker, env, path) => worker.fetch(new Request(`https://sheets-sync.test${path}`), env, { waitUntil() {} });
+
+test('the all-items CSV pages through D1, oldest first', async () => {
+  const worker = await loadWorker(sheetsSync);
+  const env = makeEnv();
+  // More than two pages, several sharing a timestamp across a page boundary
+  seed(env, Array.from({ length: 1203 }, (_, i) => ({
+    id: `n${String(i).padStart(4, '0')}`,
+    type: 'note',
+    input: `note ${i}`,
+    createdAt: new Date(Date.UTC(2026, 0, 1, 0, Math.floor(i / 4))).toISOString()
+  })));
+
+  const lines = (await (await get(worker, env, '/csv')).text()).split('\n');
+  assert.equal(lines.length, 1204);
+  assert.equal(lines[0], 'ID,Type,Input,Created,Status,Source,AI Notes');
+  assert.deepEqual(lines.slice(1).map(line => line.split(',')[0]), Array.from({ length: 1203 }, (_, i) => `n${String(i).padStart(4, '0')}`));
+});
+
+test('a type CSV reads that type only, with its structured columns', async () => {
+  const worker = await loadWorker(sheetsSync);
+  const env = makeEnv();
+  seed(env, [
+    { id: 'e1', type: 'expense', input: 'Coffee 5', structured: { amount: 5, vendor: 'Kōkako' }, image: 'data:image/jpeg;base64,AAAA', createdAt: '2026-10-01T00:00:00.000Z' },
+    { id: 't1', type: 'todo', input: 'Call Sam', createdAt: '2026-10-02T00:00:00.000Z' }
+  ]);
+
+  const csv = await (await get(worker, env, '/csv/expense')).text();
+  const [header, row, ...rest] = csv.split('\n');
+  assert.match(header, /^ID,Input,Created,Status,AI Notes,Date,Amount/);
+  assert.match(row, /^e1,Coffee 5,2026-10-01T00:00:00.000Z,active,,,5,/);
+  assert.match(row, /,Kōkako$/);
+  assert.equal(rest.length, 0);
+
+  const preview = await (await get(worker, env, '/preview')).json();
+  assert.equal(preview.totalItems, 2);
+  assert.deepEqual(preview.byType, { expense: 1, todo: 1 });
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadWorker, makeEnv, startStubServer } from '../../second-brain/test/helpers.mjs';
+
+const sheetsSync = join(dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+
+// Monday 07:00 in Auckland, when the digest cron fires
+const MONDAY = Date.parse('2026-10-18T18:00:00.000Z');
+
+test('the weekly digest goes out once, through second-brain\'s digest channels', async t => {
+  const webhook = await startStubServer();
+  t.after(() => webhook.close());
+  t.mock.timers.enable({ apis: ['Date'], now: MONDAY });
+
+  const digestWorker = await loadWorker(sheetsSync);
+  const brainWorker = await loadWorker();
+  // Both workers are bound to the same KV namespace and D1 database
+  const env = makeEnv({ NOTIFY_WEBHOOK_URL: `${webhook.url}/hook`, NOTIFY_CHANNELS_DIGEST: 'webhook' });
+  for (const [id, type] of [['a', 'todo'], ['b', 'todo'], ['c', 'expense']]) {
+    env.DB.db.prepare(
+      "INSERT INTO items (id, type, status, source, input, structured, created_at, updated_at) VALUES (?, ?, 'active', 'manual', 'x', '{}', ?, ?)"
+    ).run(id, type, new Date(MONDAY - 86400000).toISOString(), new Date(MONDAY - 86400000).toISOString());
+  }
+
+  await digestWorker.scheduled({ scheduledTime: MONDAY, cron: '0 18 * * 0' }, env, { waitUntil() {} });
+  assert.equal(webhook.requests.length, 0, 'sheets-sync only queues the digest');
+
+  await brainWorker.scheduled({ scheduledTime: MONDAY }, env, { waitUntil() {} });
+  await brainWorker.scheduled({ scheduledTime: MONDAY + 15 * 60000 }, env, { waitUntil() {} });
+
+  const digests = webhook.requests.map(r => JSON.parse(r.body)).filter(m => m.category === 'digest');
+  assert.equal(digests.length, 1);
+  assert.equal(digests[0].title, '📊 Weekly Second Brain Digest');
+  assert.match(digests[0].message, /^3 captures this week: 2 todo, 1 expense/);
+  assert.equal(digests[0].priority, 'low');
+});
+
+test('a quiet week queues nothing', async () => {
+  const digestWorker = await loadWorker(sheetsSync);
+  const env = makeEnv();
+
+  await digestWorker.scheduled({ scheduledTime: Date.now() }, env, { waitUntil() {} });
+
+  assert.equal(env.DB.db.prepare('SELECT COUNT(*) AS n FROM notification_outbox').get().n, 0);
+});